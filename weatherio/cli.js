@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+const fs   = require('fs');
+const path = require('path');
+const overrides = require('./lib/overrides');
+const { OverrideStoreError } = require('./lib/override-store');
+const { DATE_RE, checkKey } = require('./lib/override-schema');
+const { parseBbox } = require('./lib/geo');
+const { writeFileAtomic } = require('./lib/atomic-write');
+
+/*
+ * Command-line maintenance for the override store.
+ *
+ *   node cli.js <command> [arguments] [options]
+ *
+ * Works through the same lib/overrides.js functions as server.js, so it
+ * reads and writes the store (snapshot plus journal) exactly as the
+ * server does.  Commands that only read open the store read-only and
+ * may run next to the server; commands that change it take the store's
+ * lock and refuse to run while the server holds it.
+ */
+
+const USAGE = `Usage: node cli.js <command> [arguments] [options]
+
+Read-only commands:
+  list                        List overrides (alias: search)
+      --from DATE --to DATE   Inclusive date range
+      --bbox minLon,minLat,maxLon,maxLat
+      --status active|inactive|all   (default active)
+      --state STATE           proposed, approved, rejected, superseded,
+                              removed or expired
+      --author USER           Only versions saved by USER
+      --sort FIELD            date, updatedAt, lat, lon, version or
+                              updatedBy; prefix "-" for descending
+      --limit N --offset N    Paging (default: everything)
+  history LAT LON DATE        Every version of one day, newest first
+  validate                    Check every record against the schema;
+                              exits with status 1 on errors
+  backups                     List the backups in the backup directory
+
+Commands that change the store (stop the server first):
+  deactivate LAT LON DATE     Remove the active override, keeping history
+      --by NAME               Recorded as removedBy (default "cli")
+  purge LAT LON DATE          Delete records for good
+      --version N             Only this version
+      --force                 Allow deleting the active version
+  compact                     Delete old inactive versions and rewrite
+                              overrides.json from the journal
+      --keep N                Inactive versions kept per day (default 5)
+      --older-than DAYS       Only delete versions inactive for longer
+                              (default 90; 0 for any age)
+      --dry-run               Show what would be deleted
+  backup                      Write a timestamped copy of all records
+  restore FILE                Replace all records with a backup (a
+                              backup of the current state is made first)
+      --yes                   Required, as a safeguard
+
+Common options:
+  --data DIR                  Data directory (default: ./data next to cli.js)
+  --backup-dir DIR            Backups (default: <data>/backups)
+  --json                      Machine-readable output
+`;
+
+// Options that take a value; everything else starting with -- is a flag
+const VALUE_OPTIONS = new Set([
+  'data', 'backup-dir', 'from', 'to', 'bbox', 'status', 'state', 'author', 'sort', 'limit', 'offset',
+  'by', 'version', 'keep', 'older-than',
+]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bad command line: printed with a hint and exit status 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (!VALUE_OPTIONS.has(name)) {
+      if (eq !== -1) throw new UsageError(`--${name} does not take a value`);
+      options[name] = true;
+    } else if (eq !== -1) {
+      options[name] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`--${name} needs a value`);
+    }
+  }
+  return { positional, options };
+}
+
+// A non-negative whole number option, or `fallback` when absent
+function countOption(options, name, fallback) {
+  if (options[name] === undefined) return fallback;
+  if (!/^\d+$/.test(options[name])) throw new UsageError(`--${name} must be a whole number`);
+  return Number(options[name]);
+}
+
+// The LAT LON DATE arguments of a command
+function keyArguments(positional, command) {
+  if (positional.length !== 3) throw new UsageError(`${command} takes LAT LON DATE`);
+  const [lat, lon, date] = positional;
+  const error = checkKey(lat, lon, date);
+  if (error) throw new UsageError(error);
+  return { lat, lon, date };
+}
+
+function describeValues(values) {
+  return Object.entries(values || {}).map(([field, value]) => `${field}=${value}`).join(' ');
+}
+
+// One line per record: day, place, version, state, author and values
+function describeRecord(record) {
+  const parts = [describeValues(record.newValues)].filter(Boolean);
+  for (const hour of Object.keys(record.hourValues || {}).sort((a, b) => a - b)) {
+    parts.push(`${hour.padStart(2, '0')}:00 ${describeValues(record.hourValues[hour])}`);
+  }
+  return [
+    record.date,
+    `${record.lat},${record.lon}`,
+    `v${record.version}`,
+    (record.state || (record.active ? 'active' : 'inactive')).padEnd(10),
+    `${record.updatedBy} ${record.updatedAt}`,
+    parts.join('; ') || '(no values)',
+  ].join('  ');
+}
+
+function print(options, data, lines) {
+  if (options.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return;
+  }
+  for (const line of lines) console.log(line);
+}
+
+function backupDir(options) {
+  return options['backup-dir'] || path.join(options.data, 'backups');
+}
+
+// Write every record to <backup dir>/overrides-<timestamp>.json, in the
+// same format as overrides.json.  Returns the file name.
+function writeBackup(options) {
+  const dir = backupDir(options);
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `overrides-${stamp}.json`);
+  writeFileAtomic(file, JSON.stringify(overrides.getStore().list(), null, 2));
+  return file;
+}
+
+function readBackup(file) {
+  let records;
+  try {
+    records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(records)) throw new UsageError(`${file} does not contain an array of overrides`);
+  return records;
+}
+
+const COMMANDS = {
+  list: {
+    write: false,
+    run({ options }) {
+      const filters = {};
+      for (const name of ['from', 'to']) {
+        if (options[name] === undefined) continue;
+        if (!DATE_RE.test(options[name])) throw new UsageError(`--${name} must be YYYY-MM-DD`);
+        filters[name] = options[name];
+      }
+      if (options.bbox !== undefined) {
+        filters.bbox = parseBbox(options.bbox);
+        if (!filters.bbox) throw new UsageError('--bbox must be minLon,minLat,maxLon,maxLat');
+      }
+      const status = options.status || 'active';
+      if (status === 'active' || status === 'inactive') filters.active = status === 'active';
+      else if (status !== 'all') throw new UsageError('--status must be active, inactive or all');
+      if (options.state !== undefined) {
+        if (!overrides.STATES.includes(options.state)) {
+          throw new UsageError(`--state must be one of ${overrides.STATES.join(', ')}`);
+        }
+        filters.state = options.state;
+      }
+      if (options.author !== undefined) filters.author = options.author;
+      const sortOption = options.sort || 'date';
+      const descending = sortOption.startsWith('-');
+      const sort = descending ? sortOption.slice(1) : sortOption;
+      if (!overrides.QUERY_SORT_FIELDS[sort]) {
+        throw new UsageError(`--sort must be one of ${Object.keys(overrides.QUERY_SORT_FIELDS).join(', ')}`);
+      }
+      const offset = countOption(options, 'offset', 0);
+      const limit = countOption(options, 'limit', Infinity);
+      const { total, items } = overrides.queryOverrides(filters, { sort, descending, offset, limit });
+      print(options, { total, items }, [
+        ...items.map(describeRecord),
+        `${items.length} of ${total} record(s)`,
+      ]);
+    },
+  },
+
+  history: {
+    write: false,
+    run({ positional, options }) {
+      const { lat, lon, date } = keyArguments(positional, 'history');
+      const versions = overrides.getOverrideHistory(lat, lon, date);
+      const lines = [];
+      for (const record of versions) {
+        lines.push(describeRecord(record));
+        for (const step of record.history || []) {
+          lines.push(`    ${step.at}  ${step.state} by ${step.by}${step.comment ? `: ${step.comment}` : ''}`);
+        }
+      }
+      if (versions.length === 0) lines.push('No overrides recorded for this day.');
+      print(options, { ...overrides.resolveLocation(lat, lon, date), date, versions }, lines);
+    },
+  },
+
+  validate: {
+    write: false,
+    run({ options }) {
+      const problems = overrides.validateRecords();
+      const errors = problems.filter(p => p.level === 'error').length;
+      const records = overrides.getStore().stats().records;
+      print(options, { records, problems }, [
+        ...problems.map(({ record, level, message }) =>
+          `${level.padEnd(7)}  ${record.date}  ${record.lat},${record.lon}  v${record.version}  ${message}`),
+        `${records} record(s) checked: ${errors} error(s), ${problems.length - errors} warning(s)`,
+      ]);
+      return errors > 0 ? 1 : 0;
+    },
+  },
+
+  backups: {
+    write: false,
+    run({ options }) {
+      const dir = backupDir(options);
+      let files = [];
+      try {
+        files = fs.readdirSync(dir).filter(name => /^overrides-.*\.json$/.test(name)).sort();
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      const backups = files.map(name => {
+        const file = path.join(dir, name);
+        return { file, bytes: fs.statSync(file).size };
+      });
+      print(options, { backups }, backups.length > 0
+        ? backups.map(b => `${b.file}  ${b.bytes} bytes`)
+        : [`No backups in ${dir}`]);
+    },
+  },
+
+  deactivate: {
+    write: true,
+    run({ positional, options }) {
+      const { lat, lon, date } = keyArguments(positional, 'deactivate');
+      const removed = overrides.removeOverride(lat, lon, date, options.by || 'cli');
+      print(options, { removed }, [
+        removed ? `Deactivated v${removed.version}` : 'No active override for this day',
+      ]);
+      return removed ? 0 : 1;
+    },
+  },
+
+  purge: {
+    write: true,
+    run({ positional, options }) {
+      const { lat, lon, date } = keyArguments(positional, 'purge');
+      const version = options.version === undefined ? undefined : countOption(options, 'version');
+      const matching = overrides.getOverrideHistory(lat, lon, date)
+        .filter(o => version === undefined || o.version === version);
+      if (matching.length === 0) {
+        print(options, { purged: [] }, ['Nothing to purge']);
+        return 1;
+      }
+      if (matching.some(o => o.active) && !options.force) {
+        throw new UsageError('That would delete the active override; deactivate it first or pass --force');
+      }
+      const purged = overrides.purgeOverrides(lat, lon, date, { version });
+      print(options, { purged }, [
+        ...purged.map(describeRecord),
+        `Purged ${purged.length} record(s)`,
+      ]);
+    },
+  },
+
+  compact: {
+    write: true,
+    run({ options }) {
+      const keep = countOption(options, 'keep', 5);
+      const olderThanDays = countOption(options, 'older-than', 90);
+      const before = olderThanDays > 0 ? Date.now() - olderThanDays * DAY_MS : undefined;
+      const dryRun = !!options['dry-run'];
+      const pruned = overrides.pruneInactive({ keep, before, dryRun });
+      if (!dryRun) overrides.getStore().compact();
+      print(options, { dryRun, pruned }, [
+        ...pruned.map(describeRecord),
+        dryRun
+          ? `Would delete ${pruned.length} inactive version(s)`
+          : `Deleted ${pruned.length} inactive version(s) and compacted the store`,
+      ]);
+    },
+  },
+
+  backup: {
+    write: false,
+    run({ options }) {
+      const file = writeBackup(options);
+      print(options, { file }, [`Backed up ${overrides.getStore().stats().records} record(s) to ${file}`]);
+    },
+  },
+
+  restore: {
+    write: true,
+    run({ positional, options }) {
+      if (positional.length !== 1) throw new UsageError('restore takes the backup FILE');
+      const records = readBackup(positional[0]);
+      if (!options.yes) {
+        throw new UsageError(`This replaces all ${overrides.getStore().stats().records} record(s) ` +
+          `with the ${records.length} in the backup; pass --yes to go ahead`);
+      }
+      const safety = writeBackup(options);
+      const result = overrides.replaceAllRecords(records);
+      overrides.getStore().compact();
+      print(options, { ...result, previous: safety }, [
+        `Restored ${result.restored} record(s), ${result.removed} removed`,
+        `The previous records were saved to ${safety}`,
+      ]);
+    },
+  },
+};
+COMMANDS.search = COMMANDS.list;
+
+function main(argv) {
+  const { positional, options } = parseArgs(argv);
+  const name = positional.shift();
+  if (!name || options.help) {
+    process.stdout.write(USAGE);
+    return name || options.help ? 0 : 2;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}"`);
+  options.data = path.resolve(options.data || path.join(__dirname, 'data'));
+  overrides.open(options.data, { readOnly: !command.write, compactInterval: 0 });
+  try {
+    return command.run({ positional, options }) || 0;
+  } finally {
+    overrides.close();
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\nRun "node cli.js --help" for usage.`);
+    process.exitCode = 2;
+  } else if (err instanceof OverrideStoreError && err.code === 'ELOCKED') {
+    console.error(`${err.message}\nStop the server before running commands that change the store.`);
+    process.exitCode = 1;
+  } else if (err instanceof OverrideStoreError) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } else {
+    throw err;
+  }
+}
@@ -0,0 +1,130 @@
+const { OVERRIDE_FIELDS } = require('./override-schema');
+const { findNearest } = require('./geo');
+
+/*
+ * Forecast accuracy: how far the values people entered as overrides
+ * differ from what the provider forecast for the same day.
+ *
+ * Each day's final override (see getFinalOverrides in ./overrides.js)
+ * is paired with the weather snapshot recorded for that day (see
+ * ./snapshots.js), taken from the same point or, failing that, the
+ * nearest recorded point within the override match radius.  For every
+ * numeric field the override sets, the difference is override minus
+ * provider, so a positive mean says the provider forecast too low.
+ * Conditions are text and are only counted as changed or not.
+ *
+ * Only day-level values are compared; hour overrides are left out.
+ */
+
+const NUMERIC_FIELDS = Object.keys(OVERRIDE_FIELDS)
+  .filter(field => OVERRIDE_FIELDS[field].type !== 'string');
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Field-by-field comparison of one override with the provider's values
+function compareValues(provider, override) {
+  const fields = {};
+  for (const field of NUMERIC_FIELDS) {
+    const mine = override[field];
+    const theirs = provider[field];
+    if (typeof mine !== 'number' || typeof theirs !== 'number' || !isFinite(theirs)) continue;
+    fields[field] = { provider: theirs, override: mine, diff: round(mine - theirs) };
+  }
+  if (typeof override.conditionText === 'string' && typeof provider.conditionText === 'string') {
+    fields.conditionText = {
+      provider: provider.conditionText,
+      override: override.conditionText,
+      changed: override.conditionText.trim().toLowerCase() !== provider.conditionText.trim().toLowerCase(),
+    };
+  }
+  return fields;
+}
+
+// Aggregate the comparisons of several days: per numeric field the
+// number of days, the mean difference (bias), the mean absolute
+// difference and the largest difference (signed); per text field the
+// number of days and how many changed the value
+function summarize(comparisons) {
+  const totals = {};
+  for (const { fields } of comparisons) {
+    for (const [field, entry] of Object.entries(fields)) {
+      if (!totals[field]) totals[field] = { count: 0, sum: 0, sumAbs: 0, maxDiff: 0, changed: 0 };
+      const total = totals[field];
+      total.count += 1;
+      if (entry.changed) total.changed += 1;
+      if (typeof entry.diff !== 'number') continue;
+      total.sum += entry.diff;
+      total.sumAbs += Math.abs(entry.diff);
+      if (Math.abs(entry.diff) > Math.abs(total.maxDiff)) total.maxDiff = entry.diff;
+    }
+  }
+  const summary = {};
+  for (const [field, total] of Object.entries(totals)) {
+    summary[field] = NUMERIC_FIELDS.includes(field)
+      ? {
+        count: total.count,
+        meanDiff: round(total.sum / total.count),
+        meanAbsDiff: round(total.sumAbs / total.count),
+        maxDiff: total.maxDiff,
+      }
+      : { count: total.count, changed: total.changed };
+  }
+  return summary;
+}
+
+/**
+ * Build the accuracy report from override records and weather
+ * snapshots (already narrowed to the dates and place asked for).
+ * Returns { compared, unmatched, fields, locations } where `locations`
+ * holds the same figures per override point, with the comparison of
+ * every day in `days`.  `unmatched` counts overrides without a snapshot
+ * to compare against; overrides of single hours only are skipped.
+ */
+function accuracyReport(records, snapshotList) {
+  const snapshotsByDate = new Map();
+  for (const snapshot of snapshotList) {
+    if (!snapshotsByDate.has(snapshot.date)) snapshotsByDate.set(snapshot.date, []);
+    snapshotsByDate.get(snapshot.date).push(snapshot);
+  }
+  const locations = new Map();
+  let unmatched = 0;
+  for (const record of records) {
+    const key = `${record.lat},${record.lon}`;
+    if (!locations.has(key)) locations.set(key, { lat: record.lat, lon: record.lon, unmatched: 0, days: [] });
+    const location = locations.get(key);
+    const snapshot = findNearest(record, snapshotsByDate.get(record.date) || []);
+    if (!snapshot) {
+      location.unmatched += 1;
+      unmatched += 1;
+      continue;
+    }
+    // Nothing to compare when only hours were overridden
+    const fields = compareValues(snapshot.weather || {}, record.newValues || {});
+    if (Object.keys(fields).length === 0) continue;
+    location.days.push({
+      date: record.date,
+      version: record.version,
+      provider: snapshot.provider,
+      recordedAt: snapshot.recordedAt,
+      fields,
+    });
+  }
+  const all = [];
+  const result = [...locations.values()].map(location => {
+    location.days.sort((a, b) => a.date.localeCompare(b.date));
+    all.push(...location.days);
+    return {
+      lat: location.lat,
+      lon: location.lon,
+      compared: location.days.length,
+      unmatched: location.unmatched,
+      fields: summarize(location.days),
+      days: location.days,
+    };
+  }).sort((a, b) => a.lat.localeCompare(b.lat) || a.lon.localeCompare(b.lon));
+  return { compared: all.length, unmatched, fields: summarize(all), locations: result };
+}
+
+module.exports = { NUMERIC_FIELDS, compareValues, summarize, accuracyReport };
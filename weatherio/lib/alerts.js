@@ -0,0 +1,297 @@
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-write');
+const { OVERRIDE_FIELDS } = require('./override-schema');
+const { normalizeLatLon, distanceKm, MATCH_RADIUS_KM } = require('./geo');
+const { checkWebhookUrl } = require('./webhooks');
+
+/*
+ * Weather threshold alerts.
+ *
+ * A rule watches one field of a location's weather, e.g. "precipMm > 10"
+ * or "conditionText contains thunder".  Rules are checked against the
+ * merged weather (forecast or snapshot plus the active override): the
+ * daily figures and every hour slot.  When a rule matches a day it fires
+ * one alert for that day, which stays open until the rule stops
+ * matching.  Stored in data/alerts.json as { rules, alerts }.
+ *
+ * Rule:
+ *   id: String          – random identifier
+ *   name: String        – (optional) label shown in the banner
+ *   lat: String         – canonical latitude (see ./geo.js); the rule
+ *                         covers weather within MATCH_RADIUS_KM
+ *   lon: String         – canonical longitude
+ *   field: String       – weather field, one of OVERRIDE_FIELDS
+ *   op: String          – ">", ">=", "<", "<=" or "=" for numbers;
+ *                         "contains" or "=" for conditionText
+ *   value: Number|String – threshold
+ *   webhooks: [String]  – http(s) URLs the alert is POSTed to
+ *   createdBy: String   – username
+ *   createdAt: String   – ISO timestamp
+ *   updatedAt: String   – ISO timestamp
+ *
+ * Alert:
+ *   id, ruleId, name, lat, lon, field, op, threshold
+ *   date: String        – ISO date (YYYY‑MM‑DD) the rule matched
+ *   value: Number|String – the first matching value
+ *   hours: [Number]     – matching hour slots; empty when only the
+ *                         daily figure matched
+ *   message: String     – human-readable summary
+ *   firedAt: String     – ISO timestamp
+ *   resolvedAt: String  – (optional) when the rule stopped matching
+ *   deliveries: [{ url, status: "pending"|"delivered"|"failed",
+ *                  attempts, deliveredAt? }]
+ */
+
+const ALERTS_FILE = path.join(__dirname, '..', 'data', 'alerts.json');
+const NUMERIC_OPS = ['>', '>=', '<', '<=', '='];
+const TEXT_OPS = ['contains', '='];
+const MAX_NAME_LENGTH = 60;
+const MAX_WEBHOOKS = 5;
+// Resolved alerts beyond this many are dropped, oldest first
+const MAX_STORED_ALERTS = 1000;
+
+function readAll() {
+  try {
+    const data = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'));
+    return { rules: data.rules || [], alerts: data.alerts || [] };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { rules: [], alerts: [] };
+    throw new Error(`Cannot read ${ALERTS_FILE}: ${err.message}`);
+  }
+}
+
+function writeAll(data) {
+  writeFileAtomic(ALERTS_FILE, JSON.stringify(data, null, 2));
+}
+
+// Validate user input for a rule.  Returns { value, errors } where
+// errors maps field names to messages.  With `partial`, omitted fields
+// are left out of `value` instead of being reported as missing; the
+// operator and threshold are then checked against `current`.
+function checkRuleInput(input, { partial = false, current = {} } = {}) {
+  const errors = {};
+  const value = {};
+  if (input.name !== undefined && input.name !== null && input.name !== '') {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.name = `must be text of at most ${MAX_NAME_LENGTH} characters`;
+    } else {
+      value.name = name;
+    }
+  }
+  if (input.lat !== undefined || input.lon !== undefined || !partial) {
+    const point = normalizeLatLon(input.lat, input.lon);
+    if (!point) errors.coordinates = 'lat and lon must be valid coordinates';
+    else Object.assign(value, point);
+  }
+  if (input.field !== undefined || !partial) {
+    if (!Object.prototype.hasOwnProperty.call(OVERRIDE_FIELDS, input.field)) {
+      errors.field = `must be one of ${Object.keys(OVERRIDE_FIELDS).join(', ')}`;
+    } else {
+      value.field = input.field;
+    }
+  }
+  const field = value.field || current.field;
+  const spec = OVERRIDE_FIELDS[field];
+  if (spec && (input.op !== undefined || input.value !== undefined || input.field !== undefined || !partial)) {
+    const op = input.op !== undefined ? input.op : current.op;
+    const ops = spec.type === 'string' ? TEXT_OPS : NUMERIC_OPS;
+    if (!ops.includes(op)) {
+      errors.op = `must be one of ${ops.join(' ')} for ${field}`;
+    } else {
+      value.op = op;
+    }
+    const threshold = input.value !== undefined ? input.value : current.value;
+    if (spec.type === 'string') {
+      if (typeof threshold !== 'string' || threshold.trim() === '') errors.value = 'must be non-empty text';
+      else value.value = threshold.trim();
+    } else if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+      errors.value = 'must be a number';
+    } else {
+      value.value = threshold;
+    }
+  }
+  if (input.webhooks !== undefined) {
+    const urls = input.webhooks === null ? [] : input.webhooks;
+    const refused = Array.isArray(urls) &&
+      urls.map(url => (typeof url === 'string' ? checkWebhookUrl(url) : 'must be an http(s) URL')).find(Boolean);
+    if (!Array.isArray(urls) || urls.length > MAX_WEBHOOKS) {
+      errors.webhooks = `must be a list of at most ${MAX_WEBHOOKS} http(s) URLs`;
+    } else if (refused) {
+      errors.webhooks = `each URL ${refused}`;
+    } else {
+      value.webhooks = urls;
+    }
+  }
+  return { value, errors };
+}
+
+// Rules covering a point, or all of them
+function listRules(point = null) {
+  const { rules } = readAll();
+  return point ? rules.filter(r => distanceKm(point, r) <= MATCH_RADIUS_KM) : rules;
+}
+
+function addRule(input, createdBy) {
+  const { value, errors } = checkRuleInput(input);
+  if (Object.keys(errors).length > 0) return { errors };
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomBytes(6).toString('hex'),
+    ...value,
+    webhooks: value.webhooks || [],
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const data = readAll();
+  data.rules.push(rule);
+  writeAll(data);
+  return { rule };
+}
+
+function updateRule(id, input) {
+  const data = readAll();
+  const rule = data.rules.find(r => r.id === id);
+  if (!rule) return { rule: null };
+  const { value, errors } = checkRuleInput(input, { partial: true, current: rule });
+  if (Object.keys(errors).length > 0) return { errors };
+  if (value.name === undefined && input.name !== undefined) delete rule.name;
+  Object.assign(rule, value, { updatedAt: new Date().toISOString() });
+  writeAll(data);
+  return { rule };
+}
+
+// Remove a rule along with its open alerts
+function removeRule(id) {
+  const data = readAll();
+  const index = data.rules.findIndex(r => r.id === id);
+  if (index === -1) return null;
+  const [removed] = data.rules.splice(index, 1);
+  data.alerts = data.alerts.filter(a => a.ruleId !== id || a.resolvedAt);
+  writeAll(data);
+  return removed;
+}
+
+function compare(actual, op, threshold) {
+  if (typeof threshold === 'string') {
+    if (typeof actual !== 'string') return false;
+    const text = actual.toLowerCase();
+    return op === 'contains' ? text.includes(threshold.toLowerCase()) : text === threshold.toLowerCase();
+  }
+  if (typeof actual !== 'number') return false;
+  switch (op) {
+    case '>': return actual > threshold;
+    case '>=': return actual >= threshold;
+    case '<': return actual < threshold;
+    case '<=': return actual <= threshold;
+    default: return actual === threshold;
+  }
+}
+
+// Where a rule matches the merged weather of a day: { value, hours }
+// or null
+function matchRule(rule, weather) {
+  const daily = compare(weather[rule.field], rule.op, rule.value);
+  const slots = (weather.hours || []).filter(slot => compare(slot[rule.field], rule.op, rule.value));
+  if (!daily && slots.length === 0) return null;
+  return {
+    value: daily ? weather[rule.field] : slots[0][rule.field],
+    hours: slots.map(slot => slot.hour),
+  };
+}
+
+function describeAlert(rule, match) {
+  const threshold = typeof rule.value === 'string' ? `"${rule.value}"` : rule.value;
+  let message = `${rule.field} ${match.value} ${rule.op} ${threshold}`;
+  if (match.hours.length > 0) {
+    message += ` at ${match.hours.map(h => `${String(h).padStart(2, '0')}:00`).join(', ')}`;
+  }
+  return rule.name ? `${rule.name}: ${message}` : message;
+}
+
+/**
+ * Check the rules covering a point against its merged weather for a
+ * date.  Fires an alert for each rule that newly matches and resolves
+ * open alerts whose rule no longer does.  `extraWebhooks` are delivered
+ * to in addition to the rule's own.  Returns { fired, resolved }, the
+ * alerts that changed.
+ */
+function evaluateAlerts(point, date, weather, { extraWebhooks = [] } = {}) {
+  const data = readAll();
+  const rules = data.rules.filter(r => distanceKm(point, r) <= MATCH_RADIUS_KM);
+  const fired = [];
+  const resolved = [];
+  const now = new Date().toISOString();
+  for (const rule of rules) {
+    const open = data.alerts.find(a => a.ruleId === rule.id && a.date === date && !a.resolvedAt);
+    const match = matchRule(rule, weather);
+    if (match && !open) {
+      const urls = [...new Set([...rule.webhooks, ...extraWebhooks])];
+      const alert = {
+        id: crypto.randomBytes(6).toString('hex'),
+        ruleId: rule.id,
+        name: rule.name,
+        lat: rule.lat,
+        lon: rule.lon,
+        field: rule.field,
+        op: rule.op,
+        threshold: rule.value,
+        date,
+        value: match.value,
+        hours: match.hours,
+        message: describeAlert(rule, match),
+        firedAt: now,
+        deliveries: urls.map(url => ({ url, status: 'pending', attempts: 0 })),
+      };
+      data.alerts.push(alert);
+      fired.push(alert);
+    } else if (!match && open) {
+      open.resolvedAt = now;
+      resolved.push(open);
+    }
+  }
+  if (fired.length === 0 && resolved.length === 0) return { fired, resolved };
+  let excess = data.alerts.length - MAX_STORED_ALERTS;
+  if (excess > 0) {
+    data.alerts = data.alerts.filter(a => {
+      if (excess <= 0 || !a.resolvedAt) return true;
+      excess -= 1;
+      return false;
+    });
+  }
+  writeAll(data);
+  return { fired, resolved };
+}
+
+// Alerts near a point, optionally for one date, newest first.  Resolved
+// alerts are included only with `includeResolved`.
+function listAlerts(point, { date = null, includeResolved = false } = {}) {
+  return readAll().alerts
+    .filter(a => distanceKm(point, a) <= MATCH_RADIUS_KM)
+    .filter(a => !date || a.date === date)
+    .filter(a => includeResolved || !a.resolvedAt)
+    .sort((a, b) => (a.firedAt < b.firedAt ? 1 : -1));
+}
+
+// Record the outcome of delivering an alert to one webhook URL
+function recordDelivery(alertId, url, result) {
+  const data = readAll();
+  const alert = data.alerts.find(a => a.id === alertId);
+  const delivery = alert && alert.deliveries.find(d => d.url === url);
+  if (!delivery) return;
+  Object.assign(delivery, result);
+  writeAll(data);
+}
+
+module.exports = {
+  listRules,
+  addRule,
+  updateRule,
+  removeRule,
+  evaluateAlerts,
+  listAlerts,
+  recordDelivery,
+};
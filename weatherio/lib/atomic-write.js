@@ -0,0 +1,35 @@
+const fs   = require('fs');
+const path = require('path');
+
+/*
+ * Crash-safe file replacement.  The data is written to a temporary file
+ * in the same directory, flushed to disk and then renamed over the
+ * target, so readers only ever see the old or the new contents – never
+ * a half-written file.
+ */
+
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+  // Persist the rename itself.  Not every platform allows opening a
+  // directory for fsync, so failures here are ignored.
+  try {
+    const dirFd = fs.openSync(path.dirname(filePath), 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (err) {
+    // best effort
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,264 @@
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-write');
+
+/*
+ * Local user accounts and bearer API tokens.
+ *
+ * Users are stored in data/users.json as an array of:
+ *   username: String      – unique login name
+ *   passwordHash: String  – "scrypt$<salt hex>$<key hex>"
+ *   role: String          – viewer, editor, reviewer or admin
+ *   createdAt: String     – ISO timestamp
+ *   tokens: Array         – issued tokens:
+ *     id: String          – public identifier (for listing and revoking)
+ *     hash: String        – SHA‑256 of the token; the token itself is
+ *                           only ever shown once, when it is issued
+ *     label: String       – "session" for logins, free text otherwise
+ *     createdAt: String   – ISO timestamp
+ *     expiresAt: String   – ISO timestamp, or null for no expiry
+ *
+ * Roles are ordered: viewer < editor < reviewer < admin.  A role check
+ * passes for the named role and everything above it.  Reviewers approve
+ * or reject the overrides editors propose when moderation is on.
+ */
+
+const USERS_FILE = path.join(__dirname, '..', 'data', 'users.json');
+
+const ROLES = ['viewer', 'editor', 'reviewer', 'admin'];
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_RE = /^[a-zA-Z0-9_.-]{2,32}$/;
+const TOKEN_PREFIX = 'wio_';
+
+function readUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Cannot read ${USERS_FILE}: ${err.message}`);
+  }
+}
+
+function writeUsers(users) {
+  writeFileAtomic(USERS_FILE, JSON.stringify(users, null, 2));
+}
+
+// The public view of a user: never includes hashes
+function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Validate account fields.  Returns an object of field errors.
+function checkAccountInput({ username, password, role }, { partial = false } = {}) {
+  const errors = {};
+  if (username !== undefined || !partial) {
+    if (typeof username !== 'string' || !USERNAME_RE.test(username)) {
+      errors.username = 'must be 2–32 letters, digits, "_", "." or "-"';
+    }
+  }
+  if (password !== undefined || !partial) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.password = `must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+  }
+  if (role !== undefined || !partial) {
+    if (!ROLES.includes(role)) errors.role = `must be one of ${ROLES.join(', ')}`;
+  }
+  return errors;
+}
+
+function listUsers() {
+  return readUsers().map(publicUser);
+}
+
+function createUser({ username, password, role }) {
+  const errors = checkAccountInput({ username, password, role });
+  const users = readUsers();
+  if (!errors.username && users.some(u => u.username === username)) {
+    errors.username = 'is already taken';
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+  const user = {
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: new Date().toISOString(),
+    tokens: [],
+  };
+  users.push(user);
+  writeUsers(users);
+  return { user: publicUser(user) };
+}
+
+// Whether `users` would be left without an admin if `username` lost
+// the role.  The server cannot be managed without one, and a file with
+// none makes ensureAdmin() create a fresh account on the next start.
+function isLastAdmin(users, username) {
+  const admins = users.filter(u => u.role === 'admin');
+  return admins.length === 1 && admins[0].username === username;
+}
+
+// Change a user's role and/or password.  A password change revokes all
+// of the user's tokens.  The last admin cannot be demoted.
+function updateUser(username, { role, password }) {
+  const errors = checkAccountInput({ role, password }, { partial: true });
+  if (Object.keys(errors).length > 0) return { errors };
+  const users = readUsers();
+  const user = users.find(u => u.username === username);
+  if (!user) return { user: null };
+  if (role !== undefined && role !== 'admin' && isLastAdmin(users, username)) {
+    return { errors: { role: 'cannot be changed: this is the only admin' } };
+  }
+  if (role !== undefined) user.role = role;
+  if (password !== undefined) {
+    user.passwordHash = hashPassword(password);
+    user.tokens = [];
+  }
+  writeUsers(users);
+  return { user: publicUser(user) };
+}
+
+// Delete a user.  Returns { user } (null when unknown), or { errors }
+// when the user is the last admin.
+function removeUser(username) {
+  const users = readUsers();
+  const index = users.findIndex(u => u.username === username);
+  if (index === -1) return { user: null };
+  if (isLastAdmin(users, username)) {
+    return { errors: { username: 'cannot be deleted: this is the only admin' } };
+  }
+  const [removed] = users.splice(index, 1);
+  writeUsers(users);
+  return { user: publicUser(removed) };
+}
+
+// Issue a new bearer token.  Returns { token, info } where `token` is
+// the secret to hand to the client and `info` is what gets listed.
+function issueToken(username, { label = 'api', ttlMs = null } = {}) {
+  const users = readUsers();
+  const user = users.find(u => u.username === username);
+  if (!user) return null;
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    hash: hashToken(token),
+    label,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: ttlMs ? new Date(now + ttlMs).toISOString() : null,
+  };
+  // Drop expired tokens while we are rewriting the file anyway
+  user.tokens = (user.tokens || []).filter(t => !t.expiresAt || Date.parse(t.expiresAt) > now);
+  user.tokens.push(entry);
+  writeUsers(users);
+  const { hash, ...info } = entry;
+  return { token, info };
+}
+
+function listTokens(username) {
+  const user = readUsers().find(u => u.username === username);
+  if (!user) return [];
+  return (user.tokens || []).map(({ hash, ...info }) => info);
+}
+
+function revokeToken(username, tokenId) {
+  const users = readUsers();
+  const user = users.find(u => u.username === username);
+  if (!user) return false;
+  const before = (user.tokens || []).length;
+  user.tokens = (user.tokens || []).filter(t => t.id !== tokenId);
+  if (user.tokens.length === before) return false;
+  writeUsers(users);
+  return true;
+}
+
+// Resolve a bearer token to { user, tokenId }, or null when the token
+// is unknown or expired.
+function authenticate(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  const hash = hashToken(token);
+  const now = Date.now();
+  for (const user of readUsers()) {
+    const entry = (user.tokens || []).find(t => t.hash === hash);
+    if (entry) {
+      if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) return null;
+      return { user: publicUser(user), tokenId: entry.id };
+    }
+  }
+  return null;
+}
+
+// Hash checked for unknown usernames so that a failed login takes the
+// same time whether or not the account exists
+let dummyHash = null;
+
+// Check a username/password pair and open a session token
+function login(username, password) {
+  const user = readUsers().find(u => u.username === username);
+  if (!user) {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    verifyPassword(password, dummyHash);
+    return null;
+  }
+  if (!verifyPassword(password, user.passwordHash)) return null;
+  const issued = issueToken(username, { label: 'session', ttlMs: SESSION_TTL_MS });
+  return { token: issued.token, expiresAt: issued.info.expiresAt, user: publicUser(user) };
+}
+
+// Make sure an admin exists.  On first start an "admin" account is
+// created with WEATHERIO_ADMIN_PASSWORD, or a generated password that
+// is returned so the caller can print it once.  Should a user file
+// without admins already hold a non-admin "admin", the new account is
+// named "admin-2", "admin-3" and so on.
+function ensureAdmin() {
+  const users = readUsers();
+  if (users.some(u => u.role === 'admin')) return null;
+  const taken = new Set(users.map(u => u.username));
+  let username = 'admin';
+  for (let n = 2; taken.has(username); n++) username = `admin-${n}`;
+  const password = process.env.WEATHERIO_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  const result = createUser({ username, password, role: 'admin' });
+  if (result.errors) {
+    throw new Error(`Cannot create admin account: ${Object.entries(result.errors).map(([f, m]) => `${f} ${m}`).join('; ')}`);
+  }
+  return { username, password, generated: !process.env.WEATHERIO_ADMIN_PASSWORD };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  listUsers,
+  createUser,
+  updateUser,
+  removeUser,
+  issueToken,
+  listTokens,
+  revokeToken,
+  authenticate,
+  login,
+  ensureAdmin,
+};
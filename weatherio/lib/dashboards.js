@@ -0,0 +1,99 @@
+const fs   = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+
+/*
+ * Per-user dashboard layouts.
+ *
+ * Stored in data/dashboards.json as an object keyed by username:
+ *   locations: [String] – saved location ids, in display order
+ *   days: [String]      – columns shown: "today", "tomorrow" and/or
+ *                         "dayafter", in that order
+ *   updatedAt: String   – ISO timestamp
+ *
+ * Ids of saved locations deleted since the layout was stored are
+ * dropped when it is read.
+ */
+
+const DASHBOARDS_FILE = path.join(__dirname, '..', 'data', 'dashboards.json');
+const DAYS = ['today', 'tomorrow', 'dayafter'];
+const MAX_LOCATIONS = 12;
+
+function readDashboards() {
+  try {
+    return JSON.parse(fs.readFileSync(DASHBOARDS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${DASHBOARDS_FILE}: ${err.message}`);
+  }
+}
+
+function writeDashboards(all) {
+  writeFileAtomic(DASHBOARDS_FILE, JSON.stringify(all, null, 2));
+}
+
+// Validate a layout against the ids of the saved locations.  Returns
+// { value, errors } where errors maps field names to messages.
+function checkLayoutInput(input, locationIds) {
+  const errors = {};
+  const value = {};
+  const ids = input.locations;
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    errors.locations = 'must be an array of saved location ids';
+  } else if (ids.length > MAX_LOCATIONS) {
+    errors.locations = `must list at most ${MAX_LOCATIONS} locations`;
+  } else if (new Set(ids).size !== ids.length) {
+    errors.locations = 'must not list a location twice';
+  } else {
+    const unknown = ids.filter(id => !locationIds.includes(id));
+    if (unknown.length > 0) errors.locations = `unknown location id ${unknown.join(', ')}`;
+    else value.locations = ids;
+  }
+  const days = input.days;
+  if (!Array.isArray(days) || days.length === 0 || days.some(day => !DAYS.includes(day))) {
+    errors.days = `must be a non-empty array of ${DAYS.join(', ')}`;
+  } else {
+    value.days = DAYS.filter(day => days.includes(day));
+  }
+  return { value, errors };
+}
+
+// The stored layout of a user, or the default: the first saved
+// locations and all three days
+function getLayout(username, locationIds) {
+  const stored = readDashboards()[username];
+  if (!stored) {
+    return { locations: locationIds.slice(0, MAX_LOCATIONS), days: DAYS.slice(), stored: false };
+  }
+  return {
+    locations: stored.locations.filter(id => locationIds.includes(id)),
+    days: stored.days,
+    updatedAt: stored.updatedAt,
+    stored: true,
+  };
+}
+
+function saveLayout(username, input, locationIds) {
+  const { value, errors } = checkLayoutInput(input, locationIds);
+  if (Object.keys(errors).length > 0) return { errors };
+  const all = readDashboards();
+  all[username] = { ...value, updatedAt: new Date().toISOString() };
+  writeDashboards(all);
+  return { layout: { ...all[username], stored: true } };
+}
+
+function removeLayout(username) {
+  const all = readDashboards();
+  if (!all[username]) return false;
+  delete all[username];
+  writeDashboards(all);
+  return true;
+}
+
+module.exports = {
+  DAYS,
+  MAX_LOCATIONS,
+  getLayout,
+  saveLayout,
+  removeLayout,
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/*
+ * Short-lived tickets for opening event streams.
+ *
+ * EventSource cannot send an Authorization header, so when reads need a
+ * login the page trades its bearer token for a ticket
+ * (POST /events/ticket) and opens /events?ticket=<ticket>.  A ticket is
+ * valid for one minute: one that ends up in an access log, a proxy log
+ * or the browser history is worthless soon after.  Bearer tokens are
+ * never accepted in the stream URL.
+ */
+
+const TICKET_TTL_MS = 60 * 1000;
+const tickets = new Map();
+
+// Issue a ticket for `username`; returns { ticket, expiresAt }
+function issueTicket(username) {
+  const now = Date.now();
+  for (const [ticket, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(ticket);
+  }
+  const ticket = crypto.randomBytes(24).toString('base64url');
+  tickets.set(ticket, { username, expiresAt: now + TICKET_TTL_MS });
+  return { ticket, expiresAt: new Date(now + TICKET_TTL_MS).toISOString() };
+}
+
+function isValidTicket(ticket) {
+  const entry = tickets.get(ticket);
+  return !!entry && entry.expiresAt > Date.now();
+}
+
+// Whether an /events request, given its query parameters, may open the
+// stream.  Only an unexpired ?ticket counts.
+function canOpenStream(searchParams) {
+  const ticket = searchParams.get('ticket');
+  return !!ticket && isValidTicket(ticket);
+}
+
+module.exports = { issueTicket, isValidTicket, canOpenStream };
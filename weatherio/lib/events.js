@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+
+/*
+ * In-process bus for override changes.
+ *
+ * ./overrides.js publishes a change after every committed create,
+ * remove, revert, import, expiry or review, and the server relays them
+ * to browsers as Server-Sent Events on GET /events.  A change has the fields:
+ *   action: String     – "created", "removed", "reverted", "imported",
+ *                        "expired", "activated" (a scheduled override
+ *                        took effect), "proposed", "approved" or
+ *                        "rejected"
+ *   lat: String        – canonical latitude the change was stored under
+ *   lon: String        – canonical longitude
+ *   date: String       – ISO date (YYYY‑MM‑DD)
+ *   revision: String   – the key's new revision tag (see
+ *                        overrides.getRevision)
+ *   override: Object   – the record created, proposed or reviewed, or
+ *                        the one deactivated by a removal
+ *   at: String         – ISO timestamp
+ *
+ * The server also publishes alert changes here (see ./alerts.js): an
+ * alert with an added `action` of "fired" or "resolved" and `at`.
+ */
+
+const bus = new EventEmitter();
+// One listener per connected browser; there is no meaningful cap
+bus.setMaxListeners(0);
+
+function publishOverrideChange(change) {
+  bus.emit('override', { ...change, at: new Date().toISOString() });
+}
+
+// Register a listener for override changes.  Returns a function that
+// removes it again.
+function onOverrideChange(listener) {
+  bus.on('override', listener);
+  return () => bus.off('override', listener);
+}
+
+function publishAlertChange(action, alert) {
+  bus.emit('alert', { ...alert, action, at: new Date().toISOString() });
+}
+
+// Register a listener for alert changes.  Returns a function that
+// removes it again.
+function onAlertChange(listener) {
+  bus.on('alert', listener);
+  return () => bus.off('alert', listener);
+}
+
+module.exports = {
+  publishOverrideChange,
+  onOverrideChange,
+  publishAlertChange,
+  onAlertChange,
+};
@@ -0,0 +1,103 @@
+/*
+ * Coordinate helpers.
+ *
+ * Coordinates arrive from clients as free-form strings ("17.385",
+ * "17.3850", "17.38501"), so everything that keys data by location
+ * first converts them to a canonical string: the value rounded to
+ * COORD_PRECISION decimal places (default 4, roughly 11 m) and printed
+ * without trailing zeros.
+ */
+
+// COORD_PRECISION must be a whole number from 0 to 15; anything else,
+// an empty value included, falls back to the default
+function parsePrecision(value) {
+  const n = value === undefined || value.trim() === '' ? NaN : Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 15 ? n : 4;
+}
+
+const COORD_PRECISION = parsePrecision(process.env.COORD_PRECISION);
+
+// Nearby lookups within this distance match an existing location
+const MATCH_RADIUS_KM = isFinite(Number(process.env.OVERRIDE_MATCH_RADIUS_KM)) &&
+  process.env.OVERRIDE_MATCH_RADIUS_KM !== undefined
+  ? Number(process.env.OVERRIDE_MATCH_RADIUS_KM)
+  : 0.1;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Canonical string for one coordinate, or null if it is not a number
+function normalizeCoord(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const rounded = Number(n.toFixed(COORD_PRECISION));
+  // Avoid "-0" for tiny negative values
+  return String(rounded === 0 ? 0 : rounded);
+}
+
+// Canonical {lat, lon} pair, or null if either value is missing,
+// not a number or out of range
+function normalizeLatLon(lat, lon) {
+  const nLat = normalizeCoord(lat);
+  const nLon = normalizeCoord(lon);
+  if (nLat === null || nLon === null) return null;
+  if (Math.abs(Number(nLat)) > 90 || Math.abs(Number(nLon)) > 180) return null;
+  return { lat: nLat, lon: nLon };
+}
+
+// Great-circle distance between two points in kilometres
+function distanceKm(a, b) {
+  const toRad = deg => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(b.lat) - toRad(a.lat);
+  const dLon = toRad(b.lon) - toRad(a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Pick the candidate closest to `point` within `radiusKm`, or null
+function findNearest(point, candidates, radiusKm = MATCH_RADIUS_KM) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const d = distanceKm(point, candidate);
+    if (d <= radiusKm && d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+// Parse a "minLon,minLat,maxLon,maxLat" bounding box (GeoJSON order).
+// Returns the box, or null when it is malformed.
+function parseBbox(value) {
+  const parts = String(value).split(',').map(p => (p.trim() === '' ? NaN : Number(p)));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || minLat > maxLat) return null;
+  if (Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) return null;
+  return { minLat, minLon, maxLat, maxLon };
+}
+
+// Whether a point lies within a box from parseBbox()
+function inBox(record, { minLat, minLon, maxLat, maxLon }) {
+  const lat = Number(record.lat);
+  const lon = Number(record.lon);
+  if (lat < minLat || lat > maxLat) return false;
+  // A box whose west edge is east of its east edge crosses the antimeridian
+  return minLon <= maxLon
+    ? lon >= minLon && lon <= maxLon
+    : lon >= minLon || lon <= maxLon;
+}
+
+module.exports = {
+  COORD_PRECISION,
+  MATCH_RADIUS_KM,
+  normalizeCoord,
+  normalizeLatLon,
+  distanceKm,
+  findNearest,
+  parseBbox,
+  inBox,
+};
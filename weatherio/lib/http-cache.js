@@ -0,0 +1,228 @@
+const fs     = require('fs');
+const path   = require('path');
+const zlib   = require('zlib');
+const crypto = require('crypto');
+
+/*
+ * HTTP caching helpers: conditional requests, content-encoding
+ * negotiation and the in-memory static file cache.
+ *
+ * Static files are read once, hashed and compressed with brotli and gzip
+ * ahead of time, so a request costs a Map lookup.  HTML pages have
+ * their references to other cached files rewritten to carry the file's
+ * hash (`/script.js?v=3f9a…`); a request with the current hash gets a
+ * year-long immutable Cache-Control, everything else `no-cache` so the
+ * browser revalidates with If-None-Match and normally gets a 304.  The
+ * directory is watched and the cache rebuilt on the next request after
+ * a change.
+ */
+
+// Encodings offered, in order of preference
+const ENCODINGS = ['br', 'gzip'];
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+
+// Files whose URL must stay stable and that are always revalidated
+// (the service worker is looked up by the browser under its own URL)
+const UNVERSIONED = new Set(['/sw.js']);
+
+function isCompressible(mime) {
+  return /^text\/|json|javascript|svg|xml/.test(mime);
+}
+
+// Short content hash used for ETags and asset versions
+function hashOf(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('base64url').slice(0, 16);
+}
+
+function encode(buffer, encoding, { level } = {}) {
+  if (encoding === 'br') {
+    return zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: level === undefined ? zlib.constants.BROTLI_MAX_QUALITY : level,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+      },
+    });
+  }
+  return zlib.gzipSync(buffer, { level: level === undefined ? zlib.constants.Z_BEST_COMPRESSION : level });
+}
+
+// The preferred encoding in `available` that an Accept-Encoding header
+// allows, or null for identity.  Honours q-values, including q=0 and
+// the "*" wildcard.
+function negotiateEncoding(header, available = ENCODINGS) {
+  if (!header) return null;
+  const accepted = new Map();
+  for (const part of String(header).split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(param => /^\s*q=([0-9.]+)\s*$/.exec(param)).find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  }
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of available) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0);
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+// Whether an If-None-Match header matches any of `etags` (quoted
+// strings).  Comparison is weak, as RFC 9110 asks for this header.
+function etagMatches(header, etags) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const wanted = new Set(etags.map(tag => tag.replace(/^W\//, '')));
+  return header.split(',').some(tag => wanted.has(tag.trim().replace(/^W\//, '')));
+}
+
+// Compress a dynamic response body for the request when worthwhile.
+// Returns { body, encoding } with encoding null when sent as is.
+function compressBody(req, body, minBytes) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  if (buffer.length < minBytes) return { body: buffer, encoding: null };
+  const encoding = negotiateEncoding(req && req.headers['accept-encoding']);
+  if (!encoding) return { body: buffer, encoding: null };
+  // Lower levels than for static files: this runs on every response
+  return { body: encode(buffer, encoding, { level: encoding === 'br' ? 5 : 6 }), encoding };
+}
+
+// Every file below `dir`, keyed by URL path ("/style.css")
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const urlPath = `${prefix}/${entry.name}`;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full, urlPath));
+    else if (entry.isFile()) files.push({ urlPath, full });
+  }
+  return files;
+}
+
+// Point src/href attributes of an HTML page at the versioned URLs
+function versionReferences(html, versions) {
+  return html.replace(/\b(src|href)="(\/[^"?#]+)"/g, (match, attr, urlPath) => {
+    const version = versions.get(urlPath);
+    return version ? `${attr}="${urlPath}?v=${version}"` : match;
+  });
+}
+
+function buildEntry(buffer, mime, mtime) {
+  const hash = hashOf(buffer);
+  const entry = {
+    mime,
+    hash,
+    lastModified: mtime.toUTCString(),
+    variants: { identity: { body: buffer, etag: `"${hash}"` } },
+  };
+  if (isCompressible(mime)) {
+    for (const encoding of ENCODINGS) {
+      const body = encode(buffer, encoding);
+      // Tiny files can grow when compressed
+      if (body.length < buffer.length) entry.variants[encoding] = { body, etag: `"${hash}-${encoding}"` };
+    }
+  }
+  return entry;
+}
+
+// Load `dir` into memory.  HTML is built last so it can reference the
+// hashes of everything else.
+function loadFiles(dir, mimeType) {
+  const files = listFiles(dir);
+  const entries = new Map();
+  const versions = new Map();
+  const pages = [];
+  for (const file of files) {
+    const mime = mimeType(file.full);
+    if (mime.startsWith('text/html')) {
+      pages.push({ ...file, mime });
+      continue;
+    }
+    const entry = buildEntry(fs.readFileSync(file.full), mime, fs.statSync(file.full).mtime);
+    entries.set(file.urlPath, entry);
+    if (!UNVERSIONED.has(file.urlPath)) versions.set(file.urlPath, entry.hash);
+  }
+  for (const page of pages) {
+    const html = versionReferences(fs.readFileSync(page.full, 'utf8'), versions);
+    entries.set(page.urlPath, buildEntry(Buffer.from(html), page.mime, fs.statSync(page.full).mtime));
+  }
+  return entries;
+}
+
+/*
+ * Serve the files below `dir` from memory.  Options:
+ *   mimeType(file)  – Content-Type for a file path
+ *   headers         – extra headers for every response
+ * Returns { serve(req, res, urlPath, query) }; serve() answers 404 for
+ * unknown paths and 405 for methods other than GET and HEAD.
+ */
+function createStaticFiles(dir, { mimeType, headers = {} }) {
+  let entries = null;
+
+  try {
+    fs.watch(dir, { persistent: false }, () => { entries = null; });
+  } catch (err) {
+    // Watching is a convenience for editing files while the server
+    // runs; without it changes need a restart
+  }
+
+  function getEntries() {
+    if (!entries) entries = loadFiles(dir, mimeType);
+    return entries;
+  }
+
+  function sendText(res, status, text, extra = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'text/plain; charset=UTF-8', ...extra });
+    res.end(text);
+  }
+
+  function serve(req, res, urlPath, query) {
+    const entry = getEntries().get(urlPath);
+    if (!entry) {
+      sendText(res, 404, 'Not Found');
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendText(res, 405, 'Method Not Allowed', { Allow: 'GET, HEAD' });
+      return;
+    }
+    const encoding = negotiateEncoding(req.headers['accept-encoding'], Object.keys(entry.variants));
+    const variant = entry.variants[encoding || 'identity'];
+    const responseHeaders = {
+      ...headers,
+      'Content-Type': entry.mime,
+      'Cache-Control': query.get('v') === entry.hash ? IMMUTABLE : REVALIDATE,
+      ETag: variant.etag,
+      'Last-Modified': entry.lastModified,
+      Vary: 'Accept-Encoding',
+    };
+    // If-Modified-Since only counts when no ETag was sent
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    const notModified = ifNoneMatch
+      ? etagMatches(ifNoneMatch, Object.values(entry.variants).map(v => v.etag))
+      : !Number.isNaN(ifModifiedSince) && Date.parse(entry.lastModified) <= ifModifiedSince;
+    if (notModified) {
+      res.writeHead(304, responseHeaders);
+      res.end();
+      return;
+    }
+    if (encoding) responseHeaders['Content-Encoding'] = encoding;
+    responseHeaders['Content-Length'] = variant.body.length;
+    res.writeHead(200, responseHeaders);
+    res.end(req.method === 'HEAD' ? undefined : variant.body);
+  }
+
+  return { serve };
+}
+
+module.exports = {
+  negotiateEncoding,
+  etagMatches,
+  compressBody,
+  createStaticFiles,
+};
@@ -0,0 +1,117 @@
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-write');
+const { normalizeLatLon } = require('./geo');
+const { lookupTimeZone, isValidTimeZone } = require('./timezones');
+
+/*
+ * Named saved locations ("favorites").
+ *
+ * Stored in data/locations.json as an array of:
+ *   id: String         – random identifier
+ *   name: String       – display name
+ *   lat: String        – canonical latitude (see ./geo.js)
+ *   lon: String        – canonical longitude
+ *   tz: String         – IANA time zone, resolved from the coordinates
+ *                        unless given explicitly
+ *   createdAt: String  – ISO timestamp
+ */
+
+const LOCATIONS_FILE = path.join(__dirname, '..', 'data', 'locations.json');
+const MAX_NAME_LENGTH = 60;
+
+function readLocations() {
+  try {
+    return JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Cannot read ${LOCATIONS_FILE}: ${err.message}`);
+  }
+}
+
+function writeLocations(list) {
+  writeFileAtomic(LOCATIONS_FILE, JSON.stringify(list, null, 2));
+}
+
+// Validate user input for a location.  Returns { value, errors } where
+// errors maps field names to messages.  With `partial`, omitted fields
+// are left out of `value` instead of being reported as missing.
+function checkLocationInput(input, { partial = false } = {}) {
+  const errors = {};
+  const value = {};
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.name = 'is required';
+    else if (name.length > MAX_NAME_LENGTH) errors.name = `must be at most ${MAX_NAME_LENGTH} characters`;
+    else value.name = name;
+  }
+  if (input.lat !== undefined || input.lon !== undefined || !partial) {
+    const point = normalizeLatLon(input.lat, input.lon);
+    if (!point) errors.coordinates = 'lat and lon must be valid coordinates';
+    else Object.assign(value, point);
+  }
+  if (input.tz !== undefined && input.tz !== null && input.tz !== '') {
+    if (!isValidTimeZone(input.tz)) errors.tz = 'is not a known IANA time zone';
+    else value.tz = input.tz;
+  }
+  return { value, errors };
+}
+
+function listLocations() {
+  return readLocations();
+}
+
+function getLocation(id) {
+  return readLocations().find(l => l.id === id) || null;
+}
+
+function addLocation(input) {
+  const { value, errors } = checkLocationInput(input);
+  if (Object.keys(errors).length > 0) return { errors };
+  const location = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: value.name,
+    lat: value.lat,
+    lon: value.lon,
+    tz: value.tz || lookupTimeZone(value.lat, value.lon),
+    createdAt: new Date().toISOString(),
+  };
+  const all = readLocations();
+  all.push(location);
+  writeLocations(all);
+  return { location };
+}
+
+// Rename a location, move it or correct its time zone.  Moving without
+// an explicit tz re-resolves the zone from the new coordinates.
+function updateLocation(id, input) {
+  const { value, errors } = checkLocationInput(input, { partial: true });
+  if (Object.keys(errors).length > 0) return { errors };
+  const all = readLocations();
+  const location = all.find(l => l.id === id);
+  if (!location) return { location: null };
+  if (value.lat !== undefined && value.tz === undefined) {
+    value.tz = lookupTimeZone(value.lat, value.lon);
+  }
+  Object.assign(location, value);
+  writeLocations(all);
+  return { location };
+}
+
+function removeLocation(id) {
+  const all = readLocations();
+  const index = all.findIndex(l => l.id === id);
+  if (index === -1) return null;
+  const [removed] = all.splice(index, 1);
+  writeLocations(all);
+  return removed;
+}
+
+module.exports = {
+  listLocations,
+  getLocation,
+  addLocation,
+  updateLocation,
+  removeLocation,
+};
@@ -0,0 +1,30 @@
+/*
+ * Applying an override record to the normalized weather of a day.
+ *
+ * Day-level values (`newValues`) replace the matching daily fields.
+ * Hour-level values (`hourValues`, keyed by hour of day) replace the
+ * matching fields of that hour's slot, which is marked `overridden`.
+ * An hour the provider has no slot for gets a slot of its own holding
+ * just the overridden fields.  Hour overrides do not change the daily
+ * figures; override those separately.
+ *
+ * This is the only place overrides are merged: the page asks
+ * GET /weather?overrides=1&forecast=1 for the result.
+ */
+
+function mergeOverride(weather, override) {
+  if (!override) return weather;
+  const merged = { ...weather, ...(override.newValues || {}) };
+  const hourValues = override.hourValues || {};
+  const hours = (weather.hours || []).map(slot =>
+    hourValues[slot.hour] ? { ...slot, ...hourValues[slot.hour], overridden: true } : slot);
+  for (const hour of Object.keys(hourValues)) {
+    if (!hours.some(slot => slot.hour === Number(hour))) {
+      hours.push({ hour: Number(hour), ...hourValues[hour], overridden: true });
+    }
+  }
+  if (hours.length > 0) merged.hours = hours.sort((a, b) => a.hour - b.hour);
+  return merged;
+}
+
+module.exports = { mergeOverride };
@@ -0,0 +1,137 @@
+/*
+ * Minimal Prometheus metrics registry.
+ *
+ * Supports the three metric types the server needs – counters,
+ * histograms and gauges – and renders them in the Prometheus text
+ * exposition format (version 0.0.4).  Counters and histograms are
+ * updated as things happen; gauges are read through a callback when
+ * the metrics are rendered, so sizes are never stale.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// `{a="1",b="2"}` for the given names and values, or '' without labels
+function formatLabels(labelNames, values) {
+  if (labelNames.length === 0) return '';
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  return `{${parts.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function register(metric) {
+  if (registry.some(m => m.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+}
+
+// Label values in labelNames order; missing labels become ''
+function labelValues(labelNames, labels) {
+  return labelNames.map(name => (labels[name] === undefined ? '' : labels[name]));
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  register({
+    name,
+    help,
+    type: 'counter',
+    lines() {
+      return Array.from(series.values(), s => `${name}${formatLabels(labelNames, s.labels)} ${formatValue(s.value)}`);
+    },
+  });
+  return {
+    inc(labels = {}, amount = 1) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const entry = series.get(key) || { labels: values, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+}
+
+function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const series = new Map();
+  const bucketLabels = labelNames.concat('le');
+  register({
+    name,
+    help,
+    type: 'histogram',
+    lines() {
+      const lines = [];
+      for (const s of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(bucketLabels, s.labels.concat(formatValue(bound)))} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(bucketLabels, s.labels.concat('+Inf'))} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, s.labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+  return {
+    observe(labels, value) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      // Buckets are cumulative: a value counts towards every bucket it fits
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+}
+
+// A gauge read at render time.  `collect` returns a number, or an array
+// of { labels, value } for a gauge with labels.
+function gauge(name, help, collect, labelNames = []) {
+  register({
+    name,
+    help,
+    type: 'gauge',
+    lines() {
+      const result = collect();
+      if (!Array.isArray(result)) return [`${name} ${formatValue(result)}`];
+      return result.map(s => `${name}${formatLabels(labelNames, labelValues(labelNames, s.labels))} ${formatValue(s.value)}`);
+    },
+  });
+}
+
+// Every registered metric in the text exposition format.  A gauge whose
+// callback throws is left out rather than failing the whole scrape.
+function render() {
+  const out = [];
+  for (const metric of registry) {
+    let lines;
+    try {
+      lines = metric.lines();
+    } catch (err) {
+      continue;
+    }
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...lines);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = { CONTENT_TYPE, counter, histogram, gauge, render };
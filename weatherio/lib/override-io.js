@@ -0,0 +1,232 @@
+const { OVERRIDE_FIELDS, checkKey, parseHour, validateValues } = require('./override-schema');
+const { normalizeLatLon } = require('./geo');
+
+/*
+ * Bulk import and export of overrides as CSV or JSON.
+ *
+ * Both formats are built on rows: one row holds the values of a whole
+ * day (empty `hour`) or of one hour slot of a day.  An override record
+ * exports as its day row, if it has day values, followed by one row per
+ * overridden hour.  CSV columns are:
+ *
+ *   lat, lon, date, hour            – the key; hour is blank for the day
+ *   tempC, humidityPct, windKph,
+ *   precipMm, conditionText         – values, blank when not overridden
+ *   version, active, updatedAt,
+ *   updatedBy                       – written on export, ignored on import
+ *
+ * Text cells starting with =, +, -, @, tab or carriage return (other
+ * than plain numbers such as a negative latitude) are exported with a
+ * leading ' so that spreadsheets show them as text instead of running
+ * them as formulas; import strips that quote again.
+ *
+ * JSON imports are an array of {lat, lon, date, hour?, values} rows or
+ * of exported records ({lat, lon, date, newValues, hourValues?, ...}).
+ */
+
+const KEY_COLUMNS = ['lat', 'lon', 'date', 'hour'];
+const FIELD_COLUMNS = Object.keys(OVERRIDE_FIELDS);
+const META_COLUMNS = ['version', 'active', 'updatedAt', 'updatedBy'];
+const CSV_COLUMNS = [...KEY_COLUMNS, ...FIELD_COLUMNS, ...META_COLUMNS];
+
+// Parse RFC 4180 CSV into an array of rows (arrays of strings).
+// Returns { rows } or { error } for an unterminated quoted field.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  // Spreadsheet exports often start with a byte order mark
+  text = text.replace(/^\uFEFF/, '');
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i += 1;
+      continue;
+    }
+    if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+    } else {
+      cell += ch;
+    }
+    i += 1;
+  }
+  if (quoted) return { error: 'unterminated quoted field' };
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Ignore blank lines
+  return { rows: rows.filter(r => r.length > 1 || r[0].trim() !== '') };
+}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the quote csvCell() puts in front of formula-like text
+function unquoteCell(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+// Rows for one override record
+function recordToRows(record) {
+  const meta = {
+    version: record.version,
+    active: record.active,
+    updatedAt: record.updatedAt,
+    updatedBy: record.updatedBy,
+  };
+  const key = { lat: record.lat, lon: record.lon, date: record.date };
+  const rows = [];
+  const hourValues = record.hourValues || {};
+  if (Object.keys(record.newValues || {}).length > 0 || Object.keys(hourValues).length === 0) {
+    rows.push({ ...key, hour: null, values: record.newValues || {}, ...meta });
+  }
+  for (const hour of Object.keys(hourValues).sort((a, b) => a - b)) {
+    rows.push({ ...key, hour: Number(hour), values: hourValues[hour], ...meta });
+  }
+  return rows;
+}
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    for (const row of recordToRows(record)) {
+      const cells = CSV_COLUMNS.map(column =>
+        FIELD_COLUMNS.includes(column) ? row.values[column] : row[column]);
+      lines.push(cells.map(csvCell).join(','));
+    }
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Turn CSV text into import rows ({row, input}).  `row` is the line's
+// 1-based position in the file, counting the header.  Returns
+// { rows } or { error } when the file itself is unusable.
+function readCsvRows(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) return { error: `Invalid CSV: ${parsed.error}` };
+  if (parsed.rows.length === 0) return { error: 'The file is empty' };
+  const header = parsed.rows[0].map(h => h.trim());
+  const unknown = header.filter(h => !CSV_COLUMNS.includes(h));
+  if (unknown.length > 0) return { error: `Unknown column(s): ${unknown.join(', ')}` };
+  const missing = ['lat', 'lon', 'date'].filter(h => !header.includes(h));
+  if (missing.length > 0) return { error: `Missing column(s): ${missing.join(', ')}` };
+
+  const rows = parsed.rows.slice(1).map((cells, i) => {
+    const input = { values: {} };
+    header.forEach((column, c) => {
+      const cell = unquoteCell((cells[c] || '').trim());
+      if (FIELD_COLUMNS.includes(column)) {
+        if (cell === '') return;
+        // Leave non-numeric text as is so validation can report it
+        const numeric = OVERRIDE_FIELDS[column].type !== 'string';
+        input.values[column] = numeric && Number.isFinite(Number(cell)) ? Number(cell) : cell;
+      } else if (KEY_COLUMNS.includes(column)) {
+        input[column] = cell === '' ? undefined : cell;
+      }
+    });
+    return { row: i + 2, input };
+  });
+  return { rows };
+}
+
+// Turn a parsed JSON body into import rows.  Exported records expand
+// into one row per day or hour, all sharing the record's position.
+function readJsonRows(data) {
+  const items = Array.isArray(data) ? data : data && data.overrides;
+  if (!Array.isArray(items)) {
+    return { error: 'Expected an array of rows or an object with an "overrides" array' };
+  }
+  const rows = [];
+  items.forEach((item, i) => {
+    const row = i + 1;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      rows.push({ row, input: { values: null } });
+      return;
+    }
+    const key = { lat: item.lat, lon: item.lon, date: item.date };
+    if (item.newValues !== undefined || item.hourValues !== undefined) {
+      const record = { ...item, hourValues: item.hourValues || {} };
+      for (const expanded of recordToRows(record)) {
+        rows.push({ row, input: { ...key, hour: expanded.hour, values: expanded.values } });
+      }
+      return;
+    }
+    rows.push({ row, input: { ...key, hour: item.hour, values: item.values } });
+  });
+  return { rows };
+}
+
+/**
+ * Validate import rows.
+ *
+ * Returns { accepted, rejected }.  Accepted entries are
+ * {row, lat, lon, date, hour, values} with canonical coordinates and
+ * clean values; rejected ones are {row, errors} where errors maps
+ * fields to messages.  A second row for the same day or hour of a
+ * location is rejected as a duplicate.
+ */
+function checkRows(rows) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map();
+  for (const { row, input } of rows) {
+    const errors = {};
+    const keyError = checkKey(input.lat, input.lon, input.date);
+    if (keyError) errors.key = keyError;
+    let hour = null;
+    if (input.hour !== undefined && input.hour !== null && input.hour !== '') {
+      hour = parseHour(input.hour);
+      if (hour === null) errors.hour = 'must be a whole number between 0 and 23';
+    }
+    const { values, errors: valueErrors } = validateValues(input.values);
+    Object.assign(errors, valueErrors);
+    if (Object.keys(errors).length > 0) {
+      rejected.push({ row, errors });
+      continue;
+    }
+    const point = normalizeLatLon(input.lat, input.lon);
+    const id = `${point.lat}|${point.lon}|${input.date}|${hour}`;
+    if (seen.has(id)) {
+      rejected.push({ row, errors: { key: `duplicates row ${seen.get(id)}` } });
+      continue;
+    }
+    seen.set(id, row);
+    accepted.push({ row, lat: point.lat, lon: point.lon, date: String(input.date), hour, values });
+  }
+  return { accepted, rejected };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsv,
+  toCsv,
+  readCsvRows,
+  readJsonRows,
+  checkRows,
+};
@@ -0,0 +1,139 @@
+const { normalizeLatLon } = require('./geo');
+
+/*
+ * Declared schema for override values.
+ *
+ * Overrides may be partial: any subset of the fields below can be
+ * supplied (at least one), and the rest of the day's weather comes from
+ * the provider.  Ranges are physical plausibility limits, not climate
+ * expectations.
+ *
+ * The same fields are used for a whole day and for a single hour slot
+ * (see `hourValues` in ./overrides.js).
+ */
+
+const OVERRIDE_FIELDS = {
+  tempC:         { type: 'number',  min: -90, max: 60,   label: 'Temperature (°C)' },
+  humidityPct:   { type: 'integer', min: 0,   max: 100,  label: 'Humidity (%)' },
+  windKph:       { type: 'number',  min: 0,   max: 500,  label: 'Wind (kph)' },
+  precipMm:      { type: 'number',  min: 0,   max: 2000, label: 'Precipitation (mm)' },
+  conditionText: { type: 'string',  minLength: 1, maxLength: 100, label: 'Condition' },
+};
+
+// Field names used by the first version of the app, mapped to the
+// current names.  Records written with these are migrated at startup.
+const LEGACY_FIELDS = {
+  temperature: 'tempC',
+  humidity: 'humidityPct',
+  wind: 'windKph',
+  precipitation: 'precipMm',
+  condition: 'conditionText',
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate the lat/lon/date of an override key.  Returns an error
+// message, or null when the key is usable.
+function checkKey(lat, lon, date) {
+  if (!normalizeLatLon(lat, lon)) return 'lat and lon must be valid coordinates';
+  if (!DATE_RE.test(String(date))) return 'date must be YYYY-MM-DD';
+  return null;
+}
+
+// Parse an hour of day (0–23) given as a number or numeric string.
+// Returns the hour, or null when it is not a whole number in range.
+function parseHour(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 23 ? n : null;
+}
+
+// Check a single field value.  Returns an error message or null.
+function checkField(spec, value) {
+  if (spec.type === 'string') {
+    if (typeof value !== 'string') return 'must be a string';
+    const trimmed = value.trim();
+    if (trimmed.length < spec.minLength) return 'must not be empty';
+    if (trimmed.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+  if (value < spec.min || value > spec.max) return `must be between ${spec.min} and ${spec.max}`;
+  return null;
+}
+
+/**
+ * Validate a (possibly partial) values object.
+ *
+ * Returns { values, errors } where `values` holds the accepted fields
+ * (strings trimmed) and `errors` maps field names to messages.  The
+ * input is valid when `errors` is empty.  With `allowEmpty` an empty
+ * object is accepted (a record that only overrides hours has no
+ * day-level values).
+ */
+function validateValues(input, { allowEmpty = false } = {}) {
+  const errors = {};
+  const values = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { values: 'must be an object' } };
+  }
+  for (const [field, value] of Object.entries(input)) {
+    const spec = OVERRIDE_FIELDS[field];
+    if (!spec) {
+      errors[field] = 'is not a known field';
+      continue;
+    }
+    const error = checkField(spec, value);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[field] = spec.type === 'string' ? value.trim() : value;
+    }
+  }
+  if (Object.keys(input).length === 0 && !allowEmpty) {
+    errors.values = 'must contain at least one field';
+  }
+  return { values, errors };
+}
+
+/**
+ * Upgrade a stored values object to the current field names.
+ *
+ * Returns { values, migrated } on success, where `migrated` tells
+ * whether anything had to change, or { error } when the values cannot be
+ * made valid and the record should be quarantined.
+ */
+function migrateValues(stored, { allowEmpty = false } = {}) {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return { error: 'values are not an object' };
+  }
+  const upgraded = {};
+  for (const [field, value] of Object.entries(stored)) {
+    const target = LEGACY_FIELDS[field];
+    if (target) {
+      if (target in stored) {
+        return { error: `both legacy "${field}" and "${target}" are present` };
+      }
+      upgraded[target] = value;
+    } else {
+      upgraded[field] = value;
+    }
+  }
+  const { values, errors } = validateValues(upgraded, { allowEmpty });
+  const problems = Object.entries(errors);
+  if (problems.length > 0) {
+    return { error: problems.map(([field, msg]) => `${field} ${msg}`).join('; ') };
+  }
+  return { values, migrated: JSON.stringify(values) !== JSON.stringify(stored) };
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  LEGACY_FIELDS,
+  DATE_RE,
+  checkKey,
+  parseHour,
+  validateValues,
+  migrateValues,
+};
@@ -0,0 +1,391 @@
+const fs   = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+
+/*
+ * Journaled storage engine for override records.
+ *
+ * On disk the store consists of:
+ *
+ *   overrides.json     – compacted snapshot: a JSON array of records
+ *                        (the same format the app has always used)
+ *   overrides.journal  – changes since the last compaction, one JSON
+ *                        line per commit:
+ *                        {"at": ISO, "put": [records], "remove": [refs]}
+ *   overrides.lock     – PID of the process that owns the store
+ *
+ * All records live in memory, indexed by (lat, lon, date) and by date,
+ * with the dates also kept sorted for range queries.  A commit
+ * upserts one or more records – identified by (lat, lon, date,
+ * version) – and optionally deletes others (given as {lat, lon, date,
+ * version} refs) by appending a single journal line and fsyncing it
+ * before the in-memory state changes, so a commit is either fully
+ * durable or not applied at all.  Compaction rewrites overrides.json
+ * atomically and then empties the journal.  Replaying the journal on
+ * top of a newer snapshot is harmless because puts and removes are
+ * idempotent.
+ *
+ * Recovery on open is strict: an unreadable snapshot or a garbled
+ * journal line throws an OverrideStoreError instead of silently
+ * starting from an empty list.  The only damage repaired
+ * automatically is a torn final journal line left by a crash in the
+ * middle of an append; it is dropped and the journal truncated.
+ */
+
+const DEFAULT_COMPACT_EVERY = 100;
+const DEFAULT_COMPACT_INTERVAL_MS = 10 * 60 * 1000;
+
+class OverrideStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OverrideStoreError';
+    this.code = code;
+  }
+}
+
+function groupKey(lat, lon, date) {
+  return `${lat}|${lon}|${date}`;
+}
+
+// Index of the first element of the sorted array `arr` that is >= value
+function lowerBound(arr, value) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function recordId(record) {
+  return `${groupKey(record.lat, record.lon, record.date)}|${record.version}`;
+}
+
+function checkRecord(record, where) {
+  if (!record || typeof record !== 'object' ||
+      typeof record.lat !== 'string' || typeof record.lon !== 'string' ||
+      typeof record.date !== 'string' || !Number.isInteger(record.version)) {
+    throw new OverrideStoreError(`Malformed override record in ${where}`, 'ECORRUPT');
+  }
+}
+
+// Take the lock file, replacing it if the owning process is gone
+function acquireLock(lockFile) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+    if (pid && pid !== process.pid && isProcessAlive(pid)) {
+      throw new OverrideStoreError(
+        `Override store is locked by process ${pid} (${lockFile})`, 'ELOCKED');
+    }
+    fs.unlinkSync(lockFile);
+  }
+  throw new OverrideStoreError(`Could not acquire ${lockFile}`, 'ELOCKED');
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function loadSnapshot(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new OverrideStoreError(`${file} is not valid JSON: ${err.message}`, 'ECORRUPT');
+  }
+  if (!Array.isArray(list)) {
+    throw new OverrideStoreError(`${file} does not contain an array of overrides`, 'ECORRUPT');
+  }
+  list.forEach(record => checkRecord(record, file));
+  return list;
+}
+
+// Parse the journal.  Returns the commits and the byte length of the
+// valid prefix so that a torn tail can be truncated away.
+function loadJournal(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { commits: [], validLength: 0, torn: false };
+    throw err;
+  }
+  const commits = [];
+  let offset = 0;
+  while (offset < raw.length) {
+    const end = raw.indexOf('\n', offset);
+    const isLast = end === -1;
+    const line = raw.slice(offset, isLast ? raw.length : end);
+    let entry = null;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // Only an unterminated final line can be the result of a crash
+      // mid-append; anything else means the journal was damaged.
+      if (isLast) {
+        return { commits, validLength: Buffer.byteLength(raw.slice(0, offset)), torn: true };
+      }
+      throw new OverrideStoreError(
+        `${file} is corrupt at byte ${Buffer.byteLength(raw.slice(0, offset))}`, 'ECORRUPT');
+    }
+    if (!entry || !Array.isArray(entry.put) ||
+        (entry.remove !== undefined && !Array.isArray(entry.remove))) {
+      throw new OverrideStoreError(`${file} contains an unknown entry`, 'ECORRUPT');
+    }
+    entry.put.forEach(record => checkRecord(record, file));
+    (entry.remove || []).forEach(ref => checkRecord(ref, file));
+    commits.push(entry);
+    offset = isLast ? raw.length : end + 1;
+  }
+  return { commits, validLength: Buffer.byteLength(raw), torn: false };
+}
+
+/**
+ * Open the override store in `dir`.
+ *
+ * Options:
+ *   readOnly        – skip the lock and reject commits (for inspection)
+ *   compactEvery    – compact after this many journal commits
+ *   compactInterval – also compact on this timer (ms) when dirty; 0 disables
+ *   log             – function used for recovery warnings
+ */
+function openOverrideStore(dir, options = {}) {
+  const {
+    readOnly = false,
+    compactEvery = DEFAULT_COMPACT_EVERY,
+    compactInterval = DEFAULT_COMPACT_INTERVAL_MS,
+    log = console.warn,
+  } = options;
+
+  const snapshotFile = path.join(dir, 'overrides.json');
+  const journalFile  = path.join(dir, 'overrides.journal');
+  const lockFile     = path.join(dir, 'overrides.lock');
+
+  if (!readOnly) acquireLock(lockFile);
+
+  const records = [];      // insertion order, as written to the snapshot
+  const byId = new Map();  // recordId -> index into records
+  const byKey = new Map(); // groupKey -> records for that key
+  const byDate = new Map(); // date -> Map(groupKey -> {lat, lon})
+  const dates = [];         // keys of byDate, sorted
+
+  function apply(record) {
+    const id = recordId(record);
+    const existing = byId.get(id);
+    if (existing !== undefined) {
+      const old = records[existing];
+      records[existing] = record;
+      const group = byKey.get(groupKey(record.lat, record.lon, record.date));
+      group[group.indexOf(old)] = record;
+      return;
+    }
+    byId.set(id, records.length);
+    records.push(record);
+    const key = groupKey(record.lat, record.lon, record.date);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+      if (!byDate.has(record.date)) {
+        byDate.set(record.date, new Map());
+        dates.splice(lowerBound(dates, record.date), 0, record.date);
+      }
+      byDate.get(record.date).set(key, { lat: record.lat, lon: record.lon });
+    }
+    byKey.get(key).push(record);
+  }
+
+  function unapply(ref) {
+    const index = byId.get(recordId(ref));
+    if (index === undefined) return;
+    const old = records[index];
+    records.splice(index, 1);
+    byId.delete(recordId(ref));
+    for (let i = index; i < records.length; i++) byId.set(recordId(records[i]), i);
+    const key = groupKey(ref.lat, ref.lon, ref.date);
+    const group = byKey.get(key);
+    group.splice(group.indexOf(old), 1);
+    if (group.length === 0) {
+      byKey.delete(key);
+      const locations = byDate.get(ref.date);
+      locations.delete(key);
+      if (locations.size === 0) {
+        byDate.delete(ref.date);
+        dates.splice(lowerBound(dates, ref.date), 1);
+      }
+    }
+  }
+
+  // Removes go first so a commit can replace a record outright
+  function replay(entry) {
+    (entry.remove || []).forEach(unapply);
+    entry.put.forEach(apply);
+  }
+
+  let journalFd = null;
+  let journalSize = 0;
+  let pendingCommits = 0;
+  let timer = null;
+
+  try {
+    loadSnapshot(snapshotFile).forEach(apply);
+    const journal = loadJournal(journalFile);
+    journal.commits.forEach(replay);
+    pendingCommits = journal.commits.length;
+    if (journal.torn) {
+      log(`Dropping incomplete final entry from ${journalFile} (interrupted write)`);
+      if (!readOnly) fs.truncateSync(journalFile, journal.validLength);
+    }
+    if (!readOnly) {
+      // Remove temp files left behind by an interrupted compaction
+      for (const name of fs.readdirSync(dir)) {
+        if (name.startsWith('overrides.json.tmp-')) fs.unlinkSync(path.join(dir, name));
+      }
+      journalFd = fs.openSync(journalFile, 'a');
+      journalSize = fs.fstatSync(journalFd).size;
+    }
+  } catch (err) {
+    if (!readOnly) releaseLock();
+    throw err;
+  }
+
+  function releaseLock() {
+    try {
+      if (parseInt(fs.readFileSync(lockFile, 'utf8'), 10) === process.pid) {
+        fs.unlinkSync(lockFile);
+      }
+    } catch (err) {
+      // already gone
+    }
+  }
+
+  function ensureWritable() {
+    if (readOnly) throw new OverrideStoreError('Override store was opened read-only', 'EREADONLY');
+    if (journalFd === null) throw new OverrideStoreError('Override store is closed', 'ECLOSED');
+  }
+
+  // Durably upsert `batch` and delete the records referenced by
+  // `remove` as one atomic commit
+  function commit(batch, remove = []) {
+    ensureWritable();
+    if (batch.length === 0 && remove.length === 0) return;
+    batch.forEach(record => checkRecord(record, 'commit'));
+    remove.forEach(ref => checkRecord(ref, 'commit'));
+    const entry = { at: new Date().toISOString(), put: batch };
+    if (remove.length > 0) {
+      entry.remove = remove.map(({ lat, lon, date, version }) => ({ lat, lon, date, version }));
+    }
+    const line = JSON.stringify(entry) + '\n';
+    try {
+      fs.writeSync(journalFd, line);
+      fs.fsyncSync(journalFd);
+    } catch (err) {
+      // Cut off whatever part of the line made it to disk so the next
+      // commit does not land behind a garbled entry
+      try {
+        fs.ftruncateSync(journalFd, journalSize);
+      } catch (truncateErr) {
+        // the error below is the one worth reporting
+      }
+      throw err;
+    }
+    journalSize += Buffer.byteLength(line);
+    replay({ put: batch.map(record => ({ ...record })), remove: entry.remove });
+    pendingCommits++;
+    if (pendingCommits >= compactEvery) compact();
+  }
+
+  // Fold the journal into a fresh snapshot
+  function compact() {
+    ensureWritable();
+    writeFileAtomic(snapshotFile, JSON.stringify(records, null, 2));
+    fs.ftruncateSync(journalFd, 0);
+    fs.fsyncSync(journalFd);
+    journalSize = 0;
+    pendingCommits = 0;
+  }
+
+  function close() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (journalFd === null) return;
+    if (pendingCommits > 0) compact();
+    fs.closeSync(journalFd);
+    journalFd = null;
+    releaseLock();
+  }
+
+  if (!readOnly && compactInterval > 0) {
+    timer = setInterval(() => {
+      if (pendingCommits > 0) compact();
+    }, compactInterval);
+    timer.unref();
+  }
+
+  // Read accessors hand out copies so callers cannot modify the index
+  return {
+    list() {
+      return records.map(r => ({ ...r }));
+    },
+    versions(lat, lon, date) {
+      return (byKey.get(groupKey(lat, lon, date)) || []).map(r => ({ ...r }));
+    },
+    // Records dated between `from` and `to` (inclusive ISO dates; either
+    // may be omitted), found through the sorted date index
+    between(from, to) {
+      const result = [];
+      for (let i = from ? lowerBound(dates, from) : 0; i < dates.length; i++) {
+        if (to && dates[i] > to) break;
+        for (const key of byDate.get(dates[i]).keys()) {
+          for (const r of byKey.get(key)) result.push({ ...r });
+        }
+      }
+      return result;
+    },
+    // Distinct {lat, lon} pairs that have records on `date`
+    locationsOn(date) {
+      return Array.from((byDate.get(date) || new Map()).values(), l => ({ ...l }));
+    },
+    // Counts for monitoring: records, active records, (lat, lon, date)
+    // groups, distinct dates and commits not yet compacted
+    stats() {
+      let active = 0;
+      for (const r of records) if (r.active) active += 1;
+      return { records: records.length, active, groups: byKey.size, dates: dates.length, pendingCommits };
+    },
+    // Re-read the files on disk and throw an OverrideStoreError when they
+    // no longer parse.  For health checks; the loaded state is untouched.
+    verifyFiles() {
+      loadSnapshot(snapshotFile);
+      loadJournal(journalFile);
+    },
+    commit,
+    compact,
+    close,
+    get pendingCommits() {
+      return pendingCommits;
+    },
+  };
+}
+
+module.exports = { openOverrideStore, OverrideStoreError };
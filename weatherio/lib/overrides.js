@@ -0,0 +1,873 @@
+const fs = require('fs');
+const { openOverrideStore } = require('./override-store');
+const { migrateValues, validateValues, checkKey, parseHour } = require('./override-schema');
+const { writeFileAtomic } = require('./atomic-write');
+const { normalizeLatLon, findNearest, inBox } = require('./geo');
+const { publishOverrideChange } = require('./events');
+
+/*
+ * Override operations shared by the HTTP server.
+ *
+ * Each override record has the following fields:
+ *   lat: String        – canonical latitude (see ./geo.js)
+ *   lon: String        – canonical longitude
+ *   date: String       – ISO date (YYYY‑MM‑DD)
+ *   newValues: Object  – user provided values for the whole day (may be
+ *                        empty when only hours are overridden)
+ *   hourValues: Object – (optional) values for single hour slots, keyed
+ *                        by hour of day ("0"–"23")
+ *   updatedAt: String  – ISO timestamp
+ *   updatedBy: String  – username of the author ('anonymous' for
+ *                        records saved before accounts existed)
+ *   version: Number    – monotonically increasing per (lat,lon,date)
+ *   state: String      – where the version is in the review workflow;
+ *                        see TRANSITIONS below
+ *   active: Boolean    – whether this override is the current one (the
+ *                        same as state === 'approved')
+ *   history: Array     – every state the version has been in, oldest
+ *                        first: {state, at, by, comment?}
+ *   basedOn: Number    – (proposals) version that was active when the
+ *                        proposal was made, or null
+ *   revertedFrom: Number – (optional) version whose values were restored
+ *   activeFrom: String   – (optional) ISO timestamp before which the
+ *                          override is not applied yet
+ *   expiresAt: String    – (optional) ISO timestamp from which it is no
+ *                          longer applied; the sweeper then deactivates it
+ *   removedBy: String    – (optional) who deactivated it via removeOverride
+ *                          ('system' for the expiry sweeper)
+ *   removedAt: String    – (optional) ISO timestamp of that removal
+ *   removedReason: String – (optional) 'expired' when the sweeper did it
+ *   migratedFrom: Object – (optional) original values of a record
+ *                          upgraded from a legacy shape at startup
+ *   rekeyedFrom: Object  – (optional) {lat, lon, version} the record had
+ *                          before its coordinates were normalized
+ *
+ * Records are kept by the journaled store in ./override-store.js; call
+ * open() once before using any of the other functions.
+ *
+ * Functions taking lat/lon accept any numeric form.  Coordinates are
+ * normalized, and a key with no records of its own resolves to the
+ * nearest location that has records for the same date within
+ * OVERRIDE_MATCH_RADIUS_KM, so nearby lookups and edits land on the
+ * same history.
+ *
+ * Writes can be made conditional on the key's revision tag (see
+ * getRevision) by passing { expectedRevision }.  The check and the
+ * commit happen in the same synchronous step, so a stale writer gets an
+ * OverrideConflictError instead of silently replacing a newer version.
+ *
+ * Writes can also be made as proposals by passing { propose: true }: the
+ * new version is stored as "proposed" and left alone by
+ * getLatestOverride until approveOverride makes it the active one.
+ *
+ * Every committed create, remove, revert, import and review action is
+ * announced on the bus in ./events.js.
+ */
+
+let store = null;
+
+/*
+ * Version states and the transitions allowed between them:
+ *
+ *   proposed ──▶ approved ──▶ superseded   a newer version was approved
+ *      │            ├───────▶ removed      removeOverride
+ *      │            └───────▶ expired      the expiry sweeper
+ *      └───────▶ rejected
+ *
+ * Unmoderated writes start out approved.  Records saved before states
+ * existed get one from migrateLegacyRecords.
+ */
+const TRANSITIONS = {
+  proposed: ['approved', 'rejected'],
+  approved: ['superseded', 'removed', 'expired'],
+  rejected: [],
+  superseded: [],
+  removed: [],
+  expired: [],
+};
+const STATES = Object.keys(TRANSITIONS);
+
+// Thrown when a conditional write finds the key has changed since the
+// caller read it.  `current` is the latest active override (or null)
+// and `revision` its current revision tag.
+class OverrideConflictError extends Error {
+  constructor(current, revision) {
+    super('The override was changed by someone else');
+    this.name = 'OverrideConflictError';
+    this.code = 'ECONFLICT';
+    this.current = current;
+    this.revision = revision;
+  }
+}
+
+// Thrown when a version is asked to make a transition its state does
+// not allow, e.g. approving one that was already rejected
+class OverrideStateError extends Error {
+  constructor(current, from, to) {
+    super(`Version ${current.version} is ${from} and cannot be ${to}`);
+    this.name = 'OverrideStateError';
+    this.current = current;
+  }
+}
+
+// A copy of `record` moved to `state`, with the transition added to
+// its history
+function transition(record, state, by, { at = new Date().toISOString(), comment } = {}) {
+  const from = record.state || legacyState(record);
+  if (!TRANSITIONS[from].includes(state)) throw new OverrideStateError(record, from, state);
+  const entry = { state, at, by };
+  if (comment) entry.comment = comment;
+  return {
+    ...record,
+    state,
+    active: state === 'approved',
+    history: (record.history || []).concat(entry),
+  };
+}
+
+// State of a record saved before states existed
+function legacyState(record) {
+  if (record.active) return 'approved';
+  if (record.removedReason === 'expired') return 'expired';
+  return record.removedAt ? 'removed' : 'superseded';
+}
+
+function open(dataDir, options) {
+  store = openOverrideStore(dataDir, options);
+  return store;
+}
+
+function close() {
+  if (store) store.close();
+  store = null;
+}
+
+function getStore() {
+  if (!store) throw new Error('Override store has not been opened');
+  return store;
+}
+
+// Resolve raw coordinates to the {lat, lon} used as the store key
+function resolveLocation(lat, lon, date) {
+  const point = normalizeLatLon(lat, lon);
+  if (!point) throw new TypeError(`Invalid coordinates: ${lat}, ${lon}`);
+  if (getStore().versions(point.lat, point.lon, date).length > 0) return point;
+  return findNearest(point, getStore().locationsOn(date)) || point;
+}
+
+// Whether an override's activeFrom/expiresAt window covers `now` (ms)
+function isInEffect(record, now = Date.now()) {
+  return (!record.activeFrom || Date.parse(record.activeFrom) <= now) &&
+    (!record.expiresAt || Date.parse(record.expiresAt) > now);
+}
+
+// The active version of a key, whether or not it is in effect yet
+function currentVersion(lat, lon, date) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const candidates = getStore().versions(lat, lon, date).filter(o => o.active);
+  if (candidates.length === 0) return null;
+  // Select the override with the highest version number
+  return candidates.reduce((a, b) => (a.version > b.version ? a : b));
+}
+
+// Find the override that applies to a given lat/lon/date right now:
+// the latest active version, unless it is scheduled for later or has
+// expired.  Returns either an override object or null.
+function getLatestOverride(lat, lon, date, now = Date.now()) {
+  const current = currentVersion(lat, lon, date);
+  return current && isInEffect(current, now) ? current : null;
+}
+
+// Revision tag for a set of versions of one key.  Every write changes
+// it: saving creates a new version and removing leaves the newest one
+// inactive.  So does a scheduled override coming into or going out of
+// effect, since that changes what GET /override returns and the tag
+// doubles as its ETag.
+//   "none"            – no override was ever applied
+//   "v<N>"            – version N is the active override and in effect
+//   "v<N>-scheduled"  – version N is active but not in effect at `now`
+//   "v<N>-removed"    – N is the newest version and none is active
+function revisionOf(versions, now = Date.now()) {
+  // Proposals and rejected versions never took effect, so they do not
+  // count
+  const applied = versions.filter(o => o.state !== 'proposed' && o.state !== 'rejected');
+  if (applied.length === 0) return 'none';
+  const active = applied.filter(o => o.active);
+  if (active.length > 0) {
+    const current = active.reduce((a, b) => (a.version > b.version ? a : b));
+    return isInEffect(current, now) ? `v${current.version}` : `v${current.version}-scheduled`;
+  }
+  return `v${Math.max(...applied.map(o => o.version))}-removed`;
+}
+
+function getRevision(lat, lon, date, now = Date.now()) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  return revisionOf(getStore().versions(lat, lon, date), now);
+}
+
+// The newest active version among `versions`, or null
+function activeVersion(versions) {
+  const active = versions.filter(o => o.active);
+  return active.length > 0 ? active.reduce((a, b) => (a.version > b.version ? a : b)) : null;
+}
+
+// Throw OverrideConflictError unless `versions` are at `expected`.  An
+// undefined `expected` means the write is unconditional; "*" accepts
+// any state in which an override is active.
+function checkRevision(versions, expected) {
+  if (expected === undefined) return;
+  const revision = revisionOf(versions);
+  const matches = expected === '*'
+    ? versions.some(o => o.active)
+    : expected === revision;
+  if (!matches) throw new OverrideConflictError(activeVersion(versions), revision);
+}
+
+function nextVersion(existing) {
+  return existing.reduce((max, o) => Math.max(max, o.version), 0) + 1;
+}
+
+// Start a new version of a key: returns the superseded copies of its
+// active versions (to commit along with the new one) and the next
+// version number.
+function supersede(existing, by, at) {
+  const batch = existing.filter(o => o.active).map(o => transition(o, 'superseded', by, { at }));
+  return { batch, version: nextVersion(existing) };
+}
+
+// Insert a new override and supersede previous ones for the same key.
+// `extra` lets callers set the author (updatedBy) and attach additional
+// metadata (e.g. revertedFrom).
+// The superseded versions and the new one are committed together.  With
+// `propose` the new version is only a proposal and nothing else changes.
+function addOverride(lat, lon, date, values, extra = {}, { expectedRevision, propose = false } = {}) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const existing = getStore().versions(lat, lon, date);
+  checkRevision(existing, expectedRevision);
+  const updatedAt = new Date().toISOString();
+  const author = extra.updatedBy || 'anonymous';
+  const state = propose ? 'proposed' : 'approved';
+  const { batch, version } = propose
+    ? { batch: [], version: nextVersion(existing) }
+    : supersede(existing, author, updatedAt);
+  const newOverride = {
+    lat,
+    lon,
+    date,
+    newValues: values,
+    updatedAt,
+    updatedBy: 'anonymous',
+    version,
+    ...extra,
+    state,
+    active: !propose,
+    history: [{ state, at: updatedAt, by: author }],
+  };
+  if (propose) {
+    const current = activeVersion(existing);
+    newOverride.basedOn = current ? current.version : null;
+  }
+  batch.push(newOverride);
+  getStore().commit(batch);
+  let action = newOverride.revertedFrom !== undefined ? 'reverted' : 'created';
+  if (propose) action = 'proposed';
+  publishOverrideChange({
+    action,
+    lat,
+    lon,
+    date,
+    revision: revisionOf(getStore().versions(lat, lon, date)),
+    override: newOverride,
+  });
+  return newOverride;
+}
+
+/**
+ * Approve a proposed version: it becomes the active override and the
+ * previously active one is superseded, in one commit.  `expectedRevision`
+ * works as for writes, so a reviewer can insist that the override has
+ * not changed since they looked at it.  Returns the approved record, or
+ * null when the version does not exist; throws OverrideStateError when
+ * it is not a proposal, and OverrideConflictError when the active
+ * version is no longer the one it was `basedOn` – approving it would
+ * quietly discard whatever was applied since.
+ */
+function approveOverride(lat, lon, date, version, reviewer, { comment, expectedRevision } = {}) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const existing = getStore().versions(lat, lon, date);
+  const target = existing.find(o => o.version === version);
+  if (!target) return null;
+  const at = new Date().toISOString();
+  const approved = transition(target, 'approved', reviewer, { at, comment });
+  checkRevision(existing, expectedRevision);
+  const current = activeVersion(existing);
+  if (target.basedOn !== undefined && target.basedOn !== (current ? current.version : null)) {
+    throw new OverrideConflictError(current, revisionOf(existing));
+  }
+  const { batch } = supersede(existing, reviewer, at);
+  batch.push(approved);
+  getStore().commit(batch);
+  publishOverrideChange({
+    action: 'approved',
+    lat,
+    lon,
+    date,
+    revision: revisionOf(getStore().versions(lat, lon, date)),
+    override: approved,
+  });
+  return approved;
+}
+
+// Reject a proposed version.  Returns the rejected record or null when
+// the version does not exist; throws OverrideStateError when it is not
+// a proposal, and OverrideConflictError when `expectedRevision` is
+// stale.
+function rejectOverride(lat, lon, date, version, reviewer, { comment, expectedRevision } = {}) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const existing = getStore().versions(lat, lon, date);
+  const target = existing.find(o => o.version === version);
+  if (!target) return null;
+  const rejected = transition(target, 'rejected', reviewer, { comment });
+  checkRevision(existing, expectedRevision);
+  getStore().commit([rejected]);
+  publishOverrideChange({
+    action: 'rejected',
+    lat,
+    lon,
+    date,
+    revision: revisionOf(getStore().versions(lat, lon, date)),
+    override: rejected,
+  });
+  return rejected;
+}
+
+/**
+ * Save day-level values (`hour` null) or the values of one hour slot.
+ *
+ * Creates a new version that carries over everything else the active
+ * override sets: saving the day keeps the hour overrides and saving an
+ * hour keeps the day values and the other hours.  The activeFrom and
+ * expiresAt of the active version are kept too unless `extra` sets
+ * them; null clears them.
+ */
+function saveOverride(lat, lon, date, hour, values, extra = {}, options = {}) {
+  const active = currentVersion(lat, lon, date);
+  let newValues = values;
+  const hourValues = { ...((active && active.hourValues) || {}) };
+  if (hour !== null) {
+    newValues = (active && active.newValues) || {};
+    hourValues[hour] = values;
+  }
+  extra = { ...extra };
+  if (Object.keys(hourValues).length > 0) extra.hourValues = hourValues;
+  for (const field of SCHEDULE_FIELDS) {
+    if (extra[field] === undefined && active && active[field]) extra[field] = active[field];
+    if (extra[field] === null || extra[field] === undefined) delete extra[field];
+  }
+  return addOverride(lat, lon, date, newValues, extra, options);
+}
+
+// Record fields that limit when an override applies
+const SCHEDULE_FIELDS = ['activeFrom', 'expiresAt'];
+
+/**
+ * Deactivate active overrides whose expiresAt has passed, in one commit.
+ * They are marked removedBy 'system' with removedReason 'expired' so
+ * the history shows why.  Overrides whose activeFrom fell between
+ * `since` and `now` (ms) are announced as "activated" so open pages
+ * pick them up.  Returns { expired, activated } counts.
+ */
+function sweepSchedules(since, now = Date.now()) {
+  const removedAt = new Date(now).toISOString();
+  const expired = [];
+  const activated = [];
+  for (const record of getStore().list()) {
+    if (!record.active) continue;
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+      expired.push({
+        ...transition(record, 'expired', 'system', { at: removedAt }),
+        removedBy: 'system',
+        removedAt,
+        removedReason: 'expired',
+      });
+    } else if (record.activeFrom) {
+      const start = Date.parse(record.activeFrom);
+      if (start > since && start <= now) activated.push(record);
+    }
+  }
+  if (expired.length > 0) getStore().commit(expired);
+  for (const record of expired) {
+    publishOverrideChange({
+      action: 'expired',
+      lat: record.lat,
+      lon: record.lon,
+      date: record.date,
+      revision: revisionOf(getStore().versions(record.lat, record.lon, record.date), now),
+      override: record,
+    });
+  }
+  for (const record of activated) {
+    publishOverrideChange({
+      action: 'activated',
+      lat: record.lat,
+      lon: record.lon,
+      date: record.date,
+      revision: `v${record.version}`,
+      override: record,
+    });
+  }
+  return { expired: expired.length, activated: activated.length };
+}
+
+/**
+ * Apply validated import rows ({lat, lon, date, hour, values}, see
+ * ./override-io.js) in a single commit.  All rows for one key become
+ * one new version which, like saveOverride, carries over whatever the
+ * rows do not set.  With `dryRun` nothing is committed.  Returns the
+ * new records.
+ */
+function importOverrides(entries, extra = {}, { dryRun = false } = {}) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const { lat, lon } = resolveLocation(entry.lat, entry.lon, entry.date);
+    const key = `${lat}|${lon}|${entry.date}`;
+    if (!groups.has(key)) groups.set(key, { lat, lon, date: entry.date, rows: [] });
+    groups.get(key).rows.push(entry);
+  }
+
+  const batch = [];
+  const created = [];
+  const updatedAt = new Date().toISOString();
+  for (const { lat, lon, date, rows } of groups.values()) {
+    const existing = getStore().versions(lat, lon, date);
+    const active = activeVersion(existing);
+    let newValues = (active && active.newValues) || {};
+    const hourValues = { ...((active && active.hourValues) || {}) };
+    for (const row of rows) {
+      if (row.hour === null) newValues = row.values;
+      else hourValues[row.hour] = row.values;
+    }
+    const author = extra.updatedBy || 'anonymous';
+    const superseded = supersede(existing, author, updatedAt);
+    const record = {
+      lat,
+      lon,
+      date,
+      newValues,
+      updatedAt,
+      updatedBy: 'anonymous',
+      version: superseded.version,
+      ...extra,
+      state: 'approved',
+      active: true,
+      history: [{ state: 'approved', at: updatedAt, by: author }],
+    };
+    if (Object.keys(hourValues).length > 0) record.hourValues = hourValues;
+    for (const field of SCHEDULE_FIELDS) {
+      if (record[field] === undefined && active && active[field]) record[field] = active[field];
+    }
+    batch.push(...superseded.batch, record);
+    created.push(record);
+  }
+
+  if (!dryRun && batch.length > 0) {
+    getStore().commit(batch);
+    for (const record of created) {
+      publishOverrideChange({
+        action: 'imported',
+        lat: record.lat,
+        lon: record.lon,
+        date: record.date,
+        revision: revisionOf(getStore().versions(record.lat, record.lon, record.date)),
+        override: record,
+      });
+    }
+  }
+  return created;
+}
+
+/**
+ * Drop the override of one hour slot.  The rest of the active override
+ * is kept in a new version; when nothing would be left the override is
+ * removed instead.  Returns the new or removed record, or null when the
+ * hour was not overridden.
+ */
+function clearOverrideHour(lat, lon, date, hour, removedBy = 'anonymous', options = {}) {
+  const key = resolveLocation(lat, lon, date);
+  checkRevision(getStore().versions(key.lat, key.lon, date), options.expectedRevision);
+  const active = currentVersion(lat, lon, date);
+  if (!active || !active.hourValues || !active.hourValues[hour]) return null;
+  const hourValues = { ...active.hourValues };
+  delete hourValues[hour];
+  if (Object.keys(active.newValues).length === 0 && Object.keys(hourValues).length === 0) {
+    return removeOverride(lat, lon, date, removedBy, options);
+  }
+  const extra = { updatedBy: removedBy };
+  if (Object.keys(hourValues).length > 0) extra.hourValues = hourValues;
+  for (const field of SCHEDULE_FIELDS) {
+    if (active[field]) extra[field] = active[field];
+  }
+  return addOverride(lat, lon, date, { ...active.newValues }, extra, options);
+}
+
+// Deactivate the latest active override for a given key
+function removeOverride(lat, lon, date, removedBy = 'anonymous', { expectedRevision } = {}) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const existing = getStore().versions(lat, lon, date);
+  checkRevision(existing, expectedRevision);
+  const active = existing.filter(o => o.active);
+  if (active.length === 0) return null;
+  const removedAt = new Date().toISOString();
+  const batch = active.map(o => ({ ...transition(o, 'removed', removedBy, { at: removedAt }), removedBy, removedAt }));
+  getStore().commit(batch);
+  const removed = batch.reduce((a, b) => (a.version > b.version ? a : b));
+  publishOverrideChange({
+    action: 'removed',
+    lat,
+    lon,
+    date,
+    revision: revisionOf(getStore().versions(lat, lon, date)),
+    override: removed,
+  });
+  return removed;
+}
+
+// Sort keys accepted by queryOverrides
+const QUERY_SORT_FIELDS = {
+  date: (a, b) => a.date.localeCompare(b.date),
+  updatedAt: (a, b) => a.updatedAt.localeCompare(b.updatedAt),
+  lat: (a, b) => Number(a.lat) - Number(b.lat),
+  lon: (a, b) => Number(a.lon) - Number(b.lon),
+  version: (a, b) => a.version - b.version,
+  updatedBy: (a, b) => String(a.updatedBy).localeCompare(String(b.updatedBy)),
+};
+
+/**
+ * Search override records across keys.
+ *
+ * Filters (all optional):
+ *   from, to  – ISO date range, inclusive; served by the store's date index
+ *   bbox      – {minLat, minLon, maxLat, maxLon}
+ *   active    – true or false to select only active or inactive versions
+ *   state     – one of STATES, e.g. 'proposed' for the review queue
+ *   author    – updatedBy username
+ *
+ * `sort` is one of QUERY_SORT_FIELDS, ties broken by date, location and
+ * version.  Returns { total, items } where items is the requested page.
+ */
+function queryOverrides(filters = {}, { sort = 'date', descending = false, offset = 0, limit = 50 } = {}) {
+  const { from, to, bbox, active, state, author } = filters;
+  const matches = getStore().between(from, to).filter(o =>
+    (!bbox || inBox(o, bbox)) &&
+    (active === undefined || o.active === active) &&
+    (!state || o.state === state) &&
+    (!author || o.updatedBy === author));
+  const primary = QUERY_SORT_FIELDS[sort];
+  const direction = descending ? -1 : 1;
+  matches.sort((a, b) =>
+    direction * (primary(a, b) || QUERY_SORT_FIELDS.date(a, b) ||
+      QUERY_SORT_FIELDS.lat(a, b) || QUERY_SORT_FIELDS.lon(a, b) ||
+      QUERY_SORT_FIELDS.version(a, b)));
+  return { total: matches.length, items: matches.slice(offset, offset + limit) };
+}
+
+// Return every stored version for a given key, newest first.  Inactive
+// versions are included so that editors can see the full edit trail.
+function getOverrideHistory(lat, lon, date) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  return getStore().versions(lat, lon, date).sort((a, b) => b.version - a.version);
+}
+
+// Fetch one specific version for a key, or null if it does not exist
+function getOverrideVersion(lat, lon, date, version) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  return getStore().versions(lat, lon, date).find(o => o.version === version) || null;
+}
+
+// Revert a key to an older version.  History is never rewritten: the
+// values of the chosen version are copied into a brand new active
+// version, so the revert itself shows up in the history as well.
+function revertOverride(lat, lon, date, version, extra = {}, options = {}) {
+  const target = getOverrideVersion(lat, lon, date, version);
+  if (!target) return null;
+  if (target.hourValues) extra = { ...extra, hourValues: { ...target.hourValues } };
+  return addOverride(lat, lon, date, { ...target.newValues }, { ...extra, revertedFrom: version }, options);
+}
+
+/**
+ * Upgrade stored records to the current override schema.
+ *
+ * Legacy field names are renamed (the original values are kept in
+ * `migratedFrom`) and records without a state get the one their
+ * active/removal fields imply.  Records whose values still fail validation are
+ * moved out of the store into `quarantineFile`, a JSON array of
+ * {record, reason, quarantinedAt}, so they can be inspected and fixed
+ * by hand.  Safe to run on every startup.
+ */
+function migrateLegacyRecords(quarantineFile) {
+  const upgraded = [];
+  const quarantined = [];
+  for (const record of getStore().list()) {
+    const result = migrateValues(record.newValues, { allowEmpty: !!record.hourValues });
+    if (result.error) {
+      quarantined.push({ record, reason: result.error });
+    } else if (result.migrated || record.state === undefined) {
+      const upgrade = { ...record };
+      if (result.migrated) Object.assign(upgrade, { newValues: result.values, migratedFrom: record.newValues });
+      if (record.state === undefined) upgrade.state = legacyState(record);
+      upgraded.push(upgrade);
+    }
+  }
+  if (quarantined.length > 0) {
+    // Write the quarantine file first: if we crash before the commit
+    // below, the records are still in the store and simply get
+    // quarantined again next time.
+    let existing = [];
+    try {
+      existing = JSON.parse(fs.readFileSync(quarantineFile, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const quarantinedAt = new Date().toISOString();
+    const entries = quarantined.map(({ record, reason }) => ({ record, reason, quarantinedAt }));
+    writeFileAtomic(quarantineFile, JSON.stringify(existing.concat(entries), null, 2));
+  }
+  getStore().commit(upgraded, quarantined.map(q => q.record));
+  return { migrated: upgraded.length, quarantined: quarantined.length };
+}
+
+/**
+ * Move records stored under non-canonical coordinates to their
+ * canonical key.  When several spellings of the same place collide
+ * ("17.385" and "17.3850"), their histories are merged: versions are
+ * renumbered in order of updatedAt and only the most recently updated
+ * active record stays active.  Each moved record keeps its old key in
+ * `rekeyedFrom`.  Safe to run on every startup.
+ */
+function rekeyRecords() {
+  const groups = new Map();
+  for (const record of getStore().list()) {
+    const point = normalizeLatLon(record.lat, record.lon);
+    if (!point) continue;
+    const key = `${point.lat}|${point.lon}|${record.date}`;
+    if (!groups.has(key)) groups.set(key, { point, records: [] });
+    groups.get(key).records.push(record);
+  }
+
+  const put = [];
+  const remove = [];
+  for (const { point, records } of groups.values()) {
+    if (records.every(r => r.lat === point.lat && r.lon === point.lon)) continue;
+
+    const versions = new Set(records.map(r => r.version));
+    const collision = versions.size !== records.length;
+    const ordered = records.slice().sort((a, b) =>
+      collision
+        ? a.updatedAt.localeCompare(b.updatedAt) || a.version - b.version
+        : a.version - b.version);
+    const active = ordered.filter(r => r.active);
+    const keepActive = active.length > 0 ? active[active.length - 1] : null;
+
+    // old "lat|lon|version" -> new version, for fixing revertedFrom
+    const renumbered = new Map();
+    ordered.forEach((record, i) => {
+      renumbered.set(`${record.lat}|${record.lon}|${record.version}`, collision ? i + 1 : record.version);
+    });
+
+    for (const record of ordered) {
+      const version = renumbered.get(`${record.lat}|${record.lon}|${record.version}`);
+      // Merged histories keep only one approved version
+      const kept = record.active && record !== keepActive
+        ? transition(record, 'superseded', 'system')
+        : record;
+      const moved = {
+        ...kept,
+        lat: point.lat,
+        lon: point.lon,
+        version,
+      };
+      if (record.revertedFrom !== undefined) {
+        moved.revertedFrom =
+          renumbered.get(`${record.lat}|${record.lon}|${record.revertedFrom}`) || record.revertedFrom;
+      }
+      if (JSON.stringify(moved) === JSON.stringify(record)) continue;
+      if (record.lat !== point.lat || record.lon !== point.lon || record.version !== version) {
+        moved.rekeyedFrom = { lat: record.lat, lon: record.lon, version: record.version };
+      }
+      remove.push(record);
+      put.push(moved);
+    }
+  }
+  getStore().commit(put, remove);
+  return { rekeyed: put.length };
+}
+
+// When a record last changed state: its newest history entry, falling
+// back to the removal or save time for records older than history
+function lastChangedAt(record) {
+  const history = record.history || [];
+  if (history.length > 0) return history[history.length - 1].at;
+  return record.removedAt || record.updatedAt;
+}
+
+/**
+ * Check every stored record against the override schema and the state
+ * rules.  Returns a list of { record, level, message } where level is
+ * 'error' for records the server would quarantine or misread and
+ * 'warning' for legacy records it upgrades at startup.
+ */
+function validateRecords() {
+  const problems = [];
+  const report = (record, level, message) => problems.push({ record, level, message });
+  const activeByKey = new Map();
+  for (const record of getStore().list()) {
+    const keyError = checkKey(record.lat, record.lon, record.date);
+    if (keyError) report(record, 'error', keyError);
+    if (!record.updatedAt || Number.isNaN(Date.parse(record.updatedAt))) {
+      report(record, 'error', 'updatedAt is not a timestamp');
+    }
+    const migrated = migrateValues(record.newValues, { allowEmpty: !!record.hourValues });
+    if (migrated.error) report(record, 'error', `newValues: ${migrated.error}`);
+    else if (migrated.migrated) report(record, 'warning', 'newValues use legacy field names');
+    for (const [hour, values] of Object.entries(record.hourValues || {})) {
+      if (parseHour(hour) === null || String(parseHour(hour)) !== hour) {
+        report(record, 'error', `hourValues has an invalid hour "${hour}"`);
+      }
+      const { errors } = validateValues(values);
+      for (const [field, message] of Object.entries(errors)) {
+        report(record, 'error', `hourValues[${hour}].${field} ${message}`);
+      }
+    }
+    if (record.state === undefined) {
+      report(record, 'warning', 'has no state (set at the next server start)');
+    } else if (!STATES.includes(record.state)) {
+      report(record, 'error', `unknown state "${record.state}"`);
+    } else if (record.active !== (record.state === 'approved')) {
+      report(record, 'error', `active is ${record.active} but state is ${record.state}`);
+    }
+    if (record.active) {
+      const key = `${record.lat}|${record.lon}|${record.date}`;
+      activeByKey.set(key, (activeByKey.get(key) || []).concat(record));
+    }
+  }
+  for (const active of activeByKey.values()) {
+    if (active.length < 2) continue;
+    for (const record of active) {
+      report(record, 'error', `one of ${active.length} active versions for the same day`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Delete the records of one key from the store for good: every version,
+ * or only `version`.  Unlike removeOverride nothing is kept in the
+ * history.  Returns the deleted records.
+ */
+function purgeOverrides(lat, lon, date, { version } = {}) {
+  ({ lat, lon } = resolveLocation(lat, lon, date));
+  const doomed = getStore().versions(lat, lon, date)
+    .filter(o => version === undefined || o.version === version);
+  getStore().commit([], doomed);
+  return doomed;
+}
+
+/**
+ * Retention policy for the history: delete inactive versions (not
+ * proposals) beyond the newest `keep` of each key that last changed
+ * state before `before` (ms; omit for any age).  Active and proposed
+ * versions are never touched.  With `dryRun` nothing is deleted.
+ * Returns the records that were (or would be) deleted.
+ */
+function pruneInactive({ keep = 0, before, dryRun = false } = {}) {
+  const byKey = new Map();
+  for (const record of getStore().list()) {
+    if (record.active || record.state === 'proposed') continue;
+    const key = `${record.lat}|${record.lon}|${record.date}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  }
+  const doomed = [];
+  for (const inactive of byKey.values()) {
+    inactive.sort((a, b) => b.version - a.version);
+    for (const record of inactive.slice(keep)) {
+      if (before === undefined || Date.parse(lastChangedAt(record)) < before) doomed.push(record);
+    }
+  }
+  if (!dryRun) getStore().commit([], doomed);
+  return doomed;
+}
+
+/**
+ * Replace the whole contents of the store with `records` (e.g. from a
+ * backup) in one commit.  Returns { restored, removed } counts.
+ */
+function replaceAllRecords(records) {
+  const current = getStore().list();
+  const incoming = new Set(records.map(r => `${r.lat}|${r.lon}|${r.date}|${r.version}`));
+  const removed = current.filter(r => !incoming.has(`${r.lat}|${r.lon}|${r.date}|${r.version}`));
+  getStore().commit(records, removed);
+  return { restored: records.length, removed: removed.length };
+}
+
+// Number of records in each state
+function countStates() {
+  const counts = Object.fromEntries(STATES.map(state => [state, 0]));
+  for (const record of getStore().list()) {
+    const state = record.state || legacyState(record);
+    if (counts[state] !== undefined) counts[state] += 1;
+  }
+  return counts;
+}
+
+// The last published version of each day in the inclusive date range:
+// the active override, or the one that expired.  Days whose override
+// was removed, and versions never approved, are left out.
+function getFinalOverrides({ from, to } = {}) {
+  const finals = new Map();
+  for (const record of getStore().between(from, to)) {
+    const state = record.state || legacyState(record);
+    if (state !== 'approved' && state !== 'expired') continue;
+    const key = `${record.lat}|${record.lon}|${record.date}`;
+    const current = finals.get(key);
+    if (!current || record.version > current.version) finals.set(key, record);
+  }
+  // A newer removal withdraws an expired version too
+  return [...finals.values()].filter(record =>
+    !getStore().versions(record.lat, record.lon, record.date)
+      .some(o => o.version > record.version && (o.state || legacyState(o)) === 'removed'));
+}
+
+module.exports = {
+  OverrideConflictError,
+  OverrideStateError,
+  STATES,
+  open,
+  close,
+  getStore,
+  getLatestOverride,
+  isInEffect,
+  sweepSchedules,
+  getRevision,
+  addOverride,
+  saveOverride,
+  importOverrides,
+  clearOverrideHour,
+  removeOverride,
+  approveOverride,
+  rejectOverride,
+  countStates,
+  getFinalOverrides,
+  validateRecords,
+  purgeOverrides,
+  pruneInactive,
+  replaceAllRecords,
+  getOverrideHistory,
+  queryOverrides,
+  QUERY_SORT_FIELDS,
+  getOverrideVersion,
+  revertOverride,
+  migrateLegacyRecords,
+  rekeyRecords,
+  resolveLocation,
+};
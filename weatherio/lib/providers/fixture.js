@@ -0,0 +1,23 @@
+const fs   = require('fs');
+const path = require('path');
+
+/*
+ * Local fixture provider.  Serves canned, already-normalized weather
+ * from a JSON file so the server can be exercised without network
+ * access.  The file is re-read on every call so it can be edited while
+ * the server is running.  Lookups try, in order:
+ *
+ *   days["<lat>,<lon>,<date>"], days["<date>"], default
+ */
+
+const FIXTURE_FILE = process.env.WEATHER_FIXTURE_FILE ||
+  path.join(__dirname, '..', '..', 'fixtures', 'weather.json');
+
+async function fetchDay(lat, lon, date) {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+  const days = fixture.days || {};
+  const day = days[`${lat},${lon},${date}`] || days[date] || fixture.default;
+  return day ? { ...day } : null;
+}
+
+module.exports = { name: 'fixture', fetchDay };
@@ -0,0 +1,65 @@
+const http  = require('http');
+const https = require('https');
+
+/*
+ * Minimal JSON-over-HTTP helper used by the network weather providers.
+ * It relies only on the built-in `http`/`https` modules so the server
+ * keeps running without any npm packages.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// GET a URL and resolve with the parsed JSON body.  Rejects on network
+// errors, timeouts, non-2xx status codes and unparseable bodies.
+function getJson(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'weatherio-server',
+      },
+    }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`Upstream responded with HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new Error('Upstream returned invalid JSON'));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Upstream request timed out after ${timeoutMs} ms`));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Check that a URL answers at all.  Resolves with the status code of any
+// response below 500; rejects on network errors, timeouts and 5xx.
+function probe(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers: { 'User-Agent': 'weatherio-server' } }, res => {
+      res.resume();
+      if (res.statusCode >= 500) {
+        reject(new Error(`Upstream responded with HTTP ${res.statusCode}`));
+        return;
+      }
+      resolve(res.statusCode);
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Upstream request timed out after ${timeoutMs} ms`));
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = { getJson, probe };
@@ -0,0 +1,134 @@
+/*
+ * Weather provider registry.
+ *
+ * A provider is a module exporting `name` and an async
+ * `fetchDay(lat, lon, date)` that resolves with the normalized daily
+ * shape described in ./summarize.js, or null when it has no data for
+ * that date.  The active provider is chosen with the WEATHER_PROVIDER
+ * environment variable (wttr, open-meteo or fixture; default wttr).
+ * A provider that can return several days of one location in a single
+ * upstream request may also export `fetchDays(lat, lon, dates)`,
+ * resolving with an object keyed by date, and `ping({timeoutMs})`,
+ * resolving when its upstream service can be reached (for health
+ * checks).
+ *
+ * Results are cached in memory for WEATHER_CACHE_TTL_MS (default
+ * fifteen minutes, matching the client cache) so repeated page loads
+ * do not hit the upstream service.  A day the provider has no data for
+ * is remembered too, for WEATHER_MISS_CACHE_TTL_MS (default two
+ * minutes), so asking for it again does not go upstream every time.
+ */
+
+const PROVIDERS = {
+  'wttr': require('./wttr'),
+  'open-meteo': require('./open-meteo'),
+  'fixture': require('./fixture'),
+};
+
+const CACHE_TTL_MS = Number(process.env.WEATHER_CACHE_TTL_MS) || 15 * 60 * 1000;
+const MISS_CACHE_TTL_MS = Number(process.env.WEATHER_MISS_CACHE_TTL_MS) || 2 * 60 * 1000;
+
+// "<provider>|<lat>,<lon>,<date>" → { data, expiresAt }; data is null
+// for a day the provider had nothing for
+const cache = new Map();
+
+function getProvider(name = process.env.WEATHER_PROVIDER || 'wttr') {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown weather provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+function cacheKey(provider, lat, lon, date) {
+  return `${provider.name}|${lat},${lon},${date}`;
+}
+
+// The unexpired cache entry for a key, or undefined
+function cachedEntry(key, now) {
+  const hit = cache.get(key);
+  return hit && now < hit.expiresAt ? hit : undefined;
+}
+
+// Cache a fetched day, or the provider's lack of one
+function remember(key, data, now) {
+  cache.set(key, { data, expiresAt: now + (data ? CACHE_TTL_MS : MISS_CACHE_TTL_MS) });
+}
+
+// Drop expired entries so the cache does not grow without bound
+function pruneCache(now) {
+  for (const [key, entry] of cache) {
+    if (now >= entry.expiresAt) cache.delete(key);
+  }
+}
+
+// Fetch normalized weather for one day through the active provider
+async function fetchWeather(lat, lon, date) {
+  const provider = getProvider();
+  const key = cacheKey(provider, lat, lon, date);
+  const now = Date.now();
+  const hit = cachedEntry(key, now);
+  if (hit) return hit.data;
+  const data = (await provider.fetchDay(lat, lon, date)) || null;
+  pruneCache(now);
+  remember(key, data, now);
+  return data;
+}
+
+// Fetch several days of one location, keyed by date.  Days already
+// cached are not fetched again; the rest take one upstream request when
+// the provider supports fetchDays, or one per day otherwise.
+async function fetchWeatherDays(lat, lon, dates) {
+  const provider = getProvider();
+  const now = Date.now();
+  const result = {};
+  const missing = [];
+  for (const date of dates) {
+    const hit = cachedEntry(cacheKey(provider, lat, lon, date), now);
+    if (hit) result[date] = hit.data;
+    else missing.push(date);
+  }
+  if (missing.length === 0) return result;
+  if (!provider.fetchDays) {
+    const days = await Promise.all(missing.map(date => fetchWeather(lat, lon, date)));
+    missing.forEach((date, i) => { result[date] = days[i]; });
+    return result;
+  }
+  const days = await provider.fetchDays(lat, lon, missing);
+  pruneCache(now);
+  for (const date of missing) {
+    result[date] = days[date] || null;
+    remember(cacheKey(provider, lat, lon, date), result[date], now);
+  }
+  return result;
+}
+
+// When the server will next fetch this day from the provider instead of
+// answering from the cache (ms since the epoch)
+function nextRefreshAt(lat, lon, date) {
+  const now = Date.now();
+  const hit = cachedEntry(cacheKey(getProvider(), lat, lon, date), now);
+  return hit ? hit.expiresAt : now + CACHE_TTL_MS;
+}
+
+// Check that the active provider's upstream service answers.  Providers
+// without a ping (the local fixture) always pass.
+async function pingProvider({ timeoutMs } = {}) {
+  const provider = getProvider();
+  if (provider.ping) await provider.ping({ timeoutMs });
+}
+
+// Days currently held in the in-memory cache
+function cacheSize() {
+  return cache.size;
+}
+
+module.exports = {
+  getProvider,
+  fetchWeather,
+  fetchWeatherDays,
+  nextRefreshAt,
+  pingProvider,
+  cacheSize,
+  PROVIDERS,
+};
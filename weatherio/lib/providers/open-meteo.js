@@ -0,0 +1,85 @@
+const { getJson, probe } = require('./http');
+const { summarizeHourly } = require('./summarize');
+
+/*
+ * Open-Meteo adapter.  Open-Meteo reports WMO weather interpretation
+ * codes, which are translated here to a description and the closest
+ * wttr.in (WWO) code so the client icons stay consistent.
+ */
+
+const BASE_URL = process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com';
+
+// WMO code -> [description, WWO code]
+const WMO_CODES = {
+  0:  ['Clear sky', 113],
+  1:  ['Mainly clear', 113],
+  2:  ['Partly cloudy', 116],
+  3:  ['Overcast', 122],
+  45: ['Fog', 248],
+  48: ['Depositing rime fog', 260],
+  51: ['Light drizzle', 266],
+  53: ['Drizzle', 266],
+  55: ['Dense drizzle', 266],
+  56: ['Light freezing drizzle', 281],
+  57: ['Dense freezing drizzle', 284],
+  61: ['Slight rain', 296],
+  63: ['Moderate rain', 302],
+  65: ['Heavy rain', 308],
+  66: ['Light freezing rain', 311],
+  67: ['Heavy freezing rain', 314],
+  71: ['Slight snow fall', 326],
+  73: ['Moderate snow fall', 332],
+  75: ['Heavy snow fall', 338],
+  77: ['Snow grains', 350],
+  80: ['Slight rain showers', 353],
+  81: ['Moderate rain showers', 356],
+  82: ['Violent rain showers', 359],
+  85: ['Slight snow showers', 368],
+  86: ['Heavy snow showers', 371],
+  95: ['Thunderstorm', 389],
+  96: ['Thunderstorm with slight hail', 389],
+  99: ['Thunderstorm with heavy hail', 389],
+};
+
+function describeWmo(code) {
+  return WMO_CODES[code] || ['Unknown', 0];
+}
+
+// Convert Open-Meteo's column-oriented hourly block to normalized rows
+function normalizeHourly(hourly) {
+  const times = (hourly && hourly.time) || [];
+  return times.map((time, i) => {
+    const [text, code] = describeWmo(hourly.weather_code[i]);
+    return {
+      // "2025-10-09T06:00", in the location's time zone
+      hour: Number(String(time).slice(11, 13)),
+      tempC: Number(hourly.temperature_2m[i]),
+      humidityPct: Number(hourly.relative_humidity_2m[i]),
+      windKph: Number(hourly.wind_speed_10m[i]),
+      precipMm: Number(hourly.precipitation[i]),
+      conditionText: text,
+      conditionCode: code,
+    };
+  });
+}
+
+async function fetchDay(lat, lon, date) {
+  const params = new URLSearchParams({
+    latitude: String(lat),
+    longitude: String(lon),
+    hourly: 'temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation,weather_code',
+    timezone: 'auto',
+    start_date: date,
+    end_date: date,
+  });
+  const payload = await getJson(`${BASE_URL}/v1/forecast?${params.toString()}`);
+  return summarizeHourly(normalizeHourly(payload.hourly));
+}
+
+// Reachability check for health monitoring: the bare forecast route
+// answers 400 without parameters, which is enough to know it is up
+function ping({ timeoutMs } = {}) {
+  return probe(`${BASE_URL}/v1/forecast`, { timeoutMs });
+}
+
+module.exports = { name: 'open-meteo', fetchDay, describeWmo, ping };
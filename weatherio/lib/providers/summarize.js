@@ -0,0 +1,51 @@
+/*
+ * Helpers shared by the weather providers for turning a day's worth of
+ * hourly samples into the normalized daily shape served by /weather:
+ *
+ *   tempC: Number          – mean temperature, one decimal
+ *   humidityPct: Number    – mean relative humidity, rounded
+ *   windKph: Number        – mean wind speed, one decimal
+ *   precipMm: Number       – total precipitation, one decimal
+ *   conditionText: String  – description of the mid-day sample
+ *   conditionCode: Number  – wttr.in (WWO) weather code of the mid-day sample
+ *   hours: Array           – the samples themselves, ordered by `hour`
+ *                            (0–23, local time at the location), each with
+ *                            the fields above for that time slot
+ *
+ * Every provider maps its own condition codes onto the WWO code space
+ * so the client only needs a single code-to-icon table.
+ */
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Summarize an array of hourly samples, each already in the normalized
+// field names above.  Returns null when there are no samples.
+function summarizeHourly(hours) {
+  if (!hours || hours.length === 0) return null;
+  let sumTemp = 0,
+    sumHumidity = 0,
+    sumWind = 0,
+    sumPrecip = 0;
+  for (const h of hours) {
+    sumTemp += h.tempC;
+    sumHumidity += h.humidityPct;
+    sumWind += h.windKph;
+    sumPrecip += h.precipMm;
+  }
+  const count = hours.length;
+  // Use the mid-day sample for the condition
+  const mid = hours[Math.floor(count / 2)];
+  return {
+    tempC: round1(sumTemp / count),
+    humidityPct: Math.round(sumHumidity / count),
+    windKph: round1(sumWind / count),
+    precipMm: round1(sumPrecip),
+    conditionText: mid.conditionText,
+    conditionCode: mid.conditionCode,
+    hours: hours.map(h => ({ ...h })),
+  };
+}
+
+module.exports = { summarizeHourly, round1 };
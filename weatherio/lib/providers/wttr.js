@@ -0,0 +1,58 @@
+const { getJson, probe } = require('./http');
+const { summarizeHourly } = require('./summarize');
+
+/*
+ * wttr.in adapter.  The j1 format returns the current day and the next
+ * two days, each with eight three-hourly samples.
+ */
+
+const BASE_URL = process.env.WTTR_BASE_URL || 'https://wttr.in';
+
+// Convert one wttr.in hourly entry to the normalized field names
+function normalizeHour(entry) {
+  return {
+    // "0", "300", ... "2100"
+    hour: Math.floor(parseInt(entry.time || '0', 10) / 100),
+    tempC: parseFloat(entry.tempC),
+    humidityPct: parseFloat(entry.humidity),
+    windKph: parseFloat(entry.windspeedKmph),
+    precipMm: parseFloat(entry.precipMM),
+    conditionText:
+      (entry.weatherDesc &&
+        entry.weatherDesc[0] &&
+        entry.weatherDesc[0].value.trim()) ||
+      '',
+    conditionCode: parseInt(entry.weatherCode || '0', 10),
+  };
+}
+
+// Pick the requested day out of a j1 payload.  wttr.in has no history,
+// so dates outside its three-day window yield null rather than some
+// other day's forecast.
+function normalizeDay(payload, date) {
+  const weatherArr = payload.weather || [];
+  const weatherDay = weatherArr.find(item => item.date === date);
+  if (!weatherDay) return null;
+  return summarizeHourly((weatherDay.hourly || []).map(normalizeHour));
+}
+
+async function fetchDay(lat, lon, date) {
+  const payload = await getJson(`${BASE_URL}/${lat},${lon}?format=j1`);
+  return normalizeDay(payload, date);
+}
+
+// Several days of one location from a single request
+async function fetchDays(lat, lon, dates) {
+  const payload = await getJson(`${BASE_URL}/${lat},${lon}?format=j1`);
+  const days = {};
+  for (const date of dates) days[date] = normalizeDay(payload, date);
+  return days;
+}
+
+// Reachability check for health monitoring; the help page is static and
+// cheap for the service to answer
+function ping({ timeoutMs } = {}) {
+  return probe(`${BASE_URL}/:help`, { timeoutMs });
+}
+
+module.exports = { name: 'wttr', fetchDay, fetchDays, normalizeDay, ping };
@@ -0,0 +1,58 @@
+/*
+ * Token-bucket rate limiting, keyed by client (the server uses the IP
+ * address).
+ *
+ * Every client starts with a full bucket of `burst` tokens; each request
+ * takes one, and tokens flow back at `perMinute` per minute up to the
+ * burst size.  A request that finds the bucket empty is refused until
+ * the next token arrives.  Buckets that have filled up again are
+ * forgotten, so memory stays proportional to the recently active
+ * clients.
+ */
+
+// Prune full buckets at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createRateLimiter({ burst, perMinute }) {
+  const refillPerMs = perMinute / 60000;
+  const buckets = new Map();
+  let lastPrune = Date.now();
+
+  // Tokens in a bucket at `now`, after refilling
+  function level(bucket, now) {
+    return Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  }
+
+  function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [key, bucket] of buckets) {
+      if (level(bucket, now) >= burst) buckets.delete(key);
+    }
+  }
+
+  // Take a token for `key`.  Returns { allowed, limit, remaining,
+  // resetSeconds, retryAfterSeconds }: `resetSeconds` is how long until
+  // the bucket is full again, `retryAfterSeconds` (when refused) how long
+  // until the next token.
+  function take(key, now = Date.now()) {
+    prune(now);
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = level(bucket, now);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    buckets.set(key, bucket);
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((burst - bucket.tokens) / refillPerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+    };
+  }
+
+  return { take };
+}
+
+module.exports = { createRateLimiter };
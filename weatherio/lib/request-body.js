@@ -0,0 +1,77 @@
+/*
+ * Reading request bodies.
+ *
+ * Bodies are buffered up to a size limit and checked against the
+ * allowed media types before anything parses them.  Every refusal is a
+ * RequestBodyError carrying the response status, so a route can answer
+ * it without knowing which check failed.
+ */
+
+// A request body the server refuses; `status` is the response status
+// (400 for malformed JSON, 413 for too large, 415 for the wrong type)
+class RequestBodyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestBodyError';
+    this.status = status;
+  }
+}
+
+// Media type of a request, without parameters such as charset
+function contentType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+// Read a request body as UTF-8 text.  A non-empty body must be sent as
+// one of `types`, and may not exceed `limit` bytes.
+function readBody(req, { limit, types = ['application/json'] }) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      reject(new RequestBodyError(413, `Request body exceeds ${limit} bytes`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > limit) {
+        failed = true;
+        reject(new RequestBodyError(413, `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (failed) return;
+      if (size > 0 && !types.includes(contentType(req))) {
+        reject(new RequestBodyError(415, `Content-Type must be ${types.join(' or ')}`));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Read and parse a JSON request body.  Resolves with the parsed object
+// (an empty object for an empty body) and rejects with a
+// RequestBodyError on invalid JSON or when the body is not an object:
+// routes read fields off the result, and `null`, numbers, strings and
+// arrays have none.
+async function readJsonBody(req, { limit }) {
+  const body = await readBody(req, { limit });
+  let data;
+  try {
+    data = JSON.parse(body || '{}');
+  } catch (err) {
+    throw new RequestBodyError(400, 'Invalid JSON body');
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new RequestBodyError(400, 'JSON body must be an object');
+  }
+  return data;
+}
+
+module.exports = { RequestBodyError, contentType, readBody, readJsonBody };
@@ -0,0 +1,156 @@
+const fs   = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+
+/*
+ * Daily weather snapshots.
+ *
+ * Every time the server successfully fetches a day's weather from the
+ * provider it records the normalized result here, keyed by location and
+ * date.  Providers such as wttr.in have no history, so once a day has
+ * passed this store is the only source for it.  Each date has a file of
+ * its own, data/snapshots/<date>.json, mapping "<lat>,<lon>" to:
+ *   lat: String         – canonical latitude (see ./geo.js)
+ *   lon: String         – canonical longitude
+ *   date: String        – ISO date (YYYY‑MM‑DD)
+ *   weather: Object     – normalized daily weather
+ *   provider: String    – name of the provider that produced it
+ *   recordedAt: String  – ISO timestamp of the last update
+ *
+ * so a save rewrites only that day's file.  Days older than
+ * SNAPSHOT_RETENTION_DAYS (default 365) are deleted whenever a new
+ * day's file is started.  A data/snapshots.json left by older versions,
+ * which held every snapshot in one object, is split into day files on
+ * first use.
+ */
+
+const DATA_DIR       = path.join(__dirname, '..', 'data');
+const SNAPSHOTS_DIR  = path.join(DATA_DIR, 'snapshots');
+const LEGACY_FILE    = path.join(DATA_DIR, 'snapshots.json');
+const RETENTION_DAYS = Number(process.env.SNAPSHOT_RETENTION_DAYS) || 365;
+const ISO_DATE_RE    = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_FILE_RE    = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function locationKey(lat, lon) {
+  return `${lat},${lon}`;
+}
+
+function dayFile(date) {
+  return path.join(SNAPSHOTS_DIR, `${date}.json`);
+}
+
+function readDay(date) {
+  try {
+    return JSON.parse(fs.readFileSync(dayFile(date), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${dayFile(date)}: ${err.message}`);
+  }
+}
+
+function writeDay(date, day) {
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  writeFileAtomic(dayFile(date), JSON.stringify(day, null, 2));
+}
+
+let migrated = false;
+
+// Split the single file of older versions into day files
+function migrateLegacyFile() {
+  if (migrated) return;
+  let all;
+  try {
+    all = JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Cannot read ${LEGACY_FILE}: ${err.message}`);
+    migrated = true;
+    return;
+  }
+  const days = {};
+  for (const snapshot of Object.values(all)) {
+    if (!days[snapshot.date]) days[snapshot.date] = {};
+    days[snapshot.date][locationKey(snapshot.lat, snapshot.lon)] = snapshot;
+  }
+  for (const date of Object.keys(days)) {
+    writeDay(date, { ...readDay(date), ...days[date] });
+  }
+  fs.unlinkSync(LEGACY_FILE);
+  migrated = true;
+}
+
+// Dates that have a day file, oldest first
+function listDays() {
+  migrateLegacyFile();
+  let names;
+  try {
+    names = fs.readdirSync(SNAPSHOTS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names
+    .map(name => DAY_FILE_RE.exec(name))
+    .filter(Boolean)
+    .map(match => match[1])
+    .sort();
+}
+
+// Delete the day files that have passed the retention period
+function pruneDays() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString().slice(0, 10);
+  for (const date of listDays()) {
+    if (date >= cutoff) break;
+    try {
+      fs.unlinkSync(dayFile(date));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+function getSnapshot(lat, lon, date) {
+  if (!ISO_DATE_RE.test(date)) return null;
+  migrateLegacyFile();
+  return readDay(date)[locationKey(lat, lon)] || null;
+}
+
+// Record the latest fetched weather for a day.  The day's file is only
+// rewritten when the values actually changed.
+function saveSnapshot(lat, lon, date, weather, provider) {
+  if (!ISO_DATE_RE.test(date)) throw new Error(`Invalid snapshot date: ${date}`);
+  migrateLegacyFile();
+  const day = readDay(date);
+  const key = locationKey(lat, lon);
+  const existing = day[key];
+  if (existing && existing.provider === provider &&
+      JSON.stringify(existing.weather) === JSON.stringify(weather)) {
+    return existing;
+  }
+  const newDay = Object.keys(day).length === 0;
+  day[key] = { lat, lon, date, weather, provider, recordedAt: new Date().toISOString() };
+  writeDay(date, day);
+  if (newDay) pruneDays();
+  return day[key];
+}
+
+// List the dates with a recorded snapshot for a location, oldest first
+function listSnapshotDates(lat, lon) {
+  const key = locationKey(lat, lon);
+  return listDays().filter(date => readDay(date)[key]);
+}
+
+// Every snapshot with a date in the inclusive range (either end may be
+// omitted).  Only the day files in the range are read.
+function listSnapshots({ from, to } = {}) {
+  return listDays()
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .flatMap(date => Object.values(readDay(date)));
+}
+
+// The day files, relative to the data directory, for health checks
+function snapshotFiles() {
+  return listDays().map(date => path.join('snapshots', `${date}.json`));
+}
+
+module.exports = { getSnapshot, saveSnapshot, listSnapshotDates, listSnapshots, snapshotFiles };
@@ -0,0 +1,442 @@
+const { distanceKm } = require('./geo');
+
+/*
+ * Offline time zone lookup.
+ *
+ * There is no network access for a time zone API, and shipping full
+ * zone boundary polygons would dwarf the rest of the app, so the zone
+ * for a coordinate is taken from the nearest of a bundled set of
+ * reference points (major cities, one or more per IANA zone).  This is
+ * accurate away from borders; near a border the neighbouring zone may
+ * win, which is why saved locations let the user correct the zone.
+ * Points farther than MAX_REFERENCE_KM from every reference (open
+ * ocean, polar regions) get a nautical Etc/GMT zone from the longitude.
+ */
+
+const MAX_REFERENCE_KM = 1000;
+
+// [lat, lon, zone]
+const REFERENCE_POINTS = [
+  // South Asia
+  [17.385, 78.4867, 'Asia/Kolkata'],
+  [19.076, 72.8777, 'Asia/Kolkata'],
+  [28.6139, 77.209, 'Asia/Kolkata'],
+  [22.5726, 88.3639, 'Asia/Kolkata'],
+  [13.0827, 80.2707, 'Asia/Kolkata'],
+  [12.9716, 77.5946, 'Asia/Kolkata'],
+  [26.9124, 75.7873, 'Asia/Kolkata'],
+  [23.0225, 72.5714, 'Asia/Kolkata'],
+  [26.1445, 91.7362, 'Asia/Kolkata'],
+  [34.0837, 74.7973, 'Asia/Kolkata'],
+  [8.5241, 76.9366, 'Asia/Kolkata'],
+  [21.1458, 79.0882, 'Asia/Kolkata'],
+  [24.8607, 67.0011, 'Asia/Karachi'],
+  [31.5204, 74.3587, 'Asia/Karachi'],
+  [33.6844, 73.0479, 'Asia/Karachi'],
+  [30.1798, 66.975, 'Asia/Karachi'],
+  [23.8103, 90.4125, 'Asia/Dhaka'],
+  [22.3569, 91.7832, 'Asia/Dhaka'],
+  [27.7172, 85.324, 'Asia/Kathmandu'],
+  [27.4728, 89.639, 'Asia/Thimphu'],
+  [6.9271, 79.8612, 'Asia/Colombo'],
+  [4.1755, 73.5093, 'Indian/Maldives'],
+  [34.5553, 69.2075, 'Asia/Kabul'],
+  // East and South-East Asia
+  [39.9042, 116.4074, 'Asia/Shanghai'],
+  [31.2304, 121.4737, 'Asia/Shanghai'],
+  [23.1291, 113.2644, 'Asia/Shanghai'],
+  [30.5728, 104.0668, 'Asia/Shanghai'],
+  [29.65, 91.1, 'Asia/Shanghai'],
+  [43.8256, 87.6168, 'Asia/Urumqi'],
+  [22.3193, 114.1694, 'Asia/Hong_Kong'],
+  [25.033, 121.5654, 'Asia/Taipei'],
+  [35.6762, 139.6503, 'Asia/Tokyo'],
+  [34.6937, 135.5023, 'Asia/Tokyo'],
+  [43.0618, 141.3545, 'Asia/Tokyo'],
+  [26.2124, 127.6809, 'Asia/Tokyo'],
+  [37.5665, 126.978, 'Asia/Seoul'],
+  [35.1796, 129.0756, 'Asia/Seoul'],
+  [39.0392, 125.7625, 'Asia/Pyongyang'],
+  [47.8864, 106.9057, 'Asia/Ulaanbaatar'],
+  [48.0056, 91.6419, 'Asia/Hovd'],
+  [13.7563, 100.5018, 'Asia/Bangkok'],
+  [21.0285, 105.8542, 'Asia/Bangkok'],
+  [10.8231, 106.6297, 'Asia/Ho_Chi_Minh'],
+  [11.5564, 104.9282, 'Asia/Phnom_Penh'],
+  [17.9757, 102.6331, 'Asia/Vientiane'],
+  [16.8661, 96.1951, 'Asia/Yangon'],
+  [3.139, 101.6869, 'Asia/Kuala_Lumpur'],
+  [1.5533, 110.3592, 'Asia/Kuching'],
+  [1.3521, 103.8198, 'Asia/Singapore'],
+  [-6.2088, 106.8456, 'Asia/Jakarta'],
+  [3.5952, 98.6722, 'Asia/Jakarta'],
+  [-7.2575, 112.7521, 'Asia/Jakarta'],
+  [-8.65, 115.2167, 'Asia/Makassar'],
+  [-5.1477, 119.4327, 'Asia/Makassar'],
+  [-2.5337, 140.7181, 'Asia/Jayapura'],
+  [14.5995, 120.9842, 'Asia/Manila'],
+  [7.1907, 125.4553, 'Asia/Manila'],
+  [4.9031, 114.9398, 'Asia/Brunei'],
+  [-8.5569, 125.5603, 'Asia/Dili'],
+  // Central and West Asia
+  [41.2995, 69.2401, 'Asia/Tashkent'],
+  [43.222, 76.8512, 'Asia/Almaty'],
+  [51.1694, 71.4491, 'Asia/Almaty'],
+  [47.1, 51.9, 'Asia/Atyrau'],
+  [42.8746, 74.5698, 'Asia/Bishkek'],
+  [38.5598, 68.787, 'Asia/Dushanbe'],
+  [37.9601, 58.3261, 'Asia/Ashgabat'],
+  [35.6892, 51.389, 'Asia/Tehran'],
+  [29.5918, 52.5837, 'Asia/Tehran'],
+  [33.3152, 44.3661, 'Asia/Baghdad'],
+  [36.1911, 44.0092, 'Asia/Baghdad'],
+  [24.7136, 46.6753, 'Asia/Riyadh'],
+  [21.4858, 39.1925, 'Asia/Riyadh'],
+  [25.2048, 55.2708, 'Asia/Dubai'],
+  [23.588, 58.3829, 'Asia/Muscat'],
+  [25.2854, 51.531, 'Asia/Qatar'],
+  [26.2285, 50.586, 'Asia/Bahrain'],
+  [29.3759, 47.9774, 'Asia/Kuwait'],
+  [15.3694, 44.191, 'Asia/Aden'],
+  [31.7683, 35.2137, 'Asia/Jerusalem'],
+  [32.0853, 34.7818, 'Asia/Jerusalem'],
+  [31.9454, 35.9284, 'Asia/Amman'],
+  [33.5138, 36.2765, 'Asia/Damascus'],
+  [33.8938, 35.5018, 'Asia/Beirut'],
+  [41.0082, 28.9784, 'Europe/Istanbul'],
+  [39.9334, 32.8597, 'Europe/Istanbul'],
+  [38.4237, 27.1428, 'Europe/Istanbul'],
+  [37.0, 35.3213, 'Europe/Istanbul'],
+  [40.4093, 49.8671, 'Asia/Baku'],
+  [41.7151, 44.8271, 'Asia/Tbilisi'],
+  [40.1792, 44.4991, 'Asia/Yerevan'],
+  [35.1856, 33.3823, 'Asia/Nicosia'],
+  // Russia
+  [55.7558, 37.6173, 'Europe/Moscow'],
+  [59.9311, 30.3609, 'Europe/Moscow'],
+  [54.7104, 20.4522, 'Europe/Kaliningrad'],
+  [53.1959, 50.1008, 'Europe/Samara'],
+  [56.8389, 60.6057, 'Asia/Yekaterinburg'],
+  [54.9885, 73.3242, 'Asia/Omsk'],
+  [55.0084, 82.9357, 'Asia/Novosibirsk'],
+  [56.0153, 92.8932, 'Asia/Krasnoyarsk'],
+  [52.2869, 104.305, 'Asia/Irkutsk'],
+  [62.0355, 129.6755, 'Asia/Yakutsk'],
+  [43.1155, 131.8855, 'Asia/Vladivostok'],
+  [59.5612, 150.8301, 'Asia/Magadan'],
+  [53.0452, 158.6483, 'Asia/Kamchatka'],
+  [69.3498, 88.2011, 'Asia/Krasnoyarsk'],
+  [64.7337, 177.5089, 'Asia/Anadyr'],
+  // Europe
+  [51.5074, -0.1278, 'Europe/London'],
+  [53.4808, -2.2426, 'Europe/London'],
+  [55.9533, -3.1883, 'Europe/London'],
+  [53.3498, -6.2603, 'Europe/Dublin'],
+  [38.7223, -9.1393, 'Europe/Lisbon'],
+  [41.1579, -8.6291, 'Europe/Lisbon'],
+  [40.4168, -3.7038, 'Europe/Madrid'],
+  [41.3851, 2.1734, 'Europe/Madrid'],
+  [37.3891, -5.9845, 'Europe/Madrid'],
+  [48.8566, 2.3522, 'Europe/Paris'],
+  [43.2965, 5.3698, 'Europe/Paris'],
+  [44.8378, -0.5792, 'Europe/Paris'],
+  [50.8503, 4.3517, 'Europe/Brussels'],
+  [52.3676, 4.9041, 'Europe/Amsterdam'],
+  [49.6116, 6.1319, 'Europe/Luxembourg'],
+  [52.52, 13.405, 'Europe/Berlin'],
+  [48.1351, 11.582, 'Europe/Berlin'],
+  [53.5511, 9.9937, 'Europe/Berlin'],
+  [50.9375, 6.9603, 'Europe/Berlin'],
+  [47.3769, 8.5417, 'Europe/Zurich'],
+  [48.2082, 16.3738, 'Europe/Vienna'],
+  [41.9028, 12.4964, 'Europe/Rome'],
+  [45.4642, 9.19, 'Europe/Rome'],
+  [38.1157, 13.3615, 'Europe/Rome'],
+  [35.8989, 14.5146, 'Europe/Malta'],
+  [55.6761, 12.5683, 'Europe/Copenhagen'],
+  [59.9139, 10.7522, 'Europe/Oslo'],
+  [60.3913, 5.3221, 'Europe/Oslo'],
+  [69.6492, 18.9553, 'Europe/Oslo'],
+  [59.3293, 18.0686, 'Europe/Stockholm'],
+  [63.8258, 20.263, 'Europe/Stockholm'],
+  [60.1699, 24.9384, 'Europe/Helsinki'],
+  [65.0121, 25.4651, 'Europe/Helsinki'],
+  [64.1466, -21.9426, 'Atlantic/Reykjavik'],
+  [59.437, 24.7536, 'Europe/Tallinn'],
+  [56.9496, 24.1052, 'Europe/Riga'],
+  [54.6872, 25.2797, 'Europe/Vilnius'],
+  [52.2297, 21.0122, 'Europe/Warsaw'],
+  [50.0647, 19.945, 'Europe/Warsaw'],
+  [50.0755, 14.4378, 'Europe/Prague'],
+  [48.1486, 17.1077, 'Europe/Bratislava'],
+  [47.4979, 19.0402, 'Europe/Budapest'],
+  [46.0569, 14.5058, 'Europe/Ljubljana'],
+  [45.815, 15.9819, 'Europe/Zagreb'],
+  [43.8563, 18.4131, 'Europe/Sarajevo'],
+  [44.7866, 20.4489, 'Europe/Belgrade'],
+  [42.4304, 19.2594, 'Europe/Podgorica'],
+  [41.9981, 21.4254, 'Europe/Skopje'],
+  [41.3275, 19.8187, 'Europe/Tirane'],
+  [37.9838, 23.7275, 'Europe/Athens'],
+  [40.6401, 22.9444, 'Europe/Athens'],
+  [42.6977, 23.3219, 'Europe/Sofia'],
+  [44.4268, 26.1025, 'Europe/Bucharest'],
+  [47.0105, 28.8638, 'Europe/Chisinau'],
+  [50.4501, 30.5234, 'Europe/Kyiv'],
+  [49.8397, 24.0297, 'Europe/Kyiv'],
+  [46.4825, 30.7233, 'Europe/Kyiv'],
+  [53.9006, 27.559, 'Europe/Minsk'],
+  // Africa
+  [30.0444, 31.2357, 'Africa/Cairo'],
+  [25.6872, 32.6396, 'Africa/Cairo'],
+  [32.8872, 13.1913, 'Africa/Tripoli'],
+  [36.8065, 10.1815, 'Africa/Tunis'],
+  [36.7538, 3.0588, 'Africa/Algiers'],
+  [27.8743, -0.2939, 'Africa/Algiers'],
+  [33.5731, -7.5898, 'Africa/Casablanca'],
+  [34.0209, -6.8416, 'Africa/Casablanca'],
+  [27.1536, -13.2033, 'Africa/El_Aaiun'],
+  [14.7167, -17.4677, 'Africa/Dakar'],
+  [12.6392, -8.0029, 'Africa/Bamako'],
+  [18.0735, -15.9582, 'Africa/Nouakchott'],
+  [12.3714, -1.5197, 'Africa/Ouagadougou'],
+  [13.5116, 2.1254, 'Africa/Niamey'],
+  [5.6037, -0.187, 'Africa/Accra'],
+  [5.36, -4.0083, 'Africa/Abidjan'],
+  [6.3156, -10.8074, 'Africa/Monrovia'],
+  [6.5244, 3.3792, 'Africa/Lagos'],
+  [9.0765, 7.3986, 'Africa/Lagos'],
+  [12.0022, 8.592, 'Africa/Lagos'],
+  [12.1348, 15.0557, 'Africa/Ndjamena'],
+  [3.848, 11.5021, 'Africa/Douala'],
+  [4.3947, 18.5582, 'Africa/Bangui'],
+  [-4.4419, 15.2663, 'Africa/Kinshasa'],
+  [-11.6647, 27.4794, 'Africa/Lubumbashi'],
+  [0.5143, 25.1909, 'Africa/Lubumbashi'],
+  [-8.839, 13.2894, 'Africa/Luanda'],
+  [15.5007, 32.5599, 'Africa/Khartoum'],
+  [4.8594, 31.5713, 'Africa/Juba'],
+  [9.03, 38.74, 'Africa/Addis_Ababa'],
+  [15.3229, 38.9251, 'Africa/Asmara'],
+  [11.5721, 43.1456, 'Africa/Djibouti'],
+  [2.0469, 45.3182, 'Africa/Mogadishu'],
+  [-1.2921, 36.8219, 'Africa/Nairobi'],
+  [0.3476, 32.5825, 'Africa/Kampala'],
+  [-1.9441, 30.0619, 'Africa/Kigali'],
+  [-6.7924, 39.2083, 'Africa/Dar_es_Salaam'],
+  [-15.3875, 28.3228, 'Africa/Lusaka'],
+  [-13.9626, 33.7741, 'Africa/Blantyre'],
+  [-17.8252, 31.0335, 'Africa/Harare'],
+  [-25.9692, 32.5732, 'Africa/Maputo'],
+  [-22.5609, 17.0658, 'Africa/Windhoek'],
+  [-24.6282, 25.9231, 'Africa/Gaborone'],
+  [-26.2041, 28.0473, 'Africa/Johannesburg'],
+  [-33.9249, 18.4241, 'Africa/Johannesburg'],
+  [-29.8587, 31.0218, 'Africa/Johannesburg'],
+  [-18.8792, 47.5079, 'Indian/Antananarivo'],
+  [-20.1609, 57.5012, 'Indian/Mauritius'],
+  [-4.6796, 55.492, 'Indian/Mahe'],
+  [-21.1151, 55.5364, 'Indian/Reunion'],
+  // North America
+  [40.7128, -74.006, 'America/New_York'],
+  [42.3601, -71.0589, 'America/New_York'],
+  [38.9072, -77.0369, 'America/New_York'],
+  [33.749, -84.388, 'America/New_York'],
+  [25.7617, -80.1918, 'America/New_York'],
+  [42.3314, -83.0458, 'America/Detroit'],
+  [39.7684, -86.1581, 'America/Indiana/Indianapolis'],
+  [41.8781, -87.6298, 'America/Chicago'],
+  [29.7604, -95.3698, 'America/Chicago'],
+  [32.7767, -96.797, 'America/Chicago'],
+  [44.9778, -93.265, 'America/Chicago'],
+  [29.9511, -90.0715, 'America/Chicago'],
+  [39.0997, -94.5786, 'America/Chicago'],
+  [39.7392, -104.9903, 'America/Denver'],
+  [40.7608, -111.891, 'America/Denver'],
+  [45.7833, -108.5007, 'America/Denver'],
+  [33.4484, -112.074, 'America/Phoenix'],
+  [34.0522, -118.2437, 'America/Los_Angeles'],
+  [37.7749, -122.4194, 'America/Los_Angeles'],
+  [47.6062, -122.3321, 'America/Los_Angeles'],
+  [36.1699, -115.1398, 'America/Los_Angeles'],
+  [45.5152, -122.6784, 'America/Los_Angeles'],
+  [61.2181, -149.9003, 'America/Anchorage'],
+  [64.8378, -147.7164, 'America/Anchorage'],
+  [21.3069, -157.8583, 'Pacific/Honolulu'],
+  [43.6532, -79.3832, 'America/Toronto'],
+  [45.5017, -73.5673, 'America/Toronto'],
+  [46.8139, -71.208, 'America/Toronto'],
+  [49.8951, -97.1384, 'America/Winnipeg'],
+  [50.4452, -104.6189, 'America/Regina'],
+  [51.0447, -114.0719, 'America/Edmonton'],
+  [53.5461, -113.4938, 'America/Edmonton'],
+  [49.2827, -123.1207, 'America/Vancouver'],
+  [60.7212, -135.0568, 'America/Whitehorse'],
+  [62.454, -114.3718, 'America/Yellowknife'],
+  [63.7467, -68.517, 'America/Iqaluit'],
+  [44.6488, -63.5752, 'America/Halifax'],
+  [47.5615, -52.7126, 'America/St_Johns'],
+  [64.1814, -51.6941, 'America/Nuuk'],
+  [19.4326, -99.1332, 'America/Mexico_City'],
+  [20.6597, -103.3496, 'America/Mexico_City'],
+  [25.6866, -100.3161, 'America/Monterrey'],
+  [21.1619, -86.8515, 'America/Cancun'],
+  [29.0729, -110.9559, 'America/Hermosillo'],
+  [32.5149, -117.0382, 'America/Tijuana'],
+  [14.6349, -90.5069, 'America/Guatemala'],
+  [13.6929, -89.2182, 'America/El_Salvador'],
+  [14.0723, -87.1921, 'America/Tegucigalpa'],
+  [12.1364, -86.2514, 'America/Managua'],
+  [9.9281, -84.0907, 'America/Costa_Rica'],
+  [8.9824, -79.5199, 'America/Panama'],
+  [23.1136, -82.3666, 'America/Havana'],
+  [18.1096, -77.2975, 'America/Jamaica'],
+  [18.5944, -72.3074, 'America/Port-au-Prince'],
+  [18.4861, -69.9312, 'America/Santo_Domingo'],
+  [18.4655, -66.1057, 'America/Puerto_Rico'],
+  [10.6918, -61.2225, 'America/Port_of_Spain'],
+  [13.1132, -59.5988, 'America/Barbados'],
+  // South America
+  [4.711, -74.0721, 'America/Bogota'],
+  [10.4806, -66.9036, 'America/Caracas'],
+  [6.8013, -58.1551, 'America/Guyana'],
+  [5.852, -55.2038, 'America/Paramaribo'],
+  [4.9224, -52.3135, 'America/Cayenne'],
+  [-0.1807, -78.4678, 'America/Guayaquil'],
+  [-12.0464, -77.0428, 'America/Lima'],
+  [-16.4897, -68.1193, 'America/La_Paz'],
+  [-23.5505, -46.6333, 'America/Sao_Paulo'],
+  [-22.9068, -43.1729, 'America/Sao_Paulo'],
+  [-15.7975, -47.8919, 'America/Sao_Paulo'],
+  [-30.0346, -51.2177, 'America/Sao_Paulo'],
+  [-12.9714, -38.5014, 'America/Bahia'],
+  [-8.0476, -34.877, 'America/Recife'],
+  [-3.7319, -38.5267, 'America/Fortaleza'],
+  [-1.4558, -48.4902, 'America/Belem'],
+  [-3.119, -60.0217, 'America/Manaus'],
+  [-8.7612, -63.9004, 'America/Porto_Velho'],
+  [-15.601, -56.0974, 'America/Cuiaba'],
+  [-9.9754, -67.8249, 'America/Rio_Branco'],
+  [-25.2637, -57.5759, 'America/Asuncion'],
+  [-34.9011, -56.1645, 'America/Montevideo'],
+  [-34.6037, -58.3816, 'America/Argentina/Buenos_Aires'],
+  [-31.4201, -64.1888, 'America/Argentina/Cordoba'],
+  [-32.8895, -68.8458, 'America/Argentina/Mendoza'],
+  [-54.8019, -68.303, 'America/Argentina/Ushuaia'],
+  [-33.4489, -70.6693, 'America/Santiago'],
+  [-41.4693, -72.9424, 'America/Santiago'],
+  [-23.6509, -70.3975, 'America/Santiago'],
+  [-51.7, -57.85, 'Atlantic/Stanley'],
+  // Oceania
+  [-33.8688, 151.2093, 'Australia/Sydney'],
+  [-35.2809, 149.13, 'Australia/Sydney'],
+  [-37.8136, 144.9631, 'Australia/Melbourne'],
+  [-27.4698, 153.0251, 'Australia/Brisbane'],
+  [-19.259, 146.8169, 'Australia/Brisbane'],
+  [-34.9285, 138.6007, 'Australia/Adelaide'],
+  [-12.4634, 130.8456, 'Australia/Darwin'],
+  [-23.698, 133.8807, 'Australia/Darwin'],
+  [-31.9505, 115.8605, 'Australia/Perth'],
+  [-20.3103, 118.5779, 'Australia/Perth'],
+  [-42.8821, 147.3272, 'Australia/Hobart'],
+  [-36.8485, 174.7633, 'Pacific/Auckland'],
+  [-41.2865, 174.7762, 'Pacific/Auckland'],
+  [-43.532, 172.6306, 'Pacific/Auckland'],
+  [-9.4438, 147.1803, 'Pacific/Port_Moresby'],
+  [-9.4456, 159.9729, 'Pacific/Guadalcanal'],
+  [-22.2758, 166.458, 'Pacific/Noumea'],
+  [-17.7134, 178.065, 'Pacific/Fiji'],
+  [-13.8333, -171.7667, 'Pacific/Apia'],
+  [-21.1393, -175.2049, 'Pacific/Tongatapu'],
+  [-17.5516, -149.5585, 'Pacific/Tahiti'],
+  [13.4443, 144.7937, 'Pacific/Guam'],
+  [7.0897, 171.3803, 'Pacific/Majuro'],
+  [1.4518, 172.9717, 'Pacific/Tarawa'],
+  // Atlantic
+  [37.7412, -25.6756, 'Atlantic/Azores'],
+  [32.6669, -16.9241, 'Atlantic/Madeira'],
+  [28.1235, -15.4363, 'Atlantic/Canary'],
+  [14.933, -23.5133, 'Atlantic/Cape_Verde'],
+  [32.2949, -64.782, 'Atlantic/Bermuda'],
+];
+
+// Nautical zone for the open sea.  Etc/GMT names use inverted signs:
+// UTC+5 is "Etc/GMT-5".
+function nauticalZone(lon) {
+  const offset = Math.max(-12, Math.min(12, Math.round(Number(lon) / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return offset > 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`;
+}
+
+// Best-effort IANA time zone for a coordinate
+function lookupTimeZone(lat, lon) {
+  const point = { lat: Number(lat), lon: Number(lon) };
+  let best = null;
+  let bestDistance = Infinity;
+  for (const [refLat, refLon, zone] of REFERENCE_POINTS) {
+    const d = distanceKm(point, { lat: refLat, lon: refLon });
+    if (d < bestDistance) {
+      best = zone;
+      bestDistance = d;
+    }
+  }
+  return bestDistance <= MAX_REFERENCE_KM ? best : nauticalZone(point.lon);
+}
+
+function isValidTimeZone(tz) {
+  if (typeof tz !== 'string' || tz === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Today's ISO date (YYYY-MM-DD) in the given IANA time zone
+function todayIn(tz) {
+  return new Date().toLocaleDateString('en-CA', { timeZone: tz });
+}
+
+// Offset of `tz` from UTC (ms) at the given instant
+function zoneOffsetMs(tz, instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(instant));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+// Instant (ms since the epoch) at which `date` (YYYY-MM-DD) begins in `tz`
+function startOfDay(date, tz) {
+  const [y, m, d] = date.split('-').map(Number);
+  const midnight = Date.UTC(y, m - 1, d);
+  // Take the offset again at the first estimate in case a DST change
+  // falls between it and the UTC midnight used as a guess
+  const estimate = midnight - zoneOffsetMs(tz, midnight);
+  return midnight - zoneOffsetMs(tz, estimate);
+}
+
+// Instant at which `date` ends in `tz`, i.e. the start of the next day
+function endOfDay(date, tz) {
+  const [y, m, d] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  return startOfDay(next, tz);
+}
+
+module.exports = {
+  lookupTimeZone,
+  isValidTimeZone,
+  todayIn,
+  startOfDay,
+  endOfDay,
+  REFERENCE_POINTS,
+};
@@ -0,0 +1,181 @@
+const http   = require('http');
+const https  = require('https');
+const crypto = require('crypto');
+const dns    = require('dns');
+const net    = require('net');
+
+/*
+ * Webhook delivery: POSTs a JSON payload to a URL, retrying with
+ * exponential backoff.  Network errors, timeouts, 429 and 5xx responses
+ * are retried; any other non-2xx response is treated as final.  When
+ * WEBHOOK_SECRET is set every request carries
+ * `X-Weatherio-Signature: sha256=<HMAC of the body>` so receivers can
+ * check where it came from.
+ *
+ * Rule webhooks are entered by editors, so targets on loopback, private,
+ * link-local and other non-public addresses are refused, both for IP
+ * literals in the URL and for whatever a host name resolves to when
+ * connecting (which also covers DNS rebinding).  Host names listed in
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated, e.g. "localhost" for
+ * tools/webhook-receiver.js) are exempt, as are deliveries marked
+ * `trusted` (URLs the operator configured).
+ */
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Address ranges no webhook may reach
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+// Whether an IP address is one a webhook may be sent to
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  // IPv4-mapped IPv6 ("::ffff:127.0.0.1") is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return !BLOCKED.check(mapped[1], 'ipv4');
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Host name of a URL, lower-cased and without IPv6 brackets
+function hostOf(url) {
+  return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+// Check a webhook URL before saving or using it.  Returns an error
+// message, or null when the URL may be used.  Host names are resolved
+// only when connecting.
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'must be an http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'must be an http(s) URL';
+  const host = hostOf(url);
+  if (ALLOWED_HOSTS.has(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') ||
+      (net.isIP(host) && !isPublicAddress(host))) {
+    return 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup for webhook requests that fails instead of returning a
+// blocked address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const allowed = addresses.filter(a => isPublicAddress(a.address));
+    if (allowed.length === 0) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      callback(blocked);
+      return;
+    }
+    if (options.all) callback(null, allowed);
+    else callback(null, allowed[0].address, allowed[0].family);
+  });
+}
+
+// POST once.  Resolves with { ok, statusCode?, error?, retry } and
+// never rejects.
+function postOnce(url, body, headers, timeoutMs, trusted) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise(resolve => {
+    const refused = !trusted && checkWebhookUrl(url);
+    if (refused) {
+      resolve({ ok: false, error: `URL ${refused}`, retry: false });
+      return;
+    }
+    const exempt = trusted || ALLOWED_HOSTS.has(hostOf(new URL(url)));
+    let req;
+    try {
+      req = client.request(url, {
+        method: 'POST',
+        lookup: exempt ? undefined : publicLookup,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'weatherio-server',
+          ...headers,
+        },
+      }, res => {
+        // Drain the response; only the status matters
+        res.resume();
+        res.on('end', () => {
+          const ok = res.statusCode >= 200 && res.statusCode < 300;
+          resolve({
+            ok,
+            statusCode: res.statusCode,
+            error: ok ? undefined : `HTTP ${res.statusCode}`,
+            retry: res.statusCode === 429 || res.statusCode >= 500,
+          });
+        });
+      });
+    } catch (err) {
+      resolve({ ok: false, error: err.message, retry: false });
+      return;
+    }
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`timed out after ${timeoutMs} ms`));
+    });
+    req.on('error', err => resolve({ ok: false, error: err.message, retry: err.code !== 'EBLOCKEDADDRESS' }));
+    req.end(body);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Deliver `payload` to `url`.  `event` names it in the X-Weatherio-Event
+ * header.  With `trusted` the address checks are skipped.
+ * `onAttempt(result)` is called after every attempt with
+ * { attempts, ok, statusCode?, error? }.  Resolves with the last result
+ * once delivered or out of attempts; never rejects.
+ */
+async function deliverWebhook(url, event, payload, {
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS,
+  timeoutMs = TIMEOUT_MS,
+  trusted = false,
+  onAttempt = () => {},
+} = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { 'X-Weatherio-Event': event };
+  if (process.env.WEBHOOK_SECRET) {
+    const digest = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+    headers['X-Weatherio-Signature'] = `sha256=${digest}`;
+  }
+  let result;
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const outcome = await postOnce(url, body, headers, timeoutMs, trusted);
+    result = { attempts, ok: outcome.ok, statusCode: outcome.statusCode, error: outcome.error };
+    onAttempt(result);
+    if (outcome.ok || !outcome.retry) break;
+    // 1 s, 2 s, 4 s, ... between attempts
+    if (attempts < maxAttempts) await sleep(retryBaseMs * 2 ** (attempts - 1));
+  }
+  return result;
+}
+
+module.exports = { deliverWebhook, checkWebhookUrl };
@@ -0,0 +1,347 @@
+// Override search page for Weather.io
+//
+// Lists override records from GET /overrides with filters for a date
+// range, an area, status, state and author, plus sorting and paging.
+// Uses the session token stored by the main page, so reads work even
+// when the server requires authentication for them.
+//
+// Reviewers also get the review queue: every proposed version next to
+// what is currently applied, with buttons to approve or reject it.
+
+(function () {
+  const form = document.getElementById("filter-form");
+  const fromInput = document.getElementById("filter-from");
+  const toInput = document.getElementById("filter-to");
+  const minLatInput = document.getElementById("filter-min-lat");
+  const maxLatInput = document.getElementById("filter-max-lat");
+  const minLonInput = document.getElementById("filter-min-lon");
+  const maxLonInput = document.getElementById("filter-max-lon");
+  const statusSelect = document.getElementById("filter-status");
+  const stateSelect = document.getElementById("filter-state");
+  const authorInput = document.getElementById("filter-author");
+  const sortSelect = document.getElementById("filter-sort");
+  const orderSelect = document.getElementById("filter-order");
+  const limitSelect = document.getElementById("filter-limit");
+  const exportLink = document.getElementById("export-link");
+  const statusEl = document.getElementById("status");
+  const authUserEl = document.getElementById("auth-user");
+  const resultsTable = document.getElementById("results");
+  const resultsBody = document.getElementById("results-body");
+  const prevBtn = document.getElementById("prev-page");
+  const nextBtn = document.getElementById("next-page");
+  const pageInfo = document.getElementById("page-info");
+  const reviewQueue = document.getElementById("review-queue");
+  const reviewList = document.getElementById("review-list");
+  const reviewStatus = document.getElementById("review-status");
+  const reviewRefresh = document.getElementById("review-refresh");
+
+  // Roles in increasing order of privilege, as on the server
+  const ROLES = ["viewer", "editor", "reviewer", "admin"];
+
+  let offset = 0;
+
+  function authHeaders() {
+    const token = localStorage.getItem("authToken");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  function showStatus(msg, type) {
+    statusEl.textContent = msg;
+    statusEl.style.color = type === "error" ? "#e74c3c" : "#2c3e50";
+  }
+
+  // Resolves with the signed-in user, or null
+  async function showUser() {
+    if (!localStorage.getItem("authToken")) return null;
+    try {
+      const resp = await fetch("/auth/me", { headers: authHeaders() });
+      if (!resp.ok) return null;
+      const data = await resp.json();
+      authUserEl.textContent = `${data.user.username} (${data.user.role})`;
+      return data.user;
+    } catch (err) {
+      console.error(err);
+      return null;
+    }
+  }
+
+  // Query parameters for the current form state
+  function buildParams() {
+    const params = new URLSearchParams();
+    if (fromInput.value) params.set("from", fromInput.value);
+    if (toInput.value) params.set("to", toInput.value);
+    const box = [minLonInput, minLatInput, maxLonInput, maxLatInput].map(
+      (input) => input.value.trim()
+    );
+    if (box.some((v) => v !== "")) params.set("bbox", box.join(","));
+    params.set("status", statusSelect.value);
+    if (stateSelect.value) params.set("state", stateSelect.value);
+    if (authorInput.value.trim()) params.set("author", authorInput.value.trim());
+    params.set("sort", `${orderSelect.value}${sortSelect.value}`);
+    params.set("limit", limitSelect.value);
+    params.set("offset", String(offset));
+    return params;
+  }
+
+  // The export endpoint filters by date range and status only
+  function updateExportLink() {
+    const params = new URLSearchParams({ format: "csv" });
+    if (fromInput.value) params.set("from", fromInput.value);
+    if (toInput.value) params.set("to", toInput.value);
+    if (statusSelect.value !== "active") params.set("history", "1");
+    exportLink.href = `/overrides/export?${params.toString()}`;
+  }
+
+  function describeValues(values) {
+    return Object.keys(values || {})
+      .map((key) => `${key}: ${values[key]}`)
+      .join(", ");
+  }
+
+  function describeOverride(record) {
+    const parts = [];
+    const day = describeValues(record.newValues);
+    if (day) parts.push(day);
+    const hourValues = record.hourValues || {};
+    Object.keys(hourValues)
+      .sort((a, b) => a - b)
+      .forEach((hour) => {
+        const label = `${String(hour).padStart(2, "0")}:00`;
+        parts.push(`${label} → ${describeValues(hourValues[hour])}`);
+      });
+    return parts.join("; ");
+  }
+
+  function renderResults(data) {
+    resultsBody.textContent = "";
+    data.items.forEach((record) => {
+      const row = document.createElement("tr");
+      if (!record.active) row.classList.add("inactive");
+      const cells = [
+        record.date,
+        record.lat,
+        record.lon,
+        `v${record.version}${record.active ? "" : ` (${record.state || "inactive"})`}`,
+        describeOverride(record),
+        record.updatedBy,
+        new Date(record.updatedAt).toLocaleString(),
+      ];
+      cells.forEach((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      resultsBody.appendChild(row);
+    });
+    resultsTable.classList.toggle("hidden", data.items.length === 0);
+
+    const first = data.total === 0 ? 0 : data.offset + 1;
+    const last = data.offset + data.items.length;
+    pageInfo.textContent = `${first}–${last} of ${data.total}`;
+    prevBtn.disabled = data.offset === 0;
+    nextBtn.disabled = last >= data.total;
+    showStatus(data.total === 0 ? "No overrides match these filters." : "", "info");
+  }
+
+  async function search() {
+    updateExportLink();
+    showStatus("Loading...", "info");
+    try {
+      const resp = await fetch(`/overrides?${buildParams().toString()}`, {
+        headers: authHeaders(),
+      });
+      const data = await resp.json();
+      if (resp.status === 401) {
+        showStatus("Log in on the main page to view overrides.", "error");
+        return;
+      }
+      if (!resp.ok) {
+        const fields = data.fields
+          ? Object.keys(data.fields)
+              .map((field) => `${field} ${data.fields[field]}`)
+              .join("; ")
+          : "";
+        throw new Error(fields || data.error || "Search failed");
+      }
+      renderResults(data);
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || "Search failed", "error");
+    }
+  }
+
+  // Review queue
+
+  function showReviewStatus(msg, type) {
+    reviewStatus.textContent = msg;
+    reviewStatus.style.color = type === "error" ? "#e74c3c" : "#2c3e50";
+  }
+
+  function keyParams(record) {
+    return new URLSearchParams({ lat: record.lat, lon: record.lon, date: record.date });
+  }
+
+  // The applied override of a proposal's day and its revision tag
+  async function fetchCurrent(record) {
+    const resp = await fetch(`/override?${keyParams(record).toString()}`, {
+      headers: authHeaders(),
+    });
+    if (!resp.ok) throw new Error("Failed to load the current override");
+    const override = await resp.json();
+    return {
+      override: override.version ? override : null,
+      etag: resp.headers.get("ETag"),
+    };
+  }
+
+  async function review(record, action, comment, etag) {
+    const headers = { ...authHeaders(), "Content-Type": "application/json" };
+    if (etag) headers["If-Match"] = etag;
+    const resp = await fetch(`/override/${action}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        lat: record.lat,
+        lon: record.lon,
+        date: record.date,
+        version: record.version,
+        comment,
+      }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      showReviewStatus(
+        `v${record.version} for ${record.date} ${action === "approve" ? "approved" : "rejected"}.`,
+        "info"
+      );
+    } else if (resp.status === 409) {
+      showReviewStatus(
+        data.code === "conflict"
+          ? "The override changed while you were reviewing; look again before approving."
+          : data.error,
+        "error"
+      );
+    } else {
+      const fields = data.fields
+        ? Object.keys(data.fields)
+            .map((field) => `${field} ${data.fields[field]}`)
+            .join("; ")
+        : "";
+      showReviewStatus(fields || data.error || "Review failed", "error");
+      return;
+    }
+    loadQueue(true);
+    search();
+  }
+
+  function renderProposal(record, current) {
+    const item = document.createElement("li");
+
+    const meta = document.createElement("div");
+    meta.className = "review-meta";
+    meta.textContent =
+      `${record.date} at ${record.lat}, ${record.lon} · v${record.version} ` +
+      `by ${record.updatedBy}, ${new Date(record.updatedAt).toLocaleString()}`;
+    item.appendChild(meta);
+
+    const proposed = document.createElement("div");
+    proposed.textContent = `Proposed: ${describeOverride(record) || "(no values)"}`;
+    item.appendChild(proposed);
+
+    const applied = document.createElement("div");
+    applied.textContent = current.override
+      ? `Current (v${current.override.version}): ${describeOverride(current.override)}`
+      : "Current: no override";
+    item.appendChild(applied);
+
+    const currentVersion = current.override ? current.override.version : null;
+    const isStale = (record.basedOn || null) !== currentVersion;
+    if (isStale) {
+      const stale = document.createElement("div");
+      stale.className = "review-stale";
+      stale.textContent = record.basedOn
+        ? `Proposed against v${record.basedOn}; the override has changed since, so it can only be rejected.`
+        : "Proposed when there was no override; one has been applied since, so it can only be rejected.";
+      item.appendChild(stale);
+    }
+
+    const reviewForm = document.createElement("form");
+    const comment = document.createElement("input");
+    comment.type = "text";
+    comment.maxLength = 500;
+    comment.placeholder = "Comment (required to reject)";
+    const approveBtn = document.createElement("button");
+    approveBtn.type = "submit";
+    approveBtn.textContent = "Approve";
+    const rejectBtn = document.createElement("button");
+    rejectBtn.type = "button";
+    rejectBtn.className = "reject";
+    rejectBtn.textContent = "Reject";
+    // The server refuses to approve a stale proposal
+    approveBtn.classList.toggle("hidden", isStale);
+    reviewForm.append(comment, approveBtn, rejectBtn);
+    reviewForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      review(record, "approve", comment.value.trim(), current.etag);
+    });
+    rejectBtn.addEventListener("click", () => {
+      if (!comment.value.trim()) {
+        comment.setCustomValidity("Say why the change is rejected.");
+        comment.reportValidity();
+        return;
+      }
+      review(record, "reject", comment.value.trim());
+    });
+    comment.addEventListener("input", () => comment.setCustomValidity(""));
+    item.appendChild(reviewForm);
+    return item;
+  }
+
+  // Load the proposals, oldest first.  `keepStatus` leaves the message
+  // of the review that triggered the reload.
+  async function loadQueue(keepStatus) {
+    if (!keepStatus) showReviewStatus("Loading...", "info");
+    try {
+      const params = new URLSearchParams({ state: "proposed", sort: "updatedAt", limit: "100" });
+      const resp = await fetch(`/overrides?${params.toString()}`, { headers: authHeaders() });
+      if (!resp.ok) throw new Error("Failed to load the review queue");
+      const data = await resp.json();
+      const currents = await Promise.all(data.items.map(fetchCurrent));
+      reviewList.textContent = "";
+      data.items.forEach((record, i) => {
+        reviewList.appendChild(renderProposal(record, currents[i]));
+      });
+      if (!keepStatus) {
+        showReviewStatus(data.total === 0 ? "No changes are waiting for review." : "", "info");
+      }
+    } catch (err) {
+      console.error(err);
+      showReviewStatus(err.message || "Failed to load the review queue", "error");
+    }
+  }
+
+  reviewRefresh.addEventListener("click", () => loadQueue(false));
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    offset = 0;
+    search();
+  });
+
+  prevBtn.addEventListener("click", () => {
+    offset = Math.max(0, offset - Number(limitSelect.value));
+    search();
+  });
+
+  nextBtn.addEventListener("click", () => {
+    offset += Number(limitSelect.value);
+    search();
+  });
+
+  showUser().then((user) => {
+    if (!user || ROLES.indexOf(user.role) < ROLES.indexOf("reviewer")) return;
+    reviewQueue.classList.remove("hidden");
+    loadQueue(false);
+  });
+  search();
+})();
@@ -0,0 +1,419 @@
+// Multi-location dashboard for Weather.io
+//
+// Shows a grid of compact weather cards: one row per saved location,
+// one column per day (Today, Tomorrow, Day After), each computed in the
+// location's own time zone.  All cards come from a single
+// POST /weather/batch call, which also reports each day's override so
+// overridden cards carry a badge.  Which locations and days are shown
+// is the dashboard layout: kept on the server per user when logged in
+// (GET/PUT /dashboard/layout), otherwise in localStorage.  Units and
+// language follow the settings chosen on the main page.
+
+(function () {
+  const i18n = window.WeatherioI18n;
+  const units = window.WeatherioUnits;
+  const { t } = i18n;
+
+  const statusEl = document.getElementById("status");
+  const authUserEl = document.getElementById("auth-user");
+  const refreshBtn = document.getElementById("refresh-btn");
+  const grid = document.getElementById("dashboard-grid");
+  const layoutPanel = document.getElementById("layout-panel");
+  const layoutForm = document.getElementById("layout-form");
+  const layoutLocations = document.getElementById("layout-locations");
+  const dayInputs = Array.from(layoutForm.querySelectorAll('input[name="day"]'));
+
+  // Day columns and their offset from today, as on the main page
+  const DAY_OFFSETS = { today: 0, tomorrow: 1, dayafter: 2 };
+  const MAX_LOCATIONS = 12;
+  // Cards are refetched this often; the server caches forecasts for
+  // as long anyway
+  const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+  let favorites = [];
+  let layout = null;
+  let currentUser = null;
+  // Batch results on screen, to match live override changes against
+  let shownCells = [];
+
+  function authHeaders() {
+    const token = localStorage.getItem("authToken");
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  function showStatus(msg, type) {
+    statusEl.textContent = msg;
+    statusEl.style.color = type === "error" ? "#e74c3c" : "#2c3e50";
+  }
+
+  // Units and language chosen on the main page
+  function applySettings() {
+    let settings = {};
+    try {
+      settings = JSON.parse(localStorage.getItem("settings") || "{}") || {};
+    } catch (e) {
+      settings = {};
+    }
+    units.setSystem(settings.units || "metric");
+    i18n.setLanguage(settings.language || "auto");
+    i18n.translatePage();
+  }
+
+  async function loadUser() {
+    if (!localStorage.getItem("authToken")) return;
+    try {
+      const resp = await fetch("/auth/me", { headers: authHeaders() });
+      if (!resp.ok) return;
+      const data = await resp.json();
+      currentUser = data.user;
+      authUserEl.textContent = `${currentUser.username} (${currentUser.role})`;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function loadFavorites() {
+    const resp = await fetch("/locations");
+    if (!resp.ok) throw new Error(t("error.load_dashboard"));
+    const data = await resp.json();
+    favorites = data.locations || [];
+  }
+
+  // The user's layout from the server, or the one kept in this browser,
+  // or every saved location (up to the limit) with all three days
+  async function loadLayout() {
+    const ids = favorites.map((fav) => fav.id);
+    if (currentUser) {
+      try {
+        const resp = await fetch("/dashboard/layout", { headers: authHeaders() });
+        if (resp.ok) {
+          layout = await resp.json();
+          return;
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    try {
+      const stored = JSON.parse(localStorage.getItem("dashboardLayout"));
+      if (stored && Array.isArray(stored.locations) && Array.isArray(stored.days)) {
+        layout = {
+          locations: stored.locations.filter((id) => ids.includes(id)),
+          days: stored.days.filter((day) => day in DAY_OFFSETS),
+        };
+        return;
+      }
+    } catch (e) {
+      // Fall through to the default
+    }
+    layout = { locations: ids.slice(0, MAX_LOCATIONS), days: Object.keys(DAY_OFFSETS) };
+  }
+
+  // ISO date of "today + offsetDays" in a time zone
+  function dateIn(tz, offsetDays) {
+    const today = new Date().toLocaleDateString("en-CA", { timeZone: tz || "UTC" });
+    const date = new Date(`${today}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offsetDays);
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Map codes to emoji icons (as on the main page)
+  function weatherCodeToIcon(code) {
+    if (code === 113) return "☀️";
+    if ([116, 119, 122].includes(code)) return "⛅";
+    if ([143, 248, 260].includes(code)) return "🌫️";
+    if (
+      [
+        176, 200, 263, 266, 281, 284, 293, 296, 299, 302, 305, 308, 311, 314,
+        353, 356, 359, 386, 389,
+      ].includes(code)
+    )
+      return "🌧️";
+    if (
+      [
+        179, 227, 230, 317, 320, 323, 326, 329, 332, 335, 338, 350, 368, 371,
+        374, 377, 392, 395,
+      ].includes(code)
+    )
+      return "❄️";
+    return "🌥️";
+  }
+
+  // A metric reading in the chosen units: "21.5°C", "64%", "12.0 mph"
+  function withUnit(field, value) {
+    const unit = units.unitFor(field);
+    const separator = ["C", "F", "pct"].includes(unit) ? "" : " ";
+    const number = i18n.formatNumber(units.toDisplay(field, value), units.digitsFor(field));
+    return `${number}${separator}${t(`unit.${unit}`)}`;
+  }
+
+  function addLine(parent, className, text) {
+    const line = document.createElement("div");
+    line.className = className;
+    line.textContent = text;
+    parent.appendChild(line);
+    return line;
+  }
+
+  function renderCard(result) {
+    const card = document.createElement("div");
+    card.className = "dash-card";
+    addLine(card, "dash-date", i18n.formatDate(result.date));
+    if (result.status !== 200) {
+      card.classList.add("failed");
+      addLine(card, "dash-error", result.status === 404 ? t("dashboard.no_data") : t("dashboard.error"));
+      card.title = result.error || "";
+      return card;
+    }
+    const weather = result.weather;
+    addLine(
+      card,
+      "dash-temp",
+      `${weatherCodeToIcon(weather.conditionCode)} ${withUnit("tempC", weather.tempC)}`
+    );
+    addLine(card, "dash-condition", weather.conditionText || "");
+    addLine(
+      card,
+      "dash-stats",
+      [
+        withUnit("humidityPct", weather.humidityPct),
+        withUnit("windKph", weather.windKph),
+        withUnit("precipMm", weather.precipMm),
+      ].join(" · ")
+    );
+    if (result.override) {
+      card.classList.add("overridden");
+      const badge = addLine(
+        card,
+        "dash-badge",
+        t("dashboard.override_badge", { version: result.override.version })
+      );
+      badge.title = t("dashboard.override_title", {
+        user: result.override.updatedBy,
+        when: i18n.formatDateTime(result.override.updatedAt),
+      });
+      if (result.override.expiresAt) {
+        badge.title += ` · ${t("history.until", {
+          when: i18n.formatDateTime(result.override.expiresAt),
+        })}`;
+      }
+    }
+    return card;
+  }
+
+  // Make a location the main page's current one and go there
+  function openOnMainPage(fav) {
+    localStorage.setItem(
+      "weatherLocation",
+      JSON.stringify({
+        id: fav.id,
+        name: fav.name,
+        lat: parseFloat(fav.lat),
+        lon: parseFloat(fav.lon),
+        tz: fav.tz,
+      })
+    );
+    window.location.href = "/";
+  }
+
+  async function loadDashboard() {
+    const rows = layout.locations
+      .map((id) => favorites.find((fav) => fav.id === id))
+      .filter(Boolean);
+    grid.textContent = "";
+    shownCells = [];
+    if (favorites.length === 0) {
+      showStatus(t("dashboard.no_locations"), "info");
+      return;
+    }
+    if (rows.length === 0 || layout.days.length === 0) {
+      showStatus(t("dashboard.empty"), "info");
+      return;
+    }
+    const requests = [];
+    rows.forEach((fav) => {
+      layout.days.forEach((day) => {
+        requests.push({
+          lat: fav.lat,
+          lon: fav.lon,
+          tz: fav.tz,
+          date: dateIn(fav.tz, DAY_OFFSETS[day]),
+        });
+      });
+    });
+    showStatus(t("status.loading"), "info");
+    let results;
+    try {
+      const resp = await fetch("/weather/batch", {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({ requests }),
+      });
+      if (!resp.ok) throw new Error(t("error.load_dashboard"));
+      results = (await resp.json()).results;
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.load_dashboard"), "error");
+      return;
+    }
+
+    grid.style.setProperty("--days", String(layout.days.length));
+    addLine(grid, "dash-corner", "");
+    layout.days.forEach((day) => addLine(grid, "dash-day", t(`date.${day}`)));
+    rows.forEach((fav, row) => {
+      const name = document.createElement("button");
+      name.type = "button";
+      name.className = "dash-location link-button";
+      name.textContent = fav.name;
+      name.title = t("dashboard.open_title", { name: fav.name });
+      name.addEventListener("click", () => openOnMainPage(fav));
+      grid.appendChild(name);
+      layout.days.forEach((day, column) => {
+        const result = results[row * layout.days.length + column];
+        grid.appendChild(renderCard(result));
+        shownCells.push(result);
+      });
+    });
+    showStatus(t("dashboard.updated", { when: i18n.formatDateTime(Date.now()) }), "info");
+  }
+
+  // Layout editor: every saved location with a checkbox, shown ones
+  // first in their dashboard order, and the day checkboxes
+  function renderLayoutForm() {
+    const ordered = layout.locations
+      .map((id) => favorites.find((fav) => fav.id === id))
+      .filter(Boolean)
+      .concat(favorites.filter((fav) => !layout.locations.includes(fav.id)));
+    layoutLocations.textContent = "";
+    ordered.forEach((fav) => {
+      const item = document.createElement("li");
+      item.dataset.id = fav.id;
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = layout.locations.includes(fav.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${fav.name}`));
+      item.appendChild(label);
+      const up = document.createElement("button");
+      up.type = "button";
+      up.className = "link-button";
+      up.textContent = "↑";
+      up.title = t("dashboard.move_up");
+      up.addEventListener("click", () => {
+        if (item.previousElementSibling) {
+          layoutLocations.insertBefore(item, item.previousElementSibling);
+        }
+      });
+      item.appendChild(up);
+      layoutLocations.appendChild(item);
+    });
+    dayInputs.forEach((input) => {
+      input.checked = layout.days.includes(input.value);
+    });
+  }
+
+  layoutForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const next = {
+      locations: Array.from(layoutLocations.children)
+        .filter((item) => item.querySelector("input").checked)
+        .map((item) => item.dataset.id),
+      days: dayInputs.filter((input) => input.checked).map((input) => input.value),
+    };
+    if (next.locations.length > MAX_LOCATIONS) {
+      showStatus(t("dashboard.too_many", { max: MAX_LOCATIONS }), "error");
+      return;
+    }
+    try {
+      if (currentUser) {
+        const resp = await fetch("/dashboard/layout", {
+          method: "PUT",
+          headers: { ...authHeaders(), "Content-Type": "application/json" },
+          body: JSON.stringify(next),
+        });
+        const data = await resp.json();
+        if (!resp.ok) {
+          const fields = data.fields ? Object.values(data.fields).join("; ") : "";
+          throw new Error(fields || data.error || t("error.save_layout"));
+        }
+        layout = data;
+      } else {
+        localStorage.setItem("dashboardLayout", JSON.stringify(next));
+        layout = next;
+      }
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.save_layout"), "error");
+      return;
+    }
+    layoutPanel.open = false;
+    renderLayoutForm();
+    await loadDashboard();
+    showStatus(t(currentUser ? "dashboard.layout_saved" : "dashboard.layout_saved_local"), "info");
+  });
+
+  // Live updates: reload when an override changes on a day on screen.
+  // Overrides match nearby coordinates too, so any location counts.
+  let reloadTimer = null;
+
+  // When reads need a login the stream URL carries a short-lived ticket
+  // rather than the session token (see script.js)
+  async function fetchEventTicket() {
+    if (!localStorage.getItem("authToken")) return null;
+    try {
+      const resp = await fetch("/events/ticket", { method: "POST", headers: authHeaders() });
+      if (!resp.ok) return null;
+      return (await resp.json()).ticket;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function subscribeToChanges() {
+    if (!window.EventSource) return;
+    const params = new URLSearchParams();
+    const ticket = await fetchEventTicket();
+    if (ticket) params.set("ticket", ticket);
+    const source = new EventSource(`/events?${params.toString()}`);
+    // A refused reconnect (the ticket expired) closes the stream for
+    // good; open it again with a new ticket
+    source.addEventListener("error", () => {
+      if (source.readyState === EventSource.CLOSED) setTimeout(subscribeToChanges, 5000);
+    });
+    source.addEventListener("override", (e) => {
+      let change;
+      try {
+        change = JSON.parse(e.data);
+      } catch (err) {
+        console.error(err);
+        return;
+      }
+      if (!shownCells.some((cell) => cell.date === change.date)) return;
+      // Bursts such as an import reload once
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadDashboard, 500);
+    });
+  }
+
+  refreshBtn.addEventListener("click", loadDashboard);
+
+  async function init() {
+    applySettings();
+    await loadUser();
+    try {
+      await loadFavorites();
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message, "error");
+      return;
+    }
+    await loadLayout();
+    renderLayoutForm();
+    await loadDashboard();
+    subscribeToChanges();
+    setInterval(loadDashboard, REFRESH_INTERVAL_MS);
+  }
+
+  init();
+})();
@@ -0,0 +1,494 @@
+// Message catalogs and locale-aware formatting for Weather.io
+//
+// Every string the main page shows comes from the catalogs below.  The
+// language is the user's choice from the settings panel, or else the
+// first supported one in the browser's language list, falling back to
+// English; a key missing from a catalog falls back to English too.
+// Static text in index.html is marked with data-i18n attributes and
+// filled in by translatePage.  Exposed as window.WeatherioI18n.
+
+(function () {
+  const MESSAGES = {
+    en: {
+      "language.name": "English",
+      "language.auto": "Automatic (browser language)",
+
+      "location.saved_placeholder": "Saved locations…",
+      "location.saved_title": "Saved locations",
+      "location.add_title": "Save this location as a favorite",
+      "location.remove_title": "Remove this saved location",
+      "location.lat": "Lat:",
+      "location.lon": "Lon:",
+      "location.save": "Save",
+      "location.save_title": "Save location",
+      "location.tz_title": "Time zone used for dates",
+      "location.name_prompt": "Name for this location:",
+      "location.remove_confirm": "Remove \"{name}\" from saved locations?",
+      "nav.overrides": "Overrides",
+      "nav.overrides_title": "Search all overrides",
+      "nav.dashboard": "Dashboard",
+      "nav.dashboard_title": "Compare saved locations side by side",
+      "nav.back": "← Weather",
+      "auth.login": "Log in",
+      "auth.logout": "Log out",
+      "settings.button_title": "Settings",
+
+      "date.yesterday": "Yesterday",
+      "date.today": "Today",
+      "date.tomorrow": "Tomorrow",
+      "date.dayafter": "Day After",
+      "date.recorded_placeholder": "Recorded days…",
+      "date.recorded_title": "Browse recorded days",
+
+      "field.tempC": "Temperature",
+      "field.humidityPct": "Humidity",
+      "field.windKph": "Wind",
+      "field.precipMm": "Precipitation",
+      "field.conditionText": "Condition",
+      "field.with_unit": "{name} ({unit})",
+
+      "unit.C": "°C",
+      "unit.F": "°F",
+      "unit.kph": "kph",
+      "unit.mph": "mph",
+      "unit.mm": "mm",
+      "unit.in": "in",
+      "unit.pct": "%",
+
+      "card.condition": "Condition",
+      "card.humidity": "Humidity:",
+      "card.wind": "Wind:",
+      "card.precip": "Precip:",
+      "card.hourly_label": "Hourly forecast",
+      "card.history": "History",
+      "card.update": "Update Weather",
+      "card.remove": "Remove Override",
+      "source.label": "Source: {source}",
+      "source.api": "API",
+      "source.recorded": "Recorded {when}",
+      "source.override": "Override (v{version})",
+      "source.until": "{source} until {when}",
+      "hour.clear_title": "Remove the override for {hour}",
+      "compare.api": "API",
+      "compare.override": "Override",
+      "compare.delta": "Δ",
+      "compare.changed": "changed",
+
+      "history.title": "Override history",
+      "history.empty": "No overrides recorded for this day.",
+      "history.reverted_from": "reverted from v{version}",
+      "history.from": "from {when}",
+      "history.expired": "expired {when}",
+      "history.until": "until {when}",
+      "history.current": "current",
+      "history.revert": "Revert to v{version}",
+      "history.proposed": "awaiting review",
+      "history.approved_by": "approved by {who}",
+      "history.rejected_by": "rejected by {who}",
+
+      "update.title": "Update Weather",
+      "update.hint": "Leave a field blank to keep the forecast value.",
+      "update.scope": "Applies to:",
+      "update.whole_day": "Whole day",
+      "update.expires": "Expires:",
+      "update.expires_at": "Expires at:",
+      "update.enter_value": "Enter at least one value to override.",
+      "update.choose_expiry": "Choose when the override expires.",
+      "expiry.never": "Never",
+      "expiry.next_refresh": "At the next forecast refresh",
+      "expiry.end_of_day": "At the end of this day",
+      "expiry.custom": "At a set time…",
+
+      "conflict.title": "This day was changed",
+      "conflict.field": "Field",
+      "conflict.yours": "Yours",
+      "conflict.current": "Current",
+      "conflict.keep_mine": "Keep mine",
+      "conflict.keep_theirs": "Keep current",
+      "conflict.saved": "{user} saved version {version} at {when} while you were editing.",
+      "conflict.removed": "Someone removed the override while you were editing.",
+      "conflict.no_current": "Current: no override (forecast values)",
+      "conflict.remove_mine": "Yours: remove the override",
+
+      "login.title": "Log in",
+      "login.username": "Username:",
+      "login.password": "Password:",
+      "login.failed": "Login failed",
+
+      "settings.title": "Settings",
+      "settings.units": "Units:",
+      "settings.language": "Language:",
+      "units.metric": "Metric (°C, kph, mm)",
+      "units.imperial": "Imperial (°F, mph, in)",
+      "units.mixed": "Mixed (°C, mph, mm)",
+
+      "common.save": "Save",
+      "common.cancel": "Cancel",
+      "common.close": "Close",
+      "common.dismiss": "Dismiss",
+
+      "status.loading": "Loading...",
+      "status.logged_in": "Logged in as {user}.",
+      "status.proposed": "Your change was submitted for review.",
+      "status.session_expired": "Your session has expired. Please log in again.",
+      "status.location_saved": "Location saved.",
+      "status.no_data": "No weather data recorded for {date}.",
+      "status.offline_no_data": "You are offline and the weather for {date} has not been loaded before.",
+      "status.offline_age": "Offline – showing data from {age} ago.",
+      "age.minutes.one": "{count} minute",
+      "age.minutes.other": "{count} minutes",
+      "age.hours.one": "{count} hour",
+      "age.hours.other": "{count} hours",
+      "age.days.one": "{count} day",
+      "age.days.other": "{count} days",
+
+      "error.invalid_coordinates": "Invalid coordinates",
+      "error.save_location": "Failed to save location",
+      "error.remove_location": "Failed to remove location",
+      "error.load_locations": "Failed to load saved locations",
+      "error.load_weather": "Failed to fetch weather data",
+      "error.load_override": "Failed to fetch override",
+      "error.save_override": "Failed to save override",
+      "error.remove_override": "Failed to remove override",
+      "error.remove_hour": "Failed to remove hour override",
+      "error.load_history": "Failed to fetch override history",
+      "error.revert": "Failed to revert override",
+      "error.needs_reviewer": "Only reviewers can remove overrides while changes are moderated.",
+      "error.rate_limited": "Too many requests. Try again in {seconds} s.",
+
+      "alert.message": "{field} {value} {op} {threshold}",
+      "alert.at_hours": "{message} at {hours}",
+      "alert.named": "{name}: {message}",
+      "alert.op.contains": "contains",
+
+      "queue.target": "{date} at {lat}, {lon}",
+      "queue.target_hour": "{date} {hour} at {lat}, {lon}",
+      "queue.save": "Save {target}",
+      "queue.remove": "Remove {target}",
+      "queue.clear": "Clear {target}",
+      "queue.queued": "You are offline. \"{label}\" will be sent when the connection returns.",
+      "queue.waiting.one": "{count} offline change waiting to be sent.",
+      "queue.waiting.other": "{count} offline changes waiting to be sent.",
+      "queue.conflict_note": "Your offline change \"{label}\" conflicts. ",
+      "queue.rejected": "Some offline changes were rejected: {labels}.",
+      "queue.sent": "Your offline changes have been sent.",
+
+      "change.someone": "Someone",
+      "change.created": "{who} created the override for this day.",
+      "change.removed": "{who} removed the override for this day.",
+      "change.reverted": "{who} reverted the override for this day.",
+      "change.imported": "{who} imported the override for this day.",
+      "change.expired": "The override for this day expired.",
+      "change.activated": "A scheduled override for this day took effect.",
+      "change.proposed": "{who} proposed a change to the override for this day.",
+      "change.approved": "{who} approved a change to the override for this day.",
+      "change.rejected": "{who} rejected a proposed change for this day.",
+
+      "dashboard.title": "Weather.io – Dashboard",
+      "dashboard.refresh": "Refresh",
+      "dashboard.customize": "Customize",
+      "dashboard.locations": "Locations",
+      "dashboard.days": "Days",
+      "dashboard.save_layout": "Save layout",
+      "dashboard.move_up": "Move up",
+      "dashboard.layout_saved": "Layout saved.",
+      "dashboard.layout_saved_local": "Layout saved in this browser. Log in to keep it with your account.",
+      "dashboard.too_many": "Choose at most {max} locations.",
+      "dashboard.no_locations": "No saved locations yet. Save some with ★ on the main page.",
+      "dashboard.empty": "Choose at least one location and one day under Customize.",
+      "dashboard.no_data": "No data",
+      "dashboard.error": "Could not load",
+      "dashboard.override_badge": "Override v{version}",
+      "dashboard.override_title": "Changed by {user} at {when}",
+      "dashboard.open_title": "Open {name} on the main page",
+      "dashboard.updated": "Updated {when}",
+      "error.load_dashboard": "Failed to load the dashboard",
+      "error.save_layout": "Failed to save the layout",
+    },
+
+    hi: {
+      "language.name": "हिन्दी",
+      "language.auto": "स्वचालित (ब्राउज़र की भाषा)",
+
+      "location.saved_placeholder": "सहेजे गए स्थान…",
+      "location.saved_title": "सहेजे गए स्थान",
+      "location.add_title": "इस स्थान को पसंदीदा के रूप में सहेजें",
+      "location.remove_title": "यह सहेजा गया स्थान हटाएँ",
+      "location.lat": "अक्षांश:",
+      "location.lon": "देशांतर:",
+      "location.save": "सहेजें",
+      "location.save_title": "स्थान सहेजें",
+      "location.tz_title": "तारीख़ों के लिए प्रयुक्त समय क्षेत्र",
+      "location.name_prompt": "इस स्थान का नाम:",
+      "location.remove_confirm": "\"{name}\" को सहेजे गए स्थानों से हटाएँ?",
+      "nav.overrides": "ओवरराइड",
+      "nav.overrides_title": "सभी ओवरराइड खोजें",
+      "nav.dashboard": "डैशबोर्ड",
+      "nav.dashboard_title": "सहेजे गए स्थानों की साथ-साथ तुलना करें",
+      "nav.back": "← मौसम",
+      "auth.login": "लॉग इन",
+      "auth.logout": "लॉग आउट",
+      "settings.button_title": "सेटिंग्स",
+
+      "date.yesterday": "कल (बीता)",
+      "date.today": "आज",
+      "date.tomorrow": "कल (आने वाला)",
+      "date.dayafter": "परसों",
+      "date.recorded_placeholder": "दर्ज दिन…",
+      "date.recorded_title": "दर्ज दिन देखें",
+
+      "field.tempC": "तापमान",
+      "field.humidityPct": "आर्द्रता",
+      "field.windKph": "हवा",
+      "field.precipMm": "वर्षा",
+      "field.conditionText": "स्थिति",
+      "field.with_unit": "{name} ({unit})",
+
+      "unit.kph": "किमी/घं",
+      "unit.mph": "मील/घं",
+      "unit.mm": "मिमी",
+      "unit.in": "इंच",
+
+      "card.condition": "स्थिति",
+      "card.humidity": "आर्द्रता:",
+      "card.wind": "हवा:",
+      "card.precip": "वर्षा:",
+      "card.hourly_label": "घंटेवार पूर्वानुमान",
+      "card.history": "इतिहास",
+      "card.update": "मौसम बदलें",
+      "card.remove": "ओवरराइड हटाएँ",
+      "source.label": "स्रोत: {source}",
+      "source.api": "API",
+      "source.recorded": "{when} को दर्ज",
+      "source.override": "ओवरराइड (v{version})",
+      "source.until": "{source}, {when} तक",
+      "hour.clear_title": "{hour} का ओवरराइड हटाएँ",
+      "compare.api": "API",
+      "compare.override": "ओवरराइड",
+      "compare.delta": "Δ",
+      "compare.changed": "बदला गया",
+
+      "history.title": "ओवरराइड इतिहास",
+      "history.empty": "इस दिन के लिए कोई ओवरराइड दर्ज नहीं है।",
+      "history.reverted_from": "v{version} से वापस लाया गया",
+      "history.from": "{when} से",
+      "history.expired": "{when} को समाप्त",
+      "history.until": "{when} तक",
+      "history.current": "वर्तमान",
+      "history.revert": "v{version} पर वापस जाएँ",
+      "history.proposed": "समीक्षा की प्रतीक्षा में",
+      "history.approved_by": "{who} ने स्वीकृत किया",
+      "history.rejected_by": "{who} ने अस्वीकार किया",
+
+      "update.title": "मौसम बदलें",
+      "update.hint": "पूर्वानुमान का मान रखने के लिए फ़ील्ड खाली छोड़ें।",
+      "update.scope": "लागू होता है:",
+      "update.whole_day": "पूरा दिन",
+      "update.expires": "समाप्ति:",
+      "update.expires_at": "समाप्ति समय:",
+      "update.enter_value": "ओवरराइड करने के लिए कम से कम एक मान दर्ज करें।",
+      "update.choose_expiry": "चुनें कि ओवरराइड कब समाप्त हो।",
+      "expiry.never": "कभी नहीं",
+      "expiry.next_refresh": "अगले पूर्वानुमान अपडेट पर",
+      "expiry.end_of_day": "इस दिन के अंत में",
+      "expiry.custom": "तय समय पर…",
+
+      "conflict.title": "यह दिन बदल दिया गया",
+      "conflict.field": "फ़ील्ड",
+      "conflict.yours": "आपका",
+      "conflict.current": "वर्तमान",
+      "conflict.keep_mine": "मेरा रखें",
+      "conflict.keep_theirs": "वर्तमान रखें",
+      "conflict.saved": "आपके संपादन के दौरान {user} ने {when} को संस्करण {version} सहेजा।",
+      "conflict.removed": "आपके संपादन के दौरान किसी ने ओवरराइड हटा दिया।",
+      "conflict.no_current": "वर्तमान: कोई ओवरराइड नहीं (पूर्वानुमान के मान)",
+      "conflict.remove_mine": "आपका: ओवरराइड हटाएँ",
+
+      "login.title": "लॉग इन",
+      "login.username": "उपयोगकर्ता नाम:",
+      "login.password": "पासवर्ड:",
+      "login.failed": "लॉग इन विफल रहा",
+
+      "settings.title": "सेटिंग्स",
+      "settings.units": "इकाइयाँ:",
+      "settings.language": "भाषा:",
+      "units.metric": "मीट्रिक (°C, किमी/घं, मिमी)",
+      "units.imperial": "इंपीरियल (°F, मील/घं, इंच)",
+      "units.mixed": "मिश्रित (°C, मील/घं, मिमी)",
+
+      "common.save": "सहेजें",
+      "common.cancel": "रद्द करें",
+      "common.close": "बंद करें",
+      "common.dismiss": "हटाएँ",
+
+      "status.loading": "लोड हो रहा है...",
+      "status.logged_in": "{user} के रूप में लॉग इन किया।",
+      "status.proposed": "आपका बदलाव समीक्षा के लिए भेज दिया गया है।",
+      "status.session_expired": "आपका सत्र समाप्त हो गया है। कृपया फिर से लॉग इन करें।",
+      "status.location_saved": "स्थान सहेजा गया।",
+      "status.no_data": "{date} के लिए कोई मौसम डेटा दर्ज नहीं है।",
+      "status.offline_no_data": "आप ऑफ़लाइन हैं और {date} का मौसम पहले लोड नहीं हुआ है।",
+      "status.offline_age": "ऑफ़लाइन – {age} पहले का डेटा दिखाया जा रहा है।",
+      "age.minutes.one": "{count} मिनट",
+      "age.minutes.other": "{count} मिनट",
+      "age.hours.one": "{count} घंटा",
+      "age.hours.other": "{count} घंटे",
+      "age.days.one": "{count} दिन",
+      "age.days.other": "{count} दिन",
+
+      "error.invalid_coordinates": "अमान्य निर्देशांक",
+      "error.save_location": "स्थान सहेजा नहीं जा सका",
+      "error.remove_location": "स्थान हटाया नहीं जा सका",
+      "error.load_locations": "सहेजे गए स्थान लोड नहीं हो सके",
+      "error.load_weather": "मौसम डेटा प्राप्त नहीं हो सका",
+      "error.load_override": "ओवरराइड प्राप्त नहीं हो सका",
+      "error.save_override": "ओवरराइड सहेजा नहीं जा सका",
+      "error.remove_override": "ओवरराइड हटाया नहीं जा सका",
+      "error.remove_hour": "घंटे का ओवरराइड हटाया नहीं जा सका",
+      "error.load_history": "ओवरराइड इतिहास प्राप्त नहीं हो सका",
+      "error.revert": "ओवरराइड वापस नहीं लाया जा सका",
+      "error.needs_reviewer": "बदलाव मॉडरेट होने पर केवल समीक्षक ओवरराइड हटा सकते हैं।",
+      "error.rate_limited": "बहुत अधिक अनुरोध। {seconds} सेकंड बाद फिर से प्रयास करें।",
+
+      "alert.message": "{field} {value} {op} {threshold}",
+      "alert.at_hours": "{message} ({hours} पर)",
+      "alert.named": "{name}: {message}",
+      "alert.op.contains": "में शामिल है",
+
+      "queue.target": "{date}, {lat}, {lon} पर",
+      "queue.target_hour": "{date} {hour}, {lat}, {lon} पर",
+      "queue.save": "सहेजें: {target}",
+      "queue.remove": "हटाएँ: {target}",
+      "queue.clear": "साफ़ करें: {target}",
+      "queue.queued": "आप ऑफ़लाइन हैं। कनेक्शन लौटने पर \"{label}\" भेजा जाएगा।",
+      "queue.waiting.one": "{count} ऑफ़लाइन बदलाव भेजे जाने की प्रतीक्षा में है।",
+      "queue.waiting.other": "{count} ऑफ़लाइन बदलाव भेजे जाने की प्रतीक्षा में हैं।",
+      "queue.conflict_note": "आपका ऑफ़लाइन बदलाव \"{label}\" टकराता है। ",
+      "queue.rejected": "कुछ ऑफ़लाइन बदलाव अस्वीकार कर दिए गए: {labels}।",
+      "queue.sent": "आपके ऑफ़लाइन बदलाव भेज दिए गए हैं।",
+
+      "change.someone": "किसी",
+      "change.created": "{who} ने इस दिन का ओवरराइड बनाया।",
+      "change.removed": "{who} ने इस दिन का ओवरराइड हटाया।",
+      "change.reverted": "{who} ने इस दिन का ओवरराइड वापस लाया।",
+      "change.imported": "{who} ने इस दिन का ओवरराइड आयात किया।",
+      "change.expired": "इस दिन का ओवरराइड समाप्त हो गया।",
+      "change.activated": "इस दिन का निर्धारित ओवरराइड लागू हो गया।",
+      "change.proposed": "{who} ने इस दिन के ओवरराइड में बदलाव का प्रस्ताव रखा।",
+      "change.approved": "{who} ने इस दिन के ओवरराइड में बदलाव स्वीकृत किया।",
+      "change.rejected": "{who} ने इस दिन के लिए प्रस्तावित बदलाव अस्वीकार किया।",
+
+      "dashboard.title": "Weather.io – डैशबोर्ड",
+      "dashboard.refresh": "ताज़ा करें",
+      "dashboard.customize": "अनुकूलित करें",
+      "dashboard.locations": "स्थान",
+      "dashboard.days": "दिन",
+      "dashboard.save_layout": "लेआउट सहेजें",
+      "dashboard.move_up": "ऊपर ले जाएँ",
+      "dashboard.layout_saved": "लेआउट सहेजा गया।",
+      "dashboard.layout_saved_local": "लेआउट इस ब्राउज़र में सहेजा गया। इसे अपने खाते के साथ रखने के लिए लॉग इन करें।",
+      "dashboard.too_many": "अधिकतम {max} स्थान चुनें।",
+      "dashboard.no_locations": "अभी कोई सहेजा गया स्थान नहीं है। मुख्य पृष्ठ पर ★ से कुछ सहेजें।",
+      "dashboard.empty": "अनुकूलित करें में कम से कम एक स्थान और एक दिन चुनें।",
+      "dashboard.no_data": "कोई डेटा नहीं",
+      "dashboard.error": "लोड नहीं हो सका",
+      "dashboard.override_badge": "ओवरराइड v{version}",
+      "dashboard.override_title": "{user} ने {when} को बदला",
+      "dashboard.open_title": "{name} को मुख्य पृष्ठ पर खोलें",
+      "dashboard.updated": "{when} को अपडेट किया",
+      "error.load_dashboard": "डैशबोर्ड लोड नहीं हो सका",
+      "error.save_layout": "लेआउट सहेजा नहीं जा सका",
+    },
+  };
+
+  // BCP 47 tags used for number and date formatting
+  const FORMAT_LOCALES = { en: "en", hi: "hi-IN" };
+  const LANGUAGES = Object.keys(MESSAGES);
+
+  let language = "en";
+
+  // The supported language for a setting: an explicit language, or
+  // "auto" for the first match in the browser's preferences
+  function resolveLanguage(setting) {
+    if (LANGUAGES.includes(setting)) return setting;
+    const preferred = navigator.languages || [navigator.language || "en"];
+    for (const tag of preferred) {
+      const base = String(tag).toLowerCase().split("-")[0];
+      if (LANGUAGES.includes(base)) return base;
+    }
+    return "en";
+  }
+
+  function setLanguage(setting) {
+    language = resolveLanguage(setting);
+    document.documentElement.lang = language;
+    return language;
+  }
+
+  // Look up a message and fill in its {placeholders}
+  function t(key, params = {}) {
+    const catalog = MESSAGES[language];
+    let text = catalog[key] !== undefined ? catalog[key] : MESSAGES.en[key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name])
+    );
+  }
+
+  // Pick the plural form of `key` for a count ("<key>.one", "<key>.other")
+  function plural(key, count, params = {}) {
+    const form = new Intl.PluralRules(FORMAT_LOCALES[language]).select(count);
+    const formKey = MESSAGES.en[`${key}.${form}`] !== undefined ? `${key}.${form}` : `${key}.other`;
+    return t(formKey, { ...params, count: formatNumber(count, 0) });
+  }
+
+  // A number with exactly `digits` decimals, or "--" when missing
+  function formatNumber(value, digits) {
+    if (typeof value !== "number" || !isFinite(value)) return "--";
+    return new Intl.NumberFormat(FORMAT_LOCALES[language], {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(value);
+  }
+
+  function formatDateTime(value) {
+    return new Date(value).toLocaleString(FORMAT_LOCALES[language]);
+  }
+
+  // A calendar date (YYYY-MM-DD) without shifting it through time zones
+  function formatDate(isoDate) {
+    return new Intl.DateTimeFormat(FORMAT_LOCALES[language], {
+      dateStyle: "medium",
+      timeZone: "UTC",
+    }).format(new Date(`${isoDate}T00:00:00Z`));
+  }
+
+  // Fill in static text: data-i18n sets the text, data-i18n-title the
+  // tooltip, data-i18n-aria-label the accessible name.  `params` is
+  // passed to every lookup.
+  function translatePage(root = document, params = {}) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = t(el.dataset.i18n, params);
+    });
+    root.querySelectorAll("[data-i18n-title]").forEach((el) => {
+      el.title = t(el.dataset.i18nTitle, params);
+    });
+    root.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+      el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel, params));
+    });
+  }
+
+  window.WeatherioI18n = {
+    LANGUAGES,
+    setLanguage,
+    getLanguage: () => language,
+    t,
+    plural,
+    formatNumber,
+    formatDateTime,
+    formatDate,
+    translatePage,
+    // Name of a language in that language, for the language picker
+    languageName: (code) => MESSAGES[code]["language.name"],
+  };
+})();
@@ -1,12 +1,25 @@
 // Client-side logic for Weather.io
 //
-// This script fetches daily weather data from wttr.in, caches it for
-// fifteen minutes, merges any user overrides returned from the local
+// This script fetches normalized daily weather from the local backend
+// (which talks to the configured weather provider), caches it for
+// fifteen minutes, merges any user overrides returned from the
 // backend, and updates the UI accordingly.  Overrides are stored
 // server-side so that different sessions (or browser tabs) see the
-// same edited values.
+// same edited values.  Changing data requires logging in as an editor;
+// the session token is kept in localStorage and sent as a bearer token.
+// Edits made elsewhere arrive over a Server-Sent Events stream and
+// refresh the card straight away.  A service worker (sw.js) keeps the
+// page and the last known data usable offline; override edits made
+// without a connection are queued and sent once it returns.  Text comes
+// from the message catalogs in i18n.js and readings are shown in the
+// unit system chosen in the settings panel (units.js); values typed in
+// the update modal are converted back to metric before they are sent.
 
 (function () {
+  const i18n = window.WeatherioI18n;
+  const units = window.WeatherioUnits;
+  const { t } = i18n;
+
   // Default location: Secunderabad/Hyderabad, India.
   const DEFAULT_LOCATION = {
     lat: 17.385,
@@ -18,7 +31,12 @@
   const latInput = document.getElementById("lat-input");
   const lonInput = document.getElementById("lon-input");
   const saveLocation = document.getElementById("save-location");
+  const locationSelect = document.getElementById("location-select");
+  const addFavoriteBtn = document.getElementById("add-favorite");
+  const removeFavoriteBtn = document.getElementById("remove-favorite");
+  const locationTzEl = document.getElementById("location-tz");
   const statusEl = document.getElementById("status");
+  const alertBanner = document.getElementById("alert-banner");
   const weatherCard = document.getElementById("weather-card");
   const tempEl = document.getElementById("temperature");
   const humidityEl = document.getElementById("humidity");
@@ -27,11 +45,16 @@
   const conditionIcon = document.getElementById("condition-icon");
   const conditionText = document.getElementById("condition-text");
   const sourceEl = document.getElementById("source");
+  const historyBtn = document.getElementById("history-btn");
+  const historyPanel = document.getElementById("history-panel");
+  const historyList = document.getElementById("history-list");
   const updateBtn = document.getElementById("update-btn");
   const removeBtn = document.getElementById("remove-btn");
+  const yesterdayBtn = document.getElementById("yesterday-btn");
   const todayBtn = document.getElementById("today-btn");
   const tomorrowBtn = document.getElementById("tomorrow-btn");
   const dayafterBtn = document.getElementById("dayafter-btn");
+  const recordedSelect = document.getElementById("recorded-select");
   const updateModal = document.getElementById("update-modal");
   const updateForm = document.getElementById("update-form");
   const cancelUpdate = document.getElementById("cancel-update");
@@ -40,14 +63,189 @@
   const updWind = document.getElementById("upd-wind");
   const updPrecip = document.getElementById("upd-precip");
   const updCondition = document.getElementById("upd-condition");
+  const updScope = document.getElementById("upd-scope");
+  const updExpiry = document.getElementById("upd-expiry");
+  const updExpiryAt = document.getElementById("upd-expiry-at");
+  const updExpiryAtLabel = document.getElementById("upd-expiry-at-label");
+  const hourlyEl = document.getElementById("hourly");
+  const comparisonEl = document.getElementById("comparison");
+  const comparisonBody = document.getElementById("comparison-body");
+  const authUserEl = document.getElementById("auth-user");
+  const loginBtn = document.getElementById("login-btn");
+  const logoutBtn = document.getElementById("logout-btn");
+  const loginModal = document.getElementById("login-modal");
+  const loginForm = document.getElementById("login-form");
+  const loginError = document.getElementById("login-error");
+  const loginUsername = document.getElementById("login-username");
+  const loginPassword = document.getElementById("login-password");
+  const cancelLogin = document.getElementById("cancel-login");
+  const conflictModal = document.getElementById("conflict-modal");
+  const conflictInfo = document.getElementById("conflict-info");
+  const conflictRows = document.getElementById("conflict-rows");
+  const conflictKeepMine = document.getElementById("conflict-keep-mine");
+  const conflictKeepTheirs = document.getElementById("conflict-keep-theirs");
+  const settingsBtn = document.getElementById("settings-btn");
+  const settingsModal = document.getElementById("settings-modal");
+  const settingsUnits = document.getElementById("settings-units");
+  const settingsLanguage = document.getElementById("settings-language");
+  const closeSettings = document.getElementById("close-settings");
+
+  // Day offsets for the date selector buttons
+  const DATE_OFFSETS = { yesterday: -1, today: 0, tomorrow: 1, dayafter: 2 };
+  const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
   // Application state
   let locationData = null;
-  let currentDateKey = "today"; // one of 'today', 'tomorrow', 'dayafter'
+  // One of the DATE_OFFSETS keys, or an explicit YYYY-MM-DD date picked
+  // from the recorded days list
+  let currentDateKey = "today";
+  // The day as shown, with the active override merged in by the server,
+  // and the provider's own figures it was merged over
   let currentWeather = null;
+  let currentForecast = null;
   let currentOverride = null;
+  // Revision tag (ETag) of the override state the user is looking at;
+  // sent as If-Match so a stale save is rejected instead of overwriting
+  let currentOverrideEtag = null;
+  // Set when someone else changed the day while the update modal was
+  // open; the card is refreshed once the modal is dismissed
+  let staleWhileEditing = false;
+  // Signed-in user ({ username, role }) or null
+  let currentUser = null;
+
+  // Roles in increasing order of privilege, as on the server
+  const ROLES = ["viewer", "editor", "reviewer", "admin"];
+
+  // fetch() with the session token attached.  A 401 means the token
+  // expired or was revoked, so the session is dropped.
+  async function apiFetch(url, options = {}) {
+    const token = localStorage.getItem("authToken");
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const resp = await fetch(url, { ...options, headers });
+    if (resp.status === 401 && token) {
+      setSession(null);
+      showStatus(t("status.session_expired"), "error");
+    }
+    if (resp.status === 429) {
+      showStatus(
+        t("error.rate_limited", { seconds: resp.headers.get("Retry-After") || "?" }),
+        "error"
+      );
+    }
+    return resp;
+  }
+
+  function hasRole(role) {
+    return (
+      !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role)
+    );
+  }
+
+  // Store or clear the session and update the header and edit controls.
+  // The user is kept too so the page still knows who is logged in when
+  // it is opened offline.
+  function setSession(session) {
+    if (session) {
+      localStorage.setItem("authToken", session.token);
+      localStorage.setItem("authUser", JSON.stringify(session.user));
+      currentUser = session.user;
+    } else {
+      localStorage.removeItem("authToken");
+      localStorage.removeItem("authUser");
+      currentUser = null;
+    }
+    renderAuth();
+  }
 
-  // Initialise location from localStorage or default
+  function renderAuth() {
+    authUserEl.textContent = currentUser
+      ? `${currentUser.username} (${currentUser.role})`
+      : "";
+    loginBtn.classList.toggle("hidden", !!currentUser);
+    logoutBtn.classList.toggle("hidden", !currentUser);
+    document.body.classList.toggle("can-edit", hasRole("editor"));
+    subscribeToChanges();
+  }
+
+  // Check a stored token on startup
+  async function restoreSession() {
+    if (!localStorage.getItem("authToken")) {
+      renderAuth();
+      return;
+    }
+    try {
+      const resp = await apiFetch("/auth/me");
+      if (!resp.ok) return;
+      const data = await resp.json();
+      currentUser = data.user;
+      localStorage.setItem("authUser", JSON.stringify(data.user));
+    } catch (err) {
+      // Offline: trust the user stored at login until the server can
+      // say otherwise
+      try {
+        currentUser = JSON.parse(localStorage.getItem("authUser"));
+      } catch (e) {
+        currentUser = null;
+      }
+    }
+    renderAuth();
+  }
+
+  function openLoginModal() {
+    loginError.textContent = "";
+    loginPassword.value = "";
+    loginModal.classList.remove("hidden");
+    loginUsername.focus();
+  }
+
+  function closeLoginModal() {
+    loginModal.classList.add("hidden");
+  }
+
+  loginForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const resp = await fetch("/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: loginUsername.value.trim(),
+          password: loginPassword.value,
+        }),
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        loginError.textContent = data.error || t("login.failed");
+        return;
+      }
+      setSession(data);
+      closeLoginModal();
+      showStatus(t("status.logged_in", { user: data.user.username }), "info");
+      replayQueue();
+    } catch (err) {
+      console.error(err);
+      loginError.textContent = t("login.failed");
+    }
+  });
+
+  async function logout() {
+    try {
+      await apiFetch("/auth/logout", { method: "POST" });
+    } catch (err) {
+      console.error(err);
+    }
+    setSession(null);
+    historyPanel.classList.add("hidden");
+  }
+
+  loginBtn.addEventListener("click", openLoginModal);
+  cancelLogin.addEventListener("click", closeLoginModal);
+  logoutBtn.addEventListener("click", logout);
+
+  // Initialise location from localStorage or default.  A stored
+  // location is { lat, lon, tz } plus { id, name } when it is one of
+  // the saved favorites.
   function initLocation() {
     try {
       const stored = localStorage.getItem("weatherLocation");
@@ -56,35 +254,156 @@
         if (obj && obj.lat && obj.lon) {
           locationData = obj;
         } else {
-          locationData = DEFAULT_LOCATION;
+          locationData = { ...DEFAULT_LOCATION };
         }
       } else {
-        locationData = DEFAULT_LOCATION;
+        locationData = { ...DEFAULT_LOCATION };
       }
     } catch (e) {
-      locationData = DEFAULT_LOCATION;
+      locationData = { ...DEFAULT_LOCATION };
     }
     latInput.value = locationData.lat;
     lonInput.value = locationData.lon;
+    renderLocationTz();
   }
 
-  function saveLocationData() {
-    locationData.lat = parseFloat(latInput.value);
-    locationData.lon = parseFloat(lonInput.value);
+  function storeLocation() {
     localStorage.setItem("weatherLocation", JSON.stringify(locationData));
-    showStatus("Location saved.", "info");
-    loadWeather(currentDateKey);
+    renderLocationTz();
+    subscribeToChanges();
+  }
+
+  function renderLocationTz() {
+    locationTzEl.textContent = locationData.tz || "";
+    locationSelect.value = locationData.id || "";
+    removeFavoriteBtn.classList.toggle("hidden", !locationData.id);
+  }
+
+  // Ask the server for the IANA time zone of a coordinate
+  async function resolveTimeZone(lat, lon) {
+    const params = new URLSearchParams({ lat: String(lat), lon: String(lon) });
+    const resp = await fetch(`/timezone?${params.toString()}`);
+    if (!resp.ok) throw new Error(t("error.invalid_coordinates"));
+    const data = await resp.json();
+    return data.tz;
+  }
+
+  async function saveLocationData() {
+    const lat = parseFloat(latInput.value);
+    const lon = parseFloat(lonInput.value);
+    try {
+      const tz = await resolveTimeZone(lat, lon);
+      locationData = { lat, lon, tz };
+      storeLocation();
+      showStatus(t("status.location_saved"), "info");
+      loadWeather(currentDateKey);
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.save_location"), "error");
+    }
   }
 
   saveLocation.addEventListener("click", saveLocationData);
 
-  // Compute ISO date string in the target time zone with an offset
+  // Saved locations (favorites)
+  let favorites = [];
+
+  async function loadFavorites() {
+    try {
+      const resp = await fetch("/locations");
+      if (!resp.ok) throw new Error(t("error.load_locations"));
+      const data = await resp.json();
+      favorites = data.locations || [];
+    } catch (err) {
+      console.error(err);
+      favorites = [];
+    }
+    while (locationSelect.options.length > 1) locationSelect.remove(1);
+    favorites.forEach((fav) => {
+      const option = document.createElement("option");
+      option.value = fav.id;
+      option.textContent = fav.name;
+      locationSelect.appendChild(option);
+    });
+    // Forget a favorite that was deleted elsewhere
+    if (locationData.id && !favorites.some((f) => f.id === locationData.id)) {
+      delete locationData.id;
+      delete locationData.name;
+      storeLocation();
+    }
+    renderLocationTz();
+  }
+
+  function switchToFavorite(id) {
+    const fav = favorites.find((f) => f.id === id);
+    if (!fav) return;
+    locationData = {
+      id: fav.id,
+      name: fav.name,
+      lat: parseFloat(fav.lat),
+      lon: parseFloat(fav.lon),
+      tz: fav.tz,
+    };
+    latInput.value = locationData.lat;
+    lonInput.value = locationData.lon;
+    storeLocation();
+    loadWeather(ISO_DATE_RE.test(currentDateKey) ? "today" : currentDateKey);
+  }
+
+  async function addFavorite() {
+    const name = window.prompt(t("location.name_prompt"));
+    if (!name || !name.trim()) return;
+    try {
+      const resp = await apiFetch("/locations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: name.trim(),
+          lat: String(parseFloat(latInput.value)),
+          lon: String(parseFloat(lonInput.value)),
+        }),
+      });
+      if (!resp.ok) throw new Error(t("error.save_location"));
+      const fav = await resp.json();
+      await loadFavorites();
+      switchToFavorite(fav.id);
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.save_location"), "error");
+    }
+  }
+
+  async function removeFavorite() {
+    if (!locationData.id) return;
+    if (!window.confirm(t("location.remove_confirm", { name: locationData.name }))) {
+      return;
+    }
+    try {
+      const resp = await apiFetch(
+        `/locations?${new URLSearchParams({ id: locationData.id })}`,
+        { method: "DELETE" }
+      );
+      if (!resp.ok) throw new Error(t("error.remove_location"));
+      await loadFavorites();
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.remove_location"), "error");
+    }
+  }
+
+  locationSelect.addEventListener("change", () => {
+    if (locationSelect.value) switchToFavorite(locationSelect.value);
+  });
+  addFavoriteBtn.addEventListener("click", addFavorite);
+  removeFavoriteBtn.addEventListener("click", removeFavorite);
+
+  // ISO date string for "today + offsetDays" in the location's time zone
   function getDateString(offsetDays) {
     const tz = locationData.tz || "UTC";
-    const now = new Date();
-    now.setDate(now.getDate() + offsetDays);
-    const parts = now.toLocaleDateString("en-CA", { timeZone: tz }).split("-");
-    return parts.join("-");
+    const today = new Date().toLocaleDateString("en-CA", { timeZone: tz });
+    const date = new Date(`${today}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offsetDays);
+    return date.toISOString().slice(0, 10);
   }
 
   // Display a status message
@@ -94,8 +413,52 @@
     if (!msg) statusEl.textContent = "";
   }
 
-  // Fetch weather from cache or wttr.in
-  async function fetchWeather(dateString) {
+  // ISO date string for a date selector key
+  function dateKeyToString(dateKey) {
+    if (ISO_DATE_RE.test(dateKey)) return dateKey;
+    return getDateString(DATE_OFFSETS[dateKey] || 0);
+  }
+
+  // ISO date string for the currently selected day
+  function currentDateString() {
+    return dateKeyToString(currentDateKey);
+  }
+
+  // Drop the cached weather for a date so the next load hits the network
+  function clearWeatherCache(dateString) {
+    const cacheKey = `${locationData.lat},${locationData.lon},${dateString}`;
+    let cache = {};
+    try {
+      cache = JSON.parse(localStorage.getItem("weatherCache") || "{}");
+    } catch (e) {
+      cache = {};
+    }
+    delete cache[cacheKey];
+    localStorage.setItem("weatherCache", JSON.stringify(cache));
+  }
+
+  // The page's form of a day's weather from /weather: icons added
+  function toWeather(data) {
+    return {
+      tempC: data.tempC,
+      humidityPct: data.humidityPct,
+      windKph: data.windKph,
+      precipMm: data.precipMm,
+      conditionText: data.conditionText,
+      conditionCode: data.conditionCode,
+      conditionIcon: weatherCodeToIcon(data.conditionCode),
+      hours: (data.hours || []).map((slot) => ({
+        ...slot,
+        conditionIcon: weatherCodeToIcon(slot.conditionCode),
+      })),
+    };
+  }
+
+  // Fetch the day from cache or the backend /weather route, as
+  // { weather, forecast }: the server merges the active override into
+  // `weather`.  A cached copy is only used while the override revision
+  // it was merged with (`revision`, the /override ETag) is current.
+  async function fetchWeather(dateString, revision) {
     const cacheKey = `${locationData.lat},${locationData.lon},${dateString}`;
     let cache = {};
     try {
@@ -105,65 +468,70 @@
     }
 
     const now = Date.now();
-    if (cache[cacheKey] && now - cache[cacheKey].timestamp < 15 * 60 * 1000) {
+    if (
+      cache[cacheKey] &&
+      cache[cacheKey].revision === revision &&
+      now - cache[cacheKey].timestamp < 15 * 60 * 1000
+    ) {
       return cache[cacheKey].data;
     }
 
-    const url = `https://wttr.in/${locationData.lat},${locationData.lon}?format=j1`;
-    const resp = await fetch(url);
-    if (!resp.ok) throw new Error("Failed to fetch weather data");
-
-    const data = await resp.json();
-    const weatherArr = data.weather || [];
-
-    let weatherDay = weatherArr.find((item) => item.date === dateString);
-    if (!weatherDay) weatherDay = weatherArr[0];
-
-    const hourly = weatherDay.hourly || [];
-    if (hourly.length === 0) throw new Error("No hourly data available");
-
-    // Compute averages
-    let sumTemp = 0,
-      sumHumidity = 0,
-      sumWind = 0,
-      sumPrecip = 0;
-    hourly.forEach((entry) => {
-      sumTemp += parseFloat(entry.tempC);
-      sumHumidity += parseFloat(entry.humidity);
-      sumWind += parseFloat(entry.windspeedKmph);
-      sumPrecip += parseFloat(entry.precipMM);
+    const params = new URLSearchParams({
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+      tz: locationData.tz || "UTC",
+      overrides: "1",
+      forecast: "1",
     });
+    let resp;
+    try {
+      resp = await apiFetch(`/weather?${params.toString()}`);
+    } catch (err) {
+      // Offline and the service worker has no copy either: an expired
+      // entry is still better than nothing
+      if (!cache[cacheKey]) throw offlineError(dateString);
+      const cachedAt = new Date(cache[cacheKey].timestamp).toISOString();
+      return { ...cache[cacheKey].data, cachedAt };
+    }
+    if (resp.status === 404) {
+      const err = new Error(t("status.no_data", { date: i18n.formatDate(dateString) }));
+      err.noData = true;
+      throw err;
+    }
+    if (!resp.ok) throw new Error(t("error.load_weather"));
 
-    const count = hourly.length;
-    const avgTemp = (sumTemp / count).toFixed(1);
-    const avgHum = Math.round(sumHumidity / count);
-    const avgWind = (sumWind / count).toFixed(1);
-    const totalPrecip = sumPrecip.toFixed(1);
-
-    // Use mid-day condition
-    const midIndex = Math.floor(count / 2);
-    const condition = hourly[midIndex];
-    const conditionTextVal =
-      (condition.weatherDesc &&
-        condition.weatherDesc[0] &&
-        condition.weatherDesc[0].value.trim()) ||
-      "";
-    const conditionCodeVal = parseInt(condition.weatherCode || "0", 10);
-    const icon = weatherCodeToIcon(conditionCodeVal);
-
-    const weather = {
-      tempC: parseFloat(avgTemp),
-      humidityPct: avgHum,
-      windKph: parseFloat(avgWind),
-      precipMm: parseFloat(totalPrecip),
-      conditionText: conditionTextVal,
-      conditionIcon: icon,
-      source: "api",
+    const data = await resp.json();
+    const recordedAt = resp.headers.get("X-Snapshot-Recorded-At");
+    const day = {
+      weather: toWeather(data.weather),
+      forecast: toWeather(data.forecast),
+      source: recordedAt ? "snapshot" : "api",
+      recordedAt,
     };
 
-    cache[cacheKey] = { data: weather, timestamp: now };
+    // A copy the service worker served while offline is not cached
+    // again, so the next load goes back to the network
+    const cachedAt = resp.headers.get("X-Cached-At");
+    if (cachedAt) return { ...day, cachedAt };
+    cache[cacheKey] = { data: day, revision, timestamp: now };
     localStorage.setItem("weatherCache", JSON.stringify(cache));
-    return weather;
+    return day;
+  }
+
+  function offlineError(dateString) {
+    return new Error(
+      t("status.offline_no_data", { date: i18n.formatDate(dateString) })
+    );
+  }
+
+  // "5 minutes", "3 hours" or "2 days" since an ISO timestamp
+  function formatAge(iso) {
+    const minutes = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 60000));
+    if (minutes < 60) return i18n.plural("age.minutes", minutes);
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return i18n.plural("age.hours", hours);
+    return i18n.plural("age.days", Math.round(hours / 24));
   }
 
   // Map codes to emoji icons
@@ -195,59 +563,238 @@
       lon: String(locationData.lon),
       date: dateString,
     });
-    const resp = await fetch(`/override?${params.toString()}`);
-    if (!resp.ok) throw new Error("Failed to fetch override");
+    let resp;
+    try {
+      resp = await apiFetch(`/override?${params.toString()}`);
+    } catch (err) {
+      throw offlineError(dateString);
+    }
+    if (!resp.ok) throw new Error(t("error.load_override"));
     const data = await resp.json();
-    return data && data.newValues ? data : null;
+    return {
+      override: data && data.newValues ? data : null,
+      etag: resp.headers.get("ETag"),
+      cachedAt: resp.headers.get("X-Cached-At"),
+    };
   }
 
   // Load weather and display
   async function loadWeather(dateKey) {
     currentDateKey = dateKey;
-    [todayBtn, tomorrowBtn, dayafterBtn].forEach((btn) =>
-      btn.classList.remove("active")
+    const dateButtons = {
+      yesterday: yesterdayBtn,
+      today: todayBtn,
+      tomorrow: tomorrowBtn,
+      dayafter: dayafterBtn,
+    };
+    Object.keys(dateButtons).forEach((key) =>
+      dateButtons[key].classList.toggle("active", key === dateKey)
     );
-    if (dateKey === "today") todayBtn.classList.add("active");
-    if (dateKey === "tomorrow") tomorrowBtn.classList.add("active");
-    if (dateKey === "dayafter") dayafterBtn.classList.add("active");
-
-    const offset = dateKey === "tomorrow" ? 1 : dateKey === "dayafter" ? 2 : 0;
+    recordedSelect.value = ISO_DATE_RE.test(dateKey) ? dateKey : "";
 
-    const dateString = getDateString(offset);
-    showStatus("Loading...", "info");
+    const dateString = dateKeyToString(dateKey);
+    staleWhileEditing = false;
+    showStatus(t("status.loading"), "info");
+    historyPanel.classList.add("hidden");
 
     try {
-      const weather = await fetchWeather(dateString);
-      currentWeather = weather;
-
-      const override = await fetchOverride(dateString);
+      const { override, etag, cachedAt } = await fetchOverride(dateString);
+      const day = await fetchWeather(dateString, etag);
+      currentWeather = {
+        ...day.weather,
+        source: day.source,
+        recordedAt: day.recordedAt,
+      };
+      currentForecast = day.forecast;
       currentOverride = override;
+      currentOverrideEtag = etag;
 
-      let combined = { ...weather };
-      let source = "API";
-      if (override && override.newValues) {
-        combined = { ...combined, ...override.newValues };
-        source = `Override (v${override.version})`;
-      }
-
-      renderWeather(combined, source);
-      showStatus("", "info");
+      renderCurrent();
+      // Offline copies say how old they are
+      const stale = [day.cachedAt, cachedAt].filter(Boolean).sort()[0];
+      showStatus(
+        stale ? t("status.offline_age", { age: formatAge(stale) }) : "",
+        "info"
+      );
+      showQueueStatus();
+      refreshRecordedDates();
+      loadAlerts(dateString);
     } catch (err) {
-      console.error(err);
-      showStatus(err.message || "Error loading weather", "error");
+      currentWeather = null;
+      currentForecast = null;
+      currentOverride = null;
+      currentOverrideEtag = null;
       weatherCard.classList.add("hidden");
+      renderAlerts([]);
+      if (err.noData) {
+        showStatus(err.message, "info");
+        return;
+      }
+      console.error(err);
+      showStatus(err.message || t("error.load_weather"), "error");
+    }
+  }
+
+  // Where the figures on the card come from
+  function describeSource(weather, override) {
+    let source =
+      weather.source === "snapshot"
+        ? t("source.recorded", { when: i18n.formatDateTime(weather.recordedAt) })
+        : t("source.api");
+    if (override) source = t("source.override", { version: override.version });
+    if (override && override.expiresAt) {
+      source = t("source.until", {
+        source,
+        when: i18n.formatDateTime(override.expiresAt),
+      });
+    }
+    return source;
+  }
+
+  // Render the loaded day again, e.g. after the units or language change
+  function renderCurrent() {
+    if (!currentWeather) return;
+    renderWeather(currentWeather, describeSource(currentWeather, currentOverride));
+    renderComparison(currentForecast, currentOverride);
+  }
+
+  // Populate the "Recorded days" list with dates the server has a
+  // weather snapshot for at the current location
+  async function refreshRecordedDates() {
+    const params = new URLSearchParams({
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+    });
+    try {
+      const resp = await fetch(`/weather/dates?${params.toString()}`);
+      if (!resp.ok) return;
+      const data = await resp.json();
+      const dates = (data.dates || []).slice().reverse();
+      while (recordedSelect.options.length > 1) recordedSelect.remove(1);
+      dates.forEach((date) => {
+        const option = document.createElement("option");
+        option.value = date;
+        option.textContent = i18n.formatDate(date);
+        recordedSelect.appendChild(option);
+      });
+      recordedSelect.value = ISO_DATE_RE.test(currentDateKey)
+        ? currentDateKey
+        : "";
+    } catch (e) {
+      // The list is a convenience; ignore failures
+    }
+  }
+
+  // Alert banner: alerts the server fired for the day being viewed.
+  // Dismissed alerts stay hidden until the page is reloaded.
+  // The server's alert message is English and metric, so the banner
+  // builds its own from the alert's fields.
+  const dismissedAlerts = new Set();
+  let shownAlerts = [];
+
+  function describeAlert(alert) {
+    const textual = typeof alert.threshold === "string";
+    let message = t("alert.message", {
+      field: t(`field.${alert.field}`),
+      value: textual ? alert.value : withUnit(alert.field, alert.value),
+      op: alert.op === "contains" ? t("alert.op.contains") : alert.op,
+      threshold: textual
+        ? `"${alert.threshold}"`
+        : withUnit(alert.field, alert.threshold),
+    });
+    if (alert.hours && alert.hours.length > 0) {
+      message = t("alert.at_hours", {
+        message,
+        hours: alert.hours.map(formatHour).join(", "),
+      });
+    }
+    return alert.name ? t("alert.named", { name: alert.name, message }) : message;
+  }
+
+  function renderAlerts(list) {
+    shownAlerts = list;
+    alertBanner.textContent = "";
+    list.forEach((alert) => {
+      const item = document.createElement("div");
+      item.className = "alert-item";
+      const text = document.createElement("span");
+      text.textContent = `⚠️ ${describeAlert(alert)}`;
+      item.appendChild(text);
+      const dismiss = document.createElement("button");
+      dismiss.type = "button";
+      dismiss.className = "link-button";
+      dismiss.textContent = t("common.dismiss");
+      dismiss.addEventListener("click", () => {
+        dismissedAlerts.add(alert.id);
+        shownAlerts = shownAlerts.filter((a) => a !== alert);
+        item.remove();
+        if (!alertBanner.firstChild) alertBanner.classList.add("hidden");
+      });
+      item.appendChild(dismiss);
+      alertBanner.appendChild(item);
+    });
+    alertBanner.classList.toggle("hidden", list.length === 0);
+  }
+
+  async function loadAlerts(dateString) {
+    const params = new URLSearchParams({
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+    });
+    try {
+      const resp = await apiFetch(`/alerts?${params.toString()}`);
+      if (!resp.ok) return;
+      const data = await resp.json();
+      // The user may have moved on to another day meanwhile
+      if (dateString !== currentDateString()) return;
+      renderAlerts(data.alerts.filter((alert) => !dismissedAlerts.has(alert.id)));
+    } catch (e) {
+      // The banner is a convenience; ignore failures
     }
   }
 
   // Render weather card
+  // Format a metric reading in the chosen units, tolerating missing or
+  // non-numeric values.  `digits` defaults to the unit's usual decimals.
+  function formatReading(field, value, digits) {
+    return i18n.formatNumber(
+      units.toDisplay(field, value),
+      digits === undefined ? units.digitsFor(field) : digits
+    );
+  }
+
+  function unitLabel(field) {
+    return t(`unit.${units.unitFor(field)}`);
+  }
+
+  // A reading with its unit: "21.5°C", "64%", "12.0 mph"
+  function withUnit(field, value, digits) {
+    return appendUnit(field, formatReading(field, value, digits));
+  }
+
+  function appendUnit(field, text) {
+    const unit = units.unitFor(field);
+    const separator = ["C", "F", "pct"].includes(unit) ? "" : " ";
+    return `${text}${separator}${unitLabel(field)}`;
+  }
+
+  // "Temperature (°F)", or just the name for fields without a unit
+  function fieldLabel(field) {
+    const name = t(`field.${field}`);
+    if (field === "conditionText") return name;
+    return t("field.with_unit", { name, unit: unitLabel(field) });
+  }
+
   function renderWeather(data, source) {
-    tempEl.textContent = `${data.tempC.toFixed(1)}°C`;
-    humidityEl.textContent = data.humidityPct;
-    windEl.textContent = data.windKph.toFixed(1);
-    precipEl.textContent = data.precipMm.toFixed(1);
+    tempEl.textContent = withUnit("tempC", data.tempC);
+    humidityEl.textContent = withUnit("humidityPct", data.humidityPct);
+    windEl.textContent = withUnit("windKph", data.windKph);
+    precipEl.textContent = withUnit("precipMm", data.precipMm);
     conditionIcon.textContent = data.conditionIcon;
-    conditionText.textContent = data.conditionText;
-    sourceEl.textContent = `Source: ${source}`;
+    conditionText.textContent = data.conditionText || "";
+    sourceEl.textContent = t("source.label", { source });
+    renderHourly(data.hours || []);
     weatherCard.classList.remove("hidden");
 
     if (currentOverride && currentOverride.active) {
@@ -257,114 +804,950 @@
     }
   }
 
+  // API and override values of the overridden day fields side by side,
+  // with the difference in the chosen units
+  function renderComparison(weather, override) {
+    const values = (override && override.newValues) || {};
+    const fields = Object.keys(values).filter((field) => field in updateFields);
+    comparisonBody.textContent = "";
+    comparisonEl.classList.toggle("hidden", fields.length === 0);
+    fields.forEach((field) => {
+      const row = document.createElement("tr");
+      let cells;
+      if (field === "conditionText") {
+        const same =
+          String(weather.conditionText || "").trim().toLowerCase() ===
+          String(values.conditionText).trim().toLowerCase();
+        cells = [
+          weather.conditionText || "--",
+          values.conditionText,
+          same ? "=" : t("compare.changed"),
+        ];
+      } else {
+        cells = [
+          withUnit(field, weather[field]),
+          withUnit(field, values[field]),
+          formatDelta(field, weather[field], values[field]),
+        ];
+      }
+      [t(`field.${field}`), ...cells].forEach((text, i) => {
+        const cell = document.createElement(i === 0 ? "th" : "td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      if (cells[2] !== "=" && cells[2] !== "--") row.classList.add("changed");
+      comparisonBody.appendChild(row);
+    });
+  }
+
+  // Override minus API in display units, signed: "+2.5°C", "-4%"
+  function formatDelta(field, apiValue, overrideValue) {
+    if (typeof apiValue !== "number" || typeof overrideValue !== "number") return "--";
+    const digits = units.digitsFor(field);
+    const factor = Math.pow(10, digits);
+    const diff =
+      Math.round(
+        (units.toDisplay(field, overrideValue) - units.toDisplay(field, apiValue)) * factor
+      ) / factor;
+    if (diff === 0) return "=";
+    const sign = diff > 0 ? "+" : "−";
+    return appendUnit(field, `${sign}${i18n.formatNumber(Math.abs(diff), digits)}`);
+  }
+
+  function formatHour(hour) {
+    return `${String(hour).padStart(2, "0")}:00`;
+  }
+
+  // Hourly timeline.  Editors can click a slot to override that hour,
+  // and clear an hour override with its ✕ button.
+  function renderHourly(hours) {
+    hourlyEl.textContent = "";
+    hourlyEl.classList.toggle("hidden", hours.length === 0);
+    hours.forEach((slot) => {
+      const item = document.createElement("li");
+      item.className = "hour-slot";
+      if (slot.overridden) item.classList.add("overridden");
+      item.title = slot.conditionText || "";
+      const lines = [
+        ["hour-time", formatHour(slot.hour)],
+        ["hour-icon", slot.conditionIcon || ""],
+        ["hour-temp", withUnit("tempC", slot.tempC)],
+        ["hour-wind", withUnit("windKph", slot.windKph, 0)],
+        ["hour-precip", withUnit("precipMm", slot.precipMm)],
+      ];
+      lines.forEach(([className, text]) => {
+        const line = document.createElement("div");
+        line.className = className;
+        line.textContent = text;
+        item.appendChild(line);
+      });
+      item.addEventListener("click", () => {
+        if (hasRole("editor")) openUpdateModal(slot.hour);
+      });
+      if (slot.overridden) {
+        const clearBtn = document.createElement("button");
+        clearBtn.type = "button";
+        clearBtn.className = "hour-clear editor-only";
+        clearBtn.title = t("hour.clear_title", { hour: formatHour(slot.hour) });
+        clearBtn.textContent = "✕";
+        clearBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          clearHour(slot.hour);
+        });
+        item.appendChild(clearBtn);
+      }
+      hourlyEl.appendChild(item);
+    });
+  }
+
   // Update modal
-  function openUpdateModal() {
+  // Modal inputs keyed by override field name
+  const updateFields = {
+    tempC: updTemp,
+    humidityPct: updHumidity,
+    windKph: updWind,
+    precipMm: updPrecip,
+    conditionText: updCondition,
+  };
+
+  // Modal labels name the unit each number is typed in
+  function renderFieldLabels() {
+    document.querySelectorAll("[data-field-label]").forEach((el) => {
+      el.textContent = `${fieldLabel(el.dataset.fieldLabel)}:`;
+    });
+    Object.keys(updateFields).forEach((field) => {
+      if (field === "conditionText") return;
+      const range = units.inputRange(field);
+      updateFields[field].min = range.min;
+      updateFields[field].max = range.max;
+      updateFields[field].step = range.step;
+    });
+  }
+
+  // A metric value as typed into a modal input, in display units
+  function toInputValue(field, value) {
+    if (typeof value !== "number") return String(value);
+    const digits = units.inputRange(field).step < 1 ? 2 : 0;
+    return String(Number(units.toDisplay(field, value).toFixed(digits)));
+  }
+
+  // Fields are prefilled with the active override's values for the
+  // selected scope (the whole day or one hour); fields the override does
+  // not set are left blank with the forecast value as a placeholder, so
+  // only what the user types is overridden.  Numbers are shown in the
+  // chosen units; the stored metric value is remembered so one the user
+  // leaves untouched is sent back unchanged rather than converted twice.
+  function fillUpdateFields() {
+    const hour = updScope.value === "" ? null : Number(updScope.value);
+    let forecast = currentForecast;
+    let overridden = (currentOverride && currentOverride.newValues) || {};
+    if (hour !== null) {
+      forecast =
+        (currentForecast.hours || []).find((slot) => slot.hour === hour) || {};
+      overridden =
+        (currentOverride &&
+          currentOverride.hourValues &&
+          currentOverride.hourValues[hour]) ||
+        {};
+    }
+    Object.keys(updateFields).forEach((field) => {
+      const input = updateFields[field];
+      input.setCustomValidity("");
+      input.placeholder =
+        forecast[field] === undefined ? "" : toInputValue(field, forecast[field]);
+      input.value =
+        overridden[field] === undefined ? "" : toInputValue(field, overridden[field]);
+      input.dataset.shown = input.value;
+      input.dataset.metric =
+        overridden[field] === undefined ? "" : String(overridden[field]);
+    });
+  }
+
+  function openUpdateModal(hour) {
     if (!currentWeather) return;
-    updTemp.value = currentWeather.tempC;
-    updHumidity.value = currentWeather.humidityPct;
-    updWind.value = currentWeather.windKph;
-    updPrecip.value = currentWeather.precipMm;
-    updCondition.value = currentWeather.conditionText;
+    while (updScope.options.length > 1) updScope.remove(1);
+    currentWeather.hours.forEach((slot) => {
+      const option = document.createElement("option");
+      option.value = String(slot.hour);
+      option.textContent = formatHour(slot.hour);
+      updScope.appendChild(option);
+    });
+    updScope.value = typeof hour === "number" ? String(hour) : "";
+    fillUpdateFields();
+    fillExpiry();
     updateModal.classList.remove("hidden");
   }
 
+  updScope.addEventListener("change", fillUpdateFields);
+
+  // "YYYY-MM-DDTHH:MM" in local time, as datetime-local inputs expect
+  function toLocalInput(iso) {
+    const d = new Date(iso);
+    const pad = (n) => String(n).padStart(2, "0");
+    return (
+      `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+      `T${pad(d.getHours())}:${pad(d.getMinutes())}`
+    );
+  }
+
+  // An override that already expires keeps its time unless changed
+  function fillExpiry() {
+    const expiresAt = currentOverride && currentOverride.expiresAt;
+    updExpiry.value = expiresAt ? "custom" : "";
+    updExpiryAt.value = expiresAt ? toLocalInput(expiresAt) : "";
+    updExpiryAtLabel.classList.toggle("hidden", !expiresAt);
+  }
+
+  updExpiry.addEventListener("change", () => {
+    updExpiryAtLabel.classList.toggle("hidden", updExpiry.value !== "custom");
+    updExpiry.setCustomValidity("");
+    updExpiryAt.setCustomValidity("");
+  });
+  updExpiryAt.addEventListener("input", () => updExpiryAt.setCustomValidity(""));
+
+  // The expiresAt to send: null for never, a preset the server resolves,
+  // or the chosen local time as an ISO timestamp
+  function readExpiry() {
+    if (updExpiry.value === "custom") {
+      if (!updExpiryAt.value) return undefined;
+      return new Date(updExpiryAt.value).toISOString();
+    }
+    return updExpiry.value || null;
+  }
+
+  // Collect the non-blank modal fields into a (partial) values object,
+  // in metric units
+  function readUpdateValues() {
+    const values = {};
+    Object.keys(updateFields).forEach((field) => {
+      const input = updateFields[field];
+      const raw = input.value.trim();
+      if (raw === "") return;
+      if (field === "conditionText") {
+        values[field] = raw;
+      } else if (input.value === input.dataset.shown && input.dataset.metric !== "") {
+        values[field] = parseFloat(input.dataset.metric);
+      } else {
+        values[field] = units.toMetric(field, parseFloat(raw));
+      }
+    });
+    return values;
+  }
+
+  // Show field-level errors returned by the server on the form inputs
+  function showFieldErrors(fields) {
+    Object.keys(fields).forEach((field) => {
+      const input =
+        field === "expiresAt" || field === "tz" ? updExpiry : updateFields[field];
+      if (input) input.setCustomValidity(`${fields[field]}`);
+    });
+    updateForm.reportValidity();
+  }
+
+  Object.keys(updateFields).forEach((field) => {
+    updateFields[field].addEventListener("input", () =>
+      updateFields[field].setCustomValidity("")
+    );
+  });
+
   function closeUpdateModal() {
     updateModal.classList.add("hidden");
   }
 
-  updateBtn.addEventListener("click", openUpdateModal);
-  cancelUpdate.addEventListener("click", closeUpdateModal);
+  updateBtn.addEventListener("click", () => openUpdateModal(null));
+  cancelUpdate.addEventListener("click", () => {
+    closeUpdateModal();
+    if (staleWhileEditing) loadWeather(currentDateKey);
+  });
+
+  // Conflict dialog
+  const FIELDS = ["tempC", "humidityPct", "windKph", "precipMm", "conditionText"];
+  let resolveConflict = null;
+
+  // A value for display: numbers in the chosen units, text as is
+  function formatValue(field, value) {
+    if (value === undefined) return "—";
+    return typeof value === "number" ? formatReading(field, value) : String(value);
+  }
+
+  // Show the user's values next to the current override and resolve
+  // with "mine" or "theirs".  Either side may be null, meaning "no
+  // override".  `note` is put in front of the explanation.  For a write
+  // to one hour slot, `hour` picks the current values of that hour
+  // rather than the day's.
+  function showConflict(mine, current, note = "", hour = null) {
+    if (current) {
+      conflictInfo.textContent = note + t("conflict.saved", {
+        user: current.updatedBy,
+        version: current.version,
+        when: i18n.formatDateTime(current.updatedAt),
+      });
+    } else {
+      conflictInfo.textContent = note + t("conflict.removed");
+    }
+    let theirs = current ? current.newValues || {} : null;
+    if (current && hour !== null) {
+      theirs = (current.hourValues && current.hourValues[hour]) || null;
+    }
+    conflictRows.textContent = "";
+    FIELDS.forEach((field) => {
+      const row = document.createElement("tr");
+      const ours = mine ? mine[field] : undefined;
+      const other = theirs ? theirs[field] : undefined;
+      [fieldLabel(field), formatValue(field, ours), formatValue(field, other)].forEach(
+        (text) => {
+          const cell = document.createElement("td");
+          cell.textContent = text;
+          row.appendChild(cell);
+        }
+      );
+      if (ours !== other) row.classList.add("differs");
+      conflictRows.appendChild(row);
+    });
+    if (!mine || !theirs) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 3;
+      cell.textContent = mine ? t("conflict.no_current") : t("conflict.remove_mine");
+      row.appendChild(cell);
+      conflictRows.appendChild(row);
+    }
+    conflictModal.classList.remove("hidden");
+    return new Promise((resolve) => {
+      resolveConflict = resolve;
+    });
+  }
+
+  function chooseConflict(choice) {
+    conflictModal.classList.add("hidden");
+    if (resolveConflict) resolveConflict(choice);
+    resolveConflict = null;
+  }
+
+  conflictKeepMine.addEventListener("click", () => chooseConflict("mine"));
+  conflictKeepTheirs.addEventListener("click", () => chooseConflict("theirs"));
+
+  // Send an override write conditioned on the revision the user was
+  // looking at (`etag`, by default the one on screen).  On 409 the
+  // conflict dialog decides: keeping mine retries against the new
+  // revision, keeping theirs resolves with null.
+  async function sendOverrideWrite(url, method, body, mine, options = {}) {
+    let etag = options.etag !== undefined ? options.etag : currentOverrideEtag;
+    const hour = typeof body.hour === "number" ? body.hour : null;
+    for (;;) {
+      const headers = { "Content-Type": "application/json" };
+      if (etag) headers["If-Match"] = etag;
+      const resp = await apiFetch(url, {
+        method,
+        headers,
+        body: JSON.stringify(body),
+      });
+      if (resp.status !== 409) return resp;
+      const data = await resp.json();
+      if ((await showConflict(mine, data.current, options.note, hour)) === "theirs") {
+        return null;
+      }
+      etag = data.etag;
+    }
+  }
+
+  // Offline queue.  Override writes that cannot reach the server are
+  // kept in localStorage, in order, with the revision they were based
+  // on, and replayed when the connection returns.  A replayed write
+  // that conflicts goes through the usual conflict dialog.
+  function readQueue() {
+    try {
+      return JSON.parse(localStorage.getItem("overrideQueue") || "[]");
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeQueue(queue) {
+    localStorage.setItem("overrideQueue", JSON.stringify(queue));
+  }
+
+  function showQueueStatus() {
+    const count = readQueue().length;
+    if (count === 0) return;
+    const note = i18n.plural("queue.waiting", count);
+    showStatus(statusEl.textContent ? `${statusEl.textContent} ${note}` : note, "info");
+  }
+
+  // Send an override write, or queue it when the server cannot be
+  // reached (fetch rejects only on network failure).  Resolves like
+  // sendOverrideWrite, or with "queued".
+  async function writeOrQueue(method, body, mine, label) {
+    try {
+      return await sendOverrideWrite("/override", method, body, mine);
+    } catch (err) {
+      if (!(err instanceof TypeError)) throw err;
+      const queue = readQueue();
+      queue.push({ method, body, mine, etag: currentOverrideEtag, label });
+      writeQueue(queue);
+      showStatus(t("queue.queued", { label }), "info");
+      return "queued";
+    }
+  }
+
+  // Statuses that reject a queued write for good: the change is invalid,
+  // no longer applies, or is not allowed for the user's role (403: with
+  // moderation on, only reviewers remove overrides).  Other failures,
+  // such as rate limiting or a server error, leave it queued to be
+  // tried again later.
+  const QUEUE_REJECTED = [400, 403, 409, 422];
+  // Wait before trying again when the server gives no Retry-After
+  const QUEUE_RETRY_MS = 30 * 1000;
+
+  let replaying = false;
+  let replayTimer = null;
+
+  // Replay the queue again once the server's Retry-After has passed
+  function scheduleReplay(resp) {
+    const seconds = Number(resp.headers.get("Retry-After"));
+    clearTimeout(replayTimer);
+    replayTimer = setTimeout(
+      replayQueue,
+      seconds > 0 ? seconds * 1000 : QUEUE_RETRY_MS
+    );
+  }
+
+  async function replayQueue() {
+    if (replaying || readQueue().length === 0) return;
+    replaying = true;
+    const failed = [];
+    let processed = 0;
+    // Several offline edits of one day are all based on the revision
+    // seen before going offline; each one after the first is based on
+    // the revision its predecessor created instead
+    const rebased = {};
+    try {
+      for (;;) {
+        const [entry] = readQueue();
+        if (!entry) break;
+        const key = `${entry.body.lat},${entry.body.lon},${entry.body.date}`;
+        let etag = entry.etag;
+        if (rebased[key] && rebased[key].from === etag) etag = rebased[key].to;
+        let resp;
+        try {
+          resp = await sendOverrideWrite("/override", entry.method, entry.body, entry.mine, {
+            etag,
+            note: t("queue.conflict_note", { label: entry.label }),
+          });
+        } catch (err) {
+          // Still offline; try again on the next "online" event
+          break;
+        }
+        // Logged out or the session expired: keep the queue until the
+        // user logs in again
+        if (resp && resp.status === 401) break;
+        // Rate limited or the server failed: keep this and the later
+        // entries, in order, for the next attempt
+        if (resp && !resp.ok && !QUEUE_REJECTED.includes(resp.status)) {
+          scheduleReplay(resp);
+          break;
+        }
+        if (resp && !resp.ok) failed.push(entry.label);
+        if (resp && resp.ok) rebased[key] = { from: entry.etag, to: resp.headers.get("ETag") };
+        processed += 1;
+        writeQueue(readQueue().slice(1));
+        clearWeatherCache(entry.body.date);
+      }
+    } finally {
+      replaying = false;
+    }
+    if (processed === 0) return;
+    await loadWeather(currentDateKey);
+    const waiting = readQueue().length;
+    if (failed.length > 0) {
+      showStatus(t("queue.rejected", { labels: failed.join("; ") }), "error");
+    } else if (waiting > 0) {
+      showStatus(i18n.plural("queue.waiting", waiting), "info");
+    } else {
+      showStatus(t("queue.sent"), "info");
+    }
+  }
+
+  window.addEventListener("online", replayQueue);
 
   // Save override
   updateForm.addEventListener("submit", async (e) => {
     e.preventDefault();
 
-    const offset =
-      currentDateKey === "tomorrow" ? 1 : currentDateKey === "dayafter" ? 2 : 0;
-
-    const dateString = getDateString(offset);
-    const values = {
-      tempC: parseFloat(updTemp.value),
-      humidityPct: parseInt(updHumidity.value, 10),
-      windKph: parseFloat(updWind.value),
-      precipMm: parseFloat(updPrecip.value),
-      conditionText: updCondition.value.trim(),
+    const dateString = currentDateString();
+    const values = readUpdateValues();
+    const body = {
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+      values,
     };
+    if (updScope.value !== "") body.hour = Number(updScope.value);
+    if (Object.keys(values).length === 0) {
+      updTemp.setCustomValidity(t("update.enter_value"));
+      updateForm.reportValidity();
+      return;
+    }
+    body.expiresAt = readExpiry();
+    if (body.expiresAt === undefined) {
+      updExpiryAt.setCustomValidity(t("update.choose_expiry"));
+      updateForm.reportValidity();
+      return;
+    }
+    if (body.expiresAt === "end-of-day") body.tz = locationData.tz;
 
     try {
-      const resp = await fetch("/override", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          lat: String(locationData.lat),
-          lon: String(locationData.lon),
-          date: dateString,
-          values,
-        }),
-      });
-      if (!resp.ok) throw new Error("Failed to save override");
+      const resp = await writeOrQueue(
+        "POST",
+        body,
+        values,
+        t("queue.save", { target: describeTarget(body) })
+      );
+      if (resp === "queued") {
+        closeUpdateModal();
+        return;
+      }
+      if (!resp) {
+        // Kept the other editor's version
+        closeUpdateModal();
+        clearWeatherCache(dateString);
+        loadWeather(currentDateKey);
+        return;
+      }
+      if (resp.status === 400) {
+        const data = await resp.json();
+        if (data.fields) {
+          showFieldErrors(data.fields);
+          return;
+        }
+        throw new Error(data.error || t("error.save_override"));
+      }
+      if (!resp.ok) throw new Error(t("error.save_override"));
       await resp.json();
       closeUpdateModal();
 
-      const cacheKey = `${locationData.lat},${locationData.lon},${dateString}`;
-      let cache = {};
-      try {
-        cache = JSON.parse(localStorage.getItem("weatherCache") || "{}");
-      } catch (e) {
-        cache = {};
+      // 202: a proposal, so what is on screen does not change yet
+      if (resp.status === 202) {
+        showStatus(t("status.proposed"), "info");
+        return;
       }
-      delete cache[cacheKey];
-      localStorage.setItem("weatherCache", JSON.stringify(cache));
+
+      clearWeatherCache(dateString);
 
       loadWeather(currentDateKey);
     } catch (err) {
       console.error(err);
-      showStatus(err.message || "Error saving override", "error");
+      showStatus(err.message || t("error.save_override"), "error");
     }
   });
 
+  // "12 Oct 2026 15:00 at 17.385, 78.4867" for queued change labels
+  function describeTarget(body) {
+    const params = { date: i18n.formatDate(body.date), lat: body.lat, lon: body.lon };
+    if (body.hour === undefined) return t("queue.target", params);
+    return t("queue.target_hour", { ...params, hour: formatHour(body.hour) });
+  }
+
   // Remove override
   removeBtn.addEventListener("click", async () => {
-    const offset =
-      currentDateKey === "tomorrow" ? 1 : currentDateKey === "dayafter" ? 2 : 0;
-    const dateString = getDateString(offset);
+    const dateString = currentDateString();
+
+    const body = {
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+    };
 
     try {
-      const resp = await fetch("/override", {
-        method: "DELETE",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+      const resp = await writeOrQueue(
+        "DELETE",
+        body,
+        null,
+        t("queue.remove", { target: describeTarget(body) })
+      );
+      if (resp === "queued") return;
+      if (resp && resp.status === 403) throw new Error(t("error.needs_reviewer"));
+      if (resp && !resp.ok) throw new Error(t("error.remove_override"));
+      if (resp) await resp.json();
+
+      clearWeatherCache(dateString);
+
+      loadWeather(currentDateKey);
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.remove_override"), "error");
+    }
+  });
+
+  // Remove the override of a single hour slot
+  async function clearHour(hour) {
+    const dateString = currentDateString();
+    const body = {
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+      hour,
+    };
+    try {
+      const resp = await writeOrQueue(
+        "DELETE",
+        body,
+        null,
+        t("queue.clear", { target: describeTarget(body) })
+      );
+      if (resp === "queued") return;
+      if (resp && resp.status === 403) throw new Error(t("error.needs_reviewer"));
+      if (resp && !resp.ok) throw new Error(t("error.remove_hour"));
+      if (resp) await resp.json();
+
+      clearWeatherCache(dateString);
+      loadWeather(currentDateKey);
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.remove_hour"), "error");
+    }
+  }
+
+  // Override history panel
+  async function fetchHistory(dateString) {
+    const params = new URLSearchParams({
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+      date: dateString,
+    });
+    const resp = await apiFetch(`/override/history?${params.toString()}`);
+    if (!resp.ok) throw new Error(t("error.load_history"));
+    const data = await resp.json();
+    return data.versions || [];
+  }
+
+  function withValueUnit(field, value) {
+    if (typeof value !== "number") return String(value);
+    return withUnit(field, value);
+  }
+
+  function describeValues(values) {
+    return Object.keys(values)
+      .map((key) => `${t(`field.${key}`)}: ${withValueUnit(key, values[key])}`)
+      .join(", ");
+  }
+
+  // Day values followed by each overridden hour
+  function describeOverride(entry) {
+    const parts = [];
+    const day = describeValues(entry.newValues || {});
+    if (day) parts.push(day);
+    const hourValues = entry.hourValues || {};
+    Object.keys(hourValues)
+      .sort((a, b) => a - b)
+      .forEach((hour) => {
+        parts.push(`${formatHour(hour)} → ${describeValues(hourValues[hour])}`);
+      });
+    return parts.join("; ");
+  }
+
+  function renderHistory(versions) {
+    historyList.textContent = "";
+    if (versions.length === 0) {
+      const empty = document.createElement("li");
+      empty.textContent = t("history.empty");
+      historyList.appendChild(empty);
+      return;
+    }
+    versions.forEach((entry) => {
+      const item = document.createElement("li");
+      if (entry.active) item.classList.add("current");
+
+      const meta = document.createElement("div");
+      meta.className = "history-meta";
+      const parts = [
+        `v${entry.version}`,
+        entry.updatedBy,
+        i18n.formatDateTime(entry.updatedAt),
+      ];
+      if (entry.revertedFrom) {
+        parts.push(t("history.reverted_from", { version: entry.revertedFrom }));
+      }
+      if (entry.activeFrom) {
+        parts.push(t("history.from", { when: i18n.formatDateTime(entry.activeFrom) }));
+      }
+      if (entry.removedReason === "expired") {
+        parts.push(t("history.expired", { when: i18n.formatDateTime(entry.removedAt) }));
+      } else if (entry.expiresAt) {
+        parts.push(t("history.until", { when: i18n.formatDateTime(entry.expiresAt) }));
+      }
+      // The latest review, if someone other than the author made one
+      const review = (entry.history || [])
+        .filter((step) => step.state === "approved" || step.state === "rejected")
+        .pop();
+      if (entry.state === "proposed") {
+        parts.push(t("history.proposed"));
+      } else if (review && review.state === "rejected") {
+        parts.push(t("history.rejected_by", { who: review.by }));
+      } else if (review && review.by !== entry.updatedBy) {
+        parts.push(t("history.approved_by", { who: review.by }));
+      }
+      if (review && review.comment) parts.push(`“${review.comment}”`);
+      if (entry.active) parts.push(t("history.current"));
+      meta.textContent = parts.join(" · ");
+      item.appendChild(meta);
+
+      const values = document.createElement("div");
+      values.className = "history-values";
+      values.textContent = describeOverride(entry);
+      item.appendChild(values);
+
+      if (!entry.active && entry.state !== "proposed") {
+        const revertBtn = document.createElement("button");
+        revertBtn.type = "button";
+        revertBtn.className = "editor-only";
+        revertBtn.textContent = t("history.revert", { version: entry.version });
+        revertBtn.addEventListener("click", () =>
+          revertTo(entry.version, entry.newValues || {})
+        );
+        item.appendChild(revertBtn);
+      }
+      historyList.appendChild(item);
+    });
+  }
+
+  async function toggleHistory() {
+    if (!historyPanel.classList.contains("hidden")) {
+      historyPanel.classList.add("hidden");
+      return;
+    }
+    try {
+      const versions = await fetchHistory(currentDateString());
+      renderHistory(versions);
+      historyPanel.classList.remove("hidden");
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.load_history"), "error");
+    }
+  }
+
+  async function revertTo(version, values) {
+    const dateString = currentDateString();
+    try {
+      const resp = await sendOverrideWrite(
+        "/override/revert",
+        "POST",
+        {
           lat: String(locationData.lat),
           lon: String(locationData.lon),
           date: dateString,
-        }),
-      });
-      if (!resp.ok) throw new Error("Failed to remove override");
-      await resp.json();
+          version,
+        },
+        values
+      );
+      if (resp && !resp.ok) throw new Error(t("error.revert"));
+      if (resp) await resp.json();
+
+      clearWeatherCache(dateString);
+      await loadWeather(currentDateKey);
+      renderHistory(await fetchHistory(dateString));
+      historyPanel.classList.remove("hidden");
+      if (resp && resp.status === 202) showStatus(t("status.proposed"), "info");
+    } catch (err) {
+      console.error(err);
+      showStatus(err.message || t("error.revert"), "error");
+    }
+  }
+
+  historyBtn.addEventListener("click", toggleHistory);
+
+  // Live updates.  One stream per location; it is reopened when the
+  // location or the session token changes.
+  let eventSource = null;
+  let eventSourceKey = null;
+  // Whether the current stream has been connected, so a reconnect
+  // knows changes may have been missed
+  let eventSourceOpened = false;
+
+  // EventSource cannot send headers.  When reads need a login the
+  // server hands out a short-lived ticket for the stream URL, so the
+  // session token itself never ends up in URLs and logs; otherwise the
+  // ticket is null and the stream needs no credentials.
+  async function fetchEventTicket() {
+    if (!localStorage.getItem("authToken")) return null;
+    try {
+      const resp = await apiFetch("/events/ticket", { method: "POST" });
+      if (!resp.ok) return null;
+      return (await resp.json()).ticket;
+    } catch (err) {
+      return null;
+    }
+  }
 
-      const cacheKey = `${locationData.lat},${locationData.lon},${dateString}`;
-      let cache = {};
+  // `renew` reopens the current stream with a fresh ticket
+  async function subscribeToChanges(renew = false) {
+    if (!window.EventSource || !locationData) return;
+    const params = new URLSearchParams({
+      lat: String(locationData.lat),
+      lon: String(locationData.lon),
+    });
+    const key = `${params.toString()}|${localStorage.getItem("authToken") || ""}`;
+    if (key === eventSourceKey && !renew) return;
+    if (eventSource) eventSource.close();
+    eventSource = null;
+    eventSourceKey = key;
+    if (!renew) eventSourceOpened = false;
+    const ticket = await fetchEventTicket();
+    // The location or session changed while waiting
+    if (key !== eventSourceKey) return;
+    if (ticket) params.set("ticket", ticket);
+    const source = new EventSource(`/events?${params.toString()}`);
+    eventSource = source;
+
+    // After a dropped connection, changes may have been missed
+    source.addEventListener("open", () => {
+      if (eventSourceOpened && updateModal.classList.contains("hidden")) {
+        clearWeatherCache(currentDateString());
+        loadWeather(currentDateKey);
+      }
+      eventSourceOpened = true;
+    });
+    // A reconnect the server refuses (the ticket expired) closes the
+    // stream for good; open it again with a new ticket
+    source.addEventListener("error", () => {
+      if (source !== eventSource || source.readyState !== EventSource.CLOSED) return;
+      setTimeout(() => {
+        if (source === eventSource) subscribeToChanges(true);
+      }, 5000);
+    });
+    source.addEventListener("alert", (e) => {
       try {
-        cache = JSON.parse(localStorage.getItem("weatherCache") || "{}");
-      } catch (e) {
-        cache = {};
+        const alert = JSON.parse(e.data);
+        if (alert.date === currentDateString()) loadAlerts(alert.date);
+      } catch (err) {
+        console.error(err);
       }
-      delete cache[cacheKey];
-      localStorage.setItem("weatherCache", JSON.stringify(cache));
+    });
+    source.addEventListener("override", (e) => {
+      try {
+        handleOverrideChange(JSON.parse(e.data));
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
 
-      loadWeather(currentDateKey);
-    } catch (err) {
-      console.error(err);
-      showStatus(err.message || "Error removing override", "error");
+  async function handleOverrideChange(change) {
+    clearWeatherCache(change.date);
+    if (change.date !== currentDateString()) return;
+    // Our own edit, already on screen
+    if (`"${change.revision}"` === currentOverrideEtag) return;
+
+    const record = change.override || {};
+    const steps = record.history || [];
+    let who = record.updatedBy;
+    if (change.action === "removed") who = record.removedBy;
+    if (change.action === "approved" || change.action === "rejected") {
+      who = steps.length > 0 ? steps[steps.length - 1].by : null;
     }
-  });
+    const message = t(`change.${change.action}`, { who: who || t("change.someone") });
+    if (!updateModal.classList.contains("hidden")) {
+      staleWhileEditing = true;
+      showStatus(message, "info");
+      return;
+    }
+    await loadWeather(currentDateKey);
+    showStatus(message, "info");
+  }
 
   // Date button handlers
+  yesterdayBtn.addEventListener("click", () => loadWeather("yesterday"));
   todayBtn.addEventListener("click", () => loadWeather("today"));
   tomorrowBtn.addEventListener("click", () => loadWeather("tomorrow"));
   dayafterBtn.addEventListener("click", () => loadWeather("dayafter"));
+  recordedSelect.addEventListener("change", () => {
+    if (recordedSelect.value) loadWeather(recordedSelect.value);
+  });
+
+  // Settings: unit system and language, kept in localStorage as
+  // { units, language }.  Language "auto" follows the browser.
+  function readSettings() {
+    try {
+      return JSON.parse(localStorage.getItem("settings") || "{}") || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function applySettings() {
+    const settings = readSettings();
+    units.setSystem(settings.units || "metric");
+    i18n.setLanguage(settings.language || "auto");
+    settingsUnits.value = units.getSystem();
+    settingsLanguage.value = settings.language || "auto";
+    i18n.translatePage();
+    renderFieldLabels();
+  }
+
+  function fillSettingsOptions() {
+    units.SYSTEMS.forEach((system) => {
+      const option = document.createElement("option");
+      option.value = system;
+      option.dataset.i18n = `units.${system}`;
+      settingsUnits.appendChild(option);
+    });
+    i18n.LANGUAGES.forEach((code) => {
+      const option = document.createElement("option");
+      option.value = code;
+      // Each language is listed under its own name
+      option.textContent = i18n.languageName(code);
+      settingsLanguage.appendChild(option);
+    });
+  }
+
+  // Store a changed setting and redraw everything that depends on it
+  function changeSetting(name, value) {
+    localStorage.setItem(
+      "settings",
+      JSON.stringify({ ...readSettings(), [name]: value })
+    );
+    applySettings();
+    renderCurrent();
+    renderAlerts(shownAlerts);
+    refreshRecordedDates();
+    historyPanel.classList.add("hidden");
+  }
+
+  settingsUnits.addEventListener("change", () =>
+    changeSetting("units", settingsUnits.value)
+  );
+  settingsLanguage.addEventListener("change", () =>
+    changeSetting("language", settingsLanguage.value)
+  );
+  settingsBtn.addEventListener("click", () =>
+    settingsModal.classList.remove("hidden")
+  );
+  closeSettings.addEventListener("click", () =>
+    settingsModal.classList.add("hidden")
+  );
+
+  // Initialize.  Locations saved before time zones were resolved
+  // on the server get their zone looked up first.
+  async function init() {
+    fillSettingsOptions();
+    applySettings();
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.register("/sw.js").catch((err) => console.error(err));
+    }
+    initLocation();
+    await restoreSession();
+    if (!locationData.tz) {
+      try {
+        locationData.tz = await resolveTimeZone(locationData.lat, locationData.lon);
+        storeLocation();
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    loadFavorites();
+    await loadWeather("today");
+    replayQueue();
+  }
 
-  // Initialize
-  initLocation();
-  loadWeather("today");
+  init();
 })();
@@ -0,0 +1,126 @@
+// Service worker for Weather.io
+//
+// Keeps the app usable without a network connection.  The app shell is
+// cached at install time, and every successful response from the read
+// routes the page uses is kept as the last known copy for that URL
+// (that is, per location and date).  Requests always go to the network
+// first; only when it cannot be reached is the cached copy served, with
+// an X-Cached-At header saying when it was stored so the page can show
+// how old the data is.  Writes are never cached – the page queues
+// override edits itself while offline.
+//
+// The server points pages at versioned asset URLs (/script.js?v=<hash>).
+// Only the newest copy of each shell file is kept, and offline it is
+// served for any version of that file.
+
+const SHELL_CACHE = "weatherio-shell-v4";
+const DATA_CACHE = "weatherio-data-v1";
+const SHELL_FILES = [
+  "/",
+  "/index.html",
+  "/style.css",
+  "/i18n.js",
+  "/units.js",
+  "/script.js",
+  "/dashboard.html",
+  "/dashboard.js",
+  "/manifest.webmanifest",
+  "/icon.svg",
+];
+// Read routes whose responses are kept for offline use
+const DATA_PATHS = [
+  "/weather",
+  "/weather/dates",
+  "/override",
+  "/alerts",
+  "/locations",
+  "/timezone",
+];
+// Oldest data responses beyond this many are dropped
+const MAX_DATA_ENTRIES = 200;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => !current.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Store a copy of a response stamped with the time it was fetched
+async function storeData(request, response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Cached-At", new Date().toISOString());
+  const body = await response.blob();
+  const cache = await caches.open(DATA_CACHE);
+  await cache.put(
+    request,
+    new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    })
+  );
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES))) {
+    await cache.delete(key);
+  }
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      if (cacheName === DATA_CACHE) {
+        await storeData(request, response.clone());
+      } else {
+        const cache = await caches.open(cacheName);
+        if (request.mode !== "navigate") {
+          await cache.delete(request, { ignoreSearch: true });
+        }
+        await cache.put(request, response.clone());
+      }
+    }
+    return response;
+  } catch (err) {
+    // Offline: fall back to the last copy, if any
+    const cached =
+      (await caches.match(request)) ||
+      (cacheName === SHELL_CACHE &&
+        (await caches.match(request, { ignoreSearch: true })));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (DATA_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+  // Page loads and the shell files
+  if (request.mode === "navigate" || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
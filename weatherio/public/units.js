@@ -0,0 +1,112 @@
+// Unit systems for Weather.io
+//
+// The server always stores and returns metric figures (tempC, windKph,
+// precipMm).  These helpers convert them for display in the unit system
+// the user picked, and convert what the user types back to metric before
+// it is sent.  Humidity is a percentage in every system.  Exposed as
+// window.WeatherioUnits.
+
+(function () {
+  // Unit used for each quantity, per system
+  const SYSTEMS = {
+    metric: { temp: "C", wind: "kph", precip: "mm" },
+    imperial: { temp: "F", wind: "mph", precip: "in" },
+    mixed: { temp: "C", wind: "mph", precip: "mm" },
+  };
+
+  // Quantity measured by each weather field
+  const FIELD_QUANTITY = {
+    tempC: "temp",
+    humidityPct: "humidity",
+    windKph: "wind",
+    precipMm: "precip",
+  };
+
+  // Conversions from the metric unit, with the decimals shown
+  const UNITS = {
+    C: { toDisplay: (v) => v, toMetric: (v) => v, digits: 1, step: 0.1 },
+    F: {
+      toDisplay: (v) => (v * 9) / 5 + 32,
+      toMetric: (v) => ((v - 32) * 5) / 9,
+      digits: 1,
+      step: 0.1,
+    },
+    kph: { toDisplay: (v) => v, toMetric: (v) => v, digits: 1, step: 0.1 },
+    mph: {
+      toDisplay: (v) => v / 1.609344,
+      toMetric: (v) => v * 1.609344,
+      digits: 1,
+      step: 0.1,
+    },
+    mm: { toDisplay: (v) => v, toMetric: (v) => v, digits: 1, step: 0.1 },
+    in: {
+      toDisplay: (v) => v / 25.4,
+      toMetric: (v) => v * 25.4,
+      digits: 2,
+      step: 0.01,
+    },
+    pct: { toDisplay: (v) => v, toMetric: (v) => v, digits: 0, step: 1 },
+  };
+
+  // Accepted metric ranges, matching the server's validation
+  const METRIC_RANGES = {
+    tempC: [-90, 60],
+    humidityPct: [0, 100],
+    windKph: [0, 500],
+    precipMm: [0, 2000],
+  };
+
+  let system = "metric";
+
+  function setSystem(name) {
+    system = SYSTEMS[name] ? name : "metric";
+    return system;
+  }
+
+  // Unit key ("C", "mph", …) a field is shown in
+  function unitFor(field) {
+    const quantity = FIELD_QUANTITY[field];
+    if (quantity === "humidity") return "pct";
+    return SYSTEMS[system][quantity];
+  }
+
+  function toDisplay(field, value) {
+    if (typeof value !== "number") return value;
+    return UNITS[unitFor(field)].toDisplay(value);
+  }
+
+  // Metric value for a number typed in display units, rounded so the
+  // round trip does not store noise like 21.000000000000004
+  function toMetric(field, value) {
+    if (typeof value !== "number") return value;
+    return Math.round(UNITS[unitFor(field)].toMetric(value) * 100) / 100;
+  }
+
+  // Decimals to show for a field in the current system
+  function digitsFor(field) {
+    return UNITS[unitFor(field)].digits;
+  }
+
+  // min/max/step for a number input, converted to display units
+  function inputRange(field) {
+    const unit = UNITS[unitFor(field)];
+    const [min, max] = METRIC_RANGES[field];
+    const scale = 1 / unit.step;
+    return {
+      min: Math.ceil(unit.toDisplay(min) * scale) / scale,
+      max: Math.floor(unit.toDisplay(max) * scale) / scale,
+      step: unit.step,
+    };
+  }
+
+  window.WeatherioUnits = {
+    SYSTEMS: Object.keys(SYSTEMS),
+    setSystem,
+    getSystem: () => system,
+    unitFor,
+    toDisplay,
+    toMetric,
+    digitsFor,
+    inputRange,
+  };
+})();
@@ -1,102 +1,117 @@
 const http = require('http');
 const fs   = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const providers = require('./lib/providers');
+const snapshots = require('./lib/snapshots');
+const overrides = require('./lib/overrides');
+const { OVERRIDE_FIELDS, DATE_RE, checkKey, parseHour, validateValues } = require('./lib/override-schema');
+const { mergeOverride } = require('./lib/merge');
+const { accuracyReport } = require('./lib/accuracy');
+const overrideIo = require('./lib/override-io');
+const { normalizeLatLon, distanceKm, parseBbox, inBox, MATCH_RADIUS_KM } = require('./lib/geo');
+const { onOverrideChange, publishAlertChange, onAlertChange } = require('./lib/events');
+const locations = require('./lib/locations');
+const dashboards = require('./lib/dashboards');
+const alerts = require('./lib/alerts');
+const { deliverWebhook } = require('./lib/webhooks');
+const eventTickets = require('./lib/event-tickets');
+const auth = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rate-limit');
+const metrics = require('./lib/metrics');
+const httpCache = require('./lib/http-cache');
+const requestBody = require('./lib/request-body');
+const { RequestBodyError, contentType } = requestBody;
+const { lookupTimeZone, isValidTimeZone, todayIn, endOfDay } = require('./lib/timezones');
 
 /*
  * Simple HTTP server for the Weather.io demo application.
  *
  * This server exposes a very small REST API for storing and retrieving
- * user‑provided weather overrides.  It does not fetch live weather
- * information – the browser code talks directly to wttr.in for daily
- * forecasts.  You can run this server with `node server.js` from
- * the project root.  It listens on port 8000 by default and serves
- * static files from the `public` directory alongside the API routes.
+ * user‑provided weather overrides, and a /weather route that fetches
+ * daily forecasts through a pluggable provider (see lib/providers).
+ * You can run this server with `node server.js` from the project root.
+ * It listens on port 8000 by default and serves static files from
+ * the `public` directory alongside the API routes.
  */
 
-const DATA_DIR       = path.join(__dirname, 'data');
-const OVERRIDES_FILE = path.join(DATA_DIR, 'overrides.json');
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Fail fast on a misconfigured WEATHER_PROVIDER
+const weatherProvider = providers.getProvider();
 
 // Ensure the data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-
-// Load overrides from disk.  If the file doesn’t exist yet, an empty
-// array will be returned.  The overrides structure is an array of
-// objects with the following fields:
-//   lat: String        – latitude (as passed from client)
-//   lon: String        – longitude (as passed from client)
-//   date: String       – ISO date (YYYY‑MM‑DD)
-//   newValues: Object  – user provided values
-//   updatedAt: String  – ISO timestamp
-//   updatedBy: String  – session identifier (not used here)
-//   version: Number    – monotonically increasing per (lat,lon,date)
-//   active: Boolean    – whether this override is the current one
-function readOverrides() {
-  try {
-    const raw = fs.readFileSync(OVERRIDES_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    // If the file is missing or invalid, return an empty list
-    return [];
+// Open the override store and bring legacy records up to the current
+// schema.  A corrupt or locked store stops the server rather than
+// letting it start with an empty list of overrides.
+try {
+  overrides.open(DATA_DIR);
+  const migration = overrides.migrateLegacyRecords(path.join(DATA_DIR, 'overrides.quarantine.json'));
+  if (migration.migrated > 0 || migration.quarantined > 0) {
+    console.log(`Override migration: ${migration.migrated} upgraded, ` +
+      `${migration.quarantined} quarantined to data/overrides.quarantine.json`);
   }
+  const { rekeyed } = overrides.rekeyRecords();
+  if (rekeyed > 0) {
+    console.log(`Override migration: ${rekeyed} records moved to normalized coordinates`);
+  }
+} catch (err) {
+  console.error(`Cannot open override store: ${err.message}`);
+  process.exit(1);
 }
 
-function writeOverrides(list) {
-  fs.writeFileSync(OVERRIDES_FILE, JSON.stringify(list, null, 2));
+// Create the first admin account if there is none yet
+const bootstrap = auth.ensureAdmin();
+if (bootstrap && bootstrap.generated) {
+  console.log(`Created admin account "${bootstrap.username}" with password: ${bootstrap.password}`);
+  console.log('Change it after logging in, or set WEATHERIO_ADMIN_PASSWORD before the first start.');
 }
 
-// Find the latest active override for a given lat/lon/date.  Returns
-// either an override object or null if none exist.
-function getLatestOverride(lat, lon, date) {
-  const all = readOverrides();
-  const candidates = all.filter(o => o.active && o.lat === lat && o.lon === lon && o.date === date);
-  if (candidates.length === 0) return null;
-  // Select the override with the highest version number
-  return candidates.reduce((a, b) => (a.version > b.version ? a : b));
-}
+// Reading overrides is open to anonymous clients unless this is set
+const REQUIRE_AUTH_FOR_READ = process.env.REQUIRE_AUTH_FOR_READ === '1';
 
-// Insert a new override and deactivate previous ones for the same key
-function addOverride(lat, lon, date, values) {
-  const all = readOverrides();
-  let maxVersion = 0;
-  for (const o of all) {
-    if (o.lat === lat && o.lon === lon && o.date === date) {
-      maxVersion = Math.max(maxVersion, o.version);
-      o.active = false;
-    }
-  }
-  const newOverride = {
-    lat,
-    lon,
-    date,
-    newValues: values,
-    updatedAt: new Date().toISOString(),
-    updatedBy: 'anonymous',
-    version: maxVersion + 1,
-    active: true,
-  };
-  all.push(newOverride);
-  writeOverrides(all);
-  return newOverride;
-}
+// Moderated mode: override saves and reverts by editors are stored as
+// proposals for a reviewer to approve or reject, and removing or
+// importing overrides needs the reviewer role
+const OVERRIDE_MODERATION = process.env.OVERRIDE_MODERATION === '1';
+// Longest review comment accepted
+const MAX_REVIEW_COMMENT_LENGTH = 500;
 
-// Deactivate the latest active override for a given key
-function removeOverride(lat, lon, date) {
-  const all = readOverrides();
-  let removed = null;
-  for (const o of all) {
-    if (o.active && o.lat === lat && o.lon === lon && o.date === date) {
-      o.active = false;
-      removed = o;
-    }
-  }
-  if (removed) {
-    writeOverrides(all);
-  }
-  return removed;
-}
+// Per-client rate limits (see lib/rate-limit.js).  API routes share one
+// bucket per IP address; logins also draw from a much smaller one to
+// slow down password guessing.  RATE_LIMIT_DISABLED=1 turns both off.
+const RATE_LIMIT_DISABLED = process.env.RATE_LIMIT_DISABLED === '1';
+const apiLimiter = createRateLimiter({
+  burst: Number(process.env.RATE_LIMIT_BURST) || 60,
+  perMinute: Number(process.env.RATE_LIMIT_PER_MIN) || 120,
+});
+const loginLimiter = createRateLimiter({
+  burst: Number(process.env.LOGIN_RATE_LIMIT_BURST) || 5,
+  perMinute: Number(process.env.LOGIN_RATE_LIMIT_PER_MIN) || 5,
+});
+// Behind a reverse proxy every request comes from the proxy's address;
+// with TRUST_PROXY=1 the client is taken from X-Forwarded-For instead
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
+// Largest request body accepted, and the larger one for bulk imports
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 1024 * 1024;
+const MAX_IMPORT_BODY_BYTES = Number(process.env.MAX_IMPORT_BODY_BYTES) || 10 * 1024 * 1024;
+// Time allowed for a client to send a complete request
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 30 * 1000;
+
+// Headers sent with every static file (and static error)
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; img-src 'self' data:; object-src 'none'; " +
+    "base-uri 'self'; form-action 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+};
 
 // Determine the mime type for a given filename extension.  This is
 // intentionally very simple and only covers the types we serve in this
@@ -110,6 +125,7 @@ const MIME_MAP = {
   '.jpg':  'image/jpeg',
   '.jpeg': 'image/jpeg',
   '.svg':  'image/svg+xml',
+  '.webmanifest': 'application/manifest+json; charset=UTF-8',
 };
 
 function getMime(filePath) {
@@ -117,118 +133,1735 @@ function getMime(filePath) {
   return MIME_MAP[ext] || 'application/octet-stream';
 }
 
-const server = http.createServer(async (req, res) => {
+// Files under public/, held in memory (see lib/http-cache.js)
+const staticFiles = httpCache.createStaticFiles(path.join(__dirname, 'public'), {
+  mimeType: getMime,
+  headers: SECURITY_HEADERS,
+});
+
+// Path prefixes served by the API (CORS headers are added for these)
+const API_PREFIXES = [
+  '/override', '/weather', '/locations', '/timezone', '/auth', '/users', '/events', '/alerts', '/dashboard',
+  '/health', '/metrics',
+];
+
+// Routes reported by name in the request metrics; everything else is
+// counted as "static" (files and unknown paths) so stray URLs cannot
+// create new series
+const METRIC_ROUTES = new Set([
+  '/health', '/metrics', '/weather', '/weather/dates', '/weather/batch', '/timezone', '/locations',
+  '/dashboard/layout', '/events', '/events/ticket', '/alerts', '/alerts/rules', '/alerts/rules/test',
+  '/auth/login', '/auth/logout', '/auth/me', '/auth/tokens', '/users', '/override', '/override/schema',
+  '/override/history', '/override/version', '/override/revert', '/override/approve', '/override/reject',
+  '/overrides', '/overrides/export', '/overrides/import', '/overrides/accuracy',
+]);
+const METRIC_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
+
+const httpRequests = metrics.counter('weatherio_http_requests_total',
+  'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('weatherio_http_request_duration_seconds',
+  'HTTP request latency by method and route (event streams excluded)', ['method', 'route']);
+const overrideChanges = metrics.counter('weatherio_override_changes_total',
+  'Override changes by action (created, removed, reverted, imported, expired, activated, proposed, ' +
+  'approved, rejected)', ['action']);
+metrics.gauge('weatherio_override_records', 'Override records in the store by state',
+  () => Object.entries(overrides.countStates()).map(([state, value]) => ({ labels: { state }, value })),
+  ['state']);
+metrics.gauge('weatherio_override_groups', 'Distinct (lat, lon, date) groups with overrides',
+  () => overrides.getStore().stats().groups);
+metrics.gauge('weatherio_override_store_pending_commits', 'Journal commits not yet compacted',
+  () => overrides.getStore().stats().pendingCommits);
+metrics.gauge('weatherio_weather_cache_entries', 'Days held in the in-memory weather cache',
+  () => providers.cacheSize());
+metrics.gauge('weatherio_process_uptime_seconds', 'Seconds since the server started',
+  () => Math.round(process.uptime()));
+metrics.gauge('weatherio_process_resident_memory_bytes', 'Resident memory of the server process',
+  () => process.memoryUsage().rss);
+
+onOverrideChange(change => overrideChanges.inc({ action: change.action }));
+
+// Count a finished (or aborted) request
+function recordRequest(req, res, started) {
+  const pathname = req.url.split('?')[0];
+  const route = METRIC_ROUTES.has(pathname) ? pathname : 'static';
+  const method = METRIC_METHODS.includes(req.method) ? req.method : 'other';
+  httpRequests.inc({ method, route, status: res.statusCode });
+  if (route !== '/events') {
+    httpDuration.observe({ method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+// /metrics is open unless METRICS_TOKEN is set, in which case scrapers
+// send it as a bearer token
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Time allowed for each deep health check that waits on I/O
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 3000;
+// JSON files under data/ that must stay parseable, besides the
+// snapshot day files
+const DATA_FILES = ['users.json', 'locations.json', 'alerts.json', 'dashboards.json'];
+
+// Run one deep health check.  Resolves with { ok, latencyMs } plus
+// whatever the check returns, or { ok: false, latencyMs, error }.
+async function runCheck(check) {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_TIMEOUT_MS} ms`)), HEALTH_TIMEOUT_MS);
+  });
+  try {
+    const detail = await Promise.race([check(), timeout]);
+    return { ok: true, latencyMs: Date.now() - started, ...detail };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// GET /health?deep=1: data directory writable and readable, override
+// store files intact, other data files parseable, provider reachable
+async function deepHealth() {
+  const [storage, overrideStore, dataFiles, provider] = await Promise.all([
+    runCheck(async () => {
+      const probeFile = path.join(DATA_DIR, `.health-${process.pid}`);
+      const stamp = new Date().toISOString();
+      fs.writeFileSync(probeFile, stamp);
+      const read = fs.readFileSync(probeFile, 'utf8');
+      fs.unlinkSync(probeFile);
+      if (read !== stamp) throw new Error('Read back different data than was written');
+      return { dir: DATA_DIR };
+    }),
+    runCheck(async () => {
+      const store = overrides.getStore();
+      store.verifyFiles();
+      const { records, pendingCommits } = store.stats();
+      return { records, pendingCommits };
+    }),
+    runCheck(async () => {
+      const checked = [];
+      for (const name of [...DATA_FILES, ...snapshots.snapshotFiles()]) {
+        let raw;
+        try {
+          raw = fs.readFileSync(path.join(DATA_DIR, name), 'utf8');
+        } catch (err) {
+          if (err.code === 'ENOENT') continue;
+          throw err;
+        }
+        try {
+          JSON.parse(raw);
+        } catch (err) {
+          throw new Error(`${name} is not valid JSON: ${err.message}`);
+        }
+        checked.push(name);
+      }
+      return { checked };
+    }),
+    runCheck(async () => {
+      await providers.pingProvider({ timeoutMs: HEALTH_TIMEOUT_MS });
+      return { name: weatherProvider.name };
+    }),
+  ]);
+  const checks = { storage, overrideStore, dataFiles, provider };
+  const ok = Object.values(checks).every(check => check.ok);
+  return {
+    status: ok ? 'ok' : 'fail',
+    time: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    checks,
+  };
+}
+
+// JSON bodies at least this large are compressed when the client
+// accepts gzip or brotli
+const COMPRESS_MIN_BYTES = 1024;
+
+// Send a JSON response with the given status code
+function sendJson(res, status, payload) {
+  const { body, encoding } = httpCache.compressBody(res.req, JSON.stringify(payload), COMPRESS_MIN_BYTES);
+  const headers = {
+    'Content-Type': 'application/json; charset=UTF-8',
+    'Content-Length': body.length,
+    Vary: 'Accept-Encoding',
+  };
+  if (encoding) headers['Content-Encoding'] = encoding;
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+// Answer 304 and return true when the request's If-None-Match matches
+// `etag`.  Sets the ETag and a Cache-Control that makes browsers
+// revalidate every time either way.
+function sendNotModified(req, res, etag) {
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'private, no-cache');
+  if (!httpCache.etagMatches(req.headers['if-none-match'], [etag])) return false;
+  res.writeHead(304, { Vary: 'Accept-Encoding' });
+  res.end();
+  return true;
+}
+
+// 200 with an ETag derived from the body, or 304 when the client
+// already has it.  For read routes that polling clients hit
+// repeatedly.
+function sendCachedJson(req, res, payload) {
+  const body = JSON.stringify(payload);
+  const etag = `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 16)}"`;
+  if (sendNotModified(req, res, etag)) return;
+  sendJson(res, 200, payload);
+}
+
+// Request bodies up to MAX_BODY_BYTES (see lib/request-body.js)
+function readBody(req, { limit = MAX_BODY_BYTES, types } = {}) {
+  return requestBody.readBody(req, { limit, types });
+}
+
+function readJsonBody(req) {
+  return requestBody.readJsonBody(req, { limit: MAX_BODY_BYTES });
+}
+
+// Answer a request whose body was refused.  A body that was too large
+// may still be arriving, so the connection is closed afterwards.
+function sendBodyError(res, err) {
+  if (!(err instanceof RequestBodyError)) throw err;
+  if (err.status === 413) res.setHeader('Connection', 'close');
+  sendJson(res, err.status, { error: err.message });
+}
+
+function clientAddress(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Take a token from the client's bucket and describe the limit in
+// RateLimit-* headers.  Answers 429 with Retry-After and returns false
+// when the bucket is empty.
+function checkRateLimit(req, res, limiter) {
+  if (RATE_LIMIT_DISABLED) return true;
+  const result = limiter.take(clientAddress(req));
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+  if (result.allowed) return true;
+  res.setHeader('Retry-After', String(result.retryAfterSeconds));
+  sendJson(res, 429, { error: 'Too many requests', retryAfter: result.retryAfterSeconds });
+  return false;
+}
+
+// Expected override revision from an If-Match header: undefined when
+// the header is absent, "*" for any, the unquoted tag otherwise, or
+// null when the header is malformed.  Only a single tag is accepted.
+function parseIfMatch(req) {
+  const header = req.headers['if-match'];
+  if (header === undefined) return undefined;
+  const value = header.trim();
+  if (value === '*') return '*';
+  const match = /^(?:W\/)?"([^"]+)"$/.exec(value);
+  return match ? match[1] : null;
+}
+
+function setRevisionHeader(res, lat, lon, date) {
+  res.setHeader('ETag', `"${overrides.getRevision(lat, lon, date)}"`);
+}
+
+// 409 for a conditional override write that lost the race.  The body
+// carries the current record so the client can offer a choice.
+function sendConflict(res, err) {
+  const etag = `"${err.revision}"`;
+  res.setHeader('ETag', etag);
+  sendJson(res, 409, { error: err.message, code: 'conflict', current: err.current, etag });
+}
+
+// Resolve the bearer token on a request to { user, tokenId }, or null
+function getRequestAuth(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+  return match ? auth.authenticate(match[1]) : null;
+}
+
+// Enforce a minimum role.  Responds with 401 (no or bad token) or 403
+// (role too low) and returns null on failure; otherwise returns the
+// request's { user, tokenId }.
+function requireRole(req, res, role) {
+  const session = getRequestAuth(req);
+  if (!session) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJson(res, 401, { error: 'Authentication required' });
+    return null;
+  }
+  if (!auth.hasRole(session.user, role)) {
+    sendJson(res, 403, { error: `This action requires the ${role} role` });
+    return null;
+  }
+  return session;
+}
+
+// Gate for read-only override routes: anonymous unless
+// REQUIRE_AUTH_FOR_READ is set.  Returns false once it has responded.
+function allowRead(req, res) {
+  return !REQUIRE_AUTH_FOR_READ || requireRole(req, res, 'viewer') !== null;
+}
+
+// Whether the request carries an editor's (or admin's) token
+function isEditor(req) {
+  const session = getRequestAuth(req);
+  return !!session && auth.hasRole(session.user, 'editor');
+}
+
+// Weather of one day: fetched through the provider (and recorded as a
+// snapshot) for today onwards, otherwise the recorded snapshot.
+// Resolves with { weather, provider, source, recordedAt? } or null when
+// there is none; rejects when the provider fails.
+async function loadDayWeather(point, date, tz) {
+  if (date >= todayIn(tz)) {
+    const weather = await providers.fetchWeather(point.lat, point.lon, date);
+    if (weather) {
+      snapshots.saveSnapshot(point.lat, point.lon, date, weather, weatherProvider.name);
+      return { weather, provider: weatherProvider.name, source: 'provider' };
+    }
+  }
+  // Past date, or a date the provider does not cover
+  const snapshot = snapshots.getSnapshot(point.lat, point.lon, date);
+  if (!snapshot) return null;
+  return {
+    weather: snapshot.weather,
+    provider: snapshot.provider,
+    source: 'snapshot',
+    recordedAt: snapshot.recordedAt,
+  };
+}
+
+// Most days a single POST /weather/batch may ask for
+const MAX_BATCH_SIZE = 60;
+
+// What a dashboard card needs to know about a day's override
+function overrideSummary(override) {
+  if (!override) return null;
+  return {
+    version: override.version,
+    updatedBy: override.updatedBy,
+    updatedAt: override.updatedAt,
+    expiresAt: override.expiresAt || null,
+    fields: Object.keys(override.newValues || {}),
+    hours: Object.keys(override.hourValues || {}).map(Number),
+  };
+}
+
+// Answer a batch of { lat, lon, date, tz? } requests in order.  Each
+// result carries the status /weather would have answered with, and on
+// success the merged weather and an override summary.  Upcoming days
+// of one location are fetched together first, so a provider that
+// serves several days per request is called once per location.
+async function loadWeatherBatch(requests) {
+  const items = requests.map(request => {
+    const lat = request && request.lat !== undefined ? String(request.lat) : '';
+    const lon = request && request.lon !== undefined ? String(request.lon) : '';
+    const date = request && request.date !== undefined ? String(request.date) : '';
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) return { lat, lon, date, status: 400, error: keyError };
+    const point = normalizeLatLon(lat, lon);
+    const tz = (request.tz && String(request.tz)) || lookupTimeZone(point.lat, point.lon);
+    if (!isValidTimeZone(tz)) return { ...point, date, status: 400, error: `Unknown time zone "${tz}"` };
+    return { ...point, date, tz };
+  });
+
+  const upcoming = new Map();
+  for (const item of items) {
+    if (item.status || item.date < todayIn(item.tz)) continue;
+    const key = `${item.lat},${item.lon}`;
+    if (!upcoming.has(key)) upcoming.set(key, { lat: item.lat, lon: item.lon, dates: [] });
+    if (!upcoming.get(key).dates.includes(item.date)) upcoming.get(key).dates.push(item.date);
+  }
+  const failed = new Set();
+  await Promise.all([...upcoming].map(async ([key, group]) => {
+    try {
+      await providers.fetchWeatherDays(group.lat, group.lon, group.dates);
+    } catch (err) {
+      console.error(`Weather provider ${weatherProvider.name} failed:`, err.message);
+      failed.add(key);
+    }
+  }));
+
+  return Promise.all(items.map(async item => {
+    if (item.status) return item;
+    const { tz, ...result } = item;
+    if (failed.has(`${item.lat},${item.lon}`) && item.date >= todayIn(tz)) {
+      return { ...result, status: 502, error: 'Failed to fetch weather data' };
+    }
+    let day;
+    try {
+      day = await loadDayWeather(item, item.date, tz);
+    } catch (err) {
+      console.error(`Weather provider ${weatherProvider.name} failed:`, err.message);
+      return { ...result, status: 502, error: 'Failed to fetch weather data' };
+    }
+    if (!day) {
+      return { ...result, status: 404, error: `No weather data recorded for ${item.date}`, code: 'no_data_recorded' };
+    }
+    const override = overrides.getLatestOverride(item.lat, item.lon, item.date);
+    return {
+      ...result,
+      tz,
+      status: 200,
+      provider: day.provider,
+      source: day.source,
+      recordedAt: day.recordedAt,
+      weather: mergeOverride(day.weather, override),
+      override: overrideSummary(override),
+    };
+  }));
+}
+
+// Webhooks every fired alert is sent to, on top of the rule's own
+const ALERT_WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '')
+  .split(',').map(url => url.trim()).filter(Boolean);
+
+// What a webhook receives for an alert
+function alertPayload(event, alert) {
+  const { deliveries, ...fields } = alert;
+  return { event, alert: fields };
+}
+
+// Send a fired alert to its webhooks in the background, recording the
+// outcome of every attempt on the alert
+function deliverAlert(alert) {
+  for (const { url } of alert.deliveries) {
+    // Only the outcome is recorded: the upstream status or connection
+    // error would let editors probe what answers at a URL
+    deliverWebhook(url, 'alert.fired', alertPayload('alert.fired', alert), {
+      trusted: ALERT_WEBHOOK_URLS.includes(url),
+      onAttempt: result => alerts.recordDelivery(alert.id, url, {
+        status: result.ok ? 'delivered' : 'pending',
+        attempts: result.attempts,
+        deliveredAt: result.ok ? new Date().toISOString() : undefined,
+      }),
+    }).then(result => {
+      if (result.ok) return;
+      alerts.recordDelivery(alert.id, url, { status: 'failed' });
+      console.error(`Alert ${alert.id}: webhook ${url} failed after ${result.attempts} attempt(s): ${result.error}`);
+    });
+  }
+}
+
+// Check the alert rules near a point against the merged weather of a day
+function checkAlerts(point, date, weather) {
+  const { fired, resolved } = alerts.evaluateAlerts(point, date, weather, {
+    extraWebhooks: ALERT_WEBHOOK_URLS,
+  });
+  for (const alert of fired) {
+    publishAlertChange('fired', alert);
+    deliverAlert(alert);
+  }
+  for (const alert of resolved) publishAlertChange('resolved', alert);
+}
+
+// Load a day's weather, merge the active override and check the alert
+// rules.  Used when an override changes and by the periodic check.
+async function refreshAlerts(point, date) {
+  if (alerts.listRules(point).length === 0) return;
+  const tz = lookupTimeZone(point.lat, point.lon);
+  const day = await loadDayWeather(point, date, tz);
+  if (!day) return;
+  checkAlerts(point, date, mergeOverride(day.weather, overrides.getLatestOverride(point.lat, point.lon, date)));
+}
+
+// Rules and alerts as shown to a client: webhook URLs may embed secrets,
+// so only editors see them
+function showRule(rule, canEdit) {
+  if (canEdit) return rule;
+  const { webhooks, ...rest } = rule;
+  return rest;
+}
+
+function showAlert(alert, canEdit) {
+  if (canEdit) return alert;
+  const { deliveries, ...rest } = alert;
+  return rest;
+}
+
+// Page size limits for GET /overrides
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Parse a non-negative integer query parameter, or return `fallback`
+// when it is absent.  NaN marks an invalid value.
+function parseCount(value, fallback) {
+  if (value === null || value === '') return fallback;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+// Keep-alive comment interval for event streams, so proxies do not
+// close idle connections
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+// Read the optional `hour` of an override request body.  Returns
+// { hour } (null for the whole day) or { error }.
+function readHour(data) {
+  if (data.hour === undefined || data.hour === null) return { hour: null };
+  const hour = parseHour(data.hour);
+  return hour === null ? { error: 'must be a whole number between 0 and 23' } : { hour };
+}
+
+// Expiry presets accepted in place of a timestamp for expiresAt
+const EXPIRY_PRESETS = ['next-refresh', 'end-of-day'];
+
+/**
+ * Read the optional activeFrom/expiresAt of an override write.  Both are
+ * ISO timestamps; expiresAt may also be "next-refresh" (when the server
+ * next fetches the day from the provider) or "end-of-day" (midnight
+ * after `date` at the location, or in data.tz).  A null expiresAt or
+ * activeFrom clears it; leaving a field out keeps the current one.
+ * Returns { schedule } with ISO strings or nulls, or { errors }.
+ */
+function readSchedule(data, point, date) {
+  const schedule = {};
+  const errors = {};
+  if (data.activeFrom !== undefined) {
+    if (data.activeFrom === null || data.activeFrom === '') {
+      schedule.activeFrom = null;
+    } else if (typeof data.activeFrom !== 'string' || isNaN(Date.parse(data.activeFrom))) {
+      errors.activeFrom = 'must be an ISO timestamp';
+    } else {
+      schedule.activeFrom = new Date(data.activeFrom).toISOString();
+    }
+  }
+  if (data.expiresAt !== undefined) {
+    let expires = null;
+    if (data.expiresAt === 'next-refresh') {
+      expires = providers.nextRefreshAt(point.lat, point.lon, date);
+    } else if (data.expiresAt === 'end-of-day') {
+      const tz = data.tz || lookupTimeZone(point.lat, point.lon);
+      if (isValidTimeZone(tz)) expires = endOfDay(date, tz);
+      else errors.tz = `unknown time zone "${tz}"`;
+    } else if (data.expiresAt !== null && data.expiresAt !== '') {
+      expires = typeof data.expiresAt === 'string' ? Date.parse(data.expiresAt) : NaN;
+      if (isNaN(expires)) {
+        errors.expiresAt = `must be an ISO timestamp, ${EXPIRY_PRESETS.join(' or ')}`;
+      }
+    }
+    if (!errors.expiresAt && !errors.tz) {
+      const start = schedule.activeFrom ? Date.parse(schedule.activeFrom) : Date.now();
+      if (expires !== null && expires <= start) {
+        errors.expiresAt = schedule.activeFrom ? 'must be after activeFrom' : 'must be in the future';
+      } else {
+        schedule.expiresAt = expires === null ? null : new Date(expires).toISOString();
+      }
+    }
+  }
+  return Object.keys(errors).length > 0 ? { errors } : { schedule };
+}
+
+// Whether a user's override writes are stored as proposals
+function proposesOnly(user) {
+  return OVERRIDE_MODERATION && !auth.hasRole(user, 'reviewer');
+}
+
+// Role needed to remove or import overrides, which have no proposal
+// form
+function removalRole() {
+  return OVERRIDE_MODERATION ? 'reviewer' : 'editor';
+}
+
+// Parse a version number from a query parameter or body field.  Returns
+// NaN for anything that is not a positive integer.
+function parseVersion(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+async function handleRequest(req, res) {
   const method = req.method;
   const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
   const pathname = parsedUrl.pathname;
 
   // Support CORS for API routes
-  if (pathname.startsWith('/override') || pathname === '/health') {
+  if (API_PREFIXES.some(prefix => pathname.startsWith(prefix))) {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers',
+      'ETag, X-Override-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
     if (method === 'OPTIONS') {
       res.statusCode = 200;
       res.end();
       return;
     }
+    // Health probes and metric scrapes are not throttled
+    if (pathname !== '/health' && pathname !== '/metrics' && !checkRateLimit(req, res, apiLimiter)) return;
   }
 
   // Health endpoint
+  // With ?deep=1 storage, the override store and the provider are
+  // checked too, answering 503 when any check fails
   if (pathname === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
-    res.end(JSON.stringify({ status: 'ok', time: new Date().toISOString() }));
+    if (parsedUrl.searchParams.get('deep') === '1') {
+      const report = await deepHealth();
+      sendJson(res, report.status === 'ok' ? 200 : 503, report);
+      return;
+    }
+    sendJson(res, 200, { status: 'ok', time: new Date().toISOString() });
     return;
   }
 
-  // Override endpoints
-  if (pathname === '/override') {
+  // Prometheus metrics: GET /metrics
+  if (pathname === '/metrics') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Authentication required' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+    res.end(metrics.render());
+    return;
+  }
+
+  // Normalized daily weather: GET /weather?lat&lon&date[&tz]
+  //
+  // Past dates (relative to "today" in the IANA time zone `tz`, which
+  // defaults to the zone resolved from the coordinates) are served only
+  // from recorded snapshots.  Today and
+  // later come from the provider, and every successful fetch is
+  // recorded so it can be served once the day has passed.
+  if (pathname === '/weather') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
     const lat  = parsedUrl.searchParams.get('lat');
     const lon  = parsedUrl.searchParams.get('lon');
     const date = parsedUrl.searchParams.get('date');
+    let tz     = parsedUrl.searchParams.get('tz');
+    if (!lat || !lon || !date) {
+      sendJson(res, 400, { error: 'Missing lat, lon or date parameter' });
+      return;
+    }
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) {
+      sendJson(res, 400, { error: keyError });
+      return;
+    }
+    // ?overrides=1 applies the active override (see lib/merge.js); with
+    // forecast=1 as well the body is { weather, forecast, override }: the
+    // merged weather, the provider's own and the override applied (or
+    // null), for clients that show them side by side
+    const withOverrides = parsedUrl.searchParams.get('overrides') === '1';
+    const withForecast = withOverrides && parsedUrl.searchParams.get('forecast') === '1';
+    if (withOverrides && !allowRead(req, res)) return;
+    const point = normalizeLatLon(lat, lon);
+    if (!tz) tz = lookupTimeZone(point.lat, point.lon);
+    if (!isValidTimeZone(tz)) {
+      sendJson(res, 400, { error: `Unknown time zone "${tz}"` });
+      return;
+    }
+    let day;
+    try {
+      day = await loadDayWeather(point, date, tz);
+    } catch (err) {
+      console.error(`Weather provider ${weatherProvider.name} failed:`, err.message);
+      sendJson(res, 502, { error: 'Failed to fetch weather data' });
+      return;
+    }
+    if (!day) {
+      sendJson(res, 404, { error: `No weather data recorded for ${date}`, code: 'no_data_recorded' });
+      return;
+    }
+    res.setHeader('X-Weather-Provider', day.provider);
+    res.setHeader('X-Weather-Source', day.source);
+    if (day.recordedAt) res.setHeader('X-Snapshot-Recorded-At', day.recordedAt);
+    if (withOverrides) {
+      const override = overrides.getLatestOverride(lat, lon, date);
+      if (override) res.setHeader('X-Override-Version', String(override.version));
+      const merged = mergeOverride(day.weather, override);
+      sendCachedJson(req, res, withForecast
+        ? { weather: merged, forecast: day.weather, override: override || null }
+        : merged);
+      return;
+    }
+    sendCachedJson(req, res, day.weather);
+    return;
+  }
+
+  // Dates with recorded snapshots: GET /weather/dates?lat&lon
+  if (pathname === '/weather/dates') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const lat = parsedUrl.searchParams.get('lat');
+    const lon = parsedUrl.searchParams.get('lon');
+    if (!lat || !lon) {
+      sendJson(res, 400, { error: 'Missing lat or lon parameter' });
+      return;
+    }
+    const point = normalizeLatLon(lat, lon);
+    if (!point) {
+      sendJson(res, 400, { error: 'lat and lon must be valid coordinates' });
+      return;
+    }
+    sendJson(res, 200, { ...point, dates: snapshots.listSnapshotDates(point.lat, point.lon) });
+    return;
+  }
+
+  // Several days and locations in one call: POST /weather/batch with
+  // { requests: [{ lat, lon, date, tz? }] }.  Answers { results } in
+  // request order; see loadWeatherBatch.
+  if (pathname === '/weather/batch') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    let data;
+    try {
+      data = await readJsonBody(req);
+    } catch (err) {
+      sendBodyError(res, err);
+      return;
+    }
+    if (!Array.isArray(data.requests) || data.requests.length === 0) {
+      sendJson(res, 400, { error: 'requests must be a non-empty array' });
+      return;
+    }
+    if (data.requests.length > MAX_BATCH_SIZE) {
+      sendJson(res, 400, { error: `At most ${MAX_BATCH_SIZE} requests per batch` });
+      return;
+    }
+    sendJson(res, 200, { results: await loadWeatherBatch(data.requests) });
+    return;
+  }
+
+  // Time zone for a coordinate: GET /timezone?lat&lon
+  if (pathname === '/timezone') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const point = normalizeLatLon(parsedUrl.searchParams.get('lat'), parsedUrl.searchParams.get('lon'));
+    if (!point) {
+      sendJson(res, 400, { error: 'lat and lon must be valid coordinates' });
+      return;
+    }
+    const tz = lookupTimeZone(point.lat, point.lon);
+    sendJson(res, 200, { ...point, tz, today: todayIn(tz) });
+    return;
+  }
+
+  // Saved locations: GET/POST /locations, PUT/DELETE /locations?id
+  if (pathname === '/locations') {
+    const id = parsedUrl.searchParams.get('id');
     if (method === 'GET') {
-      if (!lat || !lon || !date) {
-        res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
-        res.end(JSON.stringify({ error: 'Missing lat, lon or date parameter' }));
+      sendJson(res, 200, { locations: locations.listLocations() });
+      return;
+    }
+    if (!requireRole(req, res, 'editor')) return;
+    if (method === 'DELETE') {
+      if (!id) {
+        sendJson(res, 400, { error: 'Missing id parameter' });
         return;
       }
-      const override = getLatestOverride(lat, lon, date);
-      res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
-      res.end(JSON.stringify(override || {}));
+      const removed = locations.removeLocation(id);
+      sendJson(res, removed ? 200 : 404, removed ? { removed: true } : { error: 'Location not found' });
       return;
-    } else if (method === 'POST') {
-      // read body
-      let body = '';
-      req.on('data', chunk => { body += chunk.toString(); });
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body || '{}');
-          const { lat, lon, date, values } = data;
-          if (!lat || !lon || !date || !values) {
-            res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
-            res.end(JSON.stringify({ error: 'lat, lon, date and values are required' }));
-            return;
-          }
-          const override = addOverride(String(lat), String(lon), String(date), values);
-          res.writeHead(201, { 'Content-Type': 'application/json; charset=UTF-8' });
-          res.end(JSON.stringify(override));
-        } catch (err) {
-          res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
-          res.end(JSON.stringify({ error: 'Invalid JSON body' }));
-        }
-      });
+    }
+    if (method === 'POST' || method === 'PUT') {
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      if (method === 'PUT' && !id) {
+        sendJson(res, 400, { error: 'Missing id parameter' });
+        return;
+      }
+      const result = method === 'POST'
+        ? locations.addLocation(data)
+        : locations.updateLocation(id, data);
+      if (result.errors) {
+        sendJson(res, 400, { error: 'Invalid location', fields: result.errors });
+        return;
+      }
+      if (!result.location) {
+        sendJson(res, 404, { error: 'Location not found' });
+        return;
+      }
+      sendJson(res, method === 'POST' ? 201 : 200, result.location);
       return;
-    } else if (method === 'DELETE') {
-      let body = '';
-      req.on('data', chunk => { body += chunk.toString(); });
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body || '{}');
-          const { lat, lon, date } = data;
-          if (!lat || !lon || !date) {
-            res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
-            res.end(JSON.stringify({ error: 'lat, lon and date are required' }));
-            return;
-          }
-          const removed = removeOverride(String(lat), String(lon), String(date));
-          res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
-          res.end(JSON.stringify({ removed: !!removed }));
-        } catch (err) {
-          res.writeHead(400, { 'Content-Type': 'application/json; charset=UTF-8' });
-          res.end(JSON.stringify({ error: 'Invalid JSON body' }));
-        }
-      });
+    }
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  // The signed-in user's dashboard layout: GET/PUT /dashboard/layout
+  if (pathname === '/dashboard/layout') {
+    const session = requireRole(req, res, 'viewer');
+    if (!session) return;
+    const locationIds = locations.listLocations().map(l => l.id);
+    if (method === 'GET') {
+      sendJson(res, 200, dashboards.getLayout(session.user.username, locationIds));
       return;
     }
-    // Method not supported
-    res.writeHead(405, { 'Content-Type': 'application/json; charset=UTF-8' });
-    res.end(JSON.stringify({ error: 'Method Not Allowed' }));
+    if (method === 'PUT') {
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      const result = dashboards.saveLayout(session.user.username, data, locationIds);
+      if (result.errors) {
+        sendJson(res, 400, { error: 'Invalid dashboard layout', fields: result.errors });
+        return;
+      }
+      sendJson(res, 200, result.layout);
+      return;
+    }
+    sendJson(res, 405, { error: 'Method Not Allowed' });
     return;
   }
 
-  // Static file handling
-  // Normalize path to prevent directory traversal attacks
-  let safePath = pathname;
-  if (safePath.includes('..')) {
-    res.writeHead(400, { 'Content-Type': 'text/plain; charset=UTF-8' });
-    res.end('Bad Request');
+  // Ticket for opening the event stream: POST /events/ticket.  The
+  // ticket is null when reads do not need a login, so nothing
+  // secret has to go into the stream URL.
+  if (pathname === '/events/ticket') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, 'viewer');
+    if (!session) return;
+    sendJson(res, 200, REQUIRE_AUTH_FOR_READ
+      ? eventTickets.issueTicket(session.user.username)
+      : { ticket: null, expiresAt: null });
     return;
   }
-  // Default to index.html for the root
-  let filePath = path.join(__dirname, 'public', safePath === '/' ? 'index.html' : safePath);
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      // If file not found, return 404
-      res.writeHead(404, { 'Content-Type': 'text/plain; charset=UTF-8' });
-      res.end('Not Found');
+
+  // Live override changes as Server-Sent Events: GET /events[?lat&lon]
+  // With lat/lon only changes within the override match radius of that
+  // point are sent.
+  if (pathname === '/events') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
       return;
     }
-    res.writeHead(200, { 'Content-Type': getMime(filePath) });
-    res.end(data);
-  });
-});
+    // Only a ?ticket from POST /events/ticket opens the stream (see
+    // lib/event-tickets.js)
+    if (REQUIRE_AUTH_FOR_READ) {
+      if (!eventTickets.canOpenStream(parsedUrl.searchParams)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: 'Authentication required' });
+        return;
+      }
+    }
+    let point = null;
+    const lat = parsedUrl.searchParams.get('lat');
+    const lon = parsedUrl.searchParams.get('lon');
+    if (lat || lon) {
+      point = normalizeLatLon(lat, lon);
+      if (!point) {
+        sendJson(res, 400, { error: 'Invalid lat or lon parameter' });
+        return;
+      }
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=UTF-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+    let eventId = 0;
+    const send = (event, data) => {
+      if (point && distanceKm(point, data) > MATCH_RADIUS_KM) return;
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const unsubscribe = onOverrideChange(change => send('override', change));
+    // Alerts go out without their webhook deliveries, as for readers
+    const unsubscribeAlerts = onAlertChange(alert => send('alert', showAlert(alert, false)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      unsubscribeAlerts();
+    });
+    return;
+  }
+
+  // Alert rules: GET /alerts/rules[?lat&lon], POST, PUT ?id, DELETE ?id
+  if (pathname === '/alerts/rules') {
+    const id = parsedUrl.searchParams.get('id');
+    if (method === 'GET') {
+      if (!allowRead(req, res)) return;
+      let point = null;
+      const lat = parsedUrl.searchParams.get('lat');
+      const lon = parsedUrl.searchParams.get('lon');
+      if (lat || lon) {
+        point = normalizeLatLon(lat, lon);
+        if (!point) {
+          sendJson(res, 400, { error: 'Invalid lat or lon parameter' });
+          return;
+        }
+      }
+      const canEdit = isEditor(req);
+      sendJson(res, 200, { rules: alerts.listRules(point).map(rule => showRule(rule, canEdit)) });
+      return;
+    }
+    const session = requireRole(req, res, 'editor');
+    if (!session) return;
+    if (method !== 'POST' && !id) {
+      sendJson(res, 400, { error: 'Missing id parameter' });
+      return;
+    }
+    if (method === 'DELETE') {
+      const removed = alerts.removeRule(id);
+      sendJson(res, removed ? 200 : 404, removed ? { removed: true } : { error: 'Rule not found' });
+      return;
+    }
+    if (method === 'POST' || method === 'PUT') {
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      const result = method === 'POST'
+        ? alerts.addRule(data, session.user.username)
+        : alerts.updateRule(id, data);
+      if (result.errors) {
+        sendJson(res, 400, { error: 'Invalid alert rule', fields: result.errors });
+        return;
+      }
+      if (!result.rule) {
+        sendJson(res, 404, { error: 'Rule not found' });
+        return;
+      }
+      sendJson(res, method === 'POST' ? 201 : 200, result.rule);
+      return;
+    }
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  // Send a sample alert to a rule's webhooks once, without retries:
+  // POST /alerts/rules/test?id
+  if (pathname === '/alerts/rules/test') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!requireRole(req, res, 'editor')) return;
+    const id = parsedUrl.searchParams.get('id');
+    const rule = alerts.listRules().find(r => r.id === id);
+    if (!rule) {
+      sendJson(res, 404, { error: 'Rule not found' });
+      return;
+    }
+    const urls = [...new Set([...rule.webhooks, ...ALERT_WEBHOOK_URLS])];
+    const sample = {
+      id: 'test',
+      ruleId: rule.id,
+      name: rule.name,
+      lat: rule.lat,
+      lon: rule.lon,
+      field: rule.field,
+      op: rule.op,
+      threshold: rule.value,
+      date: todayIn(lookupTimeZone(rule.lat, rule.lon)),
+      value: rule.value,
+      hours: [],
+      message: `Test alert for rule ${rule.name || rule.id}`,
+      firedAt: new Date().toISOString(),
+    };
+    // Callers learn whether each delivery succeeded, not why one failed
+    const results = await Promise.all(urls.map(async url => {
+      const result = await deliverWebhook(url, 'alert.test', alertPayload('alert.test', sample), {
+        maxAttempts: 1,
+        trusted: ALERT_WEBHOOK_URLS.includes(url),
+      });
+      if (!result.ok) console.error(`Test alert for rule ${rule.id}: webhook ${url} failed: ${result.error}`);
+      return { url, ok: result.ok };
+    }));
+    sendJson(res, 200, { deliveries: results });
+    return;
+  }
+
+  // Fired alerts near a location: GET /alerts?lat&lon[&date][&resolved=1]
+  if (pathname === '/alerts') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const point = normalizeLatLon(parsedUrl.searchParams.get('lat'), parsedUrl.searchParams.get('lon'));
+    if (!point) {
+      sendJson(res, 400, { error: 'Missing or invalid lat or lon parameter' });
+      return;
+    }
+    const date = parsedUrl.searchParams.get('date');
+    if (date && !DATE_RE.test(date)) {
+      sendJson(res, 400, { error: 'Invalid date parameter' });
+      return;
+    }
+    const canEdit = isEditor(req);
+    const list = alerts.listAlerts(point, {
+      date,
+      includeResolved: parsedUrl.searchParams.get('resolved') === '1',
+    });
+    sendJson(res, 200, { alerts: list.map(alert => showAlert(alert, canEdit)) });
+    return;
+  }
+
+  // Log in: POST /auth/login {username, password} -> {token, expiresAt, user}
+  if (pathname === '/auth/login') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!checkRateLimit(req, res, loginLimiter)) return;
+    let data;
+    try {
+      data = await readJsonBody(req);
+    } catch (err) {
+      sendBodyError(res, err);
+      return;
+    }
+    if (typeof data.username !== 'string' || typeof data.password !== 'string') {
+      sendJson(res, 400, { error: 'username and password are required' });
+      return;
+    }
+    const session = auth.login(data.username, data.password);
+    if (!session) {
+      sendJson(res, 401, { error: 'Invalid username or password' });
+      return;
+    }
+    sendJson(res, 200, session);
+    return;
+  }
+
+  // Log out: POST /auth/logout revokes the token used for the request
+  if (pathname === '/auth/logout') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, 'viewer');
+    if (!session) return;
+    auth.revokeToken(session.user.username, session.tokenId);
+    sendJson(res, 200, { loggedOut: true });
+    return;
+  }
+
+  // Current identity: GET /auth/me
+  if (pathname === '/auth/me') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, 'viewer');
+    if (!session) return;
+    sendJson(res, 200, { user: session.user });
+    return;
+  }
+
+  // API tokens for the current user: GET/POST /auth/tokens, DELETE /auth/tokens?id
+  if (pathname === '/auth/tokens') {
+    const session = requireRole(req, res, 'viewer');
+    if (!session) return;
+    const username = session.user.username;
+    if (method === 'GET') {
+      sendJson(res, 200, { tokens: auth.listTokens(username) });
+      return;
+    }
+    if (method === 'POST') {
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      const label = typeof data.label === 'string' && data.label.trim() ? data.label.trim().slice(0, 60) : 'api';
+      const issued = auth.issueToken(username, { label });
+      sendJson(res, 201, { token: issued.token, ...issued.info });
+      return;
+    }
+    if (method === 'DELETE') {
+      const id = parsedUrl.searchParams.get('id');
+      if (!id) {
+        sendJson(res, 400, { error: 'Missing id parameter' });
+        return;
+      }
+      const revoked = auth.revokeToken(username, id);
+      sendJson(res, revoked ? 200 : 404, revoked ? { revoked: true } : { error: 'Token not found' });
+      return;
+    }
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  // User administration (admin only): GET/POST /users,
+  // PUT/DELETE /users?username
+  if (pathname === '/users') {
+    const session = requireRole(req, res, 'admin');
+    if (!session) return;
+    const username = parsedUrl.searchParams.get('username');
+    if (method === 'GET') {
+      sendJson(res, 200, { users: auth.listUsers() });
+      return;
+    }
+    if (method === 'DELETE') {
+      if (!username) {
+        sendJson(res, 400, { error: 'Missing username parameter' });
+        return;
+      }
+      if (username === session.user.username) {
+        sendJson(res, 400, { error: 'You cannot delete your own account' });
+        return;
+      }
+      const result = auth.removeUser(username);
+      if (result.errors) {
+        sendJson(res, 400, { error: 'Cannot delete user', fields: result.errors });
+        return;
+      }
+      if (!result.user) {
+        sendJson(res, 404, { error: 'User not found' });
+        return;
+      }
+      dashboards.removeLayout(username);
+      sendJson(res, 200, { removed: true });
+      return;
+    }
+    if (method === 'POST' || method === 'PUT') {
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      if (method === 'PUT' && !username) {
+        sendJson(res, 400, { error: 'Missing username parameter' });
+        return;
+      }
+      const result = method === 'POST'
+        ? auth.createUser({ username: data.username, password: data.password, role: data.role })
+        : auth.updateUser(username, { role: data.role, password: data.password });
+      if (result.errors) {
+        sendJson(res, 400, { error: 'Invalid user', fields: result.errors });
+        return;
+      }
+      if (!result.user) {
+        sendJson(res, 404, { error: 'User not found' });
+        return;
+      }
+      sendJson(res, method === 'POST' ? 201 : 200, result.user);
+      return;
+    }
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  // Override endpoints
+  if (pathname === '/override') {
+    const lat  = parsedUrl.searchParams.get('lat');
+    const lon  = parsedUrl.searchParams.get('lon');
+    const date = parsedUrl.searchParams.get('date');
+    if (method === 'GET') {
+      if (!allowRead(req, res)) return;
+      if (!lat || !lon || !date) {
+        sendJson(res, 400, { error: 'Missing lat, lon or date parameter' });
+        return;
+      }
+      const keyError = checkKey(lat, lon, date);
+      if (keyError) {
+        sendJson(res, 400, { error: keyError });
+        return;
+      }
+      // The revision tag is the ETag, so a client that already has the
+      // current state gets a 304 without the record being looked up
+      if (sendNotModified(req, res, `"${overrides.getRevision(lat, lon, date)}"`)) return;
+      const override = overrides.getLatestOverride(lat, lon, date);
+      sendJson(res, 200, override || {});
+      return;
+    } else if (method === 'POST') {
+      const session = requireRole(req, res, 'editor');
+      if (!session) return;
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      const { lat, lon, date } = data;
+      if (!lat || !lon || !date || !data.values) {
+        sendJson(res, 400, { error: 'lat, lon, date and values are required' });
+        return;
+      }
+      const keyError = checkKey(lat, lon, date);
+      if (keyError) {
+        sendJson(res, 400, { error: keyError });
+        return;
+      }
+      const { values, errors } = validateValues(data.values);
+      const { hour, error: hourError } = readHour(data);
+      if (hourError) errors.hour = hourError;
+      const { schedule, errors: scheduleErrors } = readSchedule(data, normalizeLatLon(lat, lon), String(date));
+      Object.assign(errors, scheduleErrors);
+      if (Object.keys(errors).length > 0) {
+        sendJson(res, 400, { error: 'Invalid override values', fields: errors });
+        return;
+      }
+      const expectedRevision = parseIfMatch(req);
+      if (expectedRevision === null) {
+        sendJson(res, 400, { error: 'Invalid If-Match header' });
+        return;
+      }
+      const propose = proposesOnly(session.user);
+      let override;
+      try {
+        override = overrides.saveOverride(String(lat), String(lon), String(date), hour, values, {
+          updatedBy: session.user.username,
+          ...schedule,
+        }, { expectedRevision, propose });
+      } catch (err) {
+        if (err instanceof overrides.OverrideConflictError) {
+          sendConflict(res, err);
+          return;
+        }
+        throw err;
+      }
+      setRevisionHeader(res, lat, lon, date);
+      // 202: stored, but not applied until a reviewer approves it
+      sendJson(res, propose ? 202 : 201, override);
+      return;
+    } else if (method === 'DELETE') {
+      const session = requireRole(req, res, removalRole());
+      if (!session) return;
+      let data;
+      try {
+        data = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+      const { lat, lon, date } = data;
+      if (!lat || !lon || !date) {
+        sendJson(res, 400, { error: 'lat, lon and date are required' });
+        return;
+      }
+      const keyError = checkKey(lat, lon, date);
+      if (keyError) {
+        sendJson(res, 400, { error: keyError });
+        return;
+      }
+      const { hour, error: hourError } = readHour(data);
+      if (hourError) {
+        sendJson(res, 400, { error: `hour ${hourError}` });
+        return;
+      }
+      const expectedRevision = parseIfMatch(req);
+      if (expectedRevision === null) {
+        sendJson(res, 400, { error: 'Invalid If-Match header' });
+        return;
+      }
+      let removed;
+      try {
+        removed = hour === null
+          ? overrides.removeOverride(String(lat), String(lon), String(date), session.user.username, {
+            expectedRevision,
+          })
+          : overrides.clearOverrideHour(String(lat), String(lon), String(date), hour, session.user.username, {
+            expectedRevision,
+          });
+      } catch (err) {
+        if (err instanceof overrides.OverrideConflictError) {
+          sendConflict(res, err);
+          return;
+        }
+        throw err;
+      }
+      setRevisionHeader(res, lat, lon, date);
+      sendJson(res, 200, { removed: !!removed });
+      return;
+    }
+    // Method not supported
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  // Search: GET /overrides?from&to&bbox&status&author&sort&limit&offset
+  if (pathname === '/overrides') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const params = parsedUrl.searchParams;
+    const errors = {};
+    const filters = {};
+    for (const name of ['from', 'to']) {
+      const value = params.get(name);
+      if (!value) continue;
+      if (DATE_RE.test(value)) filters[name] = value;
+      else errors[name] = 'must be YYYY-MM-DD';
+    }
+    if (params.get('bbox')) {
+      filters.bbox = parseBbox(params.get('bbox'));
+      if (!filters.bbox) errors.bbox = 'must be minLon,minLat,maxLon,maxLat';
+    }
+    const status = params.get('status') || 'all';
+    if (status === 'active' || status === 'inactive') filters.active = status === 'active';
+    else if (status !== 'all') errors.status = 'must be active, inactive or all';
+    if (params.get('state')) {
+      if (overrides.STATES.includes(params.get('state'))) filters.state = params.get('state');
+      else errors.state = `must be one of ${overrides.STATES.join(', ')}`;
+    }
+    if (params.get('author')) filters.author = params.get('author');
+    const sortParam = params.get('sort') || 'date';
+    const descending = sortParam.startsWith('-');
+    const sort = descending ? sortParam.slice(1) : sortParam;
+    if (!overrides.QUERY_SORT_FIELDS[sort]) {
+      errors.sort = `must be one of ${Object.keys(overrides.QUERY_SORT_FIELDS).join(', ')}, optionally prefixed with "-"`;
+    }
+    const limit = parseCount(params.get('limit'), DEFAULT_PAGE_SIZE);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.limit = `must be a whole number between 1 and ${MAX_PAGE_SIZE}`;
+    }
+    const offset = parseCount(params.get('offset'), 0);
+    if (Number.isNaN(offset)) errors.offset = 'must be a whole number';
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 400, { error: 'Invalid query', fields: errors });
+      return;
+    }
+    const { total, items } = overrides.queryOverrides(filters, { sort, descending, offset, limit });
+    sendCachedJson(req, res, { total, offset, limit, items });
+    return;
+  }
+
+  // Bulk export: GET /overrides/export?format=csv|json[&lat&lon][&from&to][&history=1]
+  // Active overrides by default; history=1 includes every version.
+  if (pathname === '/overrides/export') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const format = parsedUrl.searchParams.get('format') || 'csv';
+    const lat  = parsedUrl.searchParams.get('lat');
+    const lon  = parsedUrl.searchParams.get('lon');
+    const from = parsedUrl.searchParams.get('from');
+    const to   = parsedUrl.searchParams.get('to');
+    const history = parsedUrl.searchParams.get('history') === '1';
+    if (format !== 'csv' && format !== 'json') {
+      sendJson(res, 400, { error: 'format must be csv or json' });
+      return;
+    }
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      sendJson(res, 400, { error: 'from and to must be YYYY-MM-DD' });
+      return;
+    }
+    let point = null;
+    if (lat || lon) {
+      point = normalizeLatLon(lat, lon);
+      if (!point) {
+        sendJson(res, 400, { error: 'Invalid lat or lon parameter' });
+        return;
+      }
+    }
+    const records = overrides.getStore().list()
+      .filter(o => history || o.active)
+      .filter(o => !from || o.date >= from)
+      .filter(o => !to || o.date <= to)
+      .filter(o => !point || distanceKm(point, o) <= MATCH_RADIUS_KM)
+      .sort((a, b) =>
+        a.date.localeCompare(b.date) || a.lat.localeCompare(b.lat) ||
+        a.lon.localeCompare(b.lon) || a.version - b.version);
+    res.setHeader('Content-Disposition', `attachment; filename="overrides.${format}"`);
+    if (format === 'json') {
+      sendJson(res, 200, records);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/csv; charset=UTF-8' });
+    res.end(overrideIo.toCsv(records));
+    return;
+  }
+
+  // Forecast accuracy: GET /overrides/accuracy[?lat&lon][&bbox][&from&to]
+  // How far each day's final override deviates from the recorded
+  // provider forecast, per location and overall (see lib/accuracy.js).
+  if (pathname === '/overrides/accuracy') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const params = parsedUrl.searchParams;
+    const errors = {};
+    const range = {};
+    for (const name of ['from', 'to']) {
+      const value = params.get(name);
+      if (!value) continue;
+      if (DATE_RE.test(value)) range[name] = value;
+      else errors[name] = 'must be YYYY-MM-DD';
+    }
+    if (range.from && range.to && range.from > range.to) errors.to = 'must not be before from';
+    let point = null;
+    if (params.get('lat') || params.get('lon')) {
+      point = normalizeLatLon(params.get('lat'), params.get('lon'));
+      if (!point) errors.lat = 'lat and lon must be valid coordinates';
+    }
+    let bbox = null;
+    if (params.get('bbox')) {
+      bbox = parseBbox(params.get('bbox'));
+      if (!bbox) errors.bbox = 'must be minLon,minLat,maxLon,maxLat';
+    }
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 400, { error: 'Invalid query', fields: errors });
+      return;
+    }
+    const records = overrides.getFinalOverrides(range)
+      .filter(o => !point || distanceKm(point, o) <= MATCH_RADIUS_KM)
+      .filter(o => !bbox || inBox(o, bbox));
+    const report = accuracyReport(records, snapshots.listSnapshots(range));
+    sendCachedJson(req, res, { from: range.from || null, to: range.to || null, ...report });
+    return;
+  }
+
+  // Bulk import: POST /overrides/import[?dryRun=1][&strict=1] with a CSV
+  // (Content-Type text/csv) or JSON body.  Valid rows are committed
+  // together; with strict=1 nothing is committed if any row is rejected.
+  if (pathname === '/overrides/import') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, removalRole());
+    if (!session) return;
+    const dryRun = parsedUrl.searchParams.get('dryRun') === '1';
+    const strict = parsedUrl.searchParams.get('strict') === '1';
+    const isCsv = contentType(req) === 'text/csv' ||
+      parsedUrl.searchParams.get('format') === 'csv';
+    let body;
+    try {
+      body = await readBody(req, {
+        limit: MAX_IMPORT_BODY_BYTES,
+        types: ['application/json', 'text/csv', 'text/plain'],
+      });
+    } catch (err) {
+      sendBodyError(res, err);
+      return;
+    }
+    let parsed;
+    if (isCsv) {
+      parsed = overrideIo.readCsvRows(body);
+    } else {
+      try {
+        parsed = overrideIo.readJsonRows(JSON.parse(body || 'null'));
+      } catch (err) {
+        sendJson(res, 400, { error: 'Invalid JSON body' });
+        return;
+      }
+    }
+    if (parsed.error) {
+      sendJson(res, 400, { error: parsed.error });
+      return;
+    }
+    const { accepted, rejected } = overrideIo.checkRows(parsed.rows);
+    const commit = !dryRun && !(strict && rejected.length > 0);
+    const created = overrides.importOverrides(accepted, {
+      updatedBy: session.user.username,
+    }, { dryRun: !commit });
+    sendJson(res, strict && rejected.length > 0 ? 422 : 200, {
+      committed: commit && created.length > 0,
+      accepted: accepted.map(({ row, lat, lon, date, hour }) => ({ row, lat, lon, date, hour })),
+      rejected,
+      created: created.map(({ lat, lon, date, version }) => ({ lat, lon, date, version })),
+    });
+    return;
+  }
+
+  // Declared override value schema: GET /override/schema
+  if (pathname === '/override/schema') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    sendCachedJson(req, res, { fields: OVERRIDE_FIELDS });
+    return;
+  }
+
+  // Version history for a key: GET /override/history?lat&lon&date
+  if (pathname === '/override/history') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const lat  = parsedUrl.searchParams.get('lat');
+    const lon  = parsedUrl.searchParams.get('lon');
+    const date = parsedUrl.searchParams.get('date');
+    if (!lat || !lon || !date) {
+      sendJson(res, 400, { error: 'Missing lat, lon or date parameter' });
+      return;
+    }
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) {
+      sendJson(res, 400, { error: keyError });
+      return;
+    }
+    const key = overrides.resolveLocation(lat, lon, date);
+    sendCachedJson(req, res, { ...key, date, versions: overrides.getOverrideHistory(lat, lon, date) });
+    return;
+  }
+
+  // One specific version: GET /override/version?lat&lon&date&version
+  if (pathname === '/override/version') {
+    if (method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    if (!allowRead(req, res)) return;
+    const lat     = parsedUrl.searchParams.get('lat');
+    const lon     = parsedUrl.searchParams.get('lon');
+    const date    = parsedUrl.searchParams.get('date');
+    const version = parseVersion(parsedUrl.searchParams.get('version'));
+    if (!lat || !lon || !date || Number.isNaN(version)) {
+      sendJson(res, 400, { error: 'Missing lat, lon, date or version parameter' });
+      return;
+    }
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) {
+      sendJson(res, 400, { error: keyError });
+      return;
+    }
+    const override = overrides.getOverrideVersion(lat, lon, date, version);
+    if (!override) {
+      sendJson(res, 404, { error: `Version ${version} not found` });
+      return;
+    }
+    sendCachedJson(req, res, override);
+    return;
+  }
+
+  // Revert to an older version: POST /override/revert {lat, lon, date, version}
+  if (pathname === '/override/revert') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, 'editor');
+    if (!session) return;
+    let data;
+    try {
+      data = await readJsonBody(req);
+    } catch (err) {
+      sendBodyError(res, err);
+      return;
+    }
+    const { lat, lon, date } = data;
+    const version = parseVersion(data.version);
+    if (!lat || !lon || !date || Number.isNaN(version)) {
+      sendJson(res, 400, { error: 'lat, lon, date and version are required' });
+      return;
+    }
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) {
+      sendJson(res, 400, { error: keyError });
+      return;
+    }
+    const expectedRevision = parseIfMatch(req);
+    if (expectedRevision === null) {
+      sendJson(res, 400, { error: 'Invalid If-Match header' });
+      return;
+    }
+    const propose = proposesOnly(session.user);
+    let reverted;
+    try {
+      reverted = overrides.revertOverride(String(lat), String(lon), String(date), version, {
+        updatedBy: session.user.username,
+      }, { expectedRevision, propose });
+    } catch (err) {
+      if (err instanceof overrides.OverrideConflictError) {
+        sendConflict(res, err);
+        return;
+      }
+      throw err;
+    }
+    if (!reverted) {
+      sendJson(res, 404, { error: `Version ${version} not found` });
+      return;
+    }
+    setRevisionHeader(res, lat, lon, date);
+    sendJson(res, propose ? 202 : 201, reverted);
+    return;
+  }
+
+  // Review a proposed version: POST /override/approve and
+  // POST /override/reject with {lat, lon, date, version, comment}.
+  // Rejections need a comment; approvals honour If-Match.
+  if (pathname === '/override/approve' || pathname === '/override/reject') {
+    if (method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    const session = requireRole(req, res, 'reviewer');
+    if (!session) return;
+    let data;
+    try {
+      data = await readJsonBody(req);
+    } catch (err) {
+      sendBodyError(res, err);
+      return;
+    }
+    const approve = pathname === '/override/approve';
+    const { lat, lon, date } = data;
+    const version = parseVersion(data.version);
+    if (!lat || !lon || !date || Number.isNaN(version)) {
+      sendJson(res, 400, { error: 'lat, lon, date and version are required' });
+      return;
+    }
+    const keyError = checkKey(lat, lon, date);
+    if (keyError) {
+      sendJson(res, 400, { error: keyError });
+      return;
+    }
+    const comment = data.comment === undefined || data.comment === null ? '' : data.comment;
+    if (typeof comment !== 'string' || comment.trim().length > MAX_REVIEW_COMMENT_LENGTH) {
+      sendJson(res, 400, {
+        error: 'Invalid review',
+        fields: { comment: `must be text of at most ${MAX_REVIEW_COMMENT_LENGTH} characters` },
+      });
+      return;
+    }
+    if (!approve && comment.trim() === '') {
+      sendJson(res, 400, { error: 'Invalid review', fields: { comment: 'is required when rejecting' } });
+      return;
+    }
+    const expectedRevision = parseIfMatch(req);
+    if (expectedRevision === null) {
+      sendJson(res, 400, { error: 'Invalid If-Match header' });
+      return;
+    }
+    const options = { comment: comment.trim() || undefined, expectedRevision };
+    let reviewed;
+    try {
+      reviewed = approve
+        ? overrides.approveOverride(String(lat), String(lon), String(date), version, session.user.username, options)
+        : overrides.rejectOverride(String(lat), String(lon), String(date), version, session.user.username, options);
+    } catch (err) {
+      if (err instanceof overrides.OverrideConflictError) {
+        sendConflict(res, err);
+        return;
+      }
+      if (err instanceof overrides.OverrideStateError) {
+        sendJson(res, 409, { error: err.message, code: 'invalid_state', current: err.current });
+        return;
+      }
+      throw err;
+    }
+    if (!reviewed) {
+      sendJson(res, 404, { error: `Version ${version} not found` });
+      return;
+    }
+    setRevisionHeader(res, lat, lon, date);
+    sendJson(res, 200, reviewed);
+    return;
+  }
+
+  // Static file handling
+  // Normalize path to prevent directory traversal attacks
+  let safePath = pathname;
+  if (safePath.includes('..')) {
+    res.writeHead(400, { ...SECURITY_HEADERS, 'Content-Type': 'text/plain; charset=UTF-8' });
+    res.end('Bad Request');
+    return;
+  }
+  // Default to index.html for the root
+  staticFiles.serve(req, res, safePath === '/' ? '/index.html' : safePath, parsedUrl.searchParams);
+}
+
+// Clients that are too slow to send their request get 408.  Node
+// checks for them every connectionsCheckingInterval.
+const server = http.createServer({
+  requestTimeout: REQUEST_TIMEOUT_MS,
+  headersTimeout: Math.min(60 * 1000, REQUEST_TIMEOUT_MS),
+  connectionsCheckingInterval: Math.min(30 * 1000, Math.ceil(REQUEST_TIMEOUT_MS / 4)),
+}, (req, res) => {
+  const started = process.hrtime.bigint();
+  res.on('close', () => recordRequest(req, res, started));
+  handleRequest(req, res).catch(err => {
+    console.error(err);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendJson(res, 500, { error: 'Internal Server Error' });
+  });
+});
+
+const PORT = process.env.PORT || 8000;
+
+// Flush the journal into overrides.json and release the lock on exit
+function shutdown() {
+  server.close();
+  overrides.close();
+  process.exit(0);
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Deactivate expired overrides and announce scheduled ones as they take
+// effect.  Runs once at startup and then every OVERRIDE_SWEEP_INTERVAL_MS.
+const SWEEP_INTERVAL_MS = Number(process.env.OVERRIDE_SWEEP_INTERVAL_MS) || 60 * 1000;
+let lastSweep = Date.now();
+
+function sweepOverrides() {
+  const now = Date.now();
+  try {
+    const { expired } = overrides.sweepSchedules(lastSweep, now);
+    if (expired > 0) console.log(`Override sweep: ${expired} expired override(s) deactivated`);
+  } catch (err) {
+    console.error('Override sweep failed:', err.message);
+  }
+  lastSweep = now;
+}
+sweepOverrides();
+setInterval(sweepOverrides, SWEEP_INTERVAL_MS).unref();
+
+// Re-check alert rules when an override changes, and at startup and
+// every ALERT_CHECK_INTERVAL_MS for today at each rule's location as
+// the forecast moves.  Reading weather never checks them: that would
+// let anonymous requests drive alerts.json writes and webhook POSTs.
+const ALERT_CHECK_INTERVAL_MS = Number(process.env.ALERT_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+
+onOverrideChange(change => {
+  refreshAlerts({ lat: change.lat, lon: change.lon }, change.date).catch(err => {
+    console.error('Alert check failed:', err.message);
+  });
+});
+
+async function checkAllAlerts() {
+  const points = new Map();
+  for (const rule of alerts.listRules()) points.set(`${rule.lat},${rule.lon}`, rule);
+  for (const point of points.values()) {
+    try {
+      await refreshAlerts(point, todayIn(lookupTimeZone(point.lat, point.lon)));
+    } catch (err) {
+      console.error(`Alert check for ${point.lat},${point.lon} failed:`, err.message);
+    }
+  }
+}
+setImmediate(checkAllAlerts);
+setInterval(checkAllAlerts, ALERT_CHECK_INTERVAL_MS).unref();
 
-const PORT = process.env.PORT || 8000;
 server.listen(PORT, () => {
-  console.log(`Weather.io server running at http://localhost:${PORT}`);
+  console.log(`Weather.io server running at http://localhost:${PORT} (weather provider: ${weatherProvider.name})`);
 });
\ No newline at end of file
@@ -0,0 +1,57 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { compareValues, accuracyReport } = require('../lib/accuracy');
+
+function record(lat, lon, date, newValues, version = 1) {
+  return { lat, lon, date, newValues, version };
+}
+
+function snapshot(lat, lon, date, weather) {
+  return { lat, lon, date, weather, provider: 'fixture', recordedAt: `${date}T06:00:00.000Z` };
+}
+
+test('differences are override minus provider; conditions only count as changed', () => {
+  assert.deepStrictEqual(compareValues(
+    { tempC: 20.1, precipMm: 'n/a', conditionText: 'Sunny ' },
+    { tempC: 22, precipMm: 3, conditionText: 'sunny' }), {
+    tempC: { provider: 20.1, override: 22, diff: 1.9 },
+    conditionText: { provider: 'Sunny ', override: 'sunny', changed: false },
+  });
+});
+
+test('the report sums up bias and spread per field and per location', () => {
+  const report = accuracyReport([
+    record('17.385', '78.4867', '2030-01-02', { tempC: 18 }),
+    record('17.385', '78.4867', '2030-01-01', { tempC: 22, conditionText: 'Rain' }, 3),
+    record('51.5074', '-0.1278', '2030-01-01', { tempC: 10 }),
+  ], [
+    snapshot('17.385', '78.4867', '2030-01-01', { tempC: 20, conditionText: 'Sunny' }),
+    // A nearby point within the match radius stands in for the override's
+    snapshot('17.3851', '78.4867', '2030-01-02', { tempC: 21 }),
+    snapshot('51.5074', '-0.1278', '2030-01-01', { tempC: 10 }),
+  ]);
+  assert.strictEqual(report.compared, 3);
+  assert.strictEqual(report.unmatched, 0);
+  assert.deepStrictEqual(report.fields, {
+    tempC: { count: 3, meanDiff: -0.33, meanAbsDiff: 1.67, maxDiff: -3 },
+    conditionText: { count: 1, changed: 1 },
+  });
+  assert.deepStrictEqual(report.locations.map(l => [l.lat, l.compared]), [['17.385', 2], ['51.5074', 1]]);
+  const [hyderabad] = report.locations;
+  assert.deepStrictEqual(hyderabad.days.map(d => [d.date, d.version]), [['2030-01-01', 3], ['2030-01-02', 1]]);
+  assert.deepStrictEqual(hyderabad.fields.tempC, { count: 2, meanDiff: -0.5, meanAbsDiff: 2.5, maxDiff: -3 });
+});
+
+test('overrides without a snapshot are unmatched; hour-only ones are skipped', () => {
+  const report = accuracyReport([
+    record('17.385', '78.4867', '2030-01-01', { tempC: 22 }),
+    { ...record('17.385', '78.4867', '2030-01-02', {}), hourValues: { 6: { tempC: 15 } } },
+  ], [
+    snapshot('40.7128', '-74.006', '2030-01-01', { tempC: 20 }),
+    snapshot('17.385', '78.4867', '2030-01-02', { tempC: 20 }),
+  ]);
+  assert.strictEqual(report.compared, 0);
+  assert.strictEqual(report.unmatched, 1);
+  assert.deepStrictEqual(report.fields, {});
+  assert.deepStrictEqual(report.locations[0].days, []);
+});
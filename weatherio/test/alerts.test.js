@@ -0,0 +1,87 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { isolatedLib } = require('./helpers');
+
+const POINT = { lat: '17.385', lon: '78.4867' };
+const DATE = '2030-01-01';
+
+let lib;
+let alerts;
+
+test.beforeEach(() => {
+  lib = isolatedLib();
+  alerts = lib.require('alerts');
+});
+
+test.afterEach(() => {
+  lib.cleanup();
+});
+
+function addRule(input) {
+  return alerts.addRule({ ...POINT, ...input }, 'ed').rule;
+}
+
+test('rule input is checked per field', () => {
+  assert.deepStrictEqual(alerts.addRule({ lat: 'x', lon: 1, field: 'tempC', op: 'contains', value: '5' }, 'ed'), {
+    errors: {
+      coordinates: 'lat and lon must be valid coordinates',
+      op: 'must be one of > >= < <= = for tempC',
+      value: 'must be a number',
+    },
+  });
+  const { errors } = alerts.addRule({ ...POINT, field: 'conditionText', op: 'contains', value: 'rain',
+    webhooks: ['http://127.0.0.1/hook'] }, 'ed');
+  assert.match(errors.webhooks, /loopback/);
+  assert.deepStrictEqual(alerts.listRules(), []);
+});
+
+test('a partial update is checked against the stored rule', () => {
+  const rule = addRule({ name: 'Hot', field: 'tempC', op: '>', value: 40 });
+  assert.ok(alerts.updateRule(rule.id, { field: 'conditionText' }).errors.op);
+  const { rule: updated } = alerts.updateRule(rule.id, { value: 35, name: '' });
+  assert.strictEqual(updated.value, 35);
+  assert.strictEqual(updated.op, '>');
+  assert.strictEqual(updated.name, undefined);
+  assert.deepStrictEqual(alerts.updateRule('missing', { value: 1 }), { rule: null });
+});
+
+test('a matching day fires one alert until the rule stops matching', () => {
+  const rule = addRule({ name: 'Storm', field: 'conditionText', op: 'contains', value: 'THUNDER',
+    webhooks: ['https://example.com/hook'] });
+  const stormy = {
+    conditionText: 'Cloudy',
+    hours: [{ hour: 9, conditionText: 'Thunderstorm' }, { hour: 15, conditionText: 'thunder showers' }],
+  };
+  const { fired } = alerts.evaluateAlerts(POINT, DATE, stormy, { extraWebhooks: ['https://example.org/ops'] });
+  assert.strictEqual(fired.length, 1);
+  assert.strictEqual(fired[0].ruleId, rule.id);
+  assert.deepStrictEqual(fired[0].hours, [9, 15]);
+  assert.strictEqual(fired[0].message, 'Storm: conditionText Thunderstorm contains "THUNDER" at 09:00, 15:00');
+  assert.deepStrictEqual(fired[0].deliveries.map(d => d.url), ['https://example.com/hook', 'https://example.org/ops']);
+
+  assert.deepStrictEqual(alerts.evaluateAlerts(POINT, DATE, stormy), { fired: [], resolved: [] });
+  assert.strictEqual(alerts.listAlerts(POINT, { date: DATE }).length, 1);
+
+  const { resolved } = alerts.evaluateAlerts(POINT, DATE, { conditionText: 'Sunny', hours: [] });
+  assert.strictEqual(resolved[0].id, fired[0].id);
+  assert.deepStrictEqual(alerts.listAlerts(POINT), []);
+  assert.strictEqual(alerts.listAlerts(POINT, { includeResolved: true }).length, 1);
+});
+
+test('rules only cover weather near their location', () => {
+  addRule({ field: 'precipMm', op: '>=', value: 10 });
+  const far = { lat: '40.7128', lon: '-74.006' };
+  assert.deepStrictEqual(alerts.evaluateAlerts(far, DATE, { precipMm: 50 }).fired, []);
+  assert.strictEqual(alerts.evaluateAlerts(POINT, DATE, { precipMm: 10 }).fired.length, 1);
+});
+
+test('delivery results are recorded and removing a rule drops its open alerts', () => {
+  const rule = addRule({ field: 'tempC', op: '<', value: 0, webhooks: ['https://example.com/hook'] });
+  const [alert] = alerts.evaluateAlerts(POINT, DATE, { tempC: -3 }).fired;
+  alerts.recordDelivery(alert.id, 'https://example.com/hook', { status: 'delivered', attempts: 1 });
+  assert.deepStrictEqual(alerts.listAlerts(POINT)[0].deliveries,
+    [{ url: 'https://example.com/hook', status: 'delivered', attempts: 1 }]);
+  assert.strictEqual(alerts.removeRule(rule.id).id, rule.id);
+  assert.deepStrictEqual(alerts.listAlerts(POINT), []);
+  assert.strictEqual(alerts.removeRule(rule.id), null);
+});
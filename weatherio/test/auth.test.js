@@ -0,0 +1,77 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { isolatedLib } = require('./helpers');
+
+let lib;
+let auth;
+
+test.beforeEach(() => {
+  lib = isolatedLib();
+  auth = lib.require('auth');
+});
+
+test.afterEach(() => {
+  lib.cleanup();
+});
+
+test('roles are ordered from viewer to admin', () => {
+  const editor = { username: 'ed', role: 'editor' };
+  assert.strictEqual(auth.hasRole(editor, 'viewer'), true);
+  assert.strictEqual(auth.hasRole(editor, 'editor'), true);
+  assert.strictEqual(auth.hasRole(editor, 'reviewer'), false);
+});
+
+test('account input is validated', () => {
+  const { errors } = auth.createUser({ username: 'x', password: 'short', role: 'boss' });
+  assert.deepStrictEqual(Object.keys(errors).sort(), ['password', 'role', 'username']);
+  auth.createUser({ username: 'ed', password: 'password1', role: 'editor' });
+  assert.deepStrictEqual(auth.createUser({ username: 'ed', password: 'password1', role: 'editor' }).errors,
+    { username: 'is already taken' });
+});
+
+test('a login token authenticates until it is revoked', () => {
+  auth.createUser({ username: 'ed', password: 'password1', role: 'editor' });
+  assert.strictEqual(auth.login('ed', 'wrong-password'), null);
+  assert.strictEqual(auth.login('nobody', 'password1'), null);
+  const session = auth.login('ed', 'password1');
+  const resolved = auth.authenticate(session.token);
+  assert.deepStrictEqual(resolved.user, { username: 'ed', role: 'editor', createdAt: resolved.user.createdAt });
+  assert.strictEqual(JSON.stringify(auth.listTokens('ed')).includes(session.token), false);
+  assert.strictEqual(auth.revokeToken('ed', resolved.tokenId), true);
+  assert.strictEqual(auth.authenticate(session.token), null);
+});
+
+test('expired tokens and unknown tokens do not authenticate', () => {
+  auth.createUser({ username: 'ed', password: 'password1', role: 'editor' });
+  const { token } = auth.issueToken('ed', { ttlMs: -1 });
+  assert.strictEqual(auth.authenticate(token), null);
+  assert.strictEqual(auth.authenticate('wio_unknown'), null);
+  assert.strictEqual(auth.authenticate('not-a-token'), null);
+});
+
+test('changing the password revokes every token', () => {
+  auth.createUser({ username: 'ed', password: 'password1', role: 'editor' });
+  const { token } = auth.issueToken('ed');
+  auth.updateUser('ed', { password: 'password2' });
+  assert.strictEqual(auth.authenticate(token), null);
+  assert.notStrictEqual(auth.login('ed', 'password2'), null);
+});
+
+test('the last admin can be neither demoted nor deleted', () => {
+  auth.createUser({ username: 'root', password: 'password1', role: 'admin' });
+  assert.deepStrictEqual(auth.updateUser('root', { role: 'editor' }).errors,
+    { role: 'cannot be changed: this is the only admin' });
+  assert.deepStrictEqual(auth.removeUser('root').errors,
+    { username: 'cannot be deleted: this is the only admin' });
+  auth.createUser({ username: 'root2', password: 'password1', role: 'admin' });
+  assert.strictEqual(auth.updateUser('root', { role: 'editor' }).user.role, 'editor');
+  assert.strictEqual(auth.removeUser('root').user.username, 'root');
+});
+
+test('ensureAdmin creates an admin under a free name', () => {
+  auth.createUser({ username: 'admin', password: 'password1', role: 'viewer' });
+  const created = auth.ensureAdmin();
+  assert.strictEqual(created.username, 'admin-2');
+  assert.strictEqual(auth.login('admin-2', created.password).user.role, 'admin');
+  assert.strictEqual(auth.ensureAdmin(), null);
+});
@@ -0,0 +1,102 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+const overrides = require('../lib/overrides');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const KEY = ['17.385', '78.4867', '2030-01-01'];
+
+let dataDir;
+
+test.beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  // v1 superseded by v2 on one day, v1 alone on the next
+  overrides.open(dataDir, { compactInterval: 0 });
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'ann' });
+  overrides.addOverride('17.385', '78.4867', '2030-01-02', { precipMm: 4 }, { updatedBy: 'ed' });
+  overrides.close();
+});
+
+test.afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Run cli.js against the test data; returns { status, stdout, stderr }
+function cli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args, '--data', dataDir], { encoding: 'utf8', timeout: 10000 });
+}
+
+function json(...args) {
+  const result = cli(...args, '--json');
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('list filters and sorts like the history search', () => {
+  assert.deepStrictEqual(json('list').items.map(o => `${o.date}/v${o.version}`),
+    ['2030-01-01/v2', '2030-01-02/v1']);
+  assert.deepStrictEqual(json('list', '--status', 'all', '--author', 'ed', '--sort', '-date').items
+    .map(o => `${o.date}/v${o.version}`), ['2030-01-02/v1', '2030-01-01/v1']);
+  const text = cli('search', '--to', '2030-01-01');
+  assert.match(text.stdout, /^2030-01-01 {2}17\.385,78\.4867 {2}v2 {2}approved .* tempC=21$/m);
+  assert.match(text.stdout, /^1 of 1 record\(s\)$/m);
+});
+
+test('bad command lines exit with status 2', () => {
+  for (const args of [['frobnicate'], ['list', '--sort', 'colour'], ['list', '--limit', '-1'],
+    ['history', '17.385'], ['list', '--json=yes']]) {
+    const result = cli(...args);
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /Run "node cli\.js --help" for usage\./);
+  }
+});
+
+test('history shows every version with its review steps', () => {
+  const { versions } = json('history', ...KEY);
+  assert.deepStrictEqual(versions.map(o => [o.version, o.state]), [[2, 'approved'], [1, 'superseded']]);
+  assert.match(cli('history', '0', '0', '2030-01-01').stdout, /No overrides recorded for this day\./);
+});
+
+test('deactivate and purge change the store', () => {
+  assert.strictEqual(json('deactivate', ...KEY, '--by', 'ops').removed.removedBy, 'ops');
+  assert.strictEqual(cli('deactivate', ...KEY).status, 1);
+
+  const refused = cli('purge', '17.385', '78.4867', '2030-01-02');
+  assert.strictEqual(refused.status, 2);
+  assert.match(refused.stderr, /deactivate it first or pass --force/);
+  assert.strictEqual(json('purge', ...KEY, '--version', '1').purged.length, 1);
+  assert.deepStrictEqual(json('history', ...KEY).versions.map(o => o.version), [2]);
+});
+
+test('a backup can be restored, saving the current records first', () => {
+  const { file } = json('backup');
+  json('purge', ...KEY, '--force');
+  assert.strictEqual(cli('restore', file).status, 2);
+  const restored = json('restore', file, '--yes');
+  assert.strictEqual(restored.restored, 3);
+  assert.ok(fs.existsSync(restored.previous));
+  assert.strictEqual(json('backups').backups.length, 2);
+  assert.strictEqual(json('list').total, 2);
+});
+
+test('validate passes a clean store', () => {
+  const { records, problems } = json('validate');
+  assert.strictEqual(records, 3);
+  assert.deepStrictEqual(problems, []);
+});
+
+test('commands that change the store refuse to run while it is locked', () => {
+  overrides.open(dataDir, { compactInterval: 0 });
+  try {
+    assert.strictEqual(json('list').total, 2);
+    const locked = cli('deactivate', ...KEY);
+    assert.strictEqual(locked.status, 1);
+    assert.match(locked.stderr, /Stop the server before running commands that change the store\./);
+  } finally {
+    overrides.close();
+  }
+});
@@ -0,0 +1,51 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { isolatedLib } = require('./helpers');
+
+const IDS = ['home', 'office', 'cabin'];
+
+let lib;
+let dashboards;
+
+test.beforeEach(() => {
+  lib = isolatedLib();
+  dashboards = lib.require('dashboards');
+});
+
+test.afterEach(() => {
+  lib.cleanup();
+});
+
+test('users without a layout see their first locations and every day', () => {
+  assert.deepStrictEqual(dashboards.getLayout('ann', IDS),
+    { locations: IDS, days: ['today', 'tomorrow', 'dayafter'], stored: false });
+});
+
+test('a saved layout keeps its order and puts the days in calendar order', () => {
+  const { layout } = dashboards.saveLayout('ann', { locations: ['cabin', 'home'], days: ['dayafter', 'today'] }, IDS);
+  assert.deepStrictEqual(layout.locations, ['cabin', 'home']);
+  assert.deepStrictEqual(layout.days, ['today', 'dayafter']);
+  assert.deepStrictEqual(dashboards.getLayout('ann', IDS), layout);
+  assert.strictEqual(dashboards.getLayout('bob', IDS).stored, false);
+});
+
+test('invalid layouts are reported per field', () => {
+  const many = Array.from({ length: dashboards.MAX_LOCATIONS + 1 }, (_, i) => `loc${i}`);
+  const check = input => dashboards.saveLayout('ann', input, [...IDS, ...many]).errors;
+  assert.deepStrictEqual(check({ locations: 'home', days: [] }), {
+    locations: 'must be an array of saved location ids',
+    days: 'must be a non-empty array of today, tomorrow, dayafter',
+  });
+  assert.match(check({ locations: many, days: ['today'] }).locations, /at most 12/);
+  assert.match(check({ locations: ['home', 'home'], days: ['today'] }).locations, /twice/);
+  assert.strictEqual(check({ locations: ['attic'], days: ['today'] }).locations, 'unknown location id attic');
+  assert.match(check({ locations: [], days: ['yesterday'] }).days, /non-empty array/);
+});
+
+test('deleted locations drop out and a removed layout falls back to the default', () => {
+  dashboards.saveLayout('ann', { locations: ['office', 'cabin'], days: ['today'] }, IDS);
+  assert.deepStrictEqual(dashboards.getLayout('ann', ['home', 'cabin']).locations, ['cabin']);
+  assert.strictEqual(dashboards.removeLayout('ann'), true);
+  assert.strictEqual(dashboards.removeLayout('ann'), false);
+  assert.strictEqual(dashboards.getLayout('ann', IDS).stored, false);
+});
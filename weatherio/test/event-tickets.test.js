@@ -0,0 +1,19 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { issueTicket, canOpenStream } = require('../lib/event-tickets');
+
+test('a ticket opens the event stream', () => {
+  const { ticket } = issueTicket('viv');
+  assert.strictEqual(canOpenStream(new URLSearchParams({ ticket })), true);
+});
+
+test('an unknown ticket or none at all is refused', () => {
+  assert.strictEqual(canOpenStream(new URLSearchParams({ ticket: 'bogus' })), false);
+  assert.strictEqual(canOpenStream(new URLSearchParams()), false);
+});
+
+test('?access_token= is refused', () => {
+  const { ticket } = issueTicket('viv');
+  assert.strictEqual(canOpenStream(new URLSearchParams({ access_token: ticket })), false);
+  assert.strictEqual(canOpenStream(new URLSearchParams({ access_token: 'session-token' })), false);
+});
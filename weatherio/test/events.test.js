@@ -0,0 +1,48 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { publishOverrideChange, onOverrideChange, publishAlertChange, onAlertChange } = require('../lib/events');
+const overrides = require('../lib/overrides');
+
+const KEY = ['17.385', '78.4867', '2030-01-01'];
+
+test('listeners receive changes until they unsubscribe', () => {
+  const received = [];
+  const stop = onOverrideChange(change => received.push(change));
+  publishOverrideChange({ action: 'created', lat: '1', lon: '2', date: '2030-01-01' });
+  stop();
+  publishOverrideChange({ action: 'removed', lat: '1', lon: '2', date: '2030-01-01' });
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].action, 'created');
+  assert.ok(!Number.isNaN(Date.parse(received[0].at)));
+});
+
+test('alert changes carry their action', () => {
+  const received = [];
+  const stop = onAlertChange(alert => received.push(alert));
+  publishAlertChange('fired', { ruleId: 'r1' });
+  stop();
+  assert.strictEqual(received[0].action, 'fired');
+  assert.strictEqual(received[0].ruleId, 'r1');
+});
+
+test('override writes are announced with the new revision', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  overrides.open(dataDir, { compactInterval: 0 });
+  const received = [];
+  const stop = onOverrideChange(change => received.push(change));
+  try {
+    overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+    overrides.revertOverride(...KEY, 1, { updatedBy: 'ed' });
+    overrides.removeOverride(...KEY, 'ed');
+  } finally {
+    stop();
+    overrides.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  assert.deepStrictEqual(received.map(c => [c.action, c.revision]),
+    [['created', 'v1'], ['reverted', 'v2'], ['removed', 'v2-removed']]);
+  assert.deepStrictEqual(received.map(c => c.override.version), [1, 2, 2]);
+});
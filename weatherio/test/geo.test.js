@@ -0,0 +1,57 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { normalizeLatLon, parseBbox, inBox } = require('../lib/geo');
+
+// COORD_PRECISION as lib/geo.js reads it with the given setting
+function precisionWith(value) {
+  const env = { ...process.env };
+  delete env.COORD_PRECISION;
+  if (value !== undefined) env.COORD_PRECISION = value;
+  const out = execFileSync(process.execPath,
+    ['-p', `require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'geo'))}).COORD_PRECISION`],
+    { env, encoding: 'utf8' });
+  return Number(out);
+}
+
+test('different spellings of a point normalize to one key', () => {
+  assert.deepStrictEqual(normalizeLatLon('17.3850', '78.48670'), { lat: '17.385', lon: '78.4867' });
+  assert.deepStrictEqual(normalizeLatLon(17.38501, 78.4867), { lat: '17.385', lon: '78.4867' });
+  assert.deepStrictEqual(normalizeLatLon('-0.00001', '0'), { lat: '0', lon: '0' });
+});
+
+test('missing, non-numeric and out-of-range coordinates are refused', () => {
+  assert.strictEqual(normalizeLatLon('', '78'), null);
+  assert.strictEqual(normalizeLatLon('north', '78'), null);
+  assert.strictEqual(normalizeLatLon('91', '78'), null);
+  assert.strictEqual(normalizeLatLon('17', '-181'), null);
+});
+
+test('COORD_PRECISION accepts whole numbers from 0 to 15', () => {
+  assert.strictEqual(precisionWith('0'), 0);
+  assert.strictEqual(precisionWith('6'), 6);
+  assert.strictEqual(precisionWith('15'), 15);
+});
+
+test('COORD_PRECISION falls back to 4 when unset or invalid', () => {
+  for (const value of [undefined, '', ' ', '-1', '16', '2.5', 'abc']) {
+    assert.strictEqual(precisionWith(value), 4, `COORD_PRECISION=${JSON.stringify(value)}`);
+  }
+});
+
+test('parses a bounding box in GeoJSON order', () => {
+  assert.deepStrictEqual(parseBbox('70, 10,80,20'), { minLat: 10, minLon: 70, maxLat: 20, maxLon: 80 });
+  assert.strictEqual(parseBbox('70,10,80'), null);
+  assert.strictEqual(parseBbox('70,,80,20'), null);
+  assert.strictEqual(parseBbox('70,20,80,10'), null);
+  assert.strictEqual(parseBbox('70,10,190,20'), null);
+});
+
+test('a box whose west edge is east of its east edge wraps the antimeridian', () => {
+  const box = parseBbox('170,-10,-170,10');
+  assert.ok(inBox({ lat: '0', lon: '179' }, box));
+  assert.ok(inBox({ lat: '0', lon: '-175' }, box));
+  assert.ok(!inBox({ lat: '0', lon: '0' }, box));
+  assert.ok(!inBox({ lat: '20', lon: '179' }, box));
+});
@@ -0,0 +1,25 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+/*
+ * Helpers shared by the tests.
+ *
+ * The file-backed stores in lib/ keep their data in ../data relative
+ * to their own directory.  isolatedLib() copies lib/ into a temporary
+ * directory next to an empty data/ and loads modules from the copy, so
+ * tests never touch the real data files.
+ */
+
+function isolatedLib() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  fs.cpSync(path.join(__dirname, '..', 'lib'), path.join(root, 'lib'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'data'));
+  return {
+    dataDir: path.join(root, 'data'),
+    require: name => require(path.join(root, 'lib', name)),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+module.exports = { isolatedLib };
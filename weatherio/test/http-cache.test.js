@@ -0,0 +1,114 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const zlib   = require('zlib');
+const { negotiateEncoding, etagMatches, compressBody, createStaticFiles } = require('../lib/http-cache');
+
+test('picks the preferred encoding the client accepts', () => {
+  assert.strictEqual(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.strictEqual(negotiateEncoding('br;q=0, gzip'), 'gzip');
+  assert.strictEqual(negotiateEncoding('br;q=0.5, gzip;q=0.8'), 'gzip');
+  assert.strictEqual(negotiateEncoding('*'), 'br');
+  assert.strictEqual(negotiateEncoding('*;q=0, identity'), null);
+  assert.strictEqual(negotiateEncoding(undefined), null);
+  assert.strictEqual(negotiateEncoding('br', ['gzip']), null);
+});
+
+test('If-None-Match compares weakly and accepts lists and *', () => {
+  assert.ok(etagMatches('"abc"', ['"abc"']));
+  assert.ok(etagMatches('W/"abc"', ['"abc"']));
+  assert.ok(etagMatches('"x", "abc-br"', ['"abc"', '"abc-br"']));
+  assert.ok(etagMatches('*', ['"abc"']));
+  assert.ok(!etagMatches('"abd"', ['"abc"']));
+  assert.ok(!etagMatches(undefined, ['"abc"']));
+});
+
+test('dynamic bodies are compressed only when large enough', () => {
+  const req = { headers: { 'accept-encoding': 'gzip' } };
+  const body = JSON.stringify({ items: Array(100).fill('weather') });
+  const compressed = compressBody(req, body, 64);
+  assert.strictEqual(compressed.encoding, 'gzip');
+  assert.strictEqual(zlib.gunzipSync(compressed.body).toString(), body);
+  assert.strictEqual(compressBody(req, '{}', 64).encoding, null);
+  assert.strictEqual(compressBody({ headers: {} }, body, 64).encoding, null);
+});
+
+// Serve a request and collect the response
+function request(files, urlPath, headers = {}, method = 'GET') {
+  const [pathname, search] = urlPath.split('?');
+  const res = {
+    writeHead(status, responseHeaders) {
+      res.status = status;
+      res.headers = responseHeaders;
+    },
+    end(body) {
+      res.body = body;
+    },
+  };
+  files.serve({ method, headers }, res, pathname, new URLSearchParams(search));
+  return res;
+}
+
+function withPublicDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-static-'));
+  fs.writeFileSync(path.join(dir, 'index.html'),
+    '<script src="/app.js"></script><script src="/sw.js"></script><a href="/missing.js">');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'console.log("weather");\n'.repeat(50));
+  fs.writeFileSync(path.join(dir, 'sw.js'), '// worker\n');
+  const files = createStaticFiles(dir, {
+    mimeType: file => (file.endsWith('.html') ? 'text/html; charset=UTF-8' : 'text/javascript'),
+    headers: { 'X-Test': '1' },
+  });
+  try {
+    fn(files);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('pages link to versioned assets, which are cached for good', () => {
+  withPublicDir(files => {
+    const page = request(files, '/index.html');
+    assert.strictEqual(page.headers['Cache-Control'], 'no-cache');
+    const html = page.body.toString();
+    const [, version] = /\/app\.js\?v=([\w-]+)/.exec(html);
+    assert.ok(html.includes('src="/sw.js"'));
+    assert.ok(html.includes('href="/missing.js"'));
+
+    const asset = request(files, `/app.js?v=${version}`);
+    assert.strictEqual(asset.headers['Cache-Control'], 'public, max-age=31536000, immutable');
+    assert.strictEqual(asset.headers['X-Test'], '1');
+    assert.strictEqual(request(files, '/app.js?v=old').headers['Cache-Control'], 'no-cache');
+  });
+});
+
+test('files are served compressed and revalidated with their ETag', () => {
+  withPublicDir(files => {
+    const first = request(files, '/app.js', { 'accept-encoding': 'br' });
+    assert.strictEqual(first.headers['Content-Encoding'], 'br');
+    assert.strictEqual(first.headers.Vary, 'Accept-Encoding');
+    assert.strictEqual(zlib.brotliDecompressSync(first.body).toString(), 'console.log("weather");\n'.repeat(50));
+
+    const again = request(files, '/app.js', { 'if-none-match': first.headers.ETag });
+    assert.strictEqual(again.status, 304);
+    assert.strictEqual(again.body, undefined);
+    const since = request(files, '/app.js', { 'if-modified-since': first.headers['Last-Modified'] });
+    assert.strictEqual(since.status, 304);
+
+    const head = request(files, '/sw.js', {}, 'HEAD');
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.headers['Content-Encoding'], undefined);
+    assert.strictEqual(head.body, undefined);
+  });
+});
+
+test('unknown paths are 404 and writes 405', () => {
+  withPublicDir(files => {
+    assert.strictEqual(request(files, '/nope.js').status, 404);
+    const post = request(files, '/app.js', {}, 'POST');
+    assert.strictEqual(post.status, 405);
+    assert.strictEqual(post.headers.Allow, 'GET, HEAD');
+  });
+});
@@ -0,0 +1,53 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+// public/i18n.js is a browser script; run it with the given browser
+// language preferences
+function loadI18n(languages = ['en-US']) {
+  const window = {};
+  const document = { documentElement: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'i18n.js'), 'utf8'),
+    { window, document, navigator: { languages }, Intl });
+  return { i18n: window.WeatherioI18n, document };
+}
+
+test('"auto" picks the first supported browser language', () => {
+  const { i18n, document } = loadI18n(['fr-FR', 'hi-IN', 'en']);
+  assert.strictEqual(i18n.setLanguage('auto'), 'hi');
+  assert.strictEqual(document.documentElement.lang, 'hi');
+  assert.strictEqual(loadI18n(['fr']).i18n.setLanguage('auto'), 'en');
+  assert.strictEqual(i18n.setLanguage('en'), 'en');
+});
+
+test('messages fill in placeholders and fall back to English, then the key', () => {
+  const { i18n } = loadI18n();
+  i18n.setLanguage('en');
+  assert.strictEqual(i18n.t('location.remove_confirm', { name: 'Home' }),
+    'Remove "Home" from saved locations?');
+  assert.strictEqual(i18n.t('location.remove_confirm'), 'Remove "{name}" from saved locations?');
+  assert.strictEqual(i18n.t('no.such.key'), 'no.such.key');
+});
+
+test('plurals and numbers follow the language', () => {
+  const { i18n } = loadI18n();
+  i18n.setLanguage('en');
+  assert.strictEqual(i18n.plural('age.minutes', 1), '1 minute');
+  assert.strictEqual(i18n.plural('age.minutes', 1500), '1,500 minutes');
+  assert.strictEqual(i18n.formatNumber(2.5, 1), '2.5');
+  assert.strictEqual(i18n.formatNumber(undefined, 1), '--');
+  assert.strictEqual(i18n.formatDate('2030-01-01'), 'Jan 1, 2030');
+  i18n.setLanguage('hi');
+  assert.strictEqual(i18n.formatNumber(150000, 0), '1,50,000');
+});
+
+test('every Hindi message has an English original', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'i18n.js'), 'utf8');
+  const catalogs = source.split(/^ {4}hi: \{$/m);
+  const keys = text => [...text.matchAll(/^ {6}"([\w.]+)":/gm)].map(m => m[1]);
+  const english = new Set(keys(catalogs[0]));
+  assert.ok(keys(catalogs[1]).length > 0);
+  assert.deepStrictEqual(keys(catalogs[1]).filter(key => !english.has(key)), []);
+});
@@ -0,0 +1,52 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { isolatedLib } = require('./helpers');
+
+let lib;
+let locations;
+
+test.beforeEach(() => {
+  lib = isolatedLib();
+  locations = lib.require('locations');
+});
+
+test.afterEach(() => {
+  lib.cleanup();
+});
+
+test('a saved location gets canonical coordinates and a time zone', () => {
+  const { location } = locations.addLocation({ name: ' Hyderabad ', lat: '17.38500', lon: 78.4867 });
+  assert.strictEqual(location.name, 'Hyderabad');
+  assert.strictEqual(location.lat, '17.385');
+  assert.strictEqual(location.tz, 'Asia/Kolkata');
+  assert.deepStrictEqual(locations.listLocations(), [location]);
+  assert.deepStrictEqual(locations.getLocation(location.id), location);
+});
+
+test('invalid input is reported per field', () => {
+  assert.deepStrictEqual(locations.addLocation({ name: '', lat: 'x', lon: 1, tz: 'Nowhere/Else' }), {
+    errors: {
+      name: 'is required',
+      coordinates: 'lat and lon must be valid coordinates',
+      tz: 'is not a known IANA time zone',
+    },
+  });
+  assert.deepStrictEqual(locations.listLocations(), []);
+});
+
+test('moving a location re-resolves its zone unless one is given', () => {
+  const { location } = locations.addLocation({ name: 'Home', lat: 17.385, lon: 78.4867 });
+  const moved = locations.updateLocation(location.id, { lat: 51.5, lon: -0.12 }).location;
+  assert.strictEqual(moved.tz, 'Europe/London');
+  assert.strictEqual(moved.name, 'Home');
+  const corrected = locations.updateLocation(location.id, { tz: 'Europe/Dublin' }).location;
+  assert.strictEqual(corrected.tz, 'Europe/Dublin');
+  assert.deepStrictEqual(locations.updateLocation('missing', { name: 'x' }), { location: null });
+});
+
+test('removing a location returns it', () => {
+  const { location } = locations.addLocation({ name: 'Home', lat: 1, lon: 2 });
+  assert.deepStrictEqual(locations.removeLocation(location.id), location);
+  assert.strictEqual(locations.removeLocation(location.id), null);
+  assert.deepStrictEqual(locations.listLocations(), []);
+});
@@ -0,0 +1,35 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { mergeOverride } = require('../lib/merge');
+
+const WEATHER = {
+  tempC: 20,
+  conditionText: 'Sunny',
+  hours: [{ hour: 0, tempC: 15 }, { hour: 12, tempC: 25 }],
+};
+
+test('without an override the weather is unchanged', () => {
+  assert.strictEqual(mergeOverride(WEATHER, null), WEATHER);
+});
+
+test('day values replace the daily fields only', () => {
+  const merged = mergeOverride(WEATHER, { newValues: { tempC: 30 } });
+  assert.strictEqual(merged.tempC, 30);
+  assert.strictEqual(merged.conditionText, 'Sunny');
+  assert.deepStrictEqual(merged.hours, WEATHER.hours);
+});
+
+test('hour values replace that slot and mark it overridden', () => {
+  const merged = mergeOverride(WEATHER, { newValues: {}, hourValues: { 12: { tempC: 35 } } });
+  assert.strictEqual(merged.tempC, 20);
+  assert.deepStrictEqual(merged.hours, [
+    { hour: 0, tempC: 15 },
+    { hour: 12, tempC: 35, overridden: true },
+  ]);
+});
+
+test('an hour the forecast has no slot for gets one, in order', () => {
+  const merged = mergeOverride(WEATHER, { newValues: {}, hourValues: { 6: { precipMm: 2 } } });
+  assert.deepStrictEqual(merged.hours.map(slot => slot.hour), [0, 6, 12]);
+  assert.deepStrictEqual(merged.hours[1], { hour: 6, precipMm: 2, overridden: true });
+});
@@ -0,0 +1,54 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const metrics = require('../lib/metrics');
+
+// The lines render() gives for one metric
+function linesOf(name) {
+  return metrics.render().split('\n').filter(line => line.replace(/^# (HELP|TYPE) /, '').startsWith(name));
+}
+
+test('counters add up per label set, with label values escaped', () => {
+  const requests = metrics.counter('t_requests_total', 'Requests.', ['route']);
+  requests.inc({ route: '/weather' });
+  requests.inc({ route: '/weather' }, 2);
+  requests.inc({ route: 'say "hi"\n' });
+  requests.inc();
+  assert.deepStrictEqual(linesOf('t_requests_total'), [
+    '# HELP t_requests_total Requests.',
+    '# TYPE t_requests_total counter',
+    't_requests_total{route="/weather"} 3',
+    't_requests_total{route="say \\"hi\\"\\n"} 1',
+    't_requests_total{route=""} 1',
+  ]);
+});
+
+test('histogram buckets are cumulative', () => {
+  const latency = metrics.histogram('t_latency_seconds', 'Latency.', ['route'], [0.1, 1]);
+  latency.observe({ route: '/x' }, 0.05);
+  latency.observe({ route: '/x' }, 0.5);
+  latency.observe({ route: '/x' }, 3);
+  assert.deepStrictEqual(linesOf('t_latency_seconds').slice(2), [
+    't_latency_seconds_bucket{route="/x",le="0.1"} 1',
+    't_latency_seconds_bucket{route="/x",le="1"} 2',
+    't_latency_seconds_bucket{route="/x",le="+Inf"} 3',
+    't_latency_seconds_sum{route="/x"} 3.55',
+    't_latency_seconds_count{route="/x"} 3',
+  ]);
+});
+
+test('gauges are read at render time and skipped when they fail', () => {
+  let size = 1;
+  metrics.gauge('t_size', 'Size.', () => size);
+  metrics.gauge('t_cache_entries', 'Entries.', () => [{ labels: { kind: 'hit' }, value: 4 }], ['kind']);
+  metrics.gauge('t_broken', 'Broken.', () => { throw new Error('boom'); });
+  size = 7;
+  const text = metrics.render();
+  assert.ok(text.includes('\nt_size 7\n'));
+  assert.ok(text.includes('\nt_cache_entries{kind="hit"} 4\n'));
+  assert.ok(!text.includes('t_broken'));
+});
+
+test('a metric name can only be registered once', () => {
+  metrics.counter('t_once_total', 'Once.');
+  assert.throws(() => metrics.counter('t_once_total', 'Again.'), /already registered/);
+});
@@ -0,0 +1,87 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv, readCsvRows, readJsonRows, checkRows } = require('../lib/override-io');
+
+const record = {
+  lat: '-33.8688',
+  lon: '151.2093',
+  date: '2030-01-01',
+  newValues: { tempC: -4.5, conditionText: '=HYPERLINK("http://example.com","x")' },
+  version: 1,
+  active: true,
+  updatedAt: '2030-01-01T00:00:00.000Z',
+  updatedBy: '@admin',
+};
+
+test('exports formula-like text with a leading quote', () => {
+  const [, line] = toCsv([record]).split('\r\n');
+  assert.ok(line.includes('"\'=HYPERLINK(""http://example.com"",""x"")"'));
+  assert.ok(line.endsWith(",'@admin"));
+});
+
+test('leaves numbers, including negative ones, alone', () => {
+  const [, line] = toCsv([record]).split('\r\n');
+  assert.ok(line.startsWith('-33.8688,151.2093,2030-01-01,,-4.5,'));
+});
+
+test('import strips the quote again', () => {
+  const { rows } = readCsvRows(toCsv([record]));
+  assert.deepStrictEqual(rows[0].input.values, record.newValues);
+  assert.strictEqual(rows[0].input.lat, '-33.8688');
+});
+
+test('parses quoted cells with commas, quotes and line breaks', () => {
+  const { rows } = parseCsv('\uFEFFa,b\r\n"x, ""y""","line\nbreak"\r\n');
+  assert.deepStrictEqual(rows, [['a', 'b'], ['x, "y"', 'line\nbreak']]);
+  assert.ok(parseCsv('a,"open').error);
+});
+
+test('exports hour slots as rows of their own and reads them back', () => {
+  const withHours = { ...record, newValues: { tempC: 20 }, hourValues: { 12: { tempC: 25 }, 6: { tempC: 15 } } };
+  const { rows } = readCsvRows(toCsv([withHours]));
+  assert.deepStrictEqual(rows.map(r => [r.row, r.input.hour, r.input.values]), [
+    [2, undefined, { tempC: 20 }],
+    [3, '6', { tempC: 15 }],
+    [4, '12', { tempC: 25 }],
+  ]);
+});
+
+test('rejects files with unknown or missing columns', () => {
+  assert.match(readCsvRows('lat,lon,date,colour\r\n').error, /Unknown column\(s\): colour/);
+  assert.match(readCsvRows('lat,date\r\n').error, /Missing column\(s\): lon/);
+  assert.match(readCsvRows('').error, /empty/);
+});
+
+test('reads JSON rows and exported records', () => {
+  const { rows } = readJsonRows([
+    { lat: '1', lon: '2', date: '2030-01-01', hour: 3, values: { tempC: 1 } },
+    { lat: '1', lon: '2', date: '2030-01-02', newValues: {}, hourValues: { 4: { tempC: 2 } } },
+    'nonsense',
+  ]);
+  assert.deepStrictEqual(rows, [
+    { row: 1, input: { lat: '1', lon: '2', date: '2030-01-01', hour: 3, values: { tempC: 1 } } },
+    { row: 2, input: { lat: '1', lon: '2', date: '2030-01-02', hour: 4, values: { tempC: 2 } } },
+    { row: 3, input: { values: null } },
+  ]);
+  assert.ok(readJsonRows({ rows: [] }).error);
+});
+
+test('checks rows, reporting bad keys, hours, values and duplicates', () => {
+  const { accepted, rejected } = checkRows([
+    { row: 2, input: { lat: '17.38500', lon: '78.4867', date: '2030-01-01', values: { tempC: 20 } } },
+    { row: 3, input: { lat: '17.385', lon: '78.4867', date: '2030-01-01', values: { tempC: 21 } } },
+    { row: 4, input: { lat: '17.385', lon: '78.4867', date: '2030-01-01', hour: '24', values: { tempC: 1 } } },
+    { row: 5, input: { lat: '95', lon: '78.4867', date: '2030-01-01', values: { tempC: 1 } } },
+    { row: 6, input: { lat: '17.385', lon: '78.4867', date: '2030-01-01', hour: '6', values: { tempC: 'hot' } } },
+  ]);
+  assert.deepStrictEqual(accepted, [
+    { row: 2, lat: '17.385', lon: '78.4867', date: '2030-01-01', hour: null, values: { tempC: 20 } },
+  ]);
+  assert.deepStrictEqual(rejected.map(r => [r.row, Object.keys(r.errors)]), [
+    [3, ['key']],
+    [4, ['hour']],
+    [5, ['key']],
+    [6, ['tempC']],
+  ]);
+  assert.strictEqual(rejected[0].errors.key, 'duplicates row 2');
+});
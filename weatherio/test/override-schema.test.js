@@ -0,0 +1,79 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { validateValues, migrateValues, checkKey, parseHour } = require('../lib/override-schema');
+const overrides = require('../lib/overrides');
+
+test('valid partial values are accepted and strings trimmed', () => {
+  const { values, errors } = validateValues({ tempC: -3.5, conditionText: '  Fog ' });
+  assert.deepStrictEqual(errors, {});
+  assert.deepStrictEqual(values, { tempC: -3.5, conditionText: 'Fog' });
+});
+
+test('each invalid field gets its own error', () => {
+  const { errors } = validateValues({
+    tempC: 'warm',
+    humidityPct: 50.5,
+    windKph: 900,
+    conditionText: '   ',
+    colour: 'blue',
+  });
+  assert.deepStrictEqual(errors, {
+    tempC: 'must be a number',
+    humidityPct: 'must be a whole number',
+    windKph: 'must be between 0 and 500',
+    conditionText: 'must not be empty',
+    colour: 'is not a known field',
+  });
+});
+
+test('empty values are refused unless allowed', () => {
+  assert.deepStrictEqual(validateValues({}).errors, { values: 'must contain at least one field' });
+  assert.deepStrictEqual(validateValues({}, { allowEmpty: true }).errors, {});
+  assert.deepStrictEqual(validateValues([1]).errors, { values: 'must be an object' });
+});
+
+test('keys and hours are checked', () => {
+  assert.strictEqual(checkKey('17.385', '78.4867', '2030-01-01'), null);
+  assert.strictEqual(checkKey('95', '78', '2030-01-01'), 'lat and lon must be valid coordinates');
+  assert.strictEqual(checkKey('17', '78', '1/1/2030'), 'date must be YYYY-MM-DD');
+  assert.strictEqual(parseHour('7'), 7);
+  assert.strictEqual(parseHour(24), null);
+  assert.strictEqual(parseHour(''), null);
+});
+
+test('legacy field names are migrated', () => {
+  assert.deepStrictEqual(migrateValues({ temperature: 20, condition: 'Rain' }),
+    { values: { tempC: 20, conditionText: 'Rain' }, migrated: true });
+  assert.deepStrictEqual(migrateValues({ tempC: 20 }), { values: { tempC: 20 }, migrated: false });
+  assert.match(migrateValues({ temperature: 20, tempC: 21 }).error, /both legacy "temperature" and "tempC"/);
+  assert.match(migrateValues({ tempC: 999 }).error, /tempC must be between/);
+});
+
+test('stored records are upgraded or quarantined at startup', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  const base = { lat: '1', lon: '2', updatedAt: '2030-01-01T00:00:00Z', version: 1, active: true };
+  fs.writeFileSync(path.join(dataDir, 'overrides.json'), JSON.stringify([
+    { ...base, date: '2030-01-01', newValues: { temperature: 20 } },
+    { ...base, date: '2030-01-02', newValues: { tempC: 'hot' } },
+  ]));
+  const quarantineFile = path.join(dataDir, 'overrides.quarantine.json');
+  overrides.open(dataDir, { compactInterval: 0 });
+  try {
+    assert.deepStrictEqual(overrides.migrateLegacyRecords(quarantineFile), { migrated: 1, quarantined: 1 });
+    const upgraded = overrides.getLatestOverride('1', '2', '2030-01-01');
+    assert.deepStrictEqual(upgraded.newValues, { tempC: 20 });
+    assert.deepStrictEqual(upgraded.migratedFrom, { temperature: 20 });
+    assert.strictEqual(upgraded.state, 'approved');
+    assert.strictEqual(overrides.getLatestOverride('1', '2', '2030-01-02'), null);
+    const [entry] = JSON.parse(fs.readFileSync(quarantineFile, 'utf8'));
+    assert.strictEqual(entry.record.date, '2030-01-02');
+    assert.strictEqual(entry.reason, 'tempC must be a number');
+    assert.deepStrictEqual(overrides.migrateLegacyRecords(quarantineFile), { migrated: 0, quarantined: 0 });
+  } finally {
+    overrides.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
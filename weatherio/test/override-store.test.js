@@ -0,0 +1,126 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { openOverrideStore, OverrideStoreError } = require('../lib/override-store');
+
+// A pid no process has
+const DEAD_PID = 999999999;
+
+let dirs = [];
+let stores = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function open(dir, options = {}) {
+  const store = openOverrideStore(dir, { compactInterval: 0, log: () => {}, ...options });
+  stores.push(store);
+  return store;
+}
+
+function record(version, values = { tempC: 20 }) {
+  return { lat: '1', lon: '2', date: '2030-01-01', version, newValues: values, active: true };
+}
+
+// The files of `dir` as a crashed process would leave them: copied
+// while the store is still open, with the lock held by a dead process
+function crashCopy(dir) {
+  const copy = tempDir();
+  for (const name of fs.readdirSync(dir)) {
+    fs.copyFileSync(path.join(dir, name), path.join(copy, name));
+  }
+  fs.writeFileSync(path.join(copy, 'overrides.lock'), String(DEAD_PID));
+  return copy;
+}
+
+test.afterEach(() => {
+  for (const store of stores) store.close();
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+  stores = [];
+  dirs = [];
+});
+
+test('commits survive a crash before compaction', () => {
+  const dir = tempDir();
+  const store = open(dir);
+  store.commit([record(1)]);
+  store.commit([{ ...record(1), active: false }, record(2, { tempC: 25 })]);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'overrides.json')), false);
+
+  const recovered = open(crashCopy(dir));
+  const versions = recovered.versions('1', '2', '2030-01-01');
+  assert.deepStrictEqual(versions.map(r => [r.version, r.active]), [[1, false], [2, true]]);
+  assert.strictEqual(recovered.stats().pendingCommits, 2);
+});
+
+test('a torn final journal line is dropped and truncated', () => {
+  const dir = tempDir();
+  const store = open(dir);
+  store.commit([record(1)]);
+  const copy = crashCopy(dir);
+  const journal = path.join(copy, 'overrides.journal');
+  const intact = fs.readFileSync(journal, 'utf8');
+  fs.appendFileSync(journal, '{"at":"2030-01-01T00:00:00Z","put":[{"lat":"1"');
+
+  const warnings = [];
+  const recovered = open(copy, { log: message => warnings.push(message) });
+  assert.strictEqual(recovered.list().length, 1);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(fs.readFileSync(journal, 'utf8'), intact);
+});
+
+test('a garbled journal line before the end refuses to open', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'overrides.journal'),
+    'not json\n' + JSON.stringify({ at: '2030-01-01T00:00:00Z', put: [record(1)] }) + '\n');
+  assert.throws(() => open(dir), err => err instanceof OverrideStoreError && err.code === 'ECORRUPT');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'overrides.lock')), false);
+});
+
+test('an unreadable snapshot refuses to open', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'overrides.json'), '{"not": "an array"}');
+  assert.throws(() => open(dir), err => err.code === 'ECORRUPT');
+});
+
+test('closing compacts the journal into the snapshot', () => {
+  const dir = tempDir();
+  const store = open(dir);
+  store.commit([record(1)]);
+  store.close();
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'overrides.journal'), 'utf8'), '');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'overrides.json'), 'utf8')), [record(1)]);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'overrides.lock')), false);
+  assert.strictEqual(open(dir).list().length, 1);
+});
+
+test('temp files of an interrupted compaction are removed on open', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, `overrides.json.tmp-${DEAD_PID}`), '[');
+  open(dir);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.includes('.tmp-')), []);
+});
+
+test('a store locked by a live process cannot be opened', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'overrides.lock'), String(process.ppid));
+  assert.throws(() => open(dir), err => err.code === 'ELOCKED');
+});
+
+test('a read-only store rejects commits', () => {
+  const dir = tempDir();
+  const store = open(dir, { readOnly: true });
+  assert.throws(() => store.commit([record(1)]), err => err.code === 'EREADONLY');
+});
+
+test('date range queries use the date index', () => {
+  const store = open(tempDir());
+  store.commit(['2030-01-03', '2030-01-01', '2030-01-02'].map(date => ({ ...record(1), date })));
+  assert.deepStrictEqual(store.between('2030-01-02').map(r => r.date), ['2030-01-02', '2030-01-03']);
+  assert.deepStrictEqual(store.between(undefined, '2030-01-01').map(r => r.date), ['2030-01-01']);
+});
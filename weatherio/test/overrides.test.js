@@ -0,0 +1,330 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const overrides = require('../lib/overrides');
+const { onOverrideChange } = require('../lib/events');
+
+const KEY = ['17.385', '78.4867', '2030-01-01'];
+
+let dataDir;
+
+test.beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherio-test-'));
+  overrides.open(dataDir, { compactInterval: 0 });
+});
+
+test.afterEach(() => {
+  overrides.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// v1 active, v2 a proposal, then v3 saved directly: the revision moves
+// from "v1" to "v3" while v2 waits for review
+function proposeThenSupersede() {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  const proposal = overrides.addOverride(...KEY, { tempC: 25 }, { updatedBy: 'viv' }, { propose: true });
+  overrides.addOverride(...KEY, { tempC: 30 }, { updatedBy: 'ed' });
+  return proposal;
+}
+
+test('rejecting with a stale If-Match revision conflicts', () => {
+  const proposal = proposeThenSupersede();
+  assert.throws(
+    () => overrides.rejectOverride(...KEY, proposal.version, 'rev', { comment: 'no', expectedRevision: 'v1' }),
+    overrides.OverrideConflictError);
+  const unchanged = overrides.getOverrideVersion(...KEY, proposal.version);
+  assert.strictEqual(unchanged.state, 'proposed');
+});
+
+test('rejecting with the current revision succeeds', () => {
+  const proposal = proposeThenSupersede();
+  const rejected = overrides.rejectOverride(...KEY, proposal.version, 'rev', { comment: 'no', expectedRevision: 'v3' });
+  assert.strictEqual(rejected.state, 'rejected');
+});
+
+test('approving with a stale If-Match revision conflicts', () => {
+  const proposal = proposeThenSupersede();
+  assert.throws(
+    () => overrides.approveOverride(...KEY, proposal.version, 'rev', { expectedRevision: 'v1' }),
+    overrides.OverrideConflictError);
+});
+
+test('approving a proposal made against a superseded version conflicts', () => {
+  const proposal = proposeThenSupersede();
+  assert.throws(
+    () => overrides.approveOverride(...KEY, proposal.version, 'rev'),
+    overrides.OverrideConflictError);
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 3);
+});
+
+test('approving a proposal made against the active version succeeds', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  const proposal = overrides.addOverride(...KEY, { tempC: 25 }, { updatedBy: 'viv' }, { propose: true });
+  const approved = overrides.approveOverride(...KEY, proposal.version, 'rev');
+  assert.strictEqual(approved.state, 'approved');
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, proposal.version);
+});
+
+test('a proposal is not applied until it is approved', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  const proposal = overrides.addOverride(...KEY, { tempC: 25 }, { updatedBy: 'viv' }, { propose: true });
+  assert.strictEqual(proposal.state, 'proposed');
+  assert.strictEqual(proposal.basedOn, 1);
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 1);
+  assert.strictEqual(overrides.getRevision(...KEY), 'v1');
+  assert.deepStrictEqual(overrides.queryOverrides({ state: 'proposed' }).items.map(o => o.version), [2]);
+
+  overrides.approveOverride(...KEY, proposal.version, 'rev', { comment: 'ok' });
+  const [approved, previous] = overrides.getOverrideHistory(...KEY);
+  assert.deepStrictEqual(approved.history.map(h => [h.state, h.by]), [['proposed', 'viv'], ['approved', 'rev']]);
+  assert.strictEqual(previous.active, false);
+  assert.strictEqual(overrides.getRevision(...KEY), 'v2');
+  assert.throws(() => overrides.approveOverride(...KEY, proposal.version, 'rev'), overrides.OverrideStateError);
+});
+
+test('a rejected proposal never takes effect', () => {
+  const proposal = overrides.addOverride(...KEY, { tempC: 25 }, { updatedBy: 'viv' }, { propose: true });
+  assert.strictEqual(proposal.basedOn, null);
+  overrides.rejectOverride(...KEY, proposal.version, 'rev', { comment: 'no source' });
+  assert.strictEqual(overrides.getLatestOverride(...KEY), null);
+  assert.strictEqual(overrides.getRevision(...KEY), 'none');
+  assert.strictEqual(overrides.rejectOverride(...KEY, 99, 'rev'), null);
+});
+
+test('an import onto a scheduled override keeps the schedule and publishes its revision', () => {
+  const activeFrom = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed', activeFrom });
+  const changes = [];
+  const stop = onOverrideChange(change => changes.push(change));
+  try {
+    const [record] = overrides.importOverrides(
+      [{ lat: KEY[0], lon: KEY[1], date: KEY[2], hour: null, values: { tempC: 22 } }],
+      { updatedBy: 'ed' });
+    assert.strictEqual(record.activeFrom, activeFrom);
+  } finally {
+    stop();
+  }
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].revision, 'v2-scheduled');
+  assert.strictEqual(changes[0].revision, overrides.getRevision(...KEY));
+});
+
+test('history lists every version, newest first', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'ed' });
+  overrides.removeOverride(...KEY, 'ed');
+  const history = overrides.getOverrideHistory(...KEY);
+  assert.deepStrictEqual(history.map(o => o.version), [2, 1]);
+  assert.deepStrictEqual(history.map(o => o.state), ['removed', 'superseded']);
+  assert.strictEqual(overrides.getOverrideVersion(...KEY, 1).newValues.tempC, 20);
+  assert.strictEqual(overrides.getOverrideVersion(...KEY, 3), null);
+});
+
+test('reverting copies an old version into a new active one', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'ed' });
+  const reverted = overrides.revertOverride(...KEY, 1, { updatedBy: 'viv' });
+  assert.strictEqual(reverted.version, 3);
+  assert.strictEqual(reverted.revertedFrom, 1);
+  assert.deepStrictEqual(reverted.newValues, { tempC: 20 });
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 3);
+  assert.strictEqual(overrides.getOverrideVersion(...KEY, 2).state, 'superseded');
+  assert.strictEqual(overrides.revertOverride(...KEY, 9, { updatedBy: 'viv' }), null);
+});
+
+test('nearby coordinates resolve to the same override', () => {
+  overrides.addOverride('17.3850', '78.48670', KEY[2], { tempC: 20 }, { updatedBy: 'ed' });
+  const stored = overrides.getLatestOverride(...KEY);
+  assert.strictEqual(stored.lat, '17.385');
+  assert.strictEqual(stored.lon, '78.4867');
+  // About 30 m away, within OVERRIDE_MATCH_RADIUS_KM
+  assert.strictEqual(overrides.getLatestOverride('17.3853', '78.4867', KEY[2]).version, 1);
+  assert.strictEqual(overrides.getLatestOverride('17.4', '78.4867', KEY[2]), null);
+});
+
+test('records under other spellings are moved to the canonical key', () => {
+  const at = '2030-01-01T00:00:00Z';
+  const legacy = (lat, version, updatedAt, active) => ({
+    lat, lon: '78.4867', date: KEY[2], version, newValues: { tempC: version }, updatedAt,
+    updatedBy: 'ed', state: active ? 'approved' : 'superseded', active,
+  });
+  overrides.getStore().commit([
+    legacy('17.385', 1, at, true),
+    legacy('17.3850', 1, '2030-01-01T01:00:00Z', true),
+  ]);
+  assert.deepStrictEqual(overrides.rekeyRecords(), { rekeyed: 2 });
+  const history = overrides.getOverrideHistory(...KEY);
+  assert.deepStrictEqual(history.map(o => [o.version, o.active]), [[2, true], [1, false]]);
+  assert.deepStrictEqual(history[0].rekeyedFrom, { lat: '17.3850', lon: '78.4867', version: 1 });
+  assert.deepStrictEqual(overrides.rekeyRecords(), { rekeyed: 0 });
+});
+
+test('a save with a stale If-Match revision conflicts', () => {
+  assert.strictEqual(overrides.getRevision(...KEY), 'none');
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' }, { expectedRevision: 'none' });
+  assert.strictEqual(overrides.getRevision(...KEY), 'v1');
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'viv' }, { expectedRevision: 'v1' });
+  assert.throws(
+    () => overrides.addOverride(...KEY, { tempC: 22 }, { updatedBy: 'ed' }, { expectedRevision: 'v1' }),
+    err => err instanceof overrides.OverrideConflictError &&
+      err.revision === 'v2' && err.current.newValues.tempC === 21);
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 2);
+});
+
+test('creating with If-Match "none" conflicts once an override exists', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  assert.throws(
+    () => overrides.addOverride(...KEY, { tempC: 22 }, { updatedBy: 'viv' }, { expectedRevision: 'none' }),
+    overrides.OverrideConflictError);
+});
+
+test('a removal with a stale If-Match revision conflicts', () => {
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'viv' });
+  assert.throws(() => overrides.removeOverride(...KEY, 'ed', { expectedRevision: 'v1' }),
+    overrides.OverrideConflictError);
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 2);
+  overrides.removeOverride(...KEY, 'ed', { expectedRevision: 'v2' });
+  assert.strictEqual(overrides.getRevision(...KEY), 'v2-removed');
+});
+
+test('If-Match "*" needs an active override', () => {
+  assert.throws(() => overrides.addOverride(...KEY, { tempC: 20 }, {}, { expectedRevision: '*' }),
+    overrides.OverrideConflictError);
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  assert.strictEqual(overrides.removeOverride(...KEY, 'ed', { expectedRevision: '*' }).version, 1);
+});
+
+test('saving an hour keeps the day values and the other hours', () => {
+  overrides.saveOverride(...KEY, null, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.saveOverride(...KEY, 6, { tempC: 15 }, { updatedBy: 'ed' });
+  const saved = overrides.saveOverride(...KEY, 12, { tempC: 25 }, { updatedBy: 'ed' });
+  assert.deepStrictEqual(saved.newValues, { tempC: 20 });
+  assert.deepStrictEqual(saved.hourValues, { 6: { tempC: 15 }, 12: { tempC: 25 } });
+  const daySaved = overrides.saveOverride(...KEY, null, { tempC: 21 }, { updatedBy: 'ed' });
+  assert.deepStrictEqual(Object.keys(daySaved.hourValues), ['6', '12']);
+});
+
+test('clearing the last hour of an hour-only override removes it', () => {
+  overrides.saveOverride(...KEY, 6, { tempC: 15 }, { updatedBy: 'ed' });
+  overrides.saveOverride(...KEY, 12, { tempC: 25 }, { updatedBy: 'ed' });
+  const kept = overrides.clearOverrideHour(...KEY, 6, 'ed');
+  assert.deepStrictEqual(kept.hourValues, { 12: { tempC: 25 } });
+  assert.strictEqual(overrides.clearOverrideHour(...KEY, 6, 'ed'), null);
+  const removed = overrides.clearOverrideHour(...KEY, 12, 'ed');
+  assert.strictEqual(removed.state, 'removed');
+  assert.strictEqual(overrides.getLatestOverride(...KEY), null);
+});
+
+test('an import commits one version per key and keeps what it does not set', () => {
+  overrides.saveOverride(...KEY, 6, { tempC: 15 }, { updatedBy: 'ed' });
+  const [lat, lon, date] = KEY;
+  const rows = [
+    { lat, lon, date, hour: null, values: { tempC: 20 } },
+    { lat, lon, date, hour: 12, values: { tempC: 25 } },
+  ];
+  const preview = overrides.importOverrides(rows, { updatedBy: 'ed' }, { dryRun: true });
+  assert.strictEqual(preview[0].version, 2);
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 1);
+
+  const [record] = overrides.importOverrides(rows, { updatedBy: 'ed' });
+  assert.strictEqual(record.version, 2);
+  assert.deepStrictEqual(record.newValues, { tempC: 20 });
+  assert.deepStrictEqual(record.hourValues, { 6: { tempC: 15 }, 12: { tempC: 25 } });
+  assert.strictEqual(overrides.getLatestOverride(...KEY).version, 2);
+});
+
+function seedQueries() {
+  overrides.saveOverride('10', '20', '2030-01-01', null, { tempC: 1 }, { updatedBy: 'ann' });
+  overrides.saveOverride('10', '20', '2030-01-01', null, { tempC: 2 }, { updatedBy: 'bob' });
+  overrides.saveOverride('50', '60', '2030-01-02', null, { tempC: 3 }, { updatedBy: 'ann' });
+  overrides.saveOverride('-10', '20', '2030-01-03', null, { tempC: 4 }, { updatedBy: 'bob' });
+}
+
+test('queries filter by date range, box, activity and author', () => {
+  seedQueries();
+  const dates = result => result.items.map(o => `${o.date}/v${o.version}`);
+  assert.deepStrictEqual(dates(overrides.queryOverrides({ from: '2030-01-02' })),
+    ['2030-01-02/v1', '2030-01-03/v1']);
+  assert.deepStrictEqual(dates(overrides.queryOverrides({ to: '2030-01-01' })),
+    ['2030-01-01/v1', '2030-01-01/v2']);
+  const bbox = { minLat: 0, minLon: 0, maxLat: 20, maxLon: 30 };
+  assert.deepStrictEqual(dates(overrides.queryOverrides({ bbox })),
+    ['2030-01-01/v1', '2030-01-01/v2']);
+  assert.deepStrictEqual(dates(overrides.queryOverrides({ active: false })), ['2030-01-01/v1']);
+  assert.deepStrictEqual(dates(overrides.queryOverrides({ author: 'bob' })),
+    ['2030-01-01/v2', '2030-01-03/v1']);
+  assert.strictEqual(overrides.queryOverrides({ state: 'proposed' }).total, 0);
+});
+
+test('queries sort and page through the matches', () => {
+  seedQueries();
+  const byLat = overrides.queryOverrides({ active: true }, { sort: 'lat', descending: true });
+  assert.deepStrictEqual(byLat.items.map(o => o.lat), ['50', '10', '-10']);
+  const page = overrides.queryOverrides({}, { offset: 1, limit: 2 });
+  assert.strictEqual(page.total, 4);
+  assert.deepStrictEqual(page.items.map(o => `${o.date}/v${o.version}`),
+    ['2030-01-01/v2', '2030-01-02/v1']);
+});
+
+test('a scheduled override applies only inside its window', () => {
+  const start = Date.parse('2030-01-01T06:00:00Z');
+  const end = Date.parse('2030-01-01T18:00:00Z');
+  overrides.saveOverride(...KEY, null, { tempC: 20 }, {
+    updatedBy: 'ed',
+    activeFrom: new Date(start).toISOString(),
+    expiresAt: new Date(end).toISOString(),
+  });
+  assert.strictEqual(overrides.getLatestOverride(...KEY, start - 1), null);
+  assert.strictEqual(overrides.getRevision(...KEY, start - 1), 'v1-scheduled');
+  assert.strictEqual(overrides.getLatestOverride(...KEY, start).version, 1);
+  assert.strictEqual(overrides.getRevision(...KEY, start), 'v1');
+  assert.strictEqual(overrides.getLatestOverride(...KEY, end), null);
+
+  // A later save keeps the window unless it clears it
+  assert.strictEqual(overrides.saveOverride(...KEY, 6, { tempC: 15 }, { updatedBy: 'ed' }).expiresAt,
+    new Date(end).toISOString());
+  const cleared = overrides.saveOverride(...KEY, null, { tempC: 21 }, { updatedBy: 'ed', expiresAt: null });
+  assert.strictEqual(cleared.expiresAt, undefined);
+  assert.strictEqual(cleared.activeFrom, new Date(start).toISOString());
+});
+
+test('the sweeper expires overrides and announces ones coming into effect', () => {
+  const now = Date.parse('2030-01-01T12:00:00Z');
+  const other = ['17.385', '78.4867', '2030-01-02'];
+  overrides.saveOverride(...KEY, null, { tempC: 20 }, {
+    updatedBy: 'ed', expiresAt: new Date(now - 1000).toISOString(),
+  });
+  overrides.saveOverride(...other, null, { tempC: 20 }, {
+    updatedBy: 'ed', activeFrom: new Date(now - 1000).toISOString(),
+  });
+  assert.deepStrictEqual(overrides.sweepSchedules(now - 60000, now), { expired: 1, activated: 1 });
+
+  const [expired] = overrides.getOverrideHistory(...KEY);
+  assert.strictEqual(expired.active, false);
+  assert.strictEqual(expired.state, 'expired');
+  assert.strictEqual(expired.removedBy, 'system');
+  assert.strictEqual(expired.removedReason, 'expired');
+  assert.strictEqual(overrides.getRevision(...KEY, now), 'v1-removed');
+  assert.strictEqual(overrides.getLatestOverride(...other, now).version, 1);
+
+  // Nothing is left to do on the next pass
+  assert.deepStrictEqual(overrides.sweepSchedules(now, now + 60000), { expired: 0, activated: 0 });
+});
+
+test('the final override of a day is the last published one', () => {
+  const other = ['17.385', '78.4867', '2030-01-02'];
+  const removed = ['17.385', '78.4867', '2030-01-03'];
+  overrides.addOverride(...KEY, { tempC: 20 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 21 }, { updatedBy: 'ed' });
+  overrides.addOverride(...KEY, { tempC: 25 }, { updatedBy: 'viv' }, { propose: true });
+  overrides.addOverride(...other, { tempC: 10 }, { updatedBy: 'ed', expiresAt: new Date(Date.now() - 1000).toISOString() });
+  overrides.sweepSchedules(0);
+  overrides.addOverride(...removed, { tempC: 5 }, { updatedBy: 'ed' });
+  overrides.removeOverride(...removed, 'ed');
+  assert.deepStrictEqual(overrides.getFinalOverrides().map(o => `${o.date}/v${o.version}/${o.state}`),
+    ['2030-01-01/v2/approved', '2030-01-02/v1/expired']);
+  assert.deepStrictEqual(overrides.getFinalOverrides({ from: '2030-01-02' }).map(o => o.date), ['2030-01-02']);
+});
@@ -0,0 +1,106 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const providers = require('../lib/providers');
+const { summarizeHourly } = require('../lib/providers/summarize');
+const wttr = require('../lib/providers/wttr');
+const openMeteo = require('../lib/providers/open-meteo');
+
+// A provider that counts its upstream calls and has data only for
+// 2030-01-01
+const calls = [];
+const WEATHER = { tempC: 20, hours: [] };
+providers.PROVIDERS.counting = {
+  name: 'counting',
+  async fetchDay(lat, lon, date) {
+    calls.push(date);
+    return date === '2030-01-01' ? WEATHER : null;
+  },
+};
+
+test.before(() => {
+  process.env.WEATHER_PROVIDER = 'counting';
+});
+
+test.after(() => {
+  delete process.env.WEATHER_PROVIDER;
+});
+
+test.beforeEach(() => {
+  calls.length = 0;
+});
+
+test('a fetched day is served from the cache', async () => {
+  assert.deepStrictEqual(await providers.fetchWeather('1', '2', '2030-01-01'), WEATHER);
+  assert.deepStrictEqual(await providers.fetchWeather('1', '2', '2030-01-01'), WEATHER);
+  assert.deepStrictEqual(calls, ['2030-01-01']);
+});
+
+test('a day the provider has no data for is cached as a miss', async () => {
+  assert.strictEqual(await providers.fetchWeather('3', '4', '2030-01-02'), null);
+  assert.strictEqual(await providers.fetchWeather('3', '4', '2030-01-02'), null);
+  assert.deepStrictEqual(calls, ['2030-01-02']);
+});
+
+test('batched fetches reuse cached days and misses', async () => {
+  const first = await providers.fetchWeatherDays('5', '6', ['2030-01-01', '2030-01-02']);
+  const second = await providers.fetchWeatherDays('5', '6', ['2030-01-01', '2030-01-02']);
+  assert.deepStrictEqual(first, { '2030-01-01': WEATHER, '2030-01-02': null });
+  assert.deepStrictEqual(second, first);
+  assert.deepStrictEqual(calls.sort(), ['2030-01-01', '2030-01-02']);
+});
+
+test('days missing from a multi-day response are cached as misses', async () => {
+  providers.PROVIDERS['counting-days'] = {
+    name: 'counting-days',
+    async fetchDays(lat, lon, dates) {
+      calls.push(...dates);
+      return { '2030-01-01': WEATHER };
+    },
+  };
+  process.env.WEATHER_PROVIDER = 'counting-days';
+  try {
+    await providers.fetchWeatherDays('7', '8', ['2030-01-01', '2030-01-02']);
+    const again = await providers.fetchWeatherDays('7', '8', ['2030-01-01', '2030-01-02']);
+    assert.deepStrictEqual(again, { '2030-01-01': WEATHER, '2030-01-02': null });
+    assert.deepStrictEqual(calls, ['2030-01-01', '2030-01-02']);
+  } finally {
+    process.env.WEATHER_PROVIDER = 'counting';
+  }
+});
+
+test('an unknown provider name is refused', () => {
+  assert.throws(() => providers.getProvider('nope'), /Unknown weather provider "nope"/);
+  assert.strictEqual(providers.getProvider('fixture').name, 'fixture');
+});
+
+test('hourly samples summarize into the daily shape', () => {
+  const hour = (h, tempC, precipMm, conditionText) =>
+    ({ hour: h, tempC, humidityPct: 50 + h, windKph: 10, precipMm, conditionText, conditionCode: 113 });
+  const day = summarizeHourly([hour(0, 10, 0.25, 'Clear'), hour(12, 20, 1, 'Sunny'), hour(18, 15, 0, 'Clear')]);
+  assert.strictEqual(day.tempC, 15);
+  assert.strictEqual(day.humidityPct, 60);
+  assert.strictEqual(day.precipMm, 1.3);
+  assert.strictEqual(day.conditionText, 'Sunny');
+  assert.strictEqual(day.hours.length, 3);
+  assert.strictEqual(summarizeHourly([]), null);
+});
+
+test('wttr.in days outside the forecast window are null', () => {
+  const payload = {
+    weather: [{
+      date: '2030-01-01',
+      hourly: [{ time: '1200', tempC: '21', humidity: '40', windspeedKmph: '7',
+        precipMM: '0.5', weatherDesc: [{ value: ' Sunny ' }], weatherCode: '113' }],
+    }],
+  };
+  const day = wttr.normalizeDay(payload, '2030-01-01');
+  assert.strictEqual(day.tempC, 21);
+  assert.strictEqual(day.conditionText, 'Sunny');
+  assert.strictEqual(day.hours[0].hour, 12);
+  assert.strictEqual(wttr.normalizeDay(payload, '2030-01-02'), null);
+});
+
+test('Open-Meteo codes map onto wttr.in codes', () => {
+  assert.deepStrictEqual(openMeteo.describeWmo(95), ['Thunderstorm', 389]);
+  assert.deepStrictEqual(openMeteo.describeWmo(1234), ['Unknown', 0]);
+});
@@ -0,0 +1,29 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+const T0 = 1000000;
+
+test('a client may send a burst, then is refused until a token returns', () => {
+  const limiter = createRateLimiter({ burst: 3, perMinute: 60 });
+  assert.deepStrictEqual([1, 2, 3].map(() => limiter.take('a', T0).remaining), [2, 1, 0]);
+  assert.deepStrictEqual(limiter.take('a', T0),
+    { allowed: false, limit: 3, remaining: 0, resetSeconds: 3, retryAfterSeconds: 1 });
+  assert.strictEqual(limiter.take('a', T0 + 999).allowed, false);
+  assert.strictEqual(limiter.take('a', T0 + 2000).allowed, true);
+});
+
+test('clients have separate buckets', () => {
+  const limiter = createRateLimiter({ burst: 1, perMinute: 1 });
+  assert.strictEqual(limiter.take('a', T0).allowed, true);
+  assert.strictEqual(limiter.take('a', T0).allowed, false);
+  assert.strictEqual(limiter.take('b', T0).allowed, true);
+});
+
+test('tokens refill up to the burst size only', () => {
+  const limiter = createRateLimiter({ burst: 2, perMinute: 60 });
+  limiter.take('a', T0);
+  const later = limiter.take('a', T0 + 10 * 60 * 1000);
+  assert.strictEqual(later.remaining, 1);
+  assert.strictEqual(later.resetSeconds, 1);
+});
@@ -0,0 +1,41 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { RequestBodyError, readJsonBody } = require('../lib/request-body');
+
+// A request stream with the given body and headers
+function fakeRequest(body, headers = { 'content-type': 'application/json' }) {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  req.headers = headers;
+  return req;
+}
+
+test('parses a JSON object', async () => {
+  assert.deepStrictEqual(await readJsonBody(fakeRequest('{"a":1}'), { limit: 1024 }), { a: 1 });
+});
+
+test('treats an empty body as an empty object', async () => {
+  assert.deepStrictEqual(await readJsonBody(fakeRequest('', {}), { limit: 1024 }), {});
+});
+
+for (const body of ['null', '123', '"x"', 'true', '[]', '[{"a":1}]']) {
+  test(`refuses ${body} with 400`, async () => {
+    await assert.rejects(readJsonBody(fakeRequest(body), { limit: 1024 }),
+      err => err instanceof RequestBodyError && err.status === 400);
+  });
+}
+
+test('refuses malformed JSON with 400', async () => {
+  await assert.rejects(readJsonBody(fakeRequest('{'), { limit: 1024 }),
+    err => err instanceof RequestBodyError && err.status === 400 && err.message === 'Invalid JSON body');
+});
+
+test('refuses a body over the limit with 413', async () => {
+  await assert.rejects(readJsonBody(fakeRequest('{"a":"0123456789"}'), { limit: 8 }),
+    err => err instanceof RequestBodyError && err.status === 413);
+});
+
+test('refuses another content type with 415', async () => {
+  await assert.rejects(readJsonBody(fakeRequest('{}', { 'content-type': 'text/plain' }), { limit: 1024 }),
+    err => err instanceof RequestBodyError && err.status === 415);
+});
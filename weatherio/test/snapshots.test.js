@@ -0,0 +1,69 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const path = require('path');
+const { isolatedLib } = require('./helpers');
+
+const WEATHER = { tempC: 20, hours: [] };
+
+let lib;
+let snapshots;
+
+test.beforeEach(() => {
+  lib = isolatedLib();
+  snapshots = lib.require('snapshots');
+});
+
+test.afterEach(() => {
+  lib.cleanup();
+});
+
+// ISO date `days` days before today
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+test('a saved snapshot is read back by location and date', () => {
+  const date = daysAgo(1);
+  snapshots.saveSnapshot('17.385', '78.4867', date, WEATHER, 'fixture');
+  const snapshot = snapshots.getSnapshot('17.385', '78.4867', date);
+  assert.deepStrictEqual(snapshot.weather, WEATHER);
+  assert.strictEqual(snapshot.provider, 'fixture');
+  assert.strictEqual(snapshots.getSnapshot('17.385', '78.4867', daysAgo(2)), null);
+  assert.strictEqual(snapshots.getSnapshot('1', '2', date), null);
+});
+
+test('saving unchanged weather keeps the recorded time', () => {
+  const date = daysAgo(1);
+  const first = snapshots.saveSnapshot('1', '2', date, WEATHER, 'fixture');
+  const second = snapshots.saveSnapshot('1', '2', date, { ...WEATHER }, 'fixture');
+  assert.strictEqual(second.recordedAt, first.recordedAt);
+});
+
+test('each day has a file of its own and dates are listed per location', () => {
+  snapshots.saveSnapshot('1', '2', daysAgo(2), WEATHER, 'fixture');
+  snapshots.saveSnapshot('1', '2', daysAgo(1), WEATHER, 'fixture');
+  snapshots.saveSnapshot('3', '4', daysAgo(1), WEATHER, 'fixture');
+  assert.deepStrictEqual(fs.readdirSync(path.join(lib.dataDir, 'snapshots')).sort(),
+    [`${daysAgo(2)}.json`, `${daysAgo(1)}.json`]);
+  assert.deepStrictEqual(snapshots.listSnapshotDates('1', '2'), [daysAgo(2), daysAgo(1)]);
+  assert.deepStrictEqual(snapshots.listSnapshotDates('3', '4'), [daysAgo(1)]);
+  assert.strictEqual(snapshots.listSnapshots({ from: daysAgo(1) }).length, 2);
+});
+
+test('days past the retention period are pruned when a new day starts', () => {
+  snapshots.saveSnapshot('1', '2', daysAgo(400), WEATHER, 'fixture');
+  snapshots.saveSnapshot('1', '2', daysAgo(1), WEATHER, 'fixture');
+  assert.deepStrictEqual(snapshots.listSnapshotDates('1', '2'), [daysAgo(1)]);
+});
+
+test('a single snapshots.json from older versions is split into day files', () => {
+  const date = daysAgo(1);
+  const legacy = {
+    [`1,2,${date}`]: { lat: '1', lon: '2', date, weather: WEATHER, provider: 'wttr', recordedAt: '2030-01-01T00:00:00Z' },
+  };
+  fs.writeFileSync(path.join(lib.dataDir, 'snapshots.json'), JSON.stringify(legacy));
+  assert.strictEqual(snapshots.getSnapshot('1', '2', date).provider, 'wttr');
+  assert.strictEqual(fs.existsSync(path.join(lib.dataDir, 'snapshots.json')), false);
+  assert.ok(fs.existsSync(path.join(lib.dataDir, 'snapshots', `${date}.json`)));
+});
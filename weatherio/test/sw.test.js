@@ -0,0 +1,128 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const ORIGIN = 'https://weatherio.test';
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf8');
+
+// A minimal CacheStorage keyed by URL
+function fakeCaches() {
+  const stores = new Map();
+  const withoutSearch = url => url.split('?')[0];
+  function open(name) {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        put: async (request, response) => { entries.set(request.url, response); },
+        delete: async (request, options = {}) => {
+          for (const url of [...entries.keys()]) {
+            if (url === request.url || (options.ignoreSearch && withoutSearch(url) === withoutSearch(request.url))) {
+              entries.delete(url);
+            }
+          }
+        },
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        match: async (request, options = {}) => {
+          for (const [url, response] of entries) {
+            if (url === request.url || (options.ignoreSearch && withoutSearch(url) === withoutSearch(request.url))) {
+              return response.clone();
+            }
+          }
+          return undefined;
+        },
+      });
+    }
+    return stores.get(name);
+  }
+  return {
+    stores,
+    open: async name => open(name),
+    match: async (request, options) => {
+      for (const name of stores.keys()) {
+        const found = await open(name).match(request, options);
+        if (found) return found;
+      }
+      return undefined;
+    },
+  };
+}
+
+// Load sw.js with `fetch` answering from `network`, or failing when it
+// is null
+function loadWorker() {
+  const listeners = {};
+  const worker = {
+    network: null,
+    caches: fakeCaches(),
+    requests: [],
+    // Dispatch a fetch event; resolves with the response the worker
+    // answers with, or undefined when it leaves the request alone
+    fetch(url, { method = 'GET', mode = 'cors' } = {}) {
+      let answer;
+      listeners.fetch({
+        request: { url: ORIGIN + url, method, mode },
+        respondWith: promise => { answer = promise; },
+      });
+      return answer;
+    },
+  };
+  const context = {
+    self: {
+      location: { origin: ORIGIN },
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+    },
+    caches: worker.caches,
+    fetch: async request => {
+      worker.requests.push(request.url);
+      if (!worker.network) throw new TypeError('Failed to fetch');
+      return worker.network(request);
+    },
+    Headers,
+    Response,
+    URL,
+  };
+  vm.runInNewContext(SOURCE, context);
+  return worker;
+}
+
+test('read routes are fetched from the network and kept for offline use', async () => {
+  const worker = loadWorker();
+  worker.network = () => new Response('{"tempC":20}', { headers: { 'Content-Type': 'application/json' } });
+  const online = await worker.fetch('/weather?lat=1&lon=2&date=2030-01-01');
+  assert.strictEqual(await online.text(), '{"tempC":20}');
+  assert.strictEqual(online.headers.get('X-Cached-At'), null);
+
+  worker.network = null;
+  const offline = await worker.fetch('/weather?lat=1&lon=2&date=2030-01-01');
+  assert.strictEqual(await offline.text(), '{"tempC":20}');
+  assert.ok(!isNaN(Date.parse(offline.headers.get('X-Cached-At'))));
+  await assert.rejects(worker.fetch('/weather?lat=1&lon=2&date=2030-01-02'), /Failed to fetch/);
+});
+
+test('failed responses are not cached', async () => {
+  const worker = loadWorker();
+  worker.network = () => new Response('busy', { status: 503 });
+  assert.strictEqual((await worker.fetch('/override?lat=1&lon=2&date=2030-01-01')).status, 503);
+  worker.network = null;
+  await assert.rejects(worker.fetch('/override?lat=1&lon=2&date=2030-01-01'));
+});
+
+test('offline, any version of a shell file is served from the newest copy', async () => {
+  const worker = loadWorker();
+  worker.network = () => new Response('// new');
+  await worker.fetch('/script.js?v=abc');
+  assert.deepStrictEqual([...worker.caches.stores.get('weatherio-shell-v4').entries.keys()],
+    [`${ORIGIN}/script.js?v=abc`]);
+  worker.network = null;
+  assert.strictEqual(await (await worker.fetch('/script.js?v=def')).text(), '// new');
+});
+
+test('writes and other origins are left to the browser', () => {
+  const worker = loadWorker();
+  assert.strictEqual(worker.fetch('/override', { method: 'POST' }), undefined);
+  assert.strictEqual(worker.fetch('/admin/users'), undefined);
+  assert.deepStrictEqual(worker.requests, []);
+});
@@ -0,0 +1,31 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const { lookupTimeZone, isValidTimeZone, startOfDay, endOfDay } = require('../lib/timezones');
+
+test('coordinates resolve to the zone of the nearest reference point', () => {
+  assert.strictEqual(lookupTimeZone('17.4', '78.5'), 'Asia/Kolkata');
+  assert.strictEqual(lookupTimeZone(51.5, -0.1), 'Europe/London');
+});
+
+test('the open sea gets a nautical zone', () => {
+  // South Pacific, far from every reference point
+  assert.strictEqual(lookupTimeZone(-48, -123), 'Etc/GMT+8');
+  assert.strictEqual(lookupTimeZone(-60, 0), 'Etc/GMT');
+});
+
+test('only known IANA zones are valid', () => {
+  assert.strictEqual(isValidTimeZone('Asia/Kolkata'), true);
+  assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.strictEqual(isValidTimeZone(''), false);
+});
+
+test('days start and end at local midnight', () => {
+  assert.strictEqual(new Date(startOfDay('2030-01-01', 'Asia/Kolkata')).toISOString(), '2029-12-31T18:30:00.000Z');
+  assert.strictEqual(new Date(endOfDay('2030-01-01', 'Asia/Kolkata')).toISOString(), '2030-01-01T18:30:00.000Z');
+});
+
+test('a day with a DST change is 23 hours long', () => {
+  const start = startOfDay('2030-03-31', 'Europe/London');
+  assert.strictEqual(new Date(start).toISOString(), '2030-03-31T00:00:00.000Z');
+  assert.strictEqual(endOfDay('2030-03-31', 'Europe/London') - start, 23 * 60 * 60 * 1000);
+});
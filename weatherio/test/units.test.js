@@ -0,0 +1,50 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+// public/units.js is a browser script; run it against a bare window
+function loadUnits() {
+  const window = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'units.js'), 'utf8'), { window });
+  return window.WeatherioUnits;
+}
+
+test('unknown systems fall back to metric', () => {
+  const units = loadUnits();
+  assert.strictEqual(units.setSystem('imperial'), 'imperial');
+  assert.strictEqual(units.setSystem('nautical'), 'metric');
+  assert.strictEqual(units.getSystem(), 'metric');
+});
+
+test('figures are shown in the units of the chosen system', () => {
+  const units = loadUnits();
+  units.setSystem('imperial');
+  assert.deepStrictEqual(['tempC', 'windKph', 'precipMm', 'humidityPct'].map(units.unitFor),
+    ['F', 'mph', 'in', 'pct']);
+  assert.strictEqual(units.toDisplay('tempC', 100), 212);
+  assert.strictEqual(units.toDisplay('precipMm', 25.4), 1);
+  assert.strictEqual(units.toDisplay('conditionText', 'Sunny'), 'Sunny');
+  assert.strictEqual(units.digitsFor('precipMm'), 2);
+  units.setSystem('mixed');
+  assert.deepStrictEqual(['tempC', 'windKph', 'precipMm'].map(units.unitFor), ['C', 'mph', 'mm']);
+});
+
+test('typed values go back to metric without float noise', () => {
+  const units = loadUnits();
+  units.setSystem('imperial');
+  assert.strictEqual(units.toMetric('tempC', 69.8), 21);
+  assert.strictEqual(units.toMetric('windKph', 10), 16.09);
+  assert.strictEqual(units.toMetric('humidityPct', 55), 55);
+});
+
+test('input ranges stay within the server limits once converted', () => {
+  const units = loadUnits();
+  units.setSystem('imperial');
+  // Spread so the object is not from the script's realm
+  assert.deepStrictEqual({ ...units.inputRange('tempC') }, { min: -130, max: 140, step: 0.1 });
+  const precip = units.inputRange('precipMm');
+  assert.strictEqual(precip.step, 0.01);
+  assert.ok(units.toMetric('precipMm', precip.max) <= 2000);
+});
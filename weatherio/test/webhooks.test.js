@@ -0,0 +1,84 @@
+const test   = require('node:test');
+const assert = require('node:assert');
+const http   = require('http');
+const { deliverWebhook, checkWebhookUrl } = require('../lib/webhooks');
+
+// Serve the given status codes in turn and record the requests
+async function receiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test('accepts public http(s) URLs', () => {
+  assert.strictEqual(checkWebhookUrl('https://hooks.example.com/alerts'), null);
+  assert.strictEqual(checkWebhookUrl('http://93.184.216.34:8080/'), null);
+  assert.strictEqual(checkWebhookUrl('http://[2606:2800:220:1::1]/'), null);
+});
+
+test('refuses other schemes and malformed URLs', () => {
+  assert.notStrictEqual(checkWebhookUrl('ftp://example.com/'), null);
+  assert.notStrictEqual(checkWebhookUrl('not a url'), null);
+});
+
+for (const url of [
+  'http://localhost:9000/',
+  'http://api.localhost/',
+  'http://127.0.0.1/',
+  'http://10.1.2.3/',
+  'http://172.20.0.1/',
+  'http://192.168.1.1/',
+  'http://169.254.169.254/latest/meta-data/',
+  'http://0.0.0.0/',
+  'http://[::1]/',
+  'http://[fe80::1]/',
+  'http://[fd00::1]/',
+  'http://[::ffff:127.0.0.1]/',
+  'http://2130706433/',
+]) {
+  test(`refuses ${url}`, () => {
+    assert.notStrictEqual(checkWebhookUrl(url), null);
+  });
+}
+
+test('an untrusted delivery to a private address is not attempted', async () => {
+  const result = await deliverWebhook('http://127.0.0.1:9/hook', 'alert.fired', {});
+  assert.deepStrictEqual(result, {
+    attempts: 1,
+    ok: false,
+    statusCode: undefined,
+    error: 'URL must not point to a loopback, private or link-local address',
+  });
+});
+
+test('5xx responses are retried until delivered', async () => {
+  const target = await receiver([503, 200]);
+  const attempts = [];
+  const result = await deliverWebhook(target.url, 'alert.fired', { id: 'a1' },
+    { trusted: true, retryBaseMs: 1, onAttempt: r => attempts.push(r.statusCode) });
+  await target.close();
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(attempts, [503, 200]);
+  assert.strictEqual(target.requests[1].headers['x-weatherio-event'], 'alert.fired');
+  assert.deepStrictEqual(target.requests[1].body, { id: 'a1' });
+});
+
+test('other client errors are final', async () => {
+  const target = await receiver([404]);
+  const result = await deliverWebhook(target.url, 'alert.fired', {}, { trusted: true, retryBaseMs: 1 });
+  await target.close();
+  assert.deepStrictEqual(result, { attempts: 1, ok: false, statusCode: 404, error: 'HTTP 404' });
+});
@@ -0,0 +1,66 @@
+const http = require('http');
+
+/*
+ * Local stand-in for wttr.in, for trying out the deep health check and
+ * running the server without network access.
+ *
+ *   node tools/provider-stub.js
+ *   WTTR_BASE_URL=http://localhost:9100 node server.js
+ *
+ * Listens on port 9100 (or PORT) and answers /{lat},{lon}?format=j1 with
+ * three days of flat, made-up weather and /:help with plain text.
+ * Options, as environment variables:
+ *   FAIL=1   answer every request with 503, so /health?deep=1 reports
+ *            the provider as unreachable
+ */
+
+const PORT = process.env.PORT || 9100;
+const FAIL = process.env.FAIL === '1';
+
+function isoDate(offsetDays) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + offsetDays);
+  return d.toISOString().slice(0, 10);
+}
+
+function stubDay(offsetDays) {
+  const hourly = [];
+  for (let hour = 0; hour < 24; hour += 3) {
+    hourly.push({
+      time: String(hour * 100),
+      tempC: String(18 + Math.round(6 * Math.sin(((hour - 9) / 24) * 2 * Math.PI))),
+      humidity: '60',
+      windspeedKmph: '10',
+      precipMM: '0.0',
+      weatherDesc: [{ value: 'Partly cloudy' }],
+      weatherCode: '116',
+    });
+  }
+  return { date: isoDate(offsetDays), hourly };
+}
+
+const server = http.createServer((req, res) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  if (FAIL) {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('Service unavailable (FAIL=1)\n');
+    return;
+  }
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname === '/:help') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Weather.io provider stub\n');
+    return;
+  }
+  if (/^\/-?\d+(\.\d+)?,-?\d+(\.\d+)?$/.test(url.pathname) && url.searchParams.get('format') === 'j1') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ weather: [stubDay(0), stubDay(1), stubDay(2)] }));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found\n');
+});
+
+server.listen(PORT, () => {
+  console.log(`Provider stub listening on http://localhost:${PORT}/${FAIL ? ' (failing every request)' : ''}`);
+});
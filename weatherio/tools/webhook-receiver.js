@@ -0,0 +1,54 @@
+const http   = require('http');
+const crypto = require('crypto');
+
+/*
+ * Local webhook receiver for trying out alert delivery.
+ *
+ *   node tools/webhook-receiver.js
+ *
+ * Listens on port 9000 (or PORT) and prints every request it receives.
+ * Point an alert rule's webhooks, or ALERT_WEBHOOK_URLS, at
+ * http://localhost:9000/.  Options, as environment variables:
+ *   FAIL_FIRST=N      answer the first N requests with 503 to watch the
+ *                     server retry with backoff
+ *   WEBHOOK_SECRET    check X-Weatherio-Signature against this secret
+ */
+
+const PORT = process.env.PORT || 9000;
+const FAIL_FIRST = Number(process.env.FAIL_FIRST) || 0;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => { chunks.push(chunk); });
+  req.on('end', () => {
+    received += 1;
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-weatherio-event'] || '-';
+    console.log(`#${received} ${new Date().toISOString()} ${req.method} ${req.url} event=${event}`);
+    if (SECRET) {
+      const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+      const ok = req.headers['x-weatherio-signature'] === expected;
+      console.log(`  signature ${ok ? 'valid' : 'INVALID'}`);
+    }
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2).replace(/^/gm, '  '));
+    } catch (err) {
+      console.log(`  ${body}`);
+    }
+    if (received <= FAIL_FIRST) {
+      console.log('  -> 503 (FAIL_FIRST)');
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+});